@@ -8,7 +8,7 @@
 import React, { useEffect, useState } from 'react'
 import { NavigationContainer } from '@react-navigation/native'
 import { createNativeStackNavigator } from '@react-navigation/native-stack'
-import { Provider, useSelector } from 'react-redux'
+import { Provider, useDispatch, useSelector } from 'react-redux'
 import { PersistGate } from 'redux-persist/integration/react'
 import { PaperProvider } from 'react-native-paper'
 import MaterialCommunityIcon from 'react-native-vector-icons/MaterialCommunityIcons'
@@ -21,8 +21,9 @@ import { usePrepareThemes } from './styles/tools/usePrepareThemes'
 
 import { persistor, store } from './store'
 import { selectSettings } from './store/settings'
+import { runAutomaticBackup } from './store/operations'
 
-import { AppWrappedForDistribution, trackNavigation, useConfigForDistribution } from './distro'
+import { AppWrappedForDistribution, reportError, trackNavigation, useConfigForDistribution } from './distro'
 
 import HeaderBar from './screens/components/HeaderBar'
 
@@ -36,8 +37,12 @@ import OperationAddActivityScreen from './screens/OperationScreens/OpSettingsTab
 import OperationActivityOptionsScreen from './screens/OperationScreens/OpSettingsTab/OperationActivityOptionsScreen'
 import OperationStationInfoScreen from './screens/OperationScreens/OpSettingsTab/OperationStationInfoScreen'
 import OperationDataScreen from './screens/OperationScreens/OpSettingsTab/OperationDataScreen'
+import OperationCabrilloScreen from './screens/OperationScreens/OpSettingsTab/OperationCabrilloScreen'
 import MainSettingsScreen from './screens/SettingsScreens/screens/MainSettingsScreen'
 import SpotsScreen from './screens/SpotsScreen/SpotsScreen'
+import CombinedExportScreen from './screens/CombinedExportScreen/CombinedExportScreen'
+import SearchScreen from './screens/SearchScreen/SearchScreen'
+import CommandsScreen from './screens/CommandsScreen/CommandsScreen'
 import OpInfoScreen from './screens/OperationScreens/OpInfoScreen'
 import OperationDetailsScreen from './screens/OperationScreens/OpSettingsTab/OperationDetailsScreen'
 import RootErrorBoundary from './screens/components/RootErrorBoundary'
@@ -45,6 +50,9 @@ import DeviceInfo from 'react-native-device-info'
 
 const Stack = createNativeStackNavigator()
 
+const ONE_HOUR_IN_MILLIS = 1000 * 60 * 60
+const ONE_DAY_IN_MILLIS = ONE_HOUR_IN_MILLIS * 24
+
 const paperSettings = {
   icon: props => <MaterialCommunityIcon {...props} />
 }
@@ -67,6 +75,19 @@ function MainApp ({ navigationTheme }) {
     })
   }, [settings?.consentAppData, settings?.consentOpData])
 
+  const dispatch = useDispatch()
+  useEffect(() => { // Daily automatic backups, checked every hour while the app is running
+    if (appState === 'starting' || settings?.automaticBackups === false) return
+
+    const backupIfNeeded = () => dispatch(runAutomaticBackup({ minimumAge: ONE_DAY_IN_MILLIS })).catch(error => {
+      reportError('Error running automatic backup', error)
+    })
+
+    backupIfNeeded()
+    const interval = setInterval(backupIfNeeded, ONE_HOUR_IN_MILLIS)
+    return () => clearInterval(interval)
+  }, [dispatch, appState, settings?.automaticBackups])
+
   const routeNameRef = React.useRef()
   const navigationRef = React.useRef()
 
@@ -140,6 +161,11 @@ function MainApp ({ navigationTheme }) {
             component={OperationDataScreen}
           />
 
+          <Stack.Screen name="OperationCabrillo"
+            options={{ title: 'Cabrillo Details', headerBackTitle: 'Data' }}
+            component={OperationCabrilloScreen}
+          />
+
           <Stack.Screen name="CallInfo"
             options={{ title: 'Callsign Info' }}
             component={CallInfoScreen}
@@ -150,6 +176,21 @@ function MainApp ({ navigationTheme }) {
             component={SpotsScreen}
           />
 
+          <Stack.Screen name="Search"
+            options={{ title: 'Search QSOs' }}
+            component={SearchScreen}
+          />
+
+          <Stack.Screen name="Commands"
+            options={{ title: 'Logging Commands' }}
+            component={CommandsScreen}
+          />
+
+          <Stack.Screen name="CombinedExport"
+            options={{ title: 'Export Multiple Operations' }}
+            component={CombinedExportScreen}
+          />
+
           <Stack.Screen name="EditQSO"
             options={{ title: 'Edit QSO' }}
             component={EditQSOScreen}
@@ -0,0 +1,44 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { findRef, replaceRef } from '../../../tools/refTools'
+import { fullWeekendPeriod } from '../../../tools/contestPeriods'
+
+// ARRL Field Day and Winter Field Day use the same exchange, a class and a location, and share these helpers.
+// `key` is the ref type for the event.
+
+export function fieldDayCabrilloPartsToQSO ({ key, parts, qso }) {
+  const [ourCall, ourClass, ourLocation, theirCall, theirClass, theirLocation] = parts
+
+  qso.our = { ...qso.our, call: ourCall }
+  qso.their = { ...qso.their, call: theirCall, arrlSection: theirLocation, exchange: [theirClass, theirLocation].join(' ') }
+  qso.refs = replaceRef(qso.refs, key, { type: key, class: theirClass, location: theirLocation })
+
+  return { qso, ourRef: { type: key, class: ourClass, location: ourLocation } }
+}
+
+export function fieldDayApplyExchangeLine ({ key, qso, values }) {
+  const ref = findRef(qso?.refs, key) || { type: key }
+  const newRef = { ...ref, class: values.class ?? '', location: values.location ?? '' }
+
+  return {
+    refs: replaceRef(qso?.refs, key, newRef),
+    their: { arrlSection: newRef.location, exchange: [newRef.class, newRef.location].join(' ') }
+  }
+}
+
+// `period` describes the weekend for the event, see `fullWeekendPeriod`. The year comes from the first QSO.
+export function fieldDayTimeWindow ({ key, operation, qsos, period }) {
+  if (!findRef(operation, key)) return undefined
+
+  const firstMillis = (qsos || []).reduce((first, qso) => (
+    !qso.deleted && qso.startAtMillis && qso.startAtMillis < first ? qso.startAtMillis : first
+  ), Infinity)
+  if (firstMillis === Infinity) return undefined
+
+  return fullWeekendPeriod({ ...period, year: new Date(firstMillis).getUTCFullYear() })
+}
@@ -14,6 +14,7 @@ import ThemedTextInput from '../../../screens/components/ThemedTextInput'
 import { ListRow } from '../../../screens/components/ListComponents'
 import { Ham2kListSection } from '../../../screens/components/Ham2kListSection'
 import { superModeForMode } from '@ham2k/lib-operation-data'
+import { fieldDayApplyExchangeLine, fieldDayCabrilloPartsToQSO, fieldDayTimeWindow } from './FDCommon'
 import { FIELD_DAY_SECTIONS } from './FDSections'
 
 /*
@@ -30,11 +31,15 @@ import { FIELD_DAY_SECTIONS } from './FDSections'
 
  */
 
+// Times in UTC, months start at 0
+const EVENT_PERIOD = { month: 5, nth: 4, startHour: 18, hours: 27 }
+
 const Info = {
   key: 'fd',
   icon: 'weather-sunny',
   name: 'ARRL Field Day',
   shortName: 'FD',
+  cabrilloAliases: ['ARRL-FD'],
   infoURL: 'https://field-day.arrl.org/',
   defaultValue: { class: '', location: '' }
 }
@@ -52,7 +57,13 @@ export default Extension
 const ActivityHook = {
   ...Info,
   Options: ActivityOptions,
-  mainExchangeForOperation
+  mainExchangeForOperation,
+
+  exchangeLineFields: [
+    { key: 'class', label: 'Class', matches: (word) => EXCHANGE_REGEX.test(word) },
+    { key: 'location', label: 'Loc', matches: (word) => !!FIELD_DAY_SECTIONS[word] }
+  ],
+  applyExchangeLine: (props) => fieldDayApplyExchangeLine({ ...props, key: Info.key })
 }
 
 const ReferenceHandler = {
@@ -109,6 +120,16 @@ const ReferenceHandler = {
     parts.push((qsoRef?.location ?? '').padEnd(3, ' '))
     return parts
   },
+
+  cabrilloPartsToQSO: (props) => fieldDayCabrilloPartsToQSO({ ...props, key: Info.key }),
+
+  timeWindowForOperation: (props) => fieldDayTimeWindow({ ...props, key: Info.key, period: EVENT_PERIOD }),
+
+  exportColumns: [
+    { key: 'class', label: 'Class', value: ({ qso }) => findRef(qso, Info.key)?.class },
+    { key: 'location', label: 'Location', value: ({ qso }) => findRef(qso, Info.key)?.location }
+  ],
+
   relevantInfoForQSOItem: ({ qso, operation }) => {
     return [qso.their.exchange]
   },
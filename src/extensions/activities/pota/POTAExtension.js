@@ -130,6 +130,10 @@ const ReferenceHandler = {
 
   shortDescription: (operation) => refsToString(operation, Info.activationType),
 
+  exportColumns: [
+    { key: 'parks', label: 'Parks', value: ({ qso }) => filterRefs(qso, Info.huntingType).map(r => r.ref).join(' ') }
+  ],
+
   description: (operation) => {
     const refs = filterRefs(operation, Info.activationType)
     return [
@@ -182,6 +186,7 @@ const ReferenceHandler = {
         format: 'adif',
         exportType: `${Info.key}-activator`,
         exportData: { refs: [ref] },
+        splitByDay: true,
         nameTemplate: settings.useCompactFileNames ? '{call}@{ref}-{compactDate}' : '{date} {call} at {ref}',
         titleTemplate: `{call}: ${Info.shortName} at ${[ref.ref, ref.name].filter(x => x).join(' - ')} on {date}`
       }]
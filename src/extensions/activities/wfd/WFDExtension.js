@@ -14,6 +14,7 @@ import ThemedTextInput from '../../../screens/components/ThemedTextInput'
 import { ListRow } from '../../../screens/components/ListComponents'
 import { Ham2kListSection } from '../../../screens/components/Ham2kListSection'
 import { superModeForMode } from '@ham2k/lib-operation-data'
+import { fieldDayApplyExchangeLine, fieldDayCabrilloPartsToQSO, fieldDayTimeWindow } from '../fd/FDCommon'
 
 /*
  NOTES:
@@ -29,6 +30,9 @@ import { superModeForMode } from '@ham2k/lib-operation-data'
 
  */
 
+// Times in UTC, months start at 0
+const EVENT_PERIOD = { month: 0, nth: -1, startHour: 16, hours: 30 }
+
 const Info = {
   key: 'wfd',
   icon: 'snowflake',
@@ -51,7 +55,13 @@ export default Extension
 const ActivityHook = {
   ...Info,
   Options: ActivityOptions,
-  mainExchangeForOperation
+  mainExchangeForOperation,
+
+  exchangeLineFields: [
+    { key: 'class', label: 'Class', matches: (word) => EXCHANGE_REGEX.test(word) },
+    { key: 'location', label: 'Loc', matches: (word) => LOCATION_REGEX.test(word) }
+  ],
+  applyExchangeLine: (props) => fieldDayApplyExchangeLine({ ...props, key: Info.key })
 }
 
 const ReferenceHandler = {
@@ -108,6 +118,16 @@ const ReferenceHandler = {
     parts.push((qsoRef?.location ?? '').padEnd(3, ' '))
     return parts
   },
+
+  cabrilloPartsToQSO: (props) => fieldDayCabrilloPartsToQSO({ ...props, key: Info.key }),
+
+  timeWindowForOperation: (props) => fieldDayTimeWindow({ ...props, key: Info.key, period: EVENT_PERIOD }),
+
+  exportColumns: [
+    { key: 'class', label: 'Class', value: ({ qso }) => findRef(qso, Info.key)?.class },
+    { key: 'location', label: 'Location', value: ({ qso }) => findRef(qso, Info.key)?.location }
+  ],
+
   relevantInfoForQSOItem: ({ qso, operation }) => {
     return [qso.their.exchange]
   },
@@ -136,6 +156,9 @@ const ReferenceHandler = {
   }
 }
 
+const EXCHANGE_REGEX = /^(\d+)([HIOM])$/
+const LOCATION_REGEX = /^[A-Z]{2,3}$/
+
 function mainExchangeForOperation (props) {
   const { qso, updateQSO, styles, refStack } = props
 
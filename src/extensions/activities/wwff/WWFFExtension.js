@@ -167,6 +167,7 @@ const ReferenceHandler = {
       return [{
         format: 'adif',
         exportData: { refs: [ref] },
+        splitByDay: true,
         // Note that compact format uses a space instead of - because of WWFF requirements
         nameTemplate: '{call}@{ref} {compactDate}',
         titleTemplate: `{call}: ${Info.shortName} at ${[ref.ref, ref.name].filter(x => x).join(' - ')} on {date}`
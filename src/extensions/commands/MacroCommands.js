@@ -0,0 +1,55 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { MAX_MACRO_DEPTH, findCommandMacro } from '../../tools/commandMacros'
+import { checkAndProcessCommands, splitChainedCommands } from './commandHandling'
+
+const Info = {
+  key: 'commands-macros',
+  name: 'Macros defined in the settings to run several commands at once'
+}
+
+const Extension = {
+  ...Info,
+  category: 'commands',
+  hidden: true,
+  alwaysEnabled: true,
+  onActivation: ({ registerHook }) => {
+    registerHook('command', { priority: 100, hook: MacroCommandHook })
+  }
+}
+
+export default Extension
+
+const MacroCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-macros-run',
+  match: (value, { settings } = {}) => {
+    const macro = findCommandMacro(settings, value)
+    return macro && [value, macro]
+  },
+  help: {
+    name: 'Run Macro',
+    description: 'Run one of the command macros from Logging Settings',
+    syntax: '<macro name>',
+    args: [{ name: 'macro name', type: 'text', description: 'Name of the macro' }]
+  },
+  describeCommand: (match, extraParams) => {
+    const macro = match[1]
+    return `Run ‘${macro.name}’: ${splitChainedCommands(macro.commands, extraParams).join(', ')}?`
+  },
+  invokeCommand: (match, extraParams) => {
+    const macro = match[1]
+    const depth = (extraParams.macroDepth ?? 0) + 1
+    if (depth > MAX_MACRO_DEPTH) return `ERROR:Too many nested macros in ‘${macro.name}’`
+
+    const result = checkAndProcessCommands(splitChainedCommands(macro.commands, extraParams).join(','), { ...extraParams, macroDepth: depth })
+    if (!result) return `ERROR:Macro ‘${macro.name}’ has invalid commands`
+    return typeof result === 'string' ? result : `Ran ‘${macro.name}’`
+  }
+}
@@ -20,6 +20,7 @@ const Extension = {
   hidden: true,
   alwaysEnabled: true,
   onActivation: ({ registerHook }) => {
+    registerHook('command', { priority: 100, hook: HelpCommandHook })
     registerHook('command', { priority: 100, hook: RTFMCommandHook })
     registerHook('command', { priority: 100, hook: SpotCommandHook })
   }
@@ -27,11 +28,37 @@ const Extension = {
 
 export default Extension
 
+const HelpCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-misc-help',
+  match: /^(HELP|\?)$/i,
+  help: {
+    name: 'List Commands',
+    description: 'Show all the commands that can be typed in the callsign field',
+    syntax: ['HELP', '?'],
+    keywords: ['HELP']
+  },
+  describeCommand: (match) => {
+    return 'Show all commands?'
+  },
+  invokeCommand: (match, { navigation }) => {
+    navigation.navigate('Commands')
+    return 'Showing all commands'
+  }
+}
+
 const RTFMCommandHook = {
   ...Info,
   extension: Extension,
   key: 'commands-misc-rtfm',
   match: /RTFM/i,
+  help: {
+    name: 'Read the Manual',
+    description: 'Open the online documentation',
+    syntax: 'RTFM',
+    keywords: ['RTFM']
+  },
   describeCommand: (match) => {
     return 'Read the fine manual?'
   },
@@ -46,6 +73,14 @@ const SpotCommandHook = {
   extension: Extension,
   key: 'commands-misc-spot',
   match: /^(SPOT|SPOTME|SPME|SELFSPOT|QRV|QRT|QSY)(|[/.][\w\d]*)$/i,
+  help: {
+    name: 'Self-Spot',
+    description: 'Post a spot for yourself on the current frequency, for every activity that supports spotting',
+    syntax: ['SPOT', 'SPOT/<comments>', 'QRV', 'QRT', 'QSY'],
+    args: [{ name: 'comments', type: 'text', description: 'Optional comments for the spot' }],
+    examples: ['SPOT', 'SPOT/CQ', 'QRT'],
+    keywords: ['SPOT', 'SPOT/', 'QRV', 'QRT', 'QSY']
+  },
   describeCommand: (match, { vfo }) => {
     let comments = match[2]?.substring(1) || ''
 
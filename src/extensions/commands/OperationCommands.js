@@ -0,0 +1,211 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { StackActions } from '@react-navigation/native'
+import Share from 'react-native-share'
+
+import { parseCallsign } from '@ham2k/lib-callsigns'
+
+import { reportError } from '../../distro'
+import {
+  cabrilloIssuesForOptions, cloneOperation, dataExportOptions, exportValidationHandlers, generateExportsForOptions, setOperationData
+} from '../../store/operations'
+import { filterRefs, replaceRefs } from '../../tools/refTools'
+import { validateOperationForExport } from '../../tools/exportValidation'
+import { filterSelectedExportOptions } from '../../tools/exportOptions'
+import { blockingExportIssues, parseActivationCommand, parseGridCommand, parseStationCallCommand } from '../../tools/operationCommands'
+import { findHooks } from '../registry'
+
+const Info = {
+  key: 'commands-operation',
+  name: 'Commands to manage the current operation'
+}
+
+const Extension = {
+  ...Info,
+  category: 'commands',
+  hidden: true,
+  alwaysEnabled: true,
+  onActivation: ({ registerHook }) => {
+    registerHook('command', { priority: 100, hook: ActivationCommandHook })
+    registerHook('command', { priority: 100, hook: GridCommandHook })
+    registerHook('command', { priority: 100, hook: StationCallCommandHook })
+    registerHook('command', { priority: 100, hook: NewOperationCommandHook })
+    registerHook('command', { priority: 100, hook: ExportCommandHook })
+  }
+}
+
+export default Extension
+
+const ActivationCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-operation-activation',
+  match: (value) => {
+    const command = parseActivationCommand(value, findHooks('activity'))
+    return command ? [value, command.remove, command.activity, command.ref] : false
+  },
+  help: {
+    name: 'Add or Remove Activations',
+    description: 'Add a reference to activate in this operation, or remove it by starting with `-`',
+    syntax: ['<program>/<reference>', '-<program>/<reference>'],
+    args: [
+      { name: 'program', type: 'text', description: 'Short name of the program, like POTA, SOTA or WWFF' },
+      { name: 'reference', type: 'text', description: 'Reference to activate' }
+    ],
+    examples: ['POTA/US-1234', 'SOTA/W2/GC-001', '-POTA/US-1234']
+  },
+  describeCommand: (match, { operation }) => {
+    const [, remove, activity, ref] = match
+    const existing = filterRefs(operation, activity.activationType).find(r => r.ref === ref)
+    if (remove) {
+      return existing ? `Remove ${activity.shortName} ${ref} from this operation?` : `${activity.shortName} ${ref} is not part of this operation`
+    } else {
+      return existing ? `${activity.shortName} ${ref} is already part of this operation` : `Add ${activity.shortName} ${ref} to this operation?`
+    }
+  },
+  invokeCommand: (match, { dispatch, operation }) => {
+    const [, remove, activity, ref] = match
+    const refs = filterRefs(operation, activity.activationType).filter(r => r.ref && r.ref !== ref)
+    if (remove) {
+      dispatch(setOperationData({ uuid: operation.uuid, refs: replaceRefs(operation?.refs, activity.activationType, refs) }))
+      return `Removed ${activity.shortName} ${ref}`
+    } else {
+      dispatch(setOperationData({ uuid: operation.uuid, refs: replaceRefs(operation?.refs, activity.activationType, [...refs, { type: activity.activationType, ref }]) }))
+      return `Added ${activity.shortName} ${ref}`
+    }
+  }
+}
+
+const GridCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-operation-grid',
+  match: (value) => {
+    const grid = parseGridCommand(value)
+    return grid ? [value, grid] : false
+  },
+  help: {
+    name: 'Set Grid',
+    description: 'Set the Maidenhead grid for this operation',
+    syntax: 'GRID/<grid>',
+    args: [{ name: 'grid', type: 'text', description: 'Grid square with 4, 6 or 8 characters' }],
+    examples: ['GRID/FN30', 'GRID/FN30AS'],
+    keywords: ['GRID/']
+  },
+  describeCommand: (match) => {
+    return `Change grid to ${match[1]}?`
+  },
+  invokeCommand: (match, { dispatch, operation }) => {
+    const grid = match[1]
+    dispatch(setOperationData({ uuid: operation.uuid, grid, gridSource: 'manual' }))
+    return `Grid set to ${grid}`
+  }
+}
+
+const StationCallCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-operation-station',
+  match: (value) => {
+    const stationCall = parseStationCallCommand(value)
+    return stationCall ? [value, stationCall] : false
+  },
+  help: {
+    name: 'Change Station Callsign',
+    description: 'Set the station callsign for this operation',
+    syntax: ['CALL/<callsign>', 'STATION/<callsign>'],
+    args: [{ name: 'callsign', type: 'callsign', description: 'Callsign used on the air' }],
+    examples: ['CALL/KI2D', 'CALL/KI2D/P'],
+    keywords: ['CALL/', 'STATION/']
+  },
+  describeCommand: (match) => {
+    if (!parseCallsign(match[1])?.baseCall) return ''
+    return `Change station callsign to ${match[1]}?`
+  },
+  invokeCommand: (match, { dispatch, operation }) => {
+    if (!parseCallsign(match[1])?.baseCall) return ''
+    const stationCall = match[1]
+    dispatch(setOperationData({ uuid: operation.uuid, stationCall }))
+    return `Station callsign set to ${stationCall}`
+  }
+}
+
+const NewOperationCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-operation-new',
+  match: /^(NEWOP|CLONE)$/i,
+  help: {
+    name: 'New Operation',
+    description: 'Start a new operation with the same station, location and activations as this one',
+    syntax: ['NEWOP', 'CLONE'],
+    keywords: ['NEWOP', 'CLONE']
+  },
+  describeCommand: (match) => {
+    return 'Start a new operation like this one?'
+  },
+  invokeCommand: (match, { dispatch, operation, navigation }) => {
+    dispatch(cloneOperation(operation.uuid)).then(newOperation => {
+      navigation.dispatch(StackActions.replace('Operation', { uuid: newOperation.uuid, operation: newOperation, _isNew: true }))
+    }).catch(error => {
+      reportError('Error starting a new operation', error)
+    })
+    return 'Starting a new operation'
+  }
+}
+
+const EXPORT_SCOPE = { type: 'all' }
+
+const ExportCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-operation-export',
+  match: /^EXPORT$/i,
+  help: {
+    name: 'Export',
+    description: 'Check this operation for errors, and export the selected files if there are none',
+    syntax: 'EXPORT',
+    keywords: ['EXPORT']
+  },
+  describeCommand: (match, { operation, qsos, settings, ourInfo }) => {
+    if (!ourInfo?.call || !qsos?.find(qso => !qso.deleted)) return 'Nothing to export yet'
+
+    const options = filterSelectedExportOptions(dataExportOptions({ operation, qsos, settings, ourInfo, scope: EXPORT_SCOPE }), settings)
+    if (options.length === 0) return 'No export types selected'
+    return `Export ${options.length} ${options.length === 1 ? 'file' : 'files'}?`
+  },
+  invokeCommand: (match, { dispatch, operation, qsos, settings, ourInfo, navigation }) => {
+    if (!ourInfo?.call || !qsos?.find(qso => !qso.deleted)) return 'Nothing to export yet'
+
+    const options = filterSelectedExportOptions(dataExportOptions({ operation, qsos, settings, ourInfo, scope: EXPORT_SCOPE }), settings)
+    if (options.length === 0) return 'ERROR:No export types selected'
+
+    const issues = blockingExportIssues([
+      ...validateOperationForExport({ operation, qsos, handlers: exportValidationHandlers() }),
+      ...cabrilloIssuesForOptions({ options, operation, qsos, settings })
+    ])
+    if (issues.length > 0) {
+      navigation.navigate('OperationData', { operation: operation.uuid })
+      return `ERROR:Found ${issues.length} ${issues.length === 1 ? 'error' : 'errors'}, please review before exporting`
+    }
+
+    dispatch(generateExportsForOptions(operation.uuid, options, { scope: EXPORT_SCOPE })).then((paths) => {
+      if (paths?.length > 0) {
+        Share.open({
+          urls: paths.map(p => `file://${p}`),
+          type: 'text/plain' // There is no official mime type for our files
+        }).catch((e) => {
+          console.info('Sharing Error', e)
+        })
+      }
+    }).catch(error => {
+      reportError('Error exporting operation', error)
+    })
+    return `Exporting ${options.length} ${options.length === 1 ? 'file' : 'files'}`
+  }
+}
@@ -29,6 +29,14 @@ const OperatorCommandHook = {
   extension: Extension,
   key: 'commands-operator-change',
   match: /^(OP\.|OP\/|OPER\.|OPER\/)([\w\d]+)$/i,
+  help: {
+    name: 'Change Operator',
+    description: 'Set the operator callsign for the QSOs that follow, when sharing a station',
+    syntax: ['OP/<callsign>', 'OPER/<callsign>'],
+    args: [{ name: 'callsign', type: 'callsign', description: 'Callsign of the new operator' }],
+    examples: ['OP/KI2D'],
+    keywords: ['OP/', 'OPER/']
+  },
   describeCommand: (match) => {
     if (match[2].length < 3) return ''
     return `Change operator to ${match[2]}?`
@@ -5,8 +5,11 @@
  * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import { modeForFrequency } from '@ham2k/lib-operation-data'
+import { POPULAR_MODES, modeForFrequency } from '@ham2k/lib-operation-data'
+import { parseCallsign } from '@ham2k/lib-callsigns'
+
 import { fmtFreqInMHz, parseFreqInMHz } from '../../tools/frequencyFormats'
+import { parseBand, parseFrequency, parseFrequencyOffset, parseFrequencyPair, parseMode, parseSplit } from '../../tools/radioShortcuts'
 
 const Info = {
   key: 'commands-radio',
@@ -21,7 +24,11 @@ const Extension = {
   onActivation: ({ registerHook }) => {
     registerHook('command', { priority: 100, hook: ModeCommandHook })
     registerHook('command', { priority: 100, hook: BandCommandHook })
+    registerHook('command', { priority: 100, hook: SplitCommandHook })
+    registerHook('command', { priority: 100, hook: FrequencyPairCommandHook })
+    registerHook('command', { priority: 100, hook: SimplexCommandHook })
     registerHook('command', { priority: 99, hook: FrequencyCommandHook })
+    registerHook('command', { priority: 99, hook: FrequencyOffsetCommandHook })
     registerHook('command', { priority: 98, hook: PowerCommandHook })
   }
 }
@@ -32,14 +39,25 @@ const BandCommandHook = {
   ...Info,
   extension: Extension,
   key: 'commands-radio-band',
-  match: /^(2|6|10|12|15|17|20|30|40|60|80|160)M{0,1}$/i,
+  match: (value) => {
+    const band = parseBand(value)
+    return band ? [value, band] : false
+  },
+  help: {
+    name: 'Change Band',
+    description: 'Switch to another band, without a specific frequency',
+    syntax: '<band>',
+    args: [{ name: 'band', type: 'band', description: 'Band in meters or centimeters, like 20, 2m, 1.25m or 70cm' }],
+    examples: ['20m', '40', '2m', '70cm']
+  },
   describeCommand: (match) => {
     if (match[0].length < 2) return ''
-    return `Change band to ${match[1]}m?`
+    return `Change band to ${match[1]}?`
   },
+  fieldChangesForCommand: (match) => [{ fieldId: 'band', value: match[1] }],
   invokeCommand: (match, { handleFieldChange }) => {
-    handleFieldChange({ fieldId: 'band', value: match[1] + 'm' })
-    return `Band set to ${match[1]}m`
+    handleFieldChange({ fieldId: 'band', value: match[1] })
+    return `Band set to ${match[1]}`
   }
 }
 
@@ -48,31 +66,27 @@ const FrequencyCommandHook = {
   extension: Extension,
   key: 'commands-radio-frequency',
   match: /^([\d.]{1,})$/,
+  help: {
+    name: 'Change Frequency',
+    description: 'Set the frequency in kHz, or in MHz for VHF and above. Start with `.` or `..` to change only the last digits of the current frequency',
+    syntax: ['<frequency>', '.<kHz>', '..<kHz>'],
+    args: [{ name: 'frequency', type: 'frequency', description: 'Frequency in kHz or MHz' }],
+    examples: ['14074', '7030', '146.52', '1296.1', '.285', '..5']
+  },
   describeCommand: (match, { qso, vfo, ourInfo }) => {
-    let freq
     if (match[1].length < 3) return
-    if (match[1].startsWith('..') && qso.freq) {
-      freq = parseFreqInMHz(`${Math.round(qso.freq)}${match[1].substring(1)}`)
-    } else if (match[1].startsWith('.') && qso.freq) {
-      freq = parseFreqInMHz(`${Math.floor(qso.freq / 1000)}${match[1]}`)
-    } else {
-      freq = parseFreqInMHz(match[1])
-    }
+    const freq = frequencyFromMatch(match, qso)
     if (freq) {
       const mode = modeForFrequency(freq, ourInfo) ?? vfo.mode ?? 'SSB'
       return `Change frequency to ${fmtFreqInMHz(freq)} MHz${mode !== vfo?.mode ? ` (${mode})` : ''}?`
     }
   },
+  fieldChangesForCommand: (match, { qso }) => {
+    const freq = frequencyFromMatch(match, qso)
+    return freq ? [{ fieldId: 'freq', value: freq }] : []
+  },
   invokeCommand: (match, { qso, handleFieldChange, vfo, ourInfo }) => {
-    let freq
-    if (match[1].startsWith('..') && qso.freq) {
-      freq = parseFreqInMHz(`${Math.round(qso.freq)}${match[1].substring(1)}`)
-    } else if (match[1].startsWith('.') && qso.freq) {
-      freq = parseFreqInMHz(`${Math.floor(qso.freq / 1000)}${match[1]}`)
-    } else {
-      freq = parseFreqInMHz(match[1])
-    }
-
+    const freq = frequencyFromMatch(match, qso)
     if (freq) {
       const mode = modeForFrequency(freq, ourInfo) ?? vfo.mode ?? 'SSB'
       handleFieldChange({ fieldId: 'freq', value: freq })
@@ -81,11 +95,154 @@ const FrequencyCommandHook = {
   }
 }
 
+function frequencyFromMatch (match, qso) {
+  if (match[1].startsWith('..') && qso.freq) {
+    return parseFreqInMHz(`${Math.round(qso.freq)}${match[1].substring(1)}`)
+  } else if (match[1].startsWith('.') && qso.freq) {
+    return parseFreqInMHz(`${Math.floor(qso.freq / 1000)}${match[1]}`)
+  } else {
+    return parseFrequency(match[1])
+  }
+}
+
+const FrequencyOffsetCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-radio-frequency-offset',
+  match: (value) => {
+    const offset = parseFrequencyOffset(value)
+    return offset ? [value, offset] : false
+  },
+  help: {
+    name: 'Move Frequency',
+    description: 'Move the frequency up or down by some kHz, keeping any split',
+    syntax: ['+<kHz>', '-<kHz>'],
+    args: [{ name: 'kHz', type: 'number', description: 'How many kHz to move' }],
+    examples: ['+2', '-0.5']
+  },
+  describeCommand: (match, { qso, vfo }) => {
+    const freq = qso?.freq ?? vfo?.freq
+    if (!freq) return ''
+    return `Change frequency to ${fmtFreqInMHz(freq + match[1])} MHz?`
+  },
+  fieldChangesForCommand: (match, { qso, vfo }) => {
+    const freq = qso?.freq ?? vfo?.freq
+    if (!freq) return []
+    if (qso?.freqRx) return [{ fieldId: 'split', value: { freq: freq + match[1], freqRx: qso.freqRx + match[1] } }]
+    return [{ fieldId: 'freq', value: freq + match[1] }]
+  },
+  invokeCommand: (match, { qso, vfo, handleFieldChange }) => {
+    const freq = qso?.freq ?? vfo?.freq
+    if (!freq) return ''
+    if (qso?.freqRx) {
+      handleFieldChange({ fieldId: 'split', value: { freq: freq + match[1], freqRx: qso.freqRx + match[1] } })
+    } else {
+      handleFieldChange({ fieldId: 'freq', value: freq + match[1] })
+    }
+    return `Frequency set to ${fmtFreqInMHz(freq + match[1])} MHz`
+  }
+}
+
+const SplitCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-radio-split',
+  match: (value) => {
+    const offset = parseSplit(value)
+    return offset ? [value, offset] : false
+  },
+  help: {
+    name: 'Split',
+    description: 'Transmit some kHz above or below the frequency you are listening on',
+    syntax: ['UP <kHz>', 'DN <kHz>'],
+    args: [{ name: 'kHz', type: 'number', description: 'Distance to the transmit frequency, 1 kHz if not given' }],
+    examples: ['UP', 'UP2', 'DN5'],
+    keywords: ['UP', 'DN', 'DOWN']
+  },
+  describeCommand: (match, { qso, vfo }) => {
+    const freqRx = qso?.freqRx ?? qso?.freq ?? vfo?.freq
+    if (!freqRx) return 'Set a frequency before going split'
+    return `Transmit on ${fmtFreqInMHz(freqRx + match[1])} MHz and listen on ${fmtFreqInMHz(freqRx)} MHz?`
+  },
+  fieldChangesForCommand: (match, { qso, vfo }) => {
+    const freqRx = qso?.freqRx ?? qso?.freq ?? vfo?.freq
+    return freqRx ? [{ fieldId: 'split', value: { freq: freqRx + match[1], freqRx } }] : []
+  },
+  invokeCommand: (match, { qso, vfo, handleFieldChange }) => {
+    const freqRx = qso?.freqRx ?? qso?.freq ?? vfo?.freq
+    if (!freqRx) return 'ERROR:Set a frequency before going split'
+    handleFieldChange({ fieldId: 'split', value: { freq: freqRx + match[1], freqRx } })
+    return `Split: TX ${fmtFreqInMHz(freqRx + match[1])} MHz, RX ${fmtFreqInMHz(freqRx)} MHz`
+  }
+}
+
+const FrequencyPairCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-radio-frequency-pair',
+  match: (value) => {
+    const pair = parseFrequencyPair(value)
+    return pair ? [value, pair] : false
+  },
+  help: {
+    name: 'Transmit and Receive Frequencies',
+    description: 'Transmit on one frequency and listen on another, even on a different band, like when working satellites',
+    syntax: '<tx frequency>/<rx frequency>',
+    args: [
+      { name: 'tx frequency', type: 'frequency', description: 'Frequency to transmit on, in kHz or MHz' },
+      { name: 'rx frequency', type: 'frequency', description: 'Frequency to listen on, in kHz or MHz' }
+    ],
+    examples: ['145.9/435.3', '14074/14076']
+  },
+  describeCommand: (match) => {
+    const { freq, freqRx } = match[1]
+    return `Transmit on ${fmtFreqInMHz(freq)} MHz and listen on ${fmtFreqInMHz(freqRx)} MHz?`
+  },
+  fieldChangesForCommand: (match) => [{ fieldId: 'split', value: match[1] }],
+  invokeCommand: (match, { handleFieldChange }) => {
+    const { freq, freqRx } = match[1]
+    handleFieldChange({ fieldId: 'split', value: { freq, freqRx } })
+    return `Split: TX ${fmtFreqInMHz(freq)} MHz, RX ${fmtFreqInMHz(freqRx)} MHz`
+  }
+}
+
+const SimplexCommandHook = {
+  ...Info,
+  extension: Extension,
+  key: 'commands-radio-simplex',
+  match: /^(SIMPLEX|NOSPLIT)$/i,
+  help: {
+    name: 'Simplex',
+    description: 'Stop working split, and transmit on the frequency you are listening on',
+    syntax: ['SIMPLEX', 'NOSPLIT'],
+    keywords: ['SIMPLEX', 'NOSPLIT']
+  },
+  describeCommand: (match, { qso }) => {
+    if (!qso?.freqRx) return 'Not working split'
+    return `Go back to ${fmtFreqInMHz(qso.freqRx)} MHz?`
+  },
+  fieldChangesForCommand: (match, { qso }) => (
+    qso?.freqRx ? [{ fieldId: 'split', value: { freq: qso.freqRx, freqRx: undefined } }] : []
+  ),
+  invokeCommand: (match, { qso, handleFieldChange }) => {
+    if (!qso?.freqRx) return 'Not working split'
+    handleFieldChange({ fieldId: 'split', value: { freq: qso.freqRx, freqRx: undefined } })
+    return `Frequency set to ${fmtFreqInMHz(qso.freqRx)} MHz`
+  }
+}
+
 const PowerCommandHook = {
   ...Info,
   extension: Extension,
   key: 'commands-radio-power',
   match: /^([\d.]{1,})[wW]$/,
+  help: {
+    name: 'Change Power',
+    description: 'Set the transmit power in watts',
+    syntax: '<watts>W',
+    args: [{ name: 'watts', type: 'number', description: 'Power in watts' }],
+    examples: ['5W', '100W', '0.5W']
+  },
   describeCommand: (match, { qso }) => {
     return `Change power to ${match[1]}W?`
   },
@@ -99,7 +256,20 @@ const ModeCommandHook = {
   ...Info,
   extension: Extension,
   key: 'commands-radio-mode',
-  match: /^(CW|SSB|USB|LSB|FM|AM|FT8|FT4|RTTY|LSB|USB)$/i,
+  match: (value) => {
+    const mode = parseMode(value)
+    if (!mode) return false
+    // Some less common modes, like JT4A or PSK63F, could also be callsigns
+    if (!POPULAR_MODES.includes(mode) && parseCallsign(value)?.baseCall) return false
+    return [value, mode]
+  },
+  help: {
+    name: 'Change Mode',
+    description: 'Switch to another mode, using any ADIF mode or submode',
+    syntax: '<mode>',
+    examples: ['CW', 'SSB', 'FT8', 'JS8', 'PSK31', 'SSTV', 'DSTAR'],
+    keywords: [...POPULAR_MODES, 'DV']
+  },
   describeCommand: (match, { qso }) => {
     return `Change mode to ${match[1]}?`
   },
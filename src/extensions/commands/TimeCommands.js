@@ -32,6 +32,16 @@ const DirectTimeCommandHook = {
   extension: Extension,
   key: 'commands-time-direct',
   match: /^(\d{1,2}[-/]\d{2,2}|\d{1,2}:\d{2,2}|\d{1,2}:\d{2,2}:\d{2,2})$/i,
+  help: {
+    name: 'Set Time or Date',
+    description: 'Set the UTC time, or the month and day, for the QSO',
+    syntax: ['<hh>:<mm>', '<hh>:<mm>:<ss>', '<month>/<day>'],
+    args: [
+      { name: 'time', type: 'time', description: 'Hours and minutes in UTC, with optional seconds' },
+      { name: 'date', type: 'date', description: 'Month and day, separated by `/` or `-`' }
+    ],
+    examples: ['14:30', '9:05:30', '6/24', '12-31']
+  },
   describeCommand: (match) => {
     if (match[1].indexOf(':') > -1) {
       return `Set time to ${match[1]}?`
@@ -61,6 +71,14 @@ const DeltaTimeCommandHook = {
   extension: Extension,
   key: 'commands-time-delta',
   match: /^([-+]\d+)([hmsdw])$/i,
+  help: {
+    name: 'Adjust Time',
+    description: 'Move the QSO time forward or back by some seconds, minutes, hours, days or weeks',
+    syntax: ['+<amount><unit>', '-<amount><unit>'],
+    args: [{ name: 'amount', type: 'duration', description: 'A number followed by S, M, H, D or W' }],
+    examples: ['+5m', '-30s', '-1h', '+1d'],
+    keywords: ['+', '-']
+  },
   describeCommand: (match) => {
     if (match) {
       const delta = parseInt(match[1], 10)
@@ -97,6 +115,13 @@ const NowTimeCommandHook = {
   extension: Extension,
   key: 'commands-time-now',
   match: /^(NOW|TODAY|YESTERDAY)$/i,
+  help: {
+    name: 'Current Time',
+    description: 'Go back to using the current time, or log for today or yesterday',
+    syntax: ['NOW', 'TODAY', 'YESTERDAY'],
+    examples: ['NOW', 'YESTERDAY'],
+    keywords: ['NOW', 'TODAY', 'YESTERDAY']
+  },
   describeCommand: (match) => {
     if (match[1] === 'NOW') {
       return 'Change time to now?'
@@ -8,19 +8,37 @@
 import { reportError } from '../../distro'
 
 import { findHooks } from '../registry'
+import { describeChainedCommands, groupCommands, invokeChainedCommands } from '../../tools/commandMacros'
 
 export function checkAndProcessCommands (value, extraParams) {
-  const { matchingCommand, match } = findMatchingCommand(value)
+  const { matchingCommand, match } = findMatchingCommand(value, extraParams)
 
-  if (matchingCommand && matchingCommand.invokeCommand) {
-    const { handleFieldChange, updateQSO, handleSubmit } = extraParams
+  if (matchingCommand) {
+    return invokeMatchingCommand(matchingCommand, match, extraParams)
+  }
+
+  const chain = findChainedCommands(value, extraParams)
+  if (chain) {
+    const results = invokeChainedCommands(chain, extraParams, ({ matchingCommand: oneCommand, match: oneMatch }, params) => (
+      invokeMatchingCommand(oneCommand, oneMatch, params)
+    ))
+    return results.filter(result => typeof result === 'string' && result).join(' • ') || true
+  }
+
+  return false
+}
+
+function invokeMatchingCommand (matchingCommand, match, extraParams) {
+  if (matchingCommand.invokeCommand) {
+    // `keepTheirCall` is used when commands are invoked from somewhere other than the callsign field
+    const { handleFieldChange, updateQSO, handleSubmit, keepTheirCall } = extraParams
     let callWasCleared = false
     // We need special wrappers for `handleFieldChange` and `updateQSO` in order to also reset the call if a command was processed
     // If `qso` changed, then our subsequent call to `updateQSO` to change it will not reflect any updates
     // because the `qso` we have access here is the one from the time of the initial call to `checkAndProcessCommands`
     // not the one with updates from the command processing.
     const handleFieldChangeWrapper = (event) => {
-      handleFieldChange({ ...event, alsoClearTheirCall: true })
+      handleFieldChange({ ...event, alsoClearTheirCall: !keepTheirCall })
       callWasCleared = true
     }
     const updateQSOWrapper = (args) => {
@@ -42,7 +60,7 @@ export function checkAndProcessCommands (value, extraParams) {
           handleSubmit: handleSubmitWrapper
         }
       )
-      if (!callWasCleared) {
+      if (!callWasCleared && !keepTheirCall) {
         updateQSO({ their: { call: '' } })
       }
 
@@ -61,34 +79,66 @@ export function checkAndProcessCommands (value, extraParams) {
 }
 
 export function checkAndDescribeCommands (value, extraParams) {
-  const { matchingCommand, match } = findMatchingCommand(value)
+  const { matchingCommand, match } = findMatchingCommand(value, extraParams)
 
   if (matchingCommand) {
-    try {
-      let result
-      if (matchingCommand.describeCommand) {
-        result = matchingCommand.describeCommand(match, extraParams)
-      } else {
-        result = match?.[0]
-      }
+    return describeMatchingCommand(matchingCommand, match, extraParams)
+  }
 
-      return result
-    } catch (e) {
-      reportError(`Error in checkAndDescribeCommands invocation for '${matchingCommand.key}'`, e)
-      return false
+  const chain = findChainedCommands(value, extraParams)
+  if (chain) {
+    const descriptions = describeChainedCommands(chain, extraParams, ({ matchingCommand: oneCommand, match: oneMatch }, params) => (
+      describeMatchingCommand(oneCommand, oneMatch, params)
+    ))
+    const description = descriptions.filter(oneDescription => oneDescription).map(oneDescription => oneDescription.replace(/\?$/, '')).join(' • ')
+    return description ? `${description}?` : ''
+  }
+
+  return false
+}
+
+function describeMatchingCommand (matchingCommand, match, extraParams) {
+  try {
+    let result
+    if (matchingCommand.describeCommand) {
+      result = matchingCommand.describeCommand(match, extraParams)
+    } else {
+      result = match?.[0]
     }
-  } else {
+
+    return result
+  } catch (e) {
+    reportError(`Error in checkAndDescribeCommands invocation for '${matchingCommand.key}'`, e)
     return false
   }
 }
 
-export function findMatchingCommand (value) {
+// Several commands can be entered at once, as long as every one of them is a valid command.
+// Commands that change the frequency or band can include `fieldChangesForCommand(match, extraParams)`,
+// returning the events they would send to `handleFieldChange`, so that the commands after them are described correctly.
+export function findChainedCommands (value, extraParams) {
+  const parts = splitChainedCommands(value, extraParams)
+  if (parts.length < 2) return undefined
+
+  const chain = parts.map(part => findMatchingCommand(part, extraParams))
+  if (chain.every(({ matchingCommand }) => matchingCommand)) {
+    return chain
+  } else {
+    return undefined
+  }
+}
+
+export function splitChainedCommands (value, extraParams) {
+  return groupCommands(value, part => !!findMatchingCommand(part, extraParams).matchingCommand)
+}
+
+export function findMatchingCommand (value, extraParams) {
   const hooks = findHooks('command')
   let match
   const matchingCommand = hooks.find(hook => {
     try {
       if (typeof hook?.match === 'function') {
-        match = hook.match(value)
+        match = hook.match(value, extraParams)
         return !!match
       } else if (typeof hook?.match === 'string') {
         if (value === hook.match) {
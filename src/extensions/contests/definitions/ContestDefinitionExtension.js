@@ -0,0 +1,121 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo } from 'react'
+import { useDispatch } from 'react-redux'
+
+import { setOperationData } from '../../../store/operations'
+import { findRef, replaceRef } from '../../../tools/refTools'
+import {
+  contestExchangeFields, contestExchangeLineFields, exchangeText, referenceHandlerForContestDefinition
+} from '../../../tools/cabrilloContests'
+import ThemedTextInput from '../../../screens/components/ThemedTextInput'
+import { ListRow } from '../../../screens/components/ListComponents'
+import { Ham2kListSection } from '../../../screens/components/Ham2kListSection'
+
+export function extensionForContestDefinition (definition) {
+  const ReferenceHandler = referenceHandlerForContestDefinition(definition)
+  const fields = contestExchangeFields(definition)
+  const rstField = (definition.exchange || []).find(field => field.type === 'rst')
+
+  const Info = {
+    key: ReferenceHandler.key,
+    icon: ReferenceHandler.icon,
+    name: ReferenceHandler.name,
+    shortName: ReferenceHandler.shortName,
+    cabrilloName: ReferenceHandler.cabrilloName,
+    infoURL: ReferenceHandler.infoURL,
+    defaultValue: ReferenceHandler.defaultValue
+  }
+
+  function mainExchangeForOperation (props) {
+    const { qso, updateQSO, styles, refStack } = props
+
+    const ref = findRef(qso?.refs, Info.key) || { type: Info.key, ...Info.defaultValue }
+
+    return fields.map(field => (
+      <ThemedTextInput
+        {...props}
+        key={`${Info.key}/${field.key}`}
+        innerRef={refStack.shift()}
+        style={[styles.input, { minWidth: styles.oneSpace * Math.max(7, field.width ?? 0), flex: 1 }]}
+        textStyle={styles.text.callsign}
+        label={field.label ?? field.key}
+        placeholder={''}
+        mode={'flat'}
+        uppercase={true}
+        noSpaces={true}
+        value={ref?.[field.key] || ''}
+        onChangeText={(text) => {
+          const newRef = { ...ref, [field.key]: text }
+          updateQSO({
+            refs: replaceRef(qso?.refs, Info.key, newRef),
+            their: { exchange: exchangeText({ definition, ref: newRef }) }
+          })
+        }}
+      />
+    ))
+  }
+
+  function applyExchangeLine ({ qso, values }) {
+    const ref = findRef(qso?.refs, Info.key) || { type: Info.key, ...Info.defaultValue }
+    const newRef = { ...ref, ...Object.fromEntries(fields.map(field => [field.key, values[field.key] ?? ''])) }
+
+    const their = { exchange: exchangeText({ definition, ref: newRef }) }
+    if (rstField && values[rstField.key]) their.sent = values[rstField.key]
+
+    return { refs: replaceRef(qso?.refs, Info.key, newRef), their }
+  }
+
+  function ActivityOptions (props) {
+    const { styles, operation } = props
+
+    const dispatch = useDispatch()
+
+    const ref = useMemo(() => findRef(operation, Info.key), [operation])
+
+    const handleChange = useCallback((value) => {
+      dispatch(setOperationData({ uuid: operation.uuid, refs: replaceRef(operation?.refs, Info.key, { ...ref, ...value }) }))
+    }, [dispatch, operation, ref])
+
+    return (
+      <Ham2kListSection title={'Exchange Information'}>
+        {fields.map(field => (
+          <ListRow key={field.key}>
+            <ThemedTextInput
+              style={[styles.input, { marginTop: styles.oneSpace, flex: 1 }]}
+              textStyle={styles.text.callsign}
+              label={field.label ?? field.key}
+              mode={'flat'}
+              uppercase={true}
+              noSpaces={true}
+              value={ref?.[field.key] || ''}
+              onChangeText={(text) => handleChange({ [field.key]: text.toUpperCase() })}
+            />
+          </ListRow>
+        ))}
+      </Ham2kListSection>
+    )
+  }
+
+  const ActivityHook = {
+    ...Info,
+    Options: ActivityOptions,
+    mainExchangeForOperation,
+    exchangeLineFields: contestExchangeLineFields(definition),
+    applyExchangeLine
+  }
+
+  return {
+    ...Info,
+    category: 'contests',
+    onActivation: ({ registerHook }) => {
+      registerHook('activity', { hook: ActivityHook })
+      registerHook(`ref:${Info.key}`, { hook: ReferenceHandler })
+    }
+  }
+}
@@ -0,0 +1,19 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import FQP from './fqp.json'
+import INQP from './inqp.json'
+import SST from './sst.json'
+import TXQP from './txqp.json'
+
+// To add a contest, create a JSON file as described in `tools/cabrilloContests.js` and list it here.
+export const CONTEST_DEFINITIONS = [
+  FQP,
+  INQP,
+  SST,
+  TXQP
+]
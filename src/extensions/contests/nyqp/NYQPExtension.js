@@ -17,6 +17,7 @@ import { superModeForMode } from '@ham2k/lib-operation-data'
 import { CANADIAN_PROVINCES, NY_COUNTIES, NYQP_LOCATIONS, US_STATES } from './NYQPLocations'
 import { Text } from 'react-native-paper'
 import { fmtNumber } from '@ham2k/lib-format-tools'
+import { RST_EXCHANGE_FIELD } from '../../../tools/exchangeParser'
 
 const INVALID_BANDS = ['60m', '30m', '17m', '12m']
 
@@ -25,6 +26,7 @@ const Info = {
   icon: 'flag-checkered',
   name: 'NY QSO Party (Experimental)',
   shortName: 'NYQP',
+  cabrilloName: 'NY-QSO-PARTY',
   infoURL: 'https://https://nyqp.org/',
   defaultValue: { qth: '' }
 }
@@ -45,7 +47,13 @@ const ActivityHook = {
 
   hideStateField: true,
 
-  mainExchangeForOperation
+  mainExchangeForOperation,
+
+  exchangeLineFields: [
+    RST_EXCHANGE_FIELD,
+    { key: 'location', label: 'NYQP Loc', matches: (word) => isValidLocation(word) }
+  ],
+  applyExchangeLine
 }
 
 const ReferenceHandler = {
@@ -113,7 +121,7 @@ const ReferenceHandler = {
       ourLocations = [ref.location]
     }
 
-    headers.push(['CONTEST', 'NY-QSO-PARTY'])
+    headers.push(['CONTEST', Info.cabrilloName ?? Info.shortName])
     headers.push(['CALLSIGN', operation.stationCall || settings.operatorCall])
     headers.push(['LOCATION', ourLocations.join('/')])
     headers.push(['NAME', ''])
@@ -174,6 +182,33 @@ const ReferenceHandler = {
     return rows
   },
 
+  cabrilloPartsToQSO: ({ parts, qso }) => {
+    const [ourCall, ourSent, ourLocation, theirCall, theirSent, theirLocation] = parts
+
+    qso.our = { ...qso.our, call: ourCall, sent: ourSent }
+    qso.their = { ...qso.their, call: theirCall, sent: theirSent, exchange: theirLocation }
+    qso.refs = replaceRef(qso.refs, Info.key, { type: Info.key, location: theirLocation })
+
+    return { qso, ourRef: { type: Info.key, location: ourLocation } }
+  },
+
+  // QSOs across county lines are exported as one line for each county, so we put them back together
+  mergeCabrilloQSOs: ({ previous, next }) => {
+    const location = joinLocations(findRef(previous.qso, Info.key)?.location, findRef(next.qso, Info.key)?.location)
+    const qso = {
+      ...previous.qso,
+      their: { ...previous.qso.their, exchange: location },
+      refs: replaceRef(previous.qso.refs, Info.key, { type: Info.key, location })
+    }
+    const ourRef = { ...previous.ourRef, location: joinLocations(previous.ourRef?.location, next.ourRef?.location) }
+
+    return { qso, ourRef }
+  },
+
+  exportColumns: [
+    { key: 'location', label: 'Location', value: ({ qso }) => findRef(qso, Info.key)?.location }
+  ],
+
   relevantInfoForQSOItem: ({ qso, operation }) => {
     return [qso.their.exchange]
   },
@@ -357,19 +392,7 @@ function mainExchangeForOperation (props) {
 
   const fields = []
 
-  let isValid
-  if (NY_COUNTIES[ref?.location]) {
-    isValid = true
-  } else if (ref?.location?.match(SLASH_OR_COMMA_REGEX)) {
-    const counties = ref.location.split(SLASH_OR_COMMA_REGEX, 2)
-    isValid = counties.every(c => NY_COUNTIES[c])
-  } else if (NYQP_LOCATIONS[ref?.location]) {
-    isValid = true
-  } else if (ref?.location?.length >= 2) {
-    isValid = false
-  } else {
-    isValid = true
-  }
+  const isValid = !(ref?.location?.length >= 2) || isValidLocation(ref.location)
 
   fields.push(
     <ThemedTextInput
@@ -396,6 +419,35 @@ function mainExchangeForOperation (props) {
 
 const SLASH_OR_COMMA_REGEX = /[/,]/
 
+function joinLocations (...locations) {
+  const all = locations.flatMap(location => (location || '').split(SLASH_OR_COMMA_REGEX)).filter(x => x)
+  return [...new Set(all)].join('/')
+}
+
+function isValidLocation (location) {
+  if (NY_COUNTIES[location]) {
+    return true
+  } else if (location?.match(SLASH_OR_COMMA_REGEX)) {
+    const counties = location.split(SLASH_OR_COMMA_REGEX, 2)
+    return counties.every(c => NY_COUNTIES[c])
+  } else {
+    return !!NYQP_LOCATIONS[location]
+  }
+}
+
+function applyExchangeLine ({ qso, values }) {
+  const ref = findRef(qso?.refs, Info.key) || { type: Info.key }
+  const location = values.location ?? ''
+
+  const their = { exchange: location }
+  if (values.rst) their.sent = values.rst
+
+  return {
+    refs: replaceRef(qso?.refs, Info.key, { ...ref, location }),
+    their
+  }
+}
+
 export function ActivityOptions (props) {
   const { styles, operation } = props
 
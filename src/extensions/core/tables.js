@@ -0,0 +1,45 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const Info = {
+  key: 'core-tables',
+  name: 'Core Spreadsheet and Text Export',
+  category: 'core',
+  hidden: true,
+  alwaysEnabled: true
+}
+
+export const Extension = {
+  ...Info,
+  onActivationDispatch: ({ registerHook }) => async (dispatch) => {
+    registerHook('export', { hook: ExportHandler })
+  }
+}
+export default Extension
+
+const TABLE_FORMATS = [
+  { format: 'csv', icon: 'file-delimited-outline', exportTitle: 'Spreadsheet (CSV)' },
+  { format: 'tsv', icon: 'file-delimited-outline', exportTitle: 'Spreadsheet (Tab-separated)' },
+  { format: 'txt', icon: 'file-document-outline', exportTitle: 'Plain Text' }
+]
+
+const ExportHandler = {
+  ...Info,
+
+  suggestExportOptions: ({ operation, qsos, ref, settings }) => {
+    return TABLE_FORMATS.map(({ format, icon, exportTitle }) => ({
+      priority: -2,
+      icon,
+      format,
+      exportType: `core-${format}`,
+      nameTemplate: settings.useCompactFileNames ? '{call}@{compactDate}-{title}' : '{date} {call} {title}',
+      titleTemplate: '{call}: {title} on {date}',
+      exportTitle,
+      selectedByDefault: false
+    }))
+  }
+}
@@ -11,6 +11,7 @@ import { activateEnabledExtensions, registerExtension } from './registry'
 import CountryFilesExtension from './core/countryFiles'
 import DevModeExtension from './core/devMode'
 import ADIFExtension from './core/adif'
+import TablesExtension from './core/tables'
 import POTAExtension from './activities/pota/POTAExtension'
 import SOTAExtension from './activities/sota/SOTAExtension'
 import GMAExtension from './activities/gma/GMAExtension'
@@ -30,19 +31,25 @@ import HamQTHExtension from './data/hamqth/HamQTHExtension'
 import SatellitesExtension from './activities/satellites/SatellitesExtension'
 
 import NYQPExtension from './contests/nyqp/NYQPExtension'
+import { CONTEST_DEFINITIONS } from './contests/definitions'
+import { extensionForContestDefinition } from './contests/definitions/ContestDefinitionExtension'
 
 import RadioCommands from './commands/RadioCommands'
 import TimeCommands from './commands/TimeCommands'
 import DebuggingCommands from './commands/DebuggingCommands'
 import OperatorCommands from './commands/OperatorCommands'
 import MiscCommands from './commands/MiscCommands'
+import OperationCommands from './commands/OperationCommands'
+import MacroCommands from './commands/MacroCommands'
 
 import WABExtension from './other/wab/WABExtension'
+import WebUploadExtension from './other/web-upload/WebUploadExtension'
 
 const loadExtensions = () => async (dispatch, getState) => {
   dispatch(addRuntimeMessage('Loading extensions'))
   registerExtension(DevModeExtension)
   registerExtension(ADIFExtension)
+  registerExtension(TablesExtension)
   registerExtension(CountryFilesExtension)
   registerExtension(POTAExtension)
   registerExtension(SOTAExtension)
@@ -57,12 +64,15 @@ const loadExtensions = () => async (dispatch, getState) => {
   registerExtension(SiOTAExtentsion)
 
   registerExtension(NYQPExtension)
+  CONTEST_DEFINITIONS.forEach(definition => registerExtension(extensionForContestDefinition(definition)))
 
   registerExtension(RadioCommands)
   registerExtension(TimeCommands)
   registerExtension(DebuggingCommands)
   registerExtension(OperatorCommands)
   registerExtension(MiscCommands)
+  registerExtension(OperationCommands)
+  registerExtension(MacroCommands)
 
   registerExtension(CallNotesExtension)
   registerExtension(CallHistoryExtension)
@@ -74,6 +84,7 @@ const loadExtensions = () => async (dispatch, getState) => {
   registerExtension(SatellitesExtension)
 
   registerExtension(WABExtension)
+  registerExtension(WebUploadExtension)
 
   await activateEnabledExtensions(dispatch, getState)
 }
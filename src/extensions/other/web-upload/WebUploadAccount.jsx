@@ -0,0 +1,108 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useCallback, useEffect, useState } from 'react'
+import { Button, Dialog, List, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { setAccountInfo } from '../../../store/settings'
+import ThemedTextInput from '../../../screens/components/ThemedTextInput'
+import { Ham2kListItem } from '../../../screens/components/Ham2kListItem'
+import { Ham2kDialog } from '../../../screens/components/Ham2kDialog'
+
+export function WebUploadAccountSetting ({ settings, styles }) {
+  const [currentDialog, setCurrentDialog] = useState()
+  return (
+    <React.Fragment>
+      <Ham2kListItem
+        title="Web Upload (for sending logs)"
+        description={settings?.accounts?.webUpload?.url ? (settings.accounts.webUpload.name || settings.accounts.webUpload.url) : 'Not configured'}
+        left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="web" />}
+        onPress={() => setCurrentDialog('accountsWebUpload')}
+      />
+      {currentDialog === 'accountsWebUpload' && (
+        <AccountsWebUploadDialog
+          settings={settings}
+          styles={styles}
+          visible={true}
+          onDialogDone={() => setCurrentDialog('')}
+        />
+      )}
+    </React.Fragment>
+  )
+}
+
+function AccountsWebUploadDialog ({ visible, settings, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [dialogVisible, setDialogVisible] = useState(false)
+
+  const [name, setName] = useState('')
+  const [url, setURL] = useState('')
+  const [token, setToken] = useState('')
+
+  useEffect(() => {
+    setDialogVisible(visible)
+  }, [visible])
+
+  useEffect(() => {
+    setName(settings?.accounts?.webUpload?.name || '')
+    setURL(settings?.accounts?.webUpload?.url || '')
+    setToken(settings?.accounts?.webUpload?.token || '')
+  }, [settings])
+
+  const handleAccept = useCallback(() => {
+    dispatch(setAccountInfo({ webUpload: { name, url: url.trim(), token } }))
+    setDialogVisible(false)
+    onDialogDone && onDialogDone()
+  }, [name, url, token, dispatch, onDialogDone])
+
+  const handleCancel = useCallback(() => {
+    setDialogVisible(false)
+    onDialogDone && onDialogDone()
+  }, [onDialogDone])
+
+  return (
+    <Ham2kDialog visible={dialogVisible} onDismiss={handleCancel}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Web Upload</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">Files will be sent with a POST request to this address:</Text>
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={name}
+          label="Service Name"
+          placeholder="shown on upload buttons"
+          onChangeText={setName}
+        />
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={url}
+          label="Upload URL"
+          autoCapitalize={'none'}
+          inputMode="url"
+          keyboardType="url"
+          placeholder="https://example.com/logs"
+          onChangeText={setURL}
+        />
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={token}
+          label="Access Token"
+          keyboardType="default"
+          secureTextEntry={true}
+          autoCapitalize={'none'}
+          placeholder="if required by the service"
+          onChangeText={setToken}
+        />
+      </Dialog.Content>
+      <Dialog.Actions>
+        <Button onPress={handleCancel}>Cancel</Button>
+        <Button onPress={handleAccept}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,54 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { fetchUploadStatusFromURL, uploadFileToURL } from '../../../tools/httpUpload'
+import { WebUploadAccountSetting } from './WebUploadAccount'
+
+export const Info = {
+  key: 'web-upload',
+  name: 'Upload to a Web Log Service',
+  icon: 'cloud-upload-outline',
+  description: 'Send ADIF files to a log service or club log-checker',
+  shortName: 'Web Upload'
+}
+
+const Extension = {
+  ...Info,
+  category: 'other',
+  enabledByDefault: false,
+  onActivation: ({ registerHook }) => {
+    registerHook('upload', { hook: UploadHook })
+    registerHook('setting', {
+      hook: {
+        key: 'web-upload-account',
+        category: 'account',
+        SettingItem: WebUploadAccountSetting
+      }
+    })
+  }
+}
+export default Extension
+
+const UploadHook = {
+  ...Info,
+  formats: ['adif'],
+
+  targetName: ({ settings }) => settings?.accounts?.webUpload?.name || Info.shortName,
+
+  isAuthenticated: ({ settings }) => !!settings?.accounts?.webUpload?.url,
+
+  uploadFile: async ({ fileName, data, settings }) => {
+    const { url, token } = settings?.accounts?.webUpload || {}
+    return uploadFileToURL({ url, token, fileName, data })
+  },
+
+  checkStatus: async ({ upload, settings }) => {
+    const { url, token } = settings?.accounts?.webUpload || {}
+    if (!upload.remoteId) return { status: upload.status, message: upload.message }
+    return fetchUploadStatusFromURL({ url, token, remoteId: upload.remoteId })
+  }
+}
@@ -33,6 +33,7 @@ const Hooks = {
   spots: [],
   lookup: [],
   export: [],
+  upload: [],
   account: [],
   opSetting: []
 }
@@ -0,0 +1,132 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { ScrollView, View } from 'react-native'
+import { Button, Checkbox, Chip, Text } from 'react-native-paper'
+import { useDispatch, useSelector } from 'react-redux'
+import Share from 'react-native-share'
+
+import { useThemedStyles } from '../../styles/tools/useThemedStyles'
+import { generateCombinedExport, selectOperationsList } from '../../store/operations'
+import { selectSettings } from '../../store/settings'
+import { reportError, trackEvent } from '../../distro'
+import { fmtISODate } from '../../tools/timeFormats'
+import ScreenContainer from '../components/ScreenContainer'
+import { Ham2kListSection } from '../components/Ham2kListSection'
+import { DateInput } from '../components/DateInput'
+import { buildTitleForOperation } from '../OperationScreens/OperationScreen'
+
+function operationOverlaps (operation, startMillis, endMillis) {
+  const opStart = operation.startAtMillisMin ?? operation.startAtMillisMax
+  const opEnd = operation.startAtMillisMax ?? operation.startAtMillisMin
+  if (!opStart || !opEnd) return false
+  return opEnd >= startMillis && opStart <= endMillis
+}
+
+export default function CombinedExportScreen ({ navigation }) {
+  const styles = useThemedStyles()
+  const dispatch = useDispatch()
+
+  const operations = useSelector(selectOperationsList)
+  const settings = useSelector(selectSettings)
+
+  const years = useMemo(() => (
+    [...new Set(operations.filter(op => op.startAtMillisMax).map(op => new Date(op.startAtMillisMax).getUTCFullYear()))].sort().reverse()
+  ), [operations])
+
+  const [startMillis, setStartMillis] = useState(Date.parse(`${years[0] ?? new Date().getUTCFullYear()}-01-01T00:00:00Z`))
+  const [endMillis, setEndMillis] = useState(Date.parse(`${years[0] ?? new Date().getUTCFullYear()}-12-31T23:59:59Z`))
+  const [selected, setSelected] = useState({})
+
+  const candidates = useMemo(() => (
+    operations.filter(operation => operation.qsoCount > 0 && operationOverlaps(operation, startMillis, endMillis))
+  ), [operations, startMillis, endMillis])
+
+  const selectedUUIDs = useMemo(() => candidates.filter(op => selected[op.uuid] !== false).map(op => op.uuid), [candidates, selected])
+
+  const handleYear = useCallback((year) => {
+    setStartMillis(Date.parse(`${year}-01-01T00:00:00Z`))
+    setEndMillis(Date.parse(`${year}-12-31T23:59:59Z`))
+    setSelected({})
+  }, [])
+
+  const [exporting, setExporting] = useState(false)
+  const handleExport = useCallback(async () => {
+    setExporting(true)
+    try {
+      const call = settings.operatorCall ?? ''
+      const range = `${fmtISODate(startMillis)} to ${fmtISODate(endMillis)}`
+      const fileName = settings.useCompactFileNames
+        ? `${call}-${fmtISODate(startMillis).replace(/-/g, '')}-${fmtISODate(endMillis).replace(/-/g, '')}.adi`
+        : `${range} ${call} combined.adi`
+
+      const path = await dispatch(generateCombinedExport({
+        uuids: selectedUUIDs,
+        scope: { type: 'range', startMillis, endMillis },
+        fileName: fileName.replace(/[/\\:]/g, '-'),
+        title: `${call} from ${range}`
+      }))
+      trackEvent('export_combined', { operation_count: selectedUUIDs.length })
+
+      if (path) {
+        await Share.open({ urls: [`file://${path}`], type: 'text/plain' })
+      }
+    } catch (error) {
+      if (error?.message?.indexOf('User did not share') >= 0) {
+        // ignore
+      } else {
+        reportError('Error exporting operations', error)
+      }
+    }
+    setExporting(false)
+  }, [dispatch, settings, startMillis, endMillis, selectedUUIDs])
+
+  return (
+    <ScreenContainer>
+      <ScrollView style={{ flex: 1 }}>
+        <Ham2kListSection title={'Dates'}>
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: styles.oneSpace, paddingHorizontal: styles.oneSpace * 2 }}>
+            {years.map(year => (
+              <Chip key={year} onPress={() => handleYear(year)}>{year}</Chip>
+            ))}
+          </View>
+          <View style={{ flexDirection: 'row', gap: styles.oneSpace, paddingHorizontal: styles.oneSpace * 2 }}>
+            <DateInput style={[styles.input, { flex: 1 }]} label="From" valueInMillis={startMillis} onChange={({ value }) => setStartMillis(value)} />
+            <DateInput style={[styles.input, { flex: 1 }]} label="To" valueInMillis={endMillis} onChange={({ value }) => setEndMillis(value)} />
+          </View>
+        </Ham2kListSection>
+
+        <Ham2kListSection title={`Operations (${selectedUUIDs.length} of ${candidates.length})`}>
+          {candidates.length === 0 && (
+            <Text style={{ paddingHorizontal: styles.oneSpace * 2 }}>No operations with QSOs in these dates</Text>
+          )}
+          {candidates.map(operation => (
+            <View key={operation.uuid} style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: styles.oneSpace }}>
+              <Checkbox
+                status={selected[operation.uuid] !== false ? 'checked' : 'unchecked'}
+                onPress={() => setSelected({ ...selected, [operation.uuid]: selected[operation.uuid] === false })}
+              />
+              <Text
+                style={[styles.rowText, { flex: 1 }]}
+                onPress={() => setSelected({ ...selected, [operation.uuid]: selected[operation.uuid] === false })}
+              >
+                {fmtISODate(operation.startAtMillisMax)} {buildTitleForOperation(operation)} ({operation.qsoCount})
+              </Text>
+            </View>
+          ))}
+        </Ham2kListSection>
+
+        <View style={{ padding: styles.oneSpace * 2 }}>
+          <Button mode="contained" onPress={handleExport} disabled={exporting || selectedUUIDs.length === 0}>
+            {exporting ? 'Exporting…' : 'Export Combined ADIF'}
+          </Button>
+        </View>
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
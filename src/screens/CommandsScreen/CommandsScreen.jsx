@@ -0,0 +1,73 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { FlatList, View } from 'react-native'
+import { Searchbar, Text } from 'react-native-paper'
+
+import { useThemedStyles } from '../../styles/tools/useThemedStyles'
+import { useFindHooks } from '../../extensions/registry'
+import { COMMAND_ARG_TYPES, searchCommands } from '../../tools/commandHelp'
+import ScreenContainer from '../components/ScreenContainer'
+import { Ham2kListItem } from '../components/Ham2kListItem'
+
+export default function CommandsScreen ({ navigation, route }) {
+  const styles = useThemedStyles()
+
+  const [search, setSearch] = useState(route?.params?.search ?? '')
+
+  const commands = useFindHooks('command')
+  const results = useMemo(() => searchCommands(commands, search), [commands, search])
+
+  const renderItem = useCallback(({ item }) => {
+    const { help } = item
+    const lines = [
+      help.description,
+      [].concat(help.syntax || []).join('   '),
+      ...(help.args || []).map(arg => `${arg.name} (${COMMAND_ARG_TYPES[arg.type] ?? arg.type}): ${arg.description}`),
+      help.examples?.length > 0 && `Examples: ${help.examples.join(', ')}`
+    ].filter(x => x)
+
+    return (
+      <Ham2kListItem
+        title={help.name}
+        description={lines.join('\n')}
+        descriptionNumberOfLines={lines.length}
+      />
+    )
+  }, [])
+
+  return (
+    <ScreenContainer>
+      <View style={{ padding: styles.oneSpace, backgroundColor: styles.colors.primary }}>
+        <Searchbar
+          autoComplete={'off'}
+          autoCorrect={false}
+          spellCheck={false}
+          autoCapitalize={'none'}
+          placeholder={'Search commands…'}
+          value={search}
+          onChangeText={setSearch}
+        />
+      </View>
+      <Text style={{ padding: styles.oneSpace * 2, paddingBottom: 0 }}>
+        Type these in the callsign field while logging, and press enter to run them.
+        Separate several commands with commas to run them together, like 14062,CW,5W.
+      </Text>
+      {results.length > 0 ? (
+        <FlatList
+          data={results}
+          keyExtractor={(item) => item.key}
+          renderItem={renderItem}
+          keyboardShouldPersistTaps={'handled'}
+        />
+      ) : (
+        <Text style={{ padding: styles.oneSpace * 2 }}>No commands found</Text>
+      )}
+    </ScreenContainer>
+  )
+}
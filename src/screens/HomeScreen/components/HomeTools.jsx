@@ -192,6 +192,14 @@ export default function HomeTools ({ settings, styles, style }) {
             style={{ flex: 1 }}
           />
 
+          <IconButton
+            icon="text-search"
+            iconColor={styles.colors.onPrimary}
+            size={styles.oneSpace * 3.5}
+            style={{ flex: 0 }}
+            onPress={() => navigation.navigate('Search', { search })}
+          />
+
           <IconButton
             icon="format-list-bulleted"
             iconColor={styles.colors.onPrimary}
@@ -199,6 +207,14 @@ export default function HomeTools ({ settings, styles, style }) {
             style={{ flex: 0 }}
             onPress={() => navigation.navigate('Spots')}
           />
+
+          <IconButton
+            icon="database-export-outline"
+            iconColor={styles.colors.onPrimary}
+            size={styles.oneSpace * 3.5}
+            style={{ flex: 0 }}
+            onPress={() => navigation.navigate('CombinedExport')}
+          />
         </View>
         {isKeyboardVisible && settings.showNumbersRow && (
           <NumberKeys settings={settings} themeColor={'primary'} onNumberKeyPressed={handleNumberKey} enabled={!!isFocused} />
@@ -5,13 +5,18 @@
  * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import React, { useCallback, useEffect, useMemo } from 'react'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
 import { useSelector } from 'react-redux'
 import { ScrollView, View } from 'react-native'
+import { Text } from 'react-native-paper'
 
+import { reportError } from '../../distro'
 import { useThemedStyles } from '../../styles/tools/useThemedStyles'
 import { useUIState } from '../../store/ui'
 import { selectOperation } from '../../store/operations'
+import { loadQSORevisions } from '../../store/qsos'
+import { describeQSODiff, diffQSOs } from '../../tools/qsoDiff'
+import { fmtDateTimeNice } from '../../tools/timeFormats'
 import ScreenContainer from '../components/ScreenContainer'
 import { Ham2kListSection } from '../components/Ham2kListSection'
 import CallsignInput from '../components/CallsignInput'
@@ -136,11 +141,56 @@ export default function EditQSOScreen ({ navigation, route }) {
         {QSO_SECTIONS.map((section) => (
           <QSOSection key={section.section} qso={qso} section={section} styles={styles} onChange={handleChanges} />
         ))}
+        <QSOHistorySection qso={qso} styles={styles} />
       </ScrollView>
     </ScreenContainer>
   )
 }
 
+function QSOHistorySection ({ qso, styles }) {
+  const [revisions, setRevisions] = useState([])
+
+  useEffect(() => {
+    setImmediate(async () => {
+      try {
+        setRevisions(await loadQSORevisions(qso?.uuid))
+      } catch (error) {
+        reportError('Error loading QSO history', error)
+      }
+    })
+  }, [qso?.uuid, qso?.updatedAtMillis])
+
+  const entries = useMemo(() => {
+    return revisions.map((revision, index) => {
+      if (index === 0) return { ...revision, isFirst: true, changes: [] }
+
+      const changes = describeQSODiff(diffQSOs(revisions[index - 1].qso, revision.qso))
+      return { ...revision, changes }
+    }).filter(entry => entry.isFirst || entry.changes.length > 0).reverse()
+  }, [revisions])
+
+  if (entries.length === 0) return null
+
+  return (
+    <Ham2kListSection title={'History'}>
+      {entries.map((entry) => (
+        <View key={entry.id} style={{ paddingVertical: styles.oneSpace, paddingHorizontal: styles.oneSpace * 2 }}>
+          <Text style={styles.text.bold}>
+            {fmtDateTimeNice(entry.changedAtMillis)}{entry.deviceName ? ` on ${entry.deviceName}` : ''} ({entry.reason})
+          </Text>
+          {entry.isFirst ? (
+            <Text>{entry.reason === 'create' ? 'QSO logged' : 'First recorded version'}</Text>
+          ) : (
+            entry.changes.map((change, i) => (
+              <Text key={i}>{change}</Text>
+            ))
+          )}
+        </View>
+      ))}
+    </Ham2kListSection>
+  )
+}
+
 function QSOSection ({ qso, section, styles, onChange }) {
   return (
     <Ham2kListSection title={section.section}>
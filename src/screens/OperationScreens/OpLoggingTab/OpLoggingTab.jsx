@@ -54,6 +54,19 @@ export default function OpLoggingTab ({ navigation, route }) {
     }
   }, [loggingState, setLoggingState, navigation, route.params])
 
+  useEffect(() => { // Select and edit a specific QSO when requested (for example, from search results)
+    const editQSOKey = route?.params?.editQSOKey
+    if (!editQSOKey || loggingState?.operationUUID !== operation?.uuid) return
+    if (!qsos.find(q => q.key === editQSOKey)) return
+
+    if (loggingState?.selectedKey !== editQSOKey) {
+      setLoggingState({ ...loggingState, selectedKey: editQSOKey })
+    } else if (loggingState?.qso?.key === editQSOKey) {
+      navigation.setParams({ editQSOKey: undefined })
+      navigation.navigate('EditQSO', { operation, qso: loggingState.qso })
+    }
+  }, [loggingState, setLoggingState, navigation, operation, qsos, route?.params?.editQSOKey])
+
   useEffect(() => { // Set navigation title
     if (styles?.smOrLarger) {
       navigation.setOptions({ title: `${activeQSOs.length} ${activeQSOs.length !== 1 ? 'QSOs' : 'QSO'}`, iconName: 'radio' })
@@ -27,6 +27,9 @@ import { parseFreqInMHz } from '../../../../tools/frequencyFormats'
 import { logTimer } from '../../../../tools/perfTools'
 import { joinAnd } from '../../../../tools/joinAnd'
 import { checkAndDescribeCommands, checkAndProcessCommands } from '../../../../extensions/commands/commandHandling'
+import { suggestCommandCompletions } from '../../../../tools/commandHelp'
+import { SPACES_REGEX, exchangeLineProblems, parseExchangeLine } from '../../../../tools/exchangeParser'
+import { findRef } from '../../../../tools/refTools'
 import { SecondaryExchangePanel } from './LoggingPanel/SecondaryExchangePanel'
 import { NumberKeys } from './LoggingPanel/NumberKeys'
 import { CallInfo } from './LoggingPanel/CallInfo'
@@ -160,6 +163,11 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
     }
   }, [qso?.their?.call])
 
+  const exchangeLineActivity = useMemo(() => { // Activity that can parse a whole exchange typed in the callsign field
+    if (!settings.exchangeInCallField) return undefined
+    return findHooks('activity').find(activity => activity.exchangeLineFields && findRef(operation, activity.key))
+  }, [settings.exchangeInCallField, operation])
+
   const [commandInfo, setCommandInfo] = useState()
 
   const handleFieldChange = useCallback((event) => { // Handle form fields and update QSO info
@@ -175,16 +183,29 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
     }
 
     if (fieldId === 'theirCall') {
-      const commandDescription = checkAndDescribeCommands(value, { qso, originalQSO: loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo })
-      setCommandInfo({ message: commandDescription || undefined, match: !!commandDescription || commandDescription === '' })
+      const commandDescription = checkAndDescribeCommands(value, { qso, originalQSO: loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, navigation })
+
+      let call = value
+      let exchangeChanges = {}
+      const isLine = !commandDescription && exchangeLineActivity && SPACES_REGEX.test(value)
+      if (isLine) {
+        const { call: lineCall, values } = parseExchangeLine(value, exchangeLineActivity.exchangeLineFields)
+        call = lineCall
+        exchangeChanges = exchangeLineActivity.applyExchangeLine({ qso, values })
+      } else if (qso?._exchangeLine && exchangeLineActivity) { // The exchange was removed from the field
+        exchangeChanges = exchangeLineActivity.applyExchangeLine({ qso, values: {} })
+      }
 
-      let guess = parseCallsign(value)
+      let guess = parseCallsign(call)
+      let suggestions
       if (guess?.baseCall) {
         annotateFromCountryFile(guess)
-      } else if (value) {
-        guess = annotateFromCountryFile({ prefix: value, baseCall: value })
+      } else if (call) {
+        guess = annotateFromCountryFile({ prefix: call, baseCall: call })
+        if (!commandDescription) suggestions = suggestCommandCompletions(findHooks('command'), call)
       }
-      updateQSO({ their: { call: value, guess } })
+      setCommandInfo({ message: commandDescription || undefined, match: !!commandDescription || commandDescription === '', suggestions })
+      updateQSO({ ...exchangeChanges, their: { ...exchangeChanges.their, call, guess }, _exchangeLine: isLine ? value : undefined })
     } else if (fieldId === 'theirSent') {
       updateQSO({ their: { sent: value } })
     } else if (fieldId === 'ourSent') {
@@ -195,11 +216,16 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
       const freq = value ? parseFreqInMHz(value) : undefined
       const band = freq ? bandForFrequency(freq) : undefined
       const mode = freq ? (modeForFrequency(freq, ourInfo) ?? qso?.mode ?? vfo?.mode ?? 'SSB') : qso?.mode
-      updateQSO({ freq, band, mode })
-      if (qso?._isNew) dispatch(setVFO({ band, freq, mode }))
+      updateQSO({ freq, freqRx: undefined, band, mode })
+      if (qso?._isNew) dispatch(setVFO({ band, freq, freqRx: undefined, mode }))
+    } else if (fieldId === 'split') { // `freq` is where we transmit, and `freqRx` where we listen
+      const { freq, freqRx } = value
+      const band = bandForFrequency(freq)
+      updateQSO({ freq, freqRx, band })
+      if (qso?._isNew) dispatch(setVFO({ freq, freqRx }))
     } else if (fieldId === 'band') {
-      updateQSO({ band: value, freq: undefined })
-      if (qso?._isNew) dispatch(setVFO({ band: value, freq: undefined }))
+      updateQSO({ band: value, freq: undefined, freqRx: undefined })
+      if (qso?._isNew) dispatch(setVFO({ band: value, freq: undefined, freqRx: undefined }))
     } else if (fieldId === 'mode') {
       updateQSO({ mode: value })
       if (qso?._isNew) dispatch(setVFO({ mode: value }))
@@ -211,7 +237,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
       updateQSO({ power: value })
       if (qso?._isNew) dispatch(setVFO({ power: value }))
     }
-  }, [qso, loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, updateQSO])
+  }, [qso, loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, navigation, exchangeLineActivity, updateQSO])
 
   const handleSubmit = useCallback(() => { // Save the QSO, or create a new one
     if (DEBUG) logTimer('submit', 'handleSubmit start', { reset: true })
@@ -223,7 +249,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
     setTimeout(async () => { // Run inside a setTimeout to allow the state to update
       // First, try to process any commands
       const command = qso?.their?.call
-      const commandResult = checkAndProcessCommands(command, { qso, originalQSO: loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, updateQSO, updateLoggingState, handleFieldChange, handleSubmit })
+      const commandResult = checkAndProcessCommands(command, { qso, originalQSO: loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, navigation, updateQSO, updateLoggingState, handleFieldChange, handleSubmit })
       if (commandResult) {
         trackEvent('command', { command })
         setCommandInfo({ message: commandResult || undefined, match: undefined })
@@ -233,6 +259,14 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
         return
       }
 
+      if (qso?._exchangeLine && exchangeLineActivity && !qso?._willBeDeleted) {
+        const problems = exchangeLineProblems(parseExchangeLine(qso._exchangeLine, exchangeLineActivity.exchangeLineFields))
+        if (problems.length > 0) {
+          setCommandInfo({ message: `ERROR:${problems.join(' • ')}`, match: undefined })
+          return
+        }
+      }
+
       let eventName = 'edit_qso'
       if (qso?._willBeDeleted) eventName = 'delete_qso'
       else if (qso?._isNew) eventName = 'add_qso'
@@ -270,6 +304,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
           delete qso._isNew
           delete qso._willBeDeleted
           delete qso._suggestedKey
+          delete qso._exchangeLine
           delete qso.deleted
 
           qso.freq = qso.freq ?? vfo.freq
@@ -329,10 +364,21 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
     }, 10)
     if (DEBUG) logTimer('submit', 'handleSubmit 4')
   }, [
-    qso, qsos, vfo, setQSO, loggingState?.originalQSO, operation, settings, online, ourInfo,
-    handleFieldChange, isValidQSO, dispatch, updateQSO, updateLoggingState, setCurrentSecondaryControl
+    qso, qsos, vfo, setQSO, loggingState?.originalQSO, operation, settings, online, ourInfo, navigation,
+    handleFieldChange, exchangeLineActivity, isValidQSO, dispatch, updateQSO, updateLoggingState, setCurrentSecondaryControl
   ])
 
+  const handleCommand = useCallback((command) => { // Run commands from controls other than the callsign field, such as macros
+    const commandResult = checkAndProcessCommands(command, { qso, originalQSO: loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, navigation, updateQSO, updateLoggingState, handleFieldChange, handleSubmit, keepTheirCall: true })
+    if (commandResult) {
+      trackEvent('command', { command })
+      setCommandInfo({ message: commandResult || undefined, match: undefined })
+      setTimeout(() => {
+        setCommandInfo({ message: undefined, match: undefined })
+      }, 3000)
+    }
+  }, [qso, loggingState?.originalQSO, operation, vfo, qsos, dispatch, settings, online, ourInfo, navigation, updateQSO, updateLoggingState, handleFieldChange, handleSubmit])
+
   const handleWipe = useCallback(() => { // Wipe a new QSO
     if (qso?._isNew) {
       if (qso?._isSuggested) {
@@ -425,6 +471,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
               updateQSO={updateQSO}
               disabled={qso?.deleted || qso?._willBeDeleted}
               handleFieldChange={handleFieldChange}
+              handleCommand={handleCommand}
               onSubmitEditing={handleSubmit}
               focusedRef={focusedRef}
               styles={styles}
@@ -442,7 +489,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
                     </Text>
                   </View>
                 ) : (
-                  !commandInfo?.message && qso?.their?.call?.length > 2 ? (
+                  !commandInfo?.message && !commandInfo?.suggestions?.length && qso?.their?.call?.length > 2 ? (
                     <CallInfo
                       qso={qso}
                       qsos={activeQSOs}
@@ -457,6 +504,8 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
                   ) : (
                     <OpInfo
                       message={commandInfo?.message || operationError}
+                      suggestions={commandInfo?.suggestions}
+                      onSuggestion={(value) => handleFieldChange({ fieldId: 'theirCall', value })}
                       operation={operation}
                       vfo={vfo}
                       styles={styles}
@@ -523,6 +572,7 @@ export default function LoggingPanel ({ style, operation, vfo, qsos, sections, a
             handleFieldChange={handleFieldChange}
             setQSO={setQSO}
             updateQSO={updateQSO}
+            exchangeLineActivity={exchangeLineActivity}
             mainFieldRef={mainFieldRef}
             focusedRef={focusedRef}
           />
@@ -632,6 +682,7 @@ function prepareNewQSO (operation, qsos, vfo, settings) {
     _isNew: true,
     key: 'new-qso'
   }
+  if (vfo.freqRx) qso.freqRx = vfo.freqRx
   if (operation._nextManualTime) {
     qso.startAtMillis = operation._nextManualTime
     qso._manualTime = true
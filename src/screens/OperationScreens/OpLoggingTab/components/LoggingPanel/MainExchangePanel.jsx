@@ -15,7 +15,8 @@ import { findRef } from '../../../../../tools/refTools'
 import { findHooks } from '../../../../../extensions/registry'
 
 export const MainExchangePanel = ({
-  qso, operation, vfo, settings, style, styles, themeColor, onSubmitEditing, handleFieldChange, setQSO, updateQSO, mainFieldRef, focusedRef
+  qso, operation, vfo, settings, style, styles, themeColor, onSubmitEditing, handleFieldChange, setQSO, updateQSO,
+  exchangeLineActivity, mainFieldRef, focusedRef
 }) => {
   const { width } = useWindowDimensions()
 
@@ -81,13 +82,14 @@ export const MainExchangePanel = ({
       innerRef={refStack.shift()}
       themeColor={themeColor}
       style={[styles.input, { minWidth: styles.oneSpace * 10, flex: 10 }]}
-      value={qso?.their?.call ?? ''}
-      label="Their Call"
+      value={qso?._exchangeLine ?? qso?.their?.call ?? ''}
+      label={exchangeLineActivity ? 'Call & Exchange' : 'Their Call'}
       placeholder=""
       onChange={handleFieldChange}
       onSubmitEditing={onSubmitEditing}
       fieldId={'theirCall'}
-      onSpace={spaceHandler}
+      allowSpaces={!!exchangeLineActivity}
+      onSpace={exchangeLineActivity ? undefined : spaceHandler}
       focusedRef={focusedRef}
     />
   )
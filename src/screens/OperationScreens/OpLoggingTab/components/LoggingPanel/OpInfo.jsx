@@ -34,7 +34,7 @@ function prepareStyles (baseStyles, themeColor) {
   }
 }
 
-export function OpInfo ({ message, clearMessage, operation, qsos, style, themeColor }) {
+export function OpInfo ({ message, clearMessage, suggestions, onSuggestion, operation, qsos, style, themeColor }) {
   const now = useSelector(selectSecondsTick)
 
   const styles = useThemedStyles(prepareStyles, themeColor)
@@ -46,10 +46,12 @@ export function OpInfo ({ message, clearMessage, operation, qsos, style, themeCo
       return { markdownMessage: '', icon: 'timer-outline' }
     } else if (message) {
       return { markdownMessage: message || '', icon: 'chevron-right-box' }
+    } else if (suggestions?.length > 0) {
+      return { markdownMessage: '', icon: 'console-line' }
     } else {
       return { markdownMessage: '', icon: 'timer-outline' }
     }
-  }, [message, styles])
+  }, [message, suggestions, styles])
 
   const line1 = useMemo(() => {
     if (qsos.length === 0) {
@@ -100,6 +102,18 @@ export function OpInfo ({ message, clearMessage, operation, qsos, style, themeCo
             <Ham2kMarkdown style={{ ...markdownStyle, borderWidth: 0, borderColor: 'red', fontWeight: 'bold' }} styles={styles}>
               {markdownMessage}
             </Ham2kMarkdown>
+          ) : suggestions?.length > 0 ? (
+            suggestions.map(({ command, completion, hint }) => (
+              completion ? (
+                <Text key={command.key} style={styles.textLine} onPress={() => onSuggestion && onSuggestion(completion)}>
+                  <Text style={{ fontWeight: 'bold' }}>{completion}</Text> {command.help.name}
+                </Text>
+              ) : (
+                <Text key={command.key} style={styles.textLine}>
+                  <Text style={{ fontWeight: 'bold' }}>{hint}</Text> {command.help.name}
+                </Text>
+              )
+            ))
           ) : (
             <>
               {line1 && <Text numberOfLines={2} ellipsizeMode={'tail'} style={styles.textLine}>{line1}</Text>}
@@ -16,6 +16,7 @@ import { SecondaryControlSelectionsubPanel } from './SecondaryExchangePanel/Seco
 import { findHooks } from '../../../../../extensions/registry'
 import { findRef } from '../../../../../tools/refTools'
 import { spotterControl } from './SecondaryExchangePanel/SpotterControl'
+import { macrosControl } from './SecondaryExchangePanel/MacrosControl'
 import { editQSOControl } from '../../../EditQSOScreen'
 
 export const SecondaryExchangePanel = (props) => {
@@ -40,6 +41,9 @@ export const SecondaryExchangePanel = (props) => {
     ) {
       newControls[spotterControl.key] = spotterControl
     }
+    if (Object.keys(settings?.commandMacros || {}).length > 0) {
+      newControls[macrosControl.key] = macrosControl
+    }
     activityHooks.forEach(activity => {
       const activityControls = activity.loggingControls ? activity.loggingControls({ operation, vfo, settings }) : []
       for (const control of activityControls) {
@@ -0,0 +1,41 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useMemo } from 'react'
+import { View } from 'react-native'
+
+import ThemedButton from '../../../../../components/ThemedButton'
+import { commandMacrosFromSettings } from '../../../../../../tools/commandMacros'
+
+export function MacrosControlInputs ({ settings, style, styles, handleCommand }) {
+  const macros = useMemo(() => commandMacrosFromSettings(settings), [settings])
+
+  return (
+    <View style={[style, { flexDirection: 'row', flexWrap: 'wrap', paddingHorizontal: 0, gap: styles.oneSpace }]}>
+      {macros.map(macro => (
+        <ThemedButton
+          key={macro.key}
+          themeColor="tertiaryLighter"
+          mode="contained"
+          onPress={() => handleCommand && handleCommand(macro.name)}
+        >
+          {macro.name}
+        </ThemedButton>
+      ))}
+    </View>
+  )
+}
+
+export const macrosControl = {
+  key: 'macros',
+  order: 90,
+  icon: 'play-box-multiple-outline',
+  label: 'Macros',
+  InputComponent: MacrosControlInputs,
+  inputWidthMultiplier: 40,
+  optionType: 'mandatory'
+}
@@ -85,6 +85,7 @@ export const radioControl = {
     const parts = []
     if (qso?.freq ?? vfo?.freq) {
       parts.push(`${fmtFreqInMHz(qso?.freq ?? vfo?.freq)} MHz`)
+      if (qso?.freqRx) parts.push(`RX ${fmtFreqInMHz(qso.freqRx)}`)
     } else if (qso?.band ?? operation?.band) {
       parts.push(`${qso?.band ?? operation?.band}`)
     } else {
@@ -40,7 +40,7 @@ const PositionedControlChip = (props) => {
 }
 
 export const SecondaryControlSelectionsubPanel = ({
-  qso, operation, vfo, settings, navigation, setQSO, updateQSO, handleFieldChange, onSubmitEditing, focusedRef, styles,
+  qso, operation, vfo, settings, navigation, setQSO, updateQSO, handleFieldChange, handleCommand, onSubmitEditing, focusedRef, styles,
   themeColor, currentSecondaryControl, setCurrentSecondaryControl,
   allControls, enabledControls
 }) => {
@@ -115,6 +115,7 @@ export const SecondaryControlSelectionsubPanel = ({
             qso={qso} operation={operation} vfo={vfo} settings={settings}
             style={secondaryComponentStyle} styles={styles} themeColor={themeColor}
             handleFieldChange={handleFieldChange}
+            handleCommand={handleCommand}
             setCurrentSecondaryControl={setCurrentSecondaryControl}
             setQSO={setQSO}
             updateQSO={updateQSO}
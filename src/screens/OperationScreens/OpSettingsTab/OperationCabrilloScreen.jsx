@@ -0,0 +1,122 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useEffect, useMemo } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+import { Text } from 'react-native-paper'
+
+import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
+import { selectSettings } from '../../../store/settings'
+import { claimedScoreForExport, selectOperation, setOperationData } from '../../../store/operations'
+import { selectQSOs } from '../../../store/qsos'
+import { findBestHook } from '../../../extensions/registry'
+import { CABRILLO_DETAILS, suggestedCabrilloCategories, validateCabrilloHeaders } from '../../../tools/cabrilloTools'
+import { cabrilloHeadersForOperation } from '../../../tools/qsonToCabrillo'
+import ScreenContainer from '../../components/ScreenContainer'
+import { Ham2kListSection } from '../../components/Ham2kListSection'
+import ThemedTextInput from '../../components/ThemedTextInput'
+import ThemedDropDown from '../../components/ThemedDropDown'
+
+export function describeCabrilloDetails (operation) {
+  const categories = CABRILLO_DETAILS.filter(detail => detail.values && operation?.cabrillo?.[detail.key]).map(detail => operation.cabrillo[detail.key])
+  return categories.length > 0 ? categories.join(', ') : 'Categories, club, address and soapbox'
+}
+
+export default function OperationCabrilloScreen ({ navigation, route }) {
+  const styles = useThemedStyles()
+
+  const dispatch = useDispatch()
+  const operation = useSelector(state => selectOperation(state, route.params.operation))
+  const qsos = useSelector(state => selectQSOs(state, route.params.operation))
+  const settings = useSelector(selectSettings)
+
+  useEffect(() => {
+    if (!operation) {
+      navigation.goBack()
+    }
+  }, [navigation, operation])
+
+  const handler = useMemo(() => (
+    (operation?.refs || []).map(ref => findBestHook(`ref:${ref.type}`)).find(oneHandler => oneHandler?.qsoToCabrilloParts)
+  ), [operation?.refs])
+
+  const suggestions = useMemo(() => suggestedCabrilloCategories({ qsos }), [qsos])
+
+  const claimedScore = useMemo(() => (
+    handler && claimedScoreForExport({ operation, qsos, settings, handler })
+  ), [handler, operation, qsos, settings])
+
+  const issues = useMemo(() => {
+    if (!handler) return []
+    const headers = cabrilloHeadersForOperation({ operation, qsos, settings, handler, claimedScore })
+    return validateCabrilloHeaders(headers)
+  }, [handler, operation, qsos, settings, claimedScore])
+
+  const handleChange = useCallback((key, value) => {
+    dispatch(setOperationData({ uuid: operation.uuid, cabrillo: { ...operation.cabrillo, [key]: value } }))
+  }, [dispatch, operation.uuid, operation.cabrillo])
+
+  return (
+    <ScreenContainer>
+      <ScrollView style={{ flex: 1, paddingVertical: styles.oneSpace }}>
+        <Ham2kListSection title={'Categories'}>
+          {CABRILLO_DETAILS.filter(detail => detail.values).map(detail => (
+            <View key={detail.key} style={{ marginHorizontal: styles.oneSpace * 2, marginBottom: styles.oneSpace }}>
+              <ThemedDropDown
+                label={detail.label}
+                value={operation?.cabrillo?.[detail.key] || ''}
+                onChangeText={(value) => handleChange(detail.key, value)}
+                fieldId={detail.key}
+                style={{ width: '100%' }}
+                list={[
+                  { value: '', label: suggestions[detail.key] ? `Automatic (${suggestions[detail.key]})` : 'Not specified' },
+                  ...detail.values.map(value => ({ value, label: value }))
+                ]}
+                dropDownContainerMaxHeight={styles.oneSpace * 40}
+              />
+            </View>
+          ))}
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Claimed Score'}>
+          <Text variant="bodyMedium" style={{ marginHorizontal: styles.oneSpace * 2 }}>
+            {claimedScore !== undefined ? `${claimedScore} points, based on the QSOs logged so far` : 'This contest does not calculate a score'}
+          </Text>
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Station Information'}>
+          {CABRILLO_DETAILS.filter(detail => !detail.values).map(detail => (
+            <ThemedTextInput
+              key={detail.key}
+              style={[styles.input, { marginHorizontal: styles.oneSpace * 2, marginBottom: styles.oneSpace }]}
+              value={operation?.cabrillo?.[detail.key] || ''}
+              label={detail.label}
+              onChangeText={(value) => handleChange(detail.key, value)}
+              multiline={detail.multiline}
+              numberOfLines={detail.multiline ? 4 : undefined}
+            />
+          ))}
+        </Ham2kListSection>
+
+        {issues.length > 0 && (
+          <Ham2kListSection title={'Checks'}>
+            {issues.map((issue, i) => (
+              <Text
+                key={i}
+                variant="bodySmall"
+                style={{ marginHorizontal: styles.oneSpace * 2, color: issue.level === 'error' ? styles.theme.colors.error : styles.theme.colors.onSurface }}
+              >
+                {issue.level === 'error' ? '✖' : '⚠'} {issue.message}
+              </Text>
+            ))}
+          </Ham2kListSection>
+        )}
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
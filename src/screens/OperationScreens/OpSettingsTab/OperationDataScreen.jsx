@@ -6,7 +6,7 @@
  * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import React, { useCallback, useEffect, useMemo } from 'react'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import { ScrollView, View } from 'react-native'
 import { Checkbox, List, Menu, Text } from 'react-native-paper'
@@ -14,14 +14,34 @@ import DocumentPicker from 'react-native-document-picker'
 import RNFetchBlob from 'react-native-blob-util'
 import Share from 'react-native-share'
 
-import { dataExportOptions, generateExportsForOptions, importADIFIntoOperation, loadOperation, selectOperation, selectOperationCallInfo } from '../../../store/operations'
+import {
+  countOperationDays, dataExportOptions, generateExportsForOptions, loadOperation, readADIFForImport, readCabrilloForImport, refreshUploadStatus,
+  selectedExportColumns, selectOperation, selectOperationCallInfo, uploadExportsForOptions, uploadTargetAcceptsOption
+} from '../../../store/operations'
 import { loadQSOs, selectQSOs } from '../../../store/qsos'
 import { selectSettings, setSettings } from '../../../store/settings'
 import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
 import { buildTitleForOperation } from '../OperationScreen'
+import { describeExportScope, qsosForExportScope } from '../../../tools/exportScopes'
+import { DEFAULT_EXPORT_PROFILE, activeExportProfile, exportProfilesFromSettings } from '../../../tools/exportProfiles'
+import { filterSelectedExportOptions, isExportOptionSelected } from '../../../tools/exportOptions'
 import { reportError, trackEvent } from '../../../distro'
+import { useFindHooks } from '../../../extensions/registry'
 import { Ham2kListSection } from '../../components/Ham2kListSection'
 import { Ham2kListItem } from '../../components/Ham2kListItem'
+import { ExportColumnsDialog } from './components/ExportColumnsDialog'
+import { ExportScopeDialog } from './components/ExportScopeDialog'
+import { ExportValidationDialog } from './components/ExportValidationDialog'
+import { ImportADIFDialog } from './components/ImportADIFDialog'
+import { ImportCabrilloDialog } from './components/ImportCabrilloDialog'
+import { MergeOperationDialog } from './components/MergeOperationDialog'
+import { MoveQSOsDialog } from './components/MoveQSOsDialog'
+import { SplitByDayDialog } from './components/SplitByDayDialog'
+import { UploadTargetItems } from './components/UploadTargetItems'
+import { describeCabrilloDetails } from './OperationCabrilloScreen'
+
+const TABLE_FORMATS = ['csv', 'tsv', 'txt', 'json']
+const CHECKED_FORMATS = ['adif', 'cabrillo']
 
 export default function OperationDataScreen (props) {
   const { navigation, route } = props
@@ -47,18 +67,32 @@ export default function OperationDataScreen (props) {
     } else {
       options = { subTitle: 'New Operation' }
     }
-    options.rightMenuItems = <DataScreenMenuItems {...{ operation, settings, styles, dispatch }} />
+    options.rightMenuItems = <DataScreenMenuItems {...{ operation, settings, styles, dispatch, navigation }} />
 
     navigation.setOptions(options)
   }, [dispatch, navigation, operation, settings, styles])
 
+  const [exportScope, setExportScope] = useState({ type: 'all' })
+  const scopedQSOs = useMemo(() => qsosForExportScope(qsos, exportScope), [qsos, exportScope])
+
   const readyToExport = useMemo(() => {
-    return ourInfo.call && operation.qsoCount > 0
-  }, [operation.qsoCount, ourInfo.call])
+    return ourInfo.call && operation.qsoCount > 0 && scopedQSOs.find(qso => !qso.deleted)
+  }, [operation.qsoCount, ourInfo.call, scopedQSOs])
+
+  const exportOptions = useMemo(() => (
+    dataExportOptions({ operation, qsos: scopedQSOs, settings, ourInfo, scope: exportScope })
+  ), [operation, ourInfo, scopedQSOs, settings, exportScope])
 
-  const exportOptions = useMemo(() => dataExportOptions({ operation, qsos, settings, ourInfo }), [operation, ourInfo, qsos, settings])
+  const [pendingExport, setPendingExport] = useState()
+
+  // ADIF and Cabrillo files usually end up in a log upload, so check them for common problems first
+  const handleExports = useCallback(({ options, checked }) => {
+    if (!checked && options.find(option => CHECKED_FORMATS.includes(option.format))) {
+      setPendingExport({ options })
+      return
+    }
+    setPendingExport()
 
-  const handleExports = useCallback(({ options }) => {
     options.forEach((option) => {
       trackEvent('export_operation', {
         export_type: [option.exportType ?? option.handler.key, option.format].join('.'),
@@ -67,7 +101,7 @@ export default function OperationDataScreen (props) {
         refs: (option.operationData?.refs || []).map(r => r.type).join(',')
       })
     })
-    dispatch(generateExportsForOptions(operation.uuid, options)).then((paths) => {
+    dispatch(generateExportsForOptions(operation.uuid, options, { scope: exportScope })).then((paths) => {
       if (paths?.length > 0) {
         Share.open({
           urls: paths.map(p => `file://${p}`),
@@ -83,17 +117,17 @@ export default function OperationDataScreen (props) {
         })
       }
     })
-  }, [dispatch, operation])
+  }, [dispatch, operation, exportScope])
 
+  const [adifPreview, setADIFPreview] = useState()
   const handleImportADIF = useCallback(() => {
     DocumentPicker.pickSingle({ mode: 'import', copyTo: 'cachesDirectory' }).then(async (file) => {
       const filename = decodeURIComponent(file.fileCopyUri.replace('file://', ''))
-      const count = await dispatch(importADIFIntoOperation(filename, operation))
-      trackEvent('import_adif', {
-        import_count: count,
-        qso_count: operation.qsoCount,
-        refs: (operation.refs || []).map(r => r.type).join(',')
-      })
+      try {
+        setADIFPreview(await dispatch(readADIFForImport(filename, operation)))
+      } catch (error) {
+        reportError('Error reading ADIF', error)
+      }
       RNFetchBlob.fs.unlink(filename)
     }).catch((error) => {
       if (error.indexOf('cancelled') >= 0) {
@@ -104,7 +138,59 @@ export default function OperationDataScreen (props) {
     })
   }, [dispatch, operation])
 
-  const selectedExportOptions = useMemo(() => exportOptions.filter(option => (settings.exportTypes?.[option.exportType] ?? option.selectedByDefault) !== false), [exportOptions, settings.exportTypes])
+  const [cabrilloPreview, setCabrilloPreview] = useState()
+  const handleImportCabrillo = useCallback(() => {
+    DocumentPicker.pickSingle({ mode: 'import', copyTo: 'cachesDirectory' }).then(async (file) => {
+      const filename = decodeURIComponent(file.fileCopyUri.replace('file://', ''))
+      try {
+        setCabrilloPreview(await dispatch(readCabrilloForImport(filename, operation)))
+      } catch (error) {
+        reportError('Error reading Cabrillo', error)
+      }
+      RNFetchBlob.fs.unlink(filename)
+    }).catch((error) => {
+      if (error.indexOf('cancelled') >= 0) {
+        // ignore
+      } else {
+        reportError('Error importing Cabrillo', error)
+      }
+    })
+  }, [dispatch, operation])
+
+  const [currentDialog, setCurrentDialog] = useState()
+  const days = useMemo(() => countOperationDays(qsos), [qsos])
+
+  const selectedExportOptions = useMemo(() => filterSelectedExportOptions(exportOptions, settings), [exportOptions, settings])
+
+  const uploadTargets = useFindHooks('upload')
+  const [uploadingTarget, setUploadingTarget] = useState()
+
+  const handleUpload = useCallback(async ({ target, authenticated, checked }) => {
+    if (authenticated === false) {
+      navigation.navigate('Settings')
+      return
+    }
+
+    const options = selectedExportOptions.filter(option => uploadTargetAcceptsOption({ target, option, operation, settings }))
+    if (!checked && options.find(option => CHECKED_FORMATS.includes(option.format))) {
+      setPendingExport({ options, target })
+      return
+    }
+    setPendingExport()
+
+    setUploadingTarget(target.key)
+    try {
+      trackEvent('upload_operation', { upload_target: target.key, file_count: options.length })
+      await dispatch(uploadExportsForOptions({ uuid: operation.uuid, target, options, scope: exportScope }))
+    } catch (error) {
+      reportError('Error uploading', error)
+    }
+    setUploadingTarget()
+  }, [dispatch, navigation, operation, settings, selectedExportOptions, exportScope])
+
+  const handleRefreshUploads = useCallback(({ target }) => {
+    dispatch(refreshUploadStatus({ uuid: operation.uuid, target }))
+  }, [dispatch, operation.uuid])
 
   const exportTitle = useMemo(() => {
     if (selectedExportOptions.length === 0) return 'Select from the export options below'
@@ -124,11 +210,20 @@ export default function OperationDataScreen (props) {
           style={{ opacity: readyToExport ? 1 : 0.5 }}
           disabled={!readyToExport}
         />
+        <Ham2kListItem
+          title="QSOs to Export"
+          description={describeExportScope(exportScope)}
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="filter-outline" />}
+          onPress={() => setCurrentDialog('exportScope')}
+        />
+        {currentDialog === 'exportScope' && (
+          <ExportScopeDialog qsos={qsos} scope={exportScope} styles={styles} onChange={setExportScope} onDialogDone={() => setCurrentDialog()} />
+        )}
         {exportOptions.map((option) => (
           <View key={`${option.exportType}-${option.fileName}`} style={{ flexDirection: 'row', width: '100%', marginLeft: styles.oneSpace * 1, alignItems: 'center' }}>
             <Checkbox
-              status={(settings.exportTypes?.[option.exportType] ?? option.selectedByDefault) !== false ? 'checked' : 'unchecked'}
-              onPress={() => dispatch(setSettings({ exportTypes: { ...settings.exportTypes, [option.exportType]: !((settings.exportTypes?.[option.exportType] ?? option.selectedByDefault) !== false) } }))}
+              status={isExportOptionSelected(option, settings) ? 'checked' : 'unchecked'}
+              onPress={() => dispatch(setSettings({ exportTypes: { ...settings.exportTypes, [option.exportType]: !isExportOptionSelected(option, settings) } }))}
             />
             <Ham2kListItem
               key={option.fileName}
@@ -143,20 +238,113 @@ export default function OperationDataScreen (props) {
             />
           </View>
         ))}
+        {exportOptions.find(option => TABLE_FORMATS.includes(option.format)) && (
+          <Ham2kListItem
+            title="Spreadsheet and Text Columns"
+            description={selectedExportColumns(settings).map(column => column.label).join(', ')}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="table-column" />}
+            onPress={() => setCurrentDialog('exportColumns')}
+          />
+        )}
+        {pendingExport && (
+          <ExportValidationDialog
+            operation={operation}
+            qsos={scopedQSOs}
+            options={pendingExport.options}
+            settings={settings}
+            styles={styles}
+            onExport={() => (pendingExport.target ? handleUpload({ ...pendingExport, checked: true }) : handleExports({ ...pendingExport, checked: true }))}
+            onDialogDone={() => setPendingExport()}
+          />
+        )}
+        {exportOptions.find(option => option.format === 'cabrillo') && (
+          <Ham2kListItem
+            title="Cabrillo Details"
+            description={describeCabrilloDetails(operation)}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="flag-checkered" />}
+            onPress={() => navigation.navigate('OperationCabrillo', { operation: operation.uuid })}
+          />
+        )}
+        {currentDialog === 'exportColumns' && (
+          <ExportColumnsDialog settings={settings} styles={styles} onDialogDone={() => setCurrentDialog()} />
+        )}
       </Ham2kListSection>
 
+      {uploadTargets.length > 0 && (
+        <Ham2kListSection title={'Upload QSOs'}>
+          {uploadTargets.map(target => (
+            <UploadTargetItems
+              key={target.key}
+              target={target}
+              operation={operation}
+              settings={settings}
+              styles={styles}
+              disabled={!readyToExport || !selectedExportOptions.find(option => uploadTargetAcceptsOption({ target, option, operation, settings }))}
+              uploading={uploadingTarget === target.key}
+              onUpload={handleUpload}
+              onRefresh={handleRefreshUploads}
+            />
+          ))}
+        </Ham2kListSection>
+      )}
+
       <Ham2kListSection title={'Import QSOs'}>
         <Ham2kListItem
           title="Add QSOs from ADIF file"
           left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-import-outline" />}
           onPress={() => handleImportADIF()}
         />
+        {adifPreview && (
+          <ImportADIFDialog operation={operation} preview={adifPreview} styles={styles} onDialogDone={() => setADIFPreview()} />
+        )}
+        <Ham2kListItem
+          title="Add QSOs from Cabrillo file"
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-import-outline" />}
+          onPress={() => handleImportCabrillo()}
+        />
+        {cabrilloPreview && (
+          <ImportCabrilloDialog operation={operation} preview={cabrilloPreview} styles={styles} onDialogDone={() => setCabrilloPreview()} />
+        )}
+      </Ham2kListSection>
+
+      <Ham2kListSection title={'Reorganize QSOs'}>
+        <Ham2kListItem
+          title="Move QSOs"
+          description="To another operation, or to a new one"
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-move-outline" />}
+          onPress={() => qsos.length > 0 && setCurrentDialog('move')}
+          style={{ opacity: qsos.length > 0 ? 1 : 0.5 }}
+          disabled={qsos.length === 0}
+        />
+        {days > 1 && (
+          <Ham2kListItem
+            title="Split by Day"
+            description={`Create a separate operation for each of the ${days} days`}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="call-split" />}
+            onPress={() => setCurrentDialog('splitByDay')}
+          />
+        )}
+        <Ham2kListItem
+          title="Merge into Another Operation"
+          description="Combine both operations into one"
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="call-merge" />}
+          onPress={() => setCurrentDialog('merge')}
+        />
+        {currentDialog === 'move' && (
+          <MoveQSOsDialog operation={operation} qsos={qsos} styles={styles} onDialogDone={() => setCurrentDialog()} />
+        )}
+        {currentDialog === 'splitByDay' && (
+          <SplitByDayDialog operation={operation} days={days} styles={styles} onDialogDone={() => setCurrentDialog()} />
+        )}
+        {currentDialog === 'merge' && (
+          <MergeOperationDialog operation={operation} styles={styles} onDialogDone={() => setCurrentDialog()} />
+        )}
       </Ham2kListSection>
     </ScrollView>
   )
 }
 
-function DataScreenMenuItems ({ operation, settings, styles, dispatch, online, setShowMenu }) {
+function DataScreenMenuItems ({ operation, settings, styles, dispatch, navigation, online, setShowMenu }) {
   const hideAndRun = useCallback((action) => {
     setShowMenu(false)
     setTimeout(() => action(), 10)
@@ -174,6 +362,23 @@ function DataScreenMenuItems ({ operation, settings, styles, dispatch, online, s
         title={'Use compact file names'}
 
       />
+      <Text style={{ marginHorizontal: styles.oneSpace * 2, marginVertical: styles.oneSpace * 1, ...styles.text.bold }}>
+        Export Profile
+      </Text>
+      {exportProfilesFromSettings(settings).map(profile => (
+        <Menu.Item
+          key={profile.key}
+          leadingIcon="file-cog-outline"
+          trailingIcon={activeExportProfile(settings).key === profile.key ? 'check-circle-outline' : 'circle-outline'}
+          onPress={() => { hideAndRun(() => dispatch(setSettings({ exportProfile: profile.key === DEFAULT_EXPORT_PROFILE.key ? undefined : profile.key }))) }}
+          title={profile.name}
+        />
+      ))}
+      <Menu.Item
+        leadingIcon="cog-outline"
+        onPress={() => { hideAndRun(() => navigation.navigate('Settings', { screen: 'ExportProfilesSettings' })) }}
+        title={'Manage export profiles'}
+      />
     </>
   )
 }
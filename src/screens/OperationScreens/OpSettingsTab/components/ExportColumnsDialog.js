@@ -0,0 +1,57 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Checkbox, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+
+import { availableExportColumns } from '../../../../store/operations'
+import { setSettings } from '../../../../store/settings'
+import { DEFAULT_TABLE_COLUMNS } from '../../../../tools/qsonToTable'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+
+export function ExportColumnsDialog ({ settings, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const columns = useMemo(() => availableExportColumns(), [])
+  const [selected, setSelected] = useState(settings.exportColumns ?? DEFAULT_TABLE_COLUMNS)
+
+  const toggleColumn = useCallback((key) => {
+    if (selected.includes(key)) setSelected(selected.filter(k => k !== key))
+    else setSelected(columns.map(column => column.key).filter(k => k === key || selected.includes(k)))
+  }, [columns, selected])
+
+  const handleAccept = useCallback(() => {
+    dispatch(setSettings({ exportColumns: selected }))
+    onDialogDone && onDialogDone()
+  }, [dispatch, selected, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Export Columns</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">Columns to include in spreadsheet and text exports</Text>
+      </Dialog.Content>
+      <Dialog.ScrollArea style={{ maxHeight: 400 }}>
+        <ScrollView>
+          {columns.map(column => (
+            <View key={column.key} style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Checkbox status={selected.includes(column.key) ? 'checked' : 'unchecked'} onPress={() => toggleColumn(column.key)} />
+              <Text onPress={() => toggleColumn(column.key)} style={styles.rowText}>{column.label}</Text>
+            </View>
+          ))}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={() => setSelected(DEFAULT_TABLE_COLUMNS)}>Defaults</Button>
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={selected.length === 0}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,101 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Dialog, RadioButton, Text } from 'react-native-paper'
+import { ScrollView, View } from 'react-native'
+
+import { utcDaysForQSOs } from '../../../../tools/exportScopes'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+import { DateInput } from '../../../components/DateInput'
+import { TimeInput } from '../../../components/TimeInput'
+import { QSOSelectionList } from './QSOSelectionList'
+
+function RadioRow ({ value, label, onPress, styles }) {
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+      <RadioButton value={value} />
+      <Text onPress={() => onPress(value)} style={styles.rowText}>{label}</Text>
+    </View>
+  )
+}
+
+export function ExportScopeDialog ({ qsos, scope, styles, onChange, onDialogDone }) {
+  const days = useMemo(() => utcDaysForQSOs(qsos), [qsos])
+
+  const [type, setType] = useState(scope?.type ?? 'all')
+  const [day, setDay] = useState(scope?.day ?? days[days.length - 1])
+  const [selected, setSelected] = useState(() => {
+    const initial = {}
+    ;(scope?.keys || []).forEach(key => { initial[key] = true })
+    return initial
+  })
+  const [startMillis, setStartMillis] = useState(scope?.startMillis ?? qsos[0]?.startAtMillis)
+  const [endMillis, setEndMillis] = useState(scope?.endMillis ?? qsos[qsos.length - 1]?.startAtMillis)
+
+  const selectedKeys = Object.keys(selected).filter(key => selected[key])
+
+  const handleAccept = useCallback(() => {
+    if (type === 'day') onChange({ type, day })
+    else if (type === 'selected') onChange({ type, keys: selectedKeys })
+    else if (type === 'range') onChange({ type, startMillis, endMillis })
+    else onChange({ type: 'all' })
+    onDialogDone && onDialogDone()
+  }, [type, day, selectedKeys, startMillis, endMillis, onChange, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>QSOs to Export</Dialog.Title>
+      <Dialog.ScrollArea style={{ maxHeight: 500 }}>
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <RadioButton.Group onValueChange={setType} value={type}>
+            <RadioRow value="all" label="All QSOs" onPress={setType} styles={styles} />
+            {days.length > 1 && (
+              <RadioRow value="day" label="A single UTC day" onPress={setType} styles={styles} />
+            )}
+            <RadioRow value="range" label="A date and time window" onPress={setType} styles={styles} />
+            <RadioRow value="selected" label="Selected QSOs" onPress={setType} styles={styles} />
+          </RadioButton.Group>
+
+          {type === 'day' && (
+            <RadioButton.Group onValueChange={setDay} value={day}>
+              <View style={{ marginLeft: styles.oneSpace * 4 }}>
+                {days.map(oneDay => (
+                  <RadioRow key={oneDay} value={oneDay} label={oneDay} onPress={setDay} styles={styles} />
+                ))}
+              </View>
+            </RadioButton.Group>
+          )}
+
+          {type === 'range' && (
+            <View style={{ marginTop: styles.oneSpace }}>
+              <View style={{ flexDirection: 'row', gap: styles.oneSpace }}>
+                <DateInput style={[styles.input, { flex: 1 }]} label="From Date" valueInMillis={startMillis} onChange={({ value }) => setStartMillis(value)} />
+                <TimeInput style={[styles.input, { flex: 1 }]} label="From Time" valueInMillis={startMillis} onChange={({ value }) => setStartMillis(value)} />
+              </View>
+              <View style={{ flexDirection: 'row', gap: styles.oneSpace }}>
+                <DateInput style={[styles.input, { flex: 1 }]} label="To Date" valueInMillis={endMillis} onChange={({ value }) => setEndMillis(value)} />
+                <TimeInput style={[styles.input, { flex: 1 }]} label="To Time" valueInMillis={endMillis} onChange={({ value }) => setEndMillis(value)} />
+              </View>
+            </View>
+          )}
+
+          {type === 'selected' && (
+            <View style={{ marginTop: styles.oneSpace }}>
+              <Text variant="bodySmall">Long press a QSO to select it and all the ones after it.</Text>
+              <QSOSelectionList qsos={qsos} selected={selected} onChange={setSelected} styles={styles} />
+            </View>
+          )}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={type === 'selected' && selectedKeys.length === 0}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
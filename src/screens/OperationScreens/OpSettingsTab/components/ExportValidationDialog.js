@@ -0,0 +1,135 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+
+import { bandForFrequency } from '@ham2k/lib-operation-data'
+import { qsoKey } from '@ham2k/lib-qson-tools'
+
+import { addQSO } from '../../../../store/qsos'
+import { cabrilloIssuesForOptions, exportValidationHandlers } from '../../../../store/operations'
+import { validateOperationForExport } from '../../../../tools/exportValidation'
+import { parseFreqInMHz } from '../../../../tools/frequencyFormats'
+import { fmtDateZulu, fmtTimeZulu } from '../../../../tools/timeFormats'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+import ThemedTextInput from '../../../components/ThemedTextInput'
+
+function qsoWithFieldValue (qso, field, value) {
+  const updated = { ...qso, our: { ...qso.our }, their: { ...qso.their } }
+  const [first, second] = field.split('.')
+  if (second) {
+    updated[first][second] = value
+  } else if (field === 'freq') {
+    updated.freq = parseFreqInMHz(value) || undefined
+    if (updated.freq) updated.band = bandForFrequency(updated.freq)
+  } else {
+    updated[first] = value
+  }
+  return updated
+}
+
+function IssueRow ({ issue, qso, styles, onFix }) {
+  const [value, setValue] = useState()
+  const editing = value !== undefined
+
+  const color = issue.level === 'error' ? styles.theme.colors.error : styles.theme.colors.onSurface
+
+  return (
+    <View style={{ paddingVertical: styles.oneSpace / 2 }}>
+      <Text
+        variant="bodySmall"
+        style={{ color }}
+        onPress={issue.field && !editing ? () => setValue(issue.suggestion ?? '') : undefined}
+      >
+        {issue.level === 'error' ? '✖' : '⚠'} {issue.message}{issue.field && !editing ? ' · Fix' : ''}
+      </Text>
+      {editing && (
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <ThemedTextInput
+            style={[styles.input, { flex: 1 }]}
+            label={issue.field}
+            mode={'flat'}
+            uppercase={issue.field !== 'band' && issue.field !== 'their.grid'}
+            noSpaces={true}
+            value={value}
+            onChangeText={setValue}
+          />
+          <Button onPress={() => setValue()}>Cancel</Button>
+          <Button onPress={() => { onFix(qso, issue.field, value); setValue() }}>Save</Button>
+        </View>
+      )}
+    </View>
+  )
+}
+
+export function ExportValidationDialog ({ operation, qsos, options = [], settings, styles, onExport, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const issues = useMemo(() => ([
+    ...validateOperationForExport({ operation, qsos, handlers: exportValidationHandlers() }),
+    ...cabrilloIssuesForOptions({ options, operation, qsos, settings })
+  ]), [operation, qsos, options, settings])
+
+  const operationIssues = useMemo(() => issues.filter(issue => !issue.key), [issues])
+  const qsoIssues = useMemo(() => {
+    const byKey = {}
+    issues.filter(issue => issue.key).forEach(issue => {
+      byKey[issue.key] = byKey[issue.key] || []
+      byKey[issue.key].push(issue)
+    })
+    return qsos.filter(qso => byKey[qso.key]).map(qso => ({ qso, issues: byKey[qso.key] }))
+  }, [issues, qsos])
+
+  const errorCount = issues.filter(issue => issue.level === 'error').length
+
+  const handleFix = useCallback((qso, field, value) => {
+    const updated = qsoWithFieldValue(qso, field, value)
+    updated._originalKey = qso.key
+    updated.key = qsoKey(updated)
+    dispatch(addQSO({ uuid: operation.uuid, qso: updated }))
+  }, [dispatch, operation.uuid])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Export Check</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">
+          {issues.length === 0
+            ? 'No problems found'
+            : [
+                errorCount > 0 && `${errorCount} ${errorCount === 1 ? 'error' : 'errors'}`,
+                issues.length > errorCount && `${issues.length - errorCount} ${issues.length - errorCount === 1 ? 'warning' : 'warnings'}`
+              ].filter(x => x).join(', ')}
+        </Text>
+        {operationIssues.map((issue, i) => (
+          <IssueRow key={i} issue={issue} styles={styles} />
+        ))}
+      </Dialog.Content>
+      <Dialog.ScrollArea style={{ maxHeight: 400 }}>
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {qsoIssues.map(({ qso, issues: oneQSOIssues }) => (
+            <View key={qso.key} style={{ marginTop: styles.oneSpace }}>
+              <Text variant="bodyMedium" style={styles.text.bold}>
+                {[fmtDateZulu(qso.startAtMillis), fmtTimeZulu(qso.startAtMillis), qso.their?.call, qso.band, qso.mode].filter(x => x).join(' ')}
+              </Text>
+              {oneQSOIssues.map((issue, i) => (
+                <IssueRow key={`${issue.message}-${i}`} issue={issue} qso={qso} styles={styles} onFix={handleFix} />
+              ))}
+            </View>
+          ))}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={onExport}>{issues.length > 0 ? 'Export Anyway' : 'Export'}</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
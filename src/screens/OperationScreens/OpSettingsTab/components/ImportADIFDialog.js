@@ -0,0 +1,196 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, RadioButton, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+
+import { importADIFRecords } from '../../../../store/operations'
+import { reportError, trackEvent } from '../../../../distro'
+import { ADIF_MAPPING_TARGETS } from '../../../../tools/adifTools'
+import { fmtDateZulu, fmtTimeZulu } from '../../../../tools/timeFormats'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+
+const MAX_PREVIEW_RECORDS = 50
+
+function describeRecord (record) {
+  if (!record.qso) return `#${record.index + 1} ${record.errors.join(', ')}`
+
+  const { qso, duplicate } = record
+  const parts = [fmtDateZulu(qso.startAtMillis), fmtTimeZulu(qso.startAtMillis), qso.their?.call, qso.band, qso.mode]
+  if (duplicate?.type === 'key') parts.push('· duplicate')
+  if (duplicate?.type === 'fuzzy') parts.push(`· similar to ${duplicate.match.their?.call} at ${fmtTimeZulu(duplicate.match.startAtMillis)}`)
+  return parts.filter(x => x).join(' ')
+}
+
+export function ImportADIFDialog ({ operation, preview, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [step, setStep] = useState('preview')
+  const [duplicates, setDuplicates] = useState('skip')
+  const [mapping, setMapping] = useState({})
+  const [mappingField, setMappingField] = useState()
+  const [results, setResults] = useState()
+
+  const handleImport = useCallback(async () => {
+    setStep('importing')
+    try {
+      const importResults = await dispatch(importADIFRecords({ operation, preview, duplicates, mapping }))
+      setResults(importResults)
+      trackEvent('import_adif', {
+        import_count: importResults.imported,
+        duplicate_count: preview.duplicateCount,
+        error_count: importResults.errors.length,
+        refs: (operation.refs || []).map(r => r.type).join(',')
+      })
+    } catch (error) {
+      reportError('Error importing ADIF', error)
+    }
+    setStep('done')
+  }, [dispatch, operation, preview, duplicates, mapping])
+
+  if (step === 'done') {
+    return (
+      <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+        <Dialog.Title style={{ textAlign: 'center' }}>ADIF Import</Dialog.Title>
+        <Dialog.Content>
+          {results ? (
+            <Text variant="bodyMedium">
+              {[
+                `${results.imported} imported`,
+                results.merged > 0 && `${results.merged} merged`,
+                results.replaced > 0 && `${results.replaced} replaced`,
+                results.skipped > 0 && `${results.skipped} duplicates skipped`,
+                results.errors.length > 0 && `${results.errors.length} with errors`
+              ].filter(x => x).join(', ')}
+            </Text>
+          ) : (
+            <Text variant="bodyMedium">There was an error importing this file</Text>
+          )}
+        </Dialog.Content>
+        {results?.errors?.length > 0 && (
+          <Dialog.ScrollArea style={{ maxHeight: 300 }}>
+            <ScrollView>
+              {results.errors.map(({ index, errors }) => (
+                <Text key={index} variant="bodySmall">Record #{index + 1}: {errors.join(', ')}</Text>
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+        )}
+        <Dialog.Actions>
+          <Button onPress={onDialogDone}>Done</Button>
+        </Dialog.Actions>
+      </Ham2kDialog>
+    )
+  }
+
+  if (step === 'preview') {
+    return (
+      <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+        <Dialog.Title style={{ textAlign: 'center' }}>ADIF Import</Dialog.Title>
+        <Dialog.Content>
+          <Text variant="bodyMedium">
+            {[
+              `${preview.validCount} QSOs`,
+              preview.duplicateCount > 0 && `${preview.duplicateCount} possible duplicates`,
+              preview.errorCount > 0 && `${preview.errorCount} records with errors`
+            ].filter(x => x).join(', ')}
+          </Text>
+          {preview.errors.map((error, i) => (
+            <Text key={i} variant="bodySmall" style={{ color: styles.theme.colors.error }}>{error}</Text>
+          ))}
+        </Dialog.Content>
+        <Dialog.ScrollArea style={{ maxHeight: 300 }}>
+          <ScrollView>
+            {preview.records.slice(0, MAX_PREVIEW_RECORDS).map(record => (
+              <Text
+                key={record.index}
+                variant="bodySmall"
+                style={!record.qso ? { color: styles.theme.colors.error } : (record.duplicate ? styles.text.bold : {})}
+              >
+                {describeRecord(record)}
+              </Text>
+            ))}
+            {preview.records.length > MAX_PREVIEW_RECORDS && (
+              <Text variant="bodySmall">… and {preview.records.length - MAX_PREVIEW_RECORDS} more</Text>
+            )}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDialogDone}>Cancel</Button>
+          <Button onPress={() => setStep('options')} disabled={preview.validCount === 0}>Next</Button>
+        </Dialog.Actions>
+      </Ham2kDialog>
+    )
+  }
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={step === 'importing' ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>ADIF Import</Dialog.Title>
+      <Dialog.ScrollArea style={{ maxHeight: 450 }}>
+        <ScrollView>
+          {preview.duplicateCount > 0 && (
+            <View style={{ marginTop: styles.oneSpace }}>
+              <Text variant="bodyMedium" style={styles.text.bold}>For possible duplicates:</Text>
+              <RadioButton.Group onValueChange={setDuplicates} value={duplicates}>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="skip" />
+                  <Text onPress={() => setDuplicates('skip')} style={styles.rowText}>Skip them</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="merge" />
+                  <Text onPress={() => setDuplicates('merge')} style={styles.rowText}>Merge with the existing QSO</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="replace" />
+                  <Text onPress={() => setDuplicates('replace')} style={styles.rowText}>Replace the existing QSO</Text>
+                </View>
+              </RadioButton.Group>
+            </View>
+          )}
+
+          {preview.customFields.length > 0 && (
+            <View style={{ marginTop: styles.oneSpace }}>
+              <Text variant="bodyMedium" style={styles.text.bold}>Fields from other applications:</Text>
+              {preview.customFields.map(field => (
+                <View key={field}>
+                  <Text variant="bodyMedium" onPress={() => setMappingField(mappingField === field ? undefined : field)} style={{ paddingVertical: styles.oneSpace / 2 }}>
+                    {field} → {ADIF_MAPPING_TARGETS.find(target => target.key === (mapping[field] ?? 'notes'))?.label}
+                  </Text>
+                  {mappingField === field && (
+                    <RadioButton.Group
+                      onValueChange={(value) => { setMapping({ ...mapping, [field]: value }); setMappingField() }}
+                      value={mapping[field] ?? 'notes'}
+                    >
+                      {ADIF_MAPPING_TARGETS.map(target => (
+                        <View key={target.key} style={{ flexDirection: 'row', alignItems: 'center' }}>
+                          <RadioButton value={target.key} />
+                          <Text onPress={() => { setMapping({ ...mapping, [field]: target.key }); setMappingField() }} style={styles.rowText}>{target.label}</Text>
+                        </View>
+                      ))}
+                    </RadioButton.Group>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
+          {preview.duplicateCount === 0 && preview.customFields.length === 0 && (
+            <Text variant="bodyMedium" style={{ marginTop: styles.oneSpace }}>
+              Ready to import {preview.validCount === 1 ? '1 QSO' : `${preview.validCount} QSOs`}.
+            </Text>
+          )}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={() => setStep('preview')} disabled={step === 'importing'}>Back</Button>
+        <Button onPress={handleImport} disabled={step === 'importing'}>{step === 'importing' ? 'Importing…' : 'Import'}</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,120 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView } from 'react-native'
+
+import { importCabrilloRecords } from '../../../../store/operations'
+import { reportError, trackEvent } from '../../../../distro'
+import { fmtDateZulu, fmtTimeZulu } from '../../../../tools/timeFormats'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+
+const MAX_PREVIEW_RECORDS = 50
+
+function describeRecord (record) {
+  if (!record.qso) return `Line ${record.lineNumber}: ${record.errors.join(', ')}`
+
+  const { qso, duplicate } = record
+  const parts = [fmtDateZulu(qso.startAtMillis), fmtTimeZulu(qso.startAtMillis), qso.their?.call, qso.their?.exchange, qso.band, qso.mode]
+  if (duplicate) parts.push('· already in this operation')
+  return parts.filter(x => x).join(' ')
+}
+
+export function ImportCabrilloDialog ({ operation, preview, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [step, setStep] = useState('preview')
+  const [results, setResults] = useState()
+
+  const handleImport = useCallback(async () => {
+    setStep('importing')
+    try {
+      const importResults = await dispatch(importCabrilloRecords({ operation, preview }))
+      setResults(importResults)
+      trackEvent('import_cabrillo', {
+        import_count: importResults.imported,
+        duplicate_count: importResults.skipped,
+        error_count: importResults.errors.length,
+        contest: preview.handler?.key ?? preview.headers.CONTEST
+      })
+    } catch (error) {
+      reportError('Error importing Cabrillo', error)
+    }
+    setStep('done')
+  }, [dispatch, operation, preview])
+
+  if (step === 'done') {
+    return (
+      <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+        <Dialog.Title style={{ textAlign: 'center' }}>Cabrillo Import</Dialog.Title>
+        <Dialog.Content>
+          {results ? (
+            <Text variant="bodyMedium">
+              {[
+                `${results.imported} imported`,
+                results.skipped > 0 && `${results.skipped} duplicates skipped`,
+                results.errors.length > 0 && `${results.errors.length} with errors`
+              ].filter(x => x).join(', ')}
+            </Text>
+          ) : (
+            <Text variant="bodyMedium">There was an error importing this file</Text>
+          )}
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onDialogDone}>Done</Button>
+        </Dialog.Actions>
+      </Ham2kDialog>
+    )
+  }
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={step === 'importing' ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Cabrillo Import</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">
+          {preview.handler
+            ? `Reading exchanges for ${preview.handler.name}`
+            : `No contest handler for ${preview.headers.CONTEST || 'this log'}, reading exchanges as plain text`}
+        </Text>
+        <Text variant="bodyMedium">
+          {[
+            `${preview.validCount} QSOs`,
+            preview.duplicateCount > 0 && `${preview.duplicateCount} already in this operation`,
+            preview.errorCount > 0 && `${preview.errorCount} lines with errors`
+          ].filter(x => x).join(', ')}
+        </Text>
+        {preview.errors.map((error, i) => (
+          <Text key={i} variant="bodySmall" style={{ color: styles.theme.colors.error }}>Line {error.lineNumber}: {error.message}</Text>
+        ))}
+      </Dialog.Content>
+      <Dialog.ScrollArea style={{ maxHeight: 300 }}>
+        <ScrollView>
+          {preview.records.slice(0, MAX_PREVIEW_RECORDS).map(record => (
+            <Text
+              key={record.lineNumber}
+              variant="bodySmall"
+              style={!record.qso ? { color: styles.theme.colors.error } : (record.duplicate ? styles.text.bold : {})}
+            >
+              {describeRecord(record)}
+            </Text>
+          ))}
+          {preview.records.length > MAX_PREVIEW_RECORDS && (
+            <Text variant="bodySmall">… and {preview.records.length - MAX_PREVIEW_RECORDS} more</Text>
+          )}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone} disabled={step === 'importing'}>Cancel</Button>
+        <Button onPress={handleImport} disabled={step === 'importing' || preview.validCount === preview.duplicateCount}>
+          {step === 'importing' ? 'Importing…' : 'Import'}
+        </Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,57 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView } from 'react-native'
+import { useNavigation } from '@react-navigation/native'
+
+import { mergeOperations } from '../../../../store/operations'
+import { reportError, trackEvent } from '../../../../distro'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+import { OperationPicker } from './OperationPicker'
+
+export function MergeOperationDialog ({ operation, styles, onDialogDone }) {
+  const navigation = useNavigation()
+  const dispatch = useDispatch()
+
+  const [into, setInto] = useState()
+  const [merging, setMerging] = useState(false)
+
+  const handleAccept = useCallback(async () => {
+    setMerging(true)
+    try {
+      const count = await dispatch(mergeOperations({ from: operation.uuid, into }))
+      trackEvent('merge_operations', { qso_count: count })
+      navigation.navigate('Home')
+    } catch (error) {
+      reportError('Error merging operations', error)
+    }
+    onDialogDone && onDialogDone()
+  }, [dispatch, operation.uuid, into, navigation, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={merging ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Merge Operation</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">
+          Move all QSOs from this operation into the one selected below. Duplicate QSOs will be combined, and this operation will be deleted.
+        </Text>
+      </Dialog.Content>
+      <Dialog.ScrollArea style={{ maxHeight: 300 }}>
+        <ScrollView>
+          <OperationPicker operation={operation} value={into} onValueChange={setInto} styles={styles} />
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone} disabled={merging}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={!into || merging}>{merging ? 'Merging…' : 'Merge'}</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,91 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView } from 'react-native'
+
+import { moveQSOs, splitOperation } from '../../../../store/operations'
+import { reportError, trackEvent } from '../../../../distro'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+import { OperationPicker } from './OperationPicker'
+import { QSOSelectionList } from './QSOSelectionList'
+
+const NEW_OPERATION = 'new'
+const NEW_OPERATION_OPTIONS = [{ value: NEW_OPERATION, label: 'A new operation with the same settings' }]
+
+export function MoveQSOsDialog ({ operation, qsos, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [step, setStep] = useState('select')
+  const [selected, setSelected] = useState({})
+  const [destination, setDestination] = useState(NEW_OPERATION)
+
+  const selectedKeys = Object.keys(selected).filter(key => selected[key])
+
+  const handleAccept = useCallback(async () => {
+    setStep('moving')
+    try {
+      if (destination === NEW_OPERATION) {
+        await dispatch(splitOperation({ uuid: operation.uuid, keys: selectedKeys }))
+        trackEvent('split_operation', { by: 'selection', qso_count: selectedKeys.length })
+      } else {
+        await dispatch(moveQSOs({ from: operation.uuid, to: destination, keys: selectedKeys }))
+        trackEvent('move_qsos', { qso_count: selectedKeys.length })
+      }
+    } catch (error) {
+      reportError('Error moving QSOs', error)
+    }
+    onDialogDone && onDialogDone()
+  }, [destination, dispatch, operation.uuid, selectedKeys, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={step === 'moving' ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Move QSOs</Dialog.Title>
+      {step === 'select' ? (
+        <>
+          <Dialog.Content>
+            <Text variant="bodyMedium">Select the QSOs to move. Long press a QSO to select it and all the ones after it.</Text>
+          </Dialog.Content>
+          <Dialog.ScrollArea style={{ maxHeight: 400 }}>
+            <ScrollView>
+              <QSOSelectionList qsos={qsos} selected={selected} onChange={setSelected} styles={styles} />
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={onDialogDone}>Cancel</Button>
+            <Button onPress={() => setStep('destination')} disabled={selectedKeys.length === 0}>
+              {selectedKeys.length > 0 ? `Move ${selectedKeys.length}` : 'Move'}
+            </Button>
+          </Dialog.Actions>
+        </>
+      ) : (
+        <>
+          <Dialog.Content>
+            <Text variant="bodyMedium">Move {selectedKeys.length === 1 ? '1 QSO' : `${selectedKeys.length} QSOs`} to:</Text>
+          </Dialog.Content>
+          <Dialog.ScrollArea style={{ maxHeight: 300 }}>
+            <ScrollView>
+              <OperationPicker
+                operation={operation}
+                value={destination}
+                onValueChange={setDestination}
+                styles={styles}
+                extraOptions={NEW_OPERATION_OPTIONS}
+              />
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setStep('select')} disabled={step === 'moving'}>Back</Button>
+            <Button onPress={handleAccept} disabled={step === 'moving'}>{step === 'moving' ? 'Moving…' : 'Move'}</Button>
+          </Dialog.Actions>
+        </>
+      )}
+    </Ham2kDialog>
+  )
+}
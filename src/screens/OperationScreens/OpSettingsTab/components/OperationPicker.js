@@ -0,0 +1,43 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useMemo } from 'react'
+import { RadioButton, Text } from 'react-native-paper'
+import { useSelector } from 'react-redux'
+import { View } from 'react-native'
+
+import { selectOperationsList } from '../../../../store/operations'
+import { fmtDateNice } from '../../../../tools/timeFormats'
+import { buildTitleForOperation } from '../../OperationScreen'
+
+export function OperationPicker ({ operation, value, onValueChange, styles, extraOptions = [] }) {
+  const operations = useSelector(selectOperationsList)
+
+  const options = useMemo(() => {
+    return [
+      ...extraOptions,
+      ...operations.filter(op => op.uuid !== operation.uuid).map(op => ({
+        value: op.uuid,
+        label: [
+          buildTitleForOperation(op) || 'New Operation',
+          op.startAtMillisMax ? fmtDateNice(op.startAtMillisMax) : undefined
+        ].filter(x => x).join(' · ')
+      }))
+    ]
+  }, [extraOptions, operations, operation.uuid])
+
+  return (
+    <RadioButton.Group onValueChange={onValueChange} value={value}>
+      {options.map(option => (
+        <View key={option.value} style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <RadioButton value={option.value} />
+          <Text onPress={() => onValueChange(option.value)} style={styles.rowText}>{option.label}</Text>
+        </View>
+      ))}
+    </RadioButton.Group>
+  )
+}
@@ -0,0 +1,40 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback } from 'react'
+import { Checkbox, Text } from 'react-native-paper'
+import { View } from 'react-native'
+
+import { fmtDateZulu, fmtTimeZulu } from '../../../../tools/timeFormats'
+
+// `selected` is an object with QSO keys as properties
+export function QSOSelectionList ({ qsos, selected, onChange, styles }) {
+  const toggleQSO = useCallback((key) => {
+    onChange({ ...selected, [key]: !selected[key] })
+  }, [selected, onChange])
+
+  // Long pressing a QSO selects it and every QSO after it
+  const selectFrom = useCallback((key) => {
+    const pos = qsos.findIndex(qso => qso.key === key)
+    const newSelected = {}
+    qsos.slice(pos).forEach(qso => { newSelected[qso.key] = true })
+    onChange(newSelected)
+  }, [qsos, onChange])
+
+  return qsos.map(qso => (
+    <View key={qso.key} style={{ flexDirection: 'row', alignItems: 'center' }}>
+      <Checkbox status={selected[qso.key] ? 'checked' : 'unchecked'} onPress={() => toggleQSO(qso.key)} />
+      <Text
+        onPress={() => toggleQSO(qso.key)}
+        onLongPress={() => selectFrom(qso.key)}
+        style={[styles.rowText, qso.deleted && { textDecorationLine: 'line-through' }]}
+      >
+        {[fmtDateZulu(qso.startAtMillis), fmtTimeZulu(qso.startAtMillis), qso.their?.call, qso.band, qso.mode].filter(x => x).join(' ')}
+      </Text>
+    </View>
+  ))
+}
@@ -0,0 +1,47 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+
+import { splitOperationByDay } from '../../../../store/operations'
+import { reportError, trackEvent } from '../../../../distro'
+import { Ham2kDialog } from '../../../components/Ham2kDialog'
+
+export function SplitByDayDialog ({ operation, days, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [splitting, setSplitting] = useState(false)
+
+  const handleAccept = useCallback(async () => {
+    setSplitting(true)
+    try {
+      const newOperations = await dispatch(splitOperationByDay({ uuid: operation.uuid }))
+      trackEvent('split_operation', { by: 'day', operation_count: newOperations.length })
+    } catch (error) {
+      reportError('Error splitting operation', error)
+    }
+    onDialogDone && onDialogDone()
+  }, [dispatch, operation.uuid, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={splitting ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Split by Day</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">
+          This operation has QSOs on {days} different UTC days. QSOs for the first day will stay here,
+          and a new operation with the same settings will be created for each of the other days.
+        </Text>
+      </Dialog.Content>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone} disabled={splitting}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={splitting}>{splitting ? 'Splitting…' : 'Split'}</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
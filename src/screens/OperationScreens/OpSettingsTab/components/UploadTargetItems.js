@@ -0,0 +1,67 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useMemo } from 'react'
+import { List } from 'react-native-paper'
+
+import { UPLOAD_STATUSES } from '../../../../tools/httpUpload'
+import { fmtDateTimeRelative } from '../../../../tools/timeFormats'
+import { Ham2kListItem } from '../../../components/Ham2kListItem'
+
+const STATUS_ICONS = {
+  uploading: 'progress-upload',
+  pending: 'progress-clock',
+  accepted: 'check-circle-outline',
+  rejected: 'alert-circle-outline',
+  error: 'alert-outline'
+}
+
+export function UploadTargetItems ({ target, operation, settings, styles, disabled, uploading, onUpload, onRefresh }) {
+  const authenticated = !target.isAuthenticated || target.isAuthenticated({ settings })
+  const name = target.targetName ? target.targetName({ settings }) : target.name
+
+  const uploads = useMemo(() => (
+    Object.values(operation?.uploads?.[target.key] || {}).sort((a, b) => (b.updatedAtMillis ?? 0) - (a.updatedAtMillis ?? 0))
+  ), [operation?.uploads, target.key])
+
+  const pendingCount = uploads.filter(upload => upload.status === 'pending').length
+
+  let description
+  if (!authenticated) description = 'Set up your account in Settings first'
+  else if (uploading) description = 'Uploading…'
+  else if (uploads.length === 0) description = 'Not uploaded yet'
+  else description = `Last upload ${fmtDateTimeRelative(uploads[0].updatedAtMillis)}`
+
+  return (
+    <>
+      <Ham2kListItem
+        title={`Upload to ${name}`}
+        description={description}
+        left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon={target.icon ?? 'cloud-upload-outline'} />}
+        onPress={() => !disabled && !uploading && onUpload({ target, authenticated })}
+        style={{ opacity: disabled || uploading ? 0.5 : 1 }}
+        disabled={disabled || uploading}
+      />
+      {uploads.map(upload => (
+        <Ham2kListItem
+          key={upload.fileName}
+          title={upload.fileName}
+          description={[UPLOAD_STATUSES[upload.status] ?? upload.status, upload.message].filter(x => x).join(': ')}
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 4 }} icon={STATUS_ICONS[upload.status] ?? 'file-outline'} />}
+        />
+      ))}
+      {pendingCount > 0 && target.checkStatus && (
+        <Ham2kListItem
+          title="Check upload status"
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 4 }} icon="refresh" />}
+          onPress={() => onRefresh({ target })}
+        />
+      )}
+    </>
+  )
+}
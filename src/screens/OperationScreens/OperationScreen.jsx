@@ -12,8 +12,8 @@ import { SafeAreaView } from 'react-native-safe-area-context'
 import { createMaterialTopTabNavigator } from '@react-navigation/material-top-tabs'
 import KeepAwake from '@sayem314/react-native-keep-awake'
 
-import { loadOperation, selectOperation } from '../../store/operations'
-import { loadQSOs, lookupAllQSOs } from '../../store/qsos'
+import { loadOperation, runAutomaticBackup, selectOperation } from '../../store/operations'
+import { loadQSOs, lookupAllQSOs, redoQSOChanges, selectUndoRedo, undoQSOChanges } from '../../store/qsos'
 import { selectSettings, setSettings } from '../../store/settings'
 import { startTickTock, stopTickTock } from '../../store/time'
 import { useThemedStyles } from '../../styles/tools/useThemedStyles'
@@ -24,7 +24,7 @@ import OpSettingsTab from './OpSettingsTab/OpSettingsTab'
 import OpSpotsTab from './OpSpotsTab/OpSpotsTab'
 import OpMapTab from './OpMapTab/OpMapTab'
 import OpInfoTab from './OpInfoTab/OpInfoTab'
-import { trackOperation } from '../../distro'
+import { reportError, trackOperation } from '../../distro'
 import { selectRuntimeOnline } from '../../store/runtime'
 import { useUIState } from '../../store/ui'
 import { Icon, Menu, Text } from 'react-native-paper'
@@ -42,6 +42,7 @@ export default function OperationScreen (props) {
   const dispatch = useDispatch()
   const operation = useSelector(state => selectOperation(state, route.params.operation.uuid))
   const suggestedQSO = route?.params?.qso
+  const editQSOKey = route?.params?.editQSOKey
   const settings = useSelector(selectSettings)
   const online = useSelector(selectRuntimeOnline)
 
@@ -57,6 +58,14 @@ export default function OperationScreen (props) {
     })
   }, [route.params.operation.uuid, dispatch])
 
+  useEffect(() => { // When leaving the operation, make sure there is a backup that includes its latest QSOs
+    return () => {
+      dispatch(runAutomaticBackup({ operation: route.params.operation.uuid })).catch(error => {
+        reportError('Error running automatic backup', error)
+      })
+    }
+  }, [route.params.operation.uuid, dispatch])
+
   const [lastTracking, setLastTracking] = useState(0)
   useEffect(() => {
     if (Date.now() - lastTracking > 1000 * 60 * 5 && online) {
@@ -149,7 +158,7 @@ export default function OperationScreen (props) {
               }}
             >
               <HeaderBar options={headerOptions} navigation={navigation} back={true} rightAction={'cog'} />
-              <OpLoggingTab navigation={navigation} route={{ params: { operation, qso: suggestedQSO, splitView } }} />
+              <OpLoggingTab navigation={navigation} route={{ params: { operation, qso: suggestedQSO, editQSOKey, splitView } }} />
             </Animated.View>
             <View
               style={{
@@ -268,7 +277,7 @@ export default function OperationScreen (props) {
                 name="OpLog"
                 options={{ title: 'QSOs' }}
                 component={OpLoggingTab}
-                initialParams={{ uuid: operation.uuid, operation }}
+                initialParams={{ uuid: operation.uuid, operation, editQSOKey }}
               />
 
               <Tab.Screen
@@ -334,6 +343,8 @@ function OperationMenuItems ({ operation, settings, styles, dispatch, online, se
     setTimeout(() => action(), 10)
   }, [setShowMenu])
 
+  const { undo, redo } = useSelector(state => selectUndoRedo(state, operation?.uuid))
+
   return (
     <>
       <Text style={{ marginHorizontal: styles.oneSpace * 2, marginVertical: styles.oneSpace * 1, ...styles.text.bold }}>
@@ -362,6 +373,18 @@ function OperationMenuItems ({ operation, settings, styles, dispatch, online, se
         onPress={() => hideAndRun(() => dispatch(lookupAllQSOs(operation.uuid)))}
         title={'Lookup all QSOs'}
       />
+      <Menu.Item
+        leadingIcon="undo"
+        disabled={!undo}
+        onPress={() => hideAndRun(() => dispatch(undoQSOChanges(operation.uuid)))}
+        title={undo ? `Undo ${undo.label}` : 'Undo'}
+      />
+      <Menu.Item
+        leadingIcon="redo"
+        disabled={!redo}
+        onPress={() => hideAndRun(() => dispatch(redoQSOChanges(operation.uuid)))}
+        title={redo ? `Redo ${redo.label}` : 'Redo'}
+      />
     </>
   )
 }
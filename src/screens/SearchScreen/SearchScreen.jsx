@@ -0,0 +1,123 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react'
+import { SectionList, View } from 'react-native'
+import { Searchbar, Text } from 'react-native-paper'
+
+import { useThemedStyles } from '../../styles/tools/useThemedStyles'
+import { searchQSOs } from '../../store/qsos'
+import { reportError } from '../../distro'
+import { fmtFreqInMHz } from '../../tools/frequencyFormats'
+import { fmtDateTimeZuluDynamic } from '../../tools/timeFormats'
+import ScreenContainer from '../components/ScreenContainer'
+import { Ham2kListItem } from '../components/Ham2kListItem'
+import { Ham2kListSubheader } from '../components/Ham2kListSubheader'
+import { Ham2kMarkdown } from '../components/Ham2kMarkdown'
+import { buildTitleForOperation } from '../OperationScreens/OperationScreen'
+
+const SEARCH_HELP = `
+Search for callsigns (\`K1ABC\`, \`K1*\`, \`W?XYZ\`) or combine any of:
+
+- \`pota:US-1234\`, \`sota:W2/HH-001\`... for references worked or activated
+- \`date:2024-06-01\`, \`date:2024-06\`, \`date:2024-01..2024-03\`
+- \`freq:14.074\`, \`freq:14..14.35\`
+- \`band:20m\`, \`mode:CW\`, \`grid:FN20\`, \`state:NY\`
+- \`"some text"\` or \`notes:text\` for QSO notes
+- \`op:"field day"\` for operation titles
+`
+
+export default function SearchScreen ({ navigation, route }) {
+  const styles = useThemedStyles()
+
+  const [search, setSearch] = useState(route?.params?.search ?? '')
+  const [results, setResults] = useState()
+
+  useEffect(() => {
+    const timeout = setTimeout(async () => {
+      try {
+        setResults(await searchQSOs(search))
+      } catch (error) {
+        reportError('Error searching QSOs', error)
+      }
+    }, 300)
+
+    return () => clearTimeout(timeout)
+  }, [search])
+
+  const handleSelect = useCallback(({ qso, operation }) => {
+    if (operation.uuid === 'historical') return
+
+    navigation.navigate('Operation', { uuid: operation.uuid, operation, editQSOKey: qso.key })
+  }, [navigation])
+
+  const renderSectionHeader = useCallback(({ section }) => {
+    const { operation } = section
+    const title = operation.uuid === 'historical' ? operation.title : buildTitleForOperation(operation)
+
+    return (
+      <Ham2kListSubheader title={`${title} (${section.data.length})`} />
+    )
+  }, [])
+
+  const renderItem = useCallback(({ item, section }) => {
+    const qso = item
+    const description = [
+      fmtDateTimeZuluDynamic(qso.startAtMillis),
+      (qso.refs || []).map(ref => ref.ref).filter(x => x).join(', '),
+      qso.notes
+    ].filter(x => x).join(' • ')
+
+    return (
+      <Ham2kListItem
+        title={[qso.their?.call, qso.freq ? fmtFreqInMHz(qso.freq) : qso.band, qso.mode].filter(x => x).join('  ')}
+        description={description}
+        descriptionNumberOfLines={2}
+        onPress={() => handleSelect({ qso, operation: section.operation })}
+      />
+    )
+  }, [handleSelect])
+
+  return (
+    <ScreenContainer>
+      <View style={{ padding: styles.oneSpace, backgroundColor: styles.colors.primary }}>
+        <Searchbar
+          autoComplete={'off'}
+          autoCorrect={false}
+          spellCheck={false}
+          autoCapitalize={'none'}
+          placeholder={'Search all QSOs…'}
+          value={search}
+          onChangeText={setSearch}
+        />
+      </View>
+      {results?.query?.errors?.length > 0 && (
+        <Text style={{ padding: styles.oneSpace * 2, color: styles.theme.colors.error }}>
+          {results.query.errors.join('\n')}
+        </Text>
+      )}
+      {results?.count > 0 ? (
+        <SectionList
+          sections={results.sections}
+          keyExtractor={(item, index) => `${item.uuid ?? item.key}-${index}`}
+          renderItem={renderItem}
+          renderSectionHeader={renderSectionHeader}
+          stickySectionHeadersEnabled={true}
+          keyboardShouldPersistTaps={'handled'}
+        />
+      ) : (
+        <View style={{ padding: styles.oneSpace * 2 }}>
+          {search ? (
+            <Text>No QSOs found</Text>
+          ) : (
+            <Ham2kMarkdown>{SEARCH_HELP}</Ham2kMarkdown>
+          )}
+        </View>
+      )}
+    </ScreenContainer>
+  )
+}
@@ -0,0 +1,66 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react'
+import { Button, Dialog, RadioButton, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { View } from 'react-native'
+
+import { setSettings } from '../../../store/settings'
+import { DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP } from '../../../store/operations'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+
+const OPTIONS = [3, 7, 14, 30]
+
+export function BackupsToKeepDialog ({ visible, settings, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [dialogVisible, setDialogVisible] = useState(false)
+  const [value, setValue] = useState()
+
+  useEffect(() => {
+    setDialogVisible(visible)
+  }, [visible])
+
+  useEffect(() => {
+    setValue(`${settings?.automaticBackupsToKeep ?? DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP}`)
+  }, [settings])
+
+  const handleAccept = useCallback(() => {
+    dispatch(setSettings({ automaticBackupsToKeep: Number(value) }))
+    setDialogVisible(false)
+    onDialogDone && onDialogDone()
+  }, [value, dispatch, onDialogDone])
+
+  const handleCancel = useCallback(() => {
+    setDialogVisible(false)
+    onDialogDone && onDialogDone()
+  }, [onDialogDone])
+
+  return (
+    <Ham2kDialog visible={dialogVisible} onDismiss={handleCancel}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Backups to Keep</Dialog.Title>
+      <Dialog.Content>
+        <RadioButton.Group
+          onValueChange={(v) => setValue(v)}
+          value={value}
+        >
+          {OPTIONS.map(option => (
+            <View key={option} style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <RadioButton value={`${option}`} />
+              <Text onPress={() => setValue(`${option}`)} style={styles.rowText}>Keep the last {option} backups</Text>
+            </View>
+          ))}
+        </RadioButton.Group>
+      </Dialog.Content>
+      <Dialog.Actions>
+        <Button onPress={handleCancel}>Cancel</Button>
+        <Button onPress={handleAccept}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
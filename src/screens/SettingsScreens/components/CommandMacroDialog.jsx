@@ -0,0 +1,83 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Dialog, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+
+import { setSettings } from '../../../store/settings'
+import { findChainedCommands, findMatchingCommand, splitChainedCommands } from '../../../extensions/commands/commandHandling'
+import { normalizeMacroName, validateCommandMacro } from '../../../tools/commandMacros'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+import ThemedTextInput from '../../components/ThemedTextInput'
+
+export function CommandMacroDialog ({ macro, settings, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [values, setValues] = useState({ ...macro })
+  const updateValues = useCallback((changes) => setValues({ ...values, ...changes }), [values])
+
+  const problems = useMemo(() => {
+    const list = validateCommandMacro(values, settings)
+
+    const commands = splitChainedCommands(values.commands, { settings }).join(',')
+    if (commands && !findMatchingCommand(commands, { settings }).matchingCommand && !findChainedCommands(commands, { settings })) {
+      list.push('Some of the commands are not valid')
+    }
+    return list
+  }, [values, settings])
+
+  const handleAccept = useCallback(() => {
+    dispatch(setSettings({ commandMacros: { ...settings.commandMacros, [values.key]: values } }))
+    onDialogDone && onDialogDone()
+  }, [dispatch, settings.commandMacros, values, onDialogDone])
+
+  const handleDelete = useCallback(() => {
+    const commandMacros = { ...settings.commandMacros }
+    delete commandMacros[values.key]
+    dispatch(setSettings({ commandMacros }))
+    onDialogDone && onDialogDone()
+  }, [dispatch, settings.commandMacros, values.key, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Command Macro</Dialog.Title>
+      <Dialog.Content>
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={values.name}
+          label="Name"
+          placeholder="QRP40"
+          onChangeText={(text) => updateValues({ name: normalizeMacroName(text) })}
+        />
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={values.commands}
+          label="Commands"
+          placeholder="40m, CW, 5W"
+          autoCapitalize={'characters'}
+          onChangeText={(text) => updateValues({ commands: text })}
+        />
+        <Text variant="bodySmall" style={{ marginTop: styles.oneSpace }}>
+          Separate commands with commas or spaces.
+        </Text>
+        {values.name && values.commands && problems.map(problem => (
+          <Text key={problem} variant="bodySmall" style={{ marginTop: styles.oneSpace, color: styles.theme.colors.error }}>
+            {problem}
+          </Text>
+        ))}
+      </Dialog.Content>
+      <Dialog.Actions>
+        {settings.commandMacros?.[values.key] && (
+          <Button onPress={handleDelete}>Delete</Button>
+        )}
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={problems.length > 0}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,136 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Checkbox, Dialog, RadioButton, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+
+import { setSettings } from '../../../store/settings'
+import { DATA_FORMAT_DESCRIPTIONS } from '../../../store/operations'
+import {
+  DEFAULT_EXPORT_PROFILE, EXPORT_CHARSETS, EXPORT_PROFILE_FORMATS, EXPORT_PROFILE_SCOPES, OPTIONAL_ADIF_FIELDS, TEMPLATE_VARIABLES
+} from '../../../tools/exportProfiles'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+import ThemedTextInput from '../../components/ThemedTextInput'
+
+function CheckboxRow ({ label, checked, onPress, styles }) {
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+      <Checkbox status={checked ? 'checked' : 'unchecked'} onPress={onPress} />
+      <Text onPress={onPress} style={styles.rowText}>{label}</Text>
+    </View>
+  )
+}
+
+function RadioRow ({ value, label, onPress, styles }) {
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+      <RadioButton value={value} />
+      <Text onPress={() => onPress(value)} style={styles.rowText}>{label}</Text>
+    </View>
+  )
+}
+
+export function ExportProfileDialog ({ profile, settings, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [values, setValues] = useState({ ...DEFAULT_EXPORT_PROFILE, ...profile })
+  const updateValues = useCallback((changes) => setValues({ ...values, ...changes }), [values])
+
+  const formats = useMemo(() => values.formats ?? EXPORT_PROFILE_FORMATS, [values.formats])
+  const toggleFormat = useCallback((format) => {
+    if (formats.includes(format)) updateValues({ formats: formats.filter(f => f !== format) })
+    else updateValues({ formats: EXPORT_PROFILE_FORMATS.filter(f => f === format || formats.includes(f)) })
+  }, [formats, updateValues])
+
+  const excluded = useMemo(() => values.excludedADIFFields ?? [], [values.excludedADIFFields])
+  const toggleField = useCallback((field) => {
+    if (excluded.includes(field)) updateValues({ excludedADIFFields: excluded.filter(f => f !== field) })
+    else updateValues({ excludedADIFFields: [...excluded, field] })
+  }, [excluded, updateValues])
+
+  const handleAccept = useCallback(() => {
+    dispatch(setSettings({ exportProfiles: { ...settings.exportProfiles, [values.key]: values } }))
+    onDialogDone && onDialogDone()
+  }, [dispatch, settings.exportProfiles, values, onDialogDone])
+
+  const handleDelete = useCallback(() => {
+    const exportProfiles = { ...settings.exportProfiles }
+    delete exportProfiles[values.key]
+    const changes = { exportProfiles }
+    if (settings.exportProfile === values.key) changes.exportProfile = undefined
+    dispatch(setSettings(changes))
+    onDialogDone && onDialogDone()
+  }, [dispatch, settings.exportProfiles, settings.exportProfile, values.key, onDialogDone])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Export Profile</Dialog.Title>
+      <Dialog.ScrollArea style={{ maxHeight: 500 }}>
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <ThemedTextInput
+            style={[styles.input, { marginTop: styles.oneSpace }]}
+            value={values.name}
+            label="Name"
+            onChangeText={(text) => updateValues({ name: text })}
+          />
+          <ThemedTextInput
+            style={[styles.input, { marginTop: styles.oneSpace }]}
+            value={values.nameTemplate}
+            label="File Name"
+            placeholder="Leave empty for the usual names"
+            autoCapitalize={'none'}
+            onChangeText={(text) => updateValues({ nameTemplate: text })}
+          />
+          <ThemedTextInput
+            style={[styles.input, { marginTop: styles.oneSpace }]}
+            value={values.titleTemplate}
+            label="Title"
+            placeholder="Leave empty for the usual titles"
+            autoCapitalize={'none'}
+            onChangeText={(text) => updateValues({ titleTemplate: text })}
+          />
+          <Text variant="bodySmall" style={{ marginTop: styles.oneSpace }}>
+            You can use {TEMPLATE_VARIABLES.map(variable => `{${variable}}`).join(', ')}
+          </Text>
+
+          <Text variant="titleSmall" style={{ marginTop: styles.oneSpace * 2 }}>Formats</Text>
+          {EXPORT_PROFILE_FORMATS.map(format => (
+            <CheckboxRow key={format} label={DATA_FORMAT_DESCRIPTIONS[format]} checked={formats.includes(format)} onPress={() => toggleFormat(format)} styles={styles} />
+          ))}
+
+          <Text variant="titleSmall" style={{ marginTop: styles.oneSpace * 2 }}>Files</Text>
+          <RadioButton.Group onValueChange={(value) => updateValues({ scope: value })} value={values.scope}>
+            {Object.keys(EXPORT_PROFILE_SCOPES).map(scope => (
+              <RadioRow key={scope} value={scope} label={EXPORT_PROFILE_SCOPES[scope]} onPress={(value) => updateValues({ scope: value })} styles={styles} />
+            ))}
+          </RadioButton.Group>
+
+          <Text variant="titleSmall" style={{ marginTop: styles.oneSpace * 2 }}>Characters</Text>
+          <RadioButton.Group onValueChange={(value) => updateValues({ charset: value })} value={values.charset}>
+            {Object.keys(EXPORT_CHARSETS).map(charset => (
+              <RadioRow key={charset} value={charset} label={EXPORT_CHARSETS[charset]} onPress={(value) => updateValues({ charset: value })} styles={styles} />
+            ))}
+          </RadioButton.Group>
+
+          <Text variant="titleSmall" style={{ marginTop: styles.oneSpace * 2 }}>Optional ADIF Fields</Text>
+          {OPTIONAL_ADIF_FIELDS.map(field => (
+            <CheckboxRow key={field} label={field} checked={!excluded.includes(field)} onPress={() => toggleField(field)} styles={styles} />
+          ))}
+        </ScrollView>
+      </Dialog.ScrollArea>
+      <Dialog.Actions>
+        {settings.exportProfiles?.[values.key] && (
+          <Button onPress={handleDelete}>Delete</Button>
+        )}
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={handleAccept} disabled={!values.name || formats.length === 0}>Ok</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
@@ -0,0 +1,132 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Dialog, RadioButton, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { ScrollView, View } from 'react-native'
+import { fmtNumber } from '@ham2k/lib-format-tools'
+
+import { reportError } from '../../../distro'
+import { importQSONData } from '../../../store/operations'
+import { fmtDateTimeZuluDynamic } from '../../../tools/timeFormats'
+import { countTemplate } from '../../../tools/stringTools'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  updated: 'Updated'
+}
+
+const MAX_CHANGES_LISTED = 50
+
+function summaryText (summary) {
+  return [
+    `${fmtNumber(summary.added)} added`,
+    summary.updated > 0 && `${fmtNumber(summary.updated)} updated`,
+    summary.unchanged > 0 && `${fmtNumber(summary.unchanged)} unchanged`,
+    summary.onlyLocal > 0 && `${fmtNumber(summary.onlyLocal)} only on this device`
+  ].filter(x => x).join(', ')
+}
+
+export function ImportQSONDialog ({ importData, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const { data, existing, plan, qsoCount } = importData
+
+  const [mode, setMode] = useState('merge')
+  const [status, setStatus] = useState()
+  const [results, setResults] = useState()
+
+  const handleImport = useCallback(async () => {
+    setStatus('importing')
+    try {
+      setResults(await dispatch(importQSONData({ data, mode })))
+    } catch (error) {
+      reportError('Error importing QSON', error)
+    }
+    setStatus('done')
+  }, [dispatch, data, mode])
+
+  const title = existing?.title || data.operation.title || data.operation.stationCall || 'operation'
+  const changes = results?.changes ?? []
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={status === 'importing' ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Import QSON File</Dialog.Title>
+      {status === 'done' ? (
+        <Dialog.Content>
+          {results ? (
+            <>
+              <Text variant="bodyMedium">
+                {results.mode === 'keep' ? 'Imported as a new operation: ' : 'QSOs '}
+                {summaryText(results)}
+              </Text>
+              {changes.length > 0 && (
+                <ScrollView style={{ maxHeight: styles.oneSpace * 30, marginTop: styles.oneSpace }}>
+                  {changes.slice(0, MAX_CHANGES_LISTED).map(change => (
+                    <Text key={change.key} variant="bodySmall">
+                      {CHANGE_LABELS[change.type] ?? change.type} {change.call} {fmtDateTimeZuluDynamic(change.startAtMillis, { compact: true })}
+                    </Text>
+                  ))}
+                  {changes.length > MAX_CHANGES_LISTED && (
+                    <Text variant="bodySmall">…and {fmtNumber(changes.length - MAX_CHANGES_LISTED)} more</Text>
+                  )}
+                </ScrollView>
+              )}
+            </>
+          ) : (
+            <Text variant="bodyMedium">There was an error importing this file</Text>
+          )}
+        </Dialog.Content>
+      ) : (
+        <>
+          <Dialog.Content>
+            <Text variant="bodyMedium">
+              {countTemplate(qsoCount, { zero: 'No QSOs', one: '1 QSO', more: '{fmtCount} QSOs' }, { fmtCount: fmtNumber(qsoCount) })}
+              {` for ${title}`}
+            </Text>
+          </Dialog.Content>
+          {existing && (
+            <Dialog.Content>
+              <Text variant="bodyMedium" style={styles.text.bold}>
+                This operation already exists on this device
+              </Text>
+              {plan && (
+                <Text variant="bodyMedium">If merged: {summaryText(plan.summary)}</Text>
+              )}
+              <RadioButton.Group onValueChange={setMode} value={mode}>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="merge" />
+                  <Text onPress={() => setMode('merge')} style={styles.rowText}>Merge QSOs from both</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="keep" />
+                  <Text onPress={() => setMode('keep')} style={styles.rowText}>Keep both, import as a new copy</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="replace" />
+                  <Text onPress={() => setMode('replace')} style={styles.rowText}>Replace the one on this device</Text>
+                </View>
+              </RadioButton.Group>
+            </Dialog.Content>
+          )}
+        </>
+      )}
+      <Dialog.Actions style={{ justifyContent: 'space-between' }}>
+        {status === 'done' ? (
+          <Button onPress={onDialogDone}>Done</Button>
+        ) : (
+          <>
+            <Button onPress={onDialogDone} disabled={status === 'importing'}>Cancel</Button>
+            <Button onPress={handleImport} disabled={status === 'importing'}>{status === 'importing' ? 'Importing…' : 'Import'}</Button>
+          </>
+        )}
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
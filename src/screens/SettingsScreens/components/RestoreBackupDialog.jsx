@@ -0,0 +1,116 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import React, { useCallback, useState } from 'react'
+import { Button, Checkbox, Dialog, RadioButton, Text } from 'react-native-paper'
+import { useDispatch } from 'react-redux'
+import { View } from 'react-native'
+import { fmtNumber } from '@ham2k/lib-format-tools'
+
+import { reportError, trackEvent } from '../../../distro'
+import { restoreBackup } from '../../../store/operations'
+import { fmtDateTimeNice } from '../../../tools/timeFormats'
+import { countTemplate } from '../../../tools/stringTools'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+
+export function RestoreBackupDialog ({ backup, summary, styles, onDialogDone }) {
+  const dispatch = useDispatch()
+
+  const [conflicts, setConflicts] = useState('skip')
+  const [restoreSettings, setRestoreSettings] = useState(true)
+  const [status, setStatus] = useState()
+  const [results, setResults] = useState()
+
+  const handleRestore = useCallback(async () => {
+    setStatus('restoring')
+    try {
+      setResults(await dispatch(restoreBackup(backup, { conflicts, restoreSettings })))
+      trackEvent('restore_backup', { operations: summary.operationCount, conflicts })
+    } catch (error) {
+      reportError('Error restoring backup', error)
+    }
+    setStatus('done')
+  }, [dispatch, backup, conflicts, restoreSettings, summary])
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={status === 'restoring' ? undefined : onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Restore from Backup</Dialog.Title>
+      {status === 'done' ? (
+        <Dialog.Content>
+          {results ? (
+            <Text variant="bodyMedium">
+              {[
+                `${fmtNumber(results.restored)} restored`,
+                results.replaced > 0 && `${fmtNumber(results.replaced)} replaced`,
+                results.copied > 0 && `${fmtNumber(results.copied)} restored as copies`,
+                results.skipped > 0 && `${fmtNumber(results.skipped)} skipped`
+              ].filter(x => x).join(', ')}
+            </Text>
+          ) : (
+            <Text variant="bodyMedium">There was an error restoring this backup</Text>
+          )}
+        </Dialog.Content>
+      ) : (
+        <>
+          <Dialog.Content>
+            <Text variant="bodyMedium">
+              Backup from {fmtDateTimeNice(summary.createdAtMillis)}
+              {summary.createdOnDeviceName ? ` on ${summary.createdOnDeviceName}` : ''}
+            </Text>
+            <Text variant="bodyMedium">
+              {countTemplate(summary.operationCount, { zero: 'No operations', one: '1 operation', more: '{count} operations' })}
+              {' with '}
+              {countTemplate(summary.qsoCount, { zero: 'no QSOs', one: '1 QSO', more: '{fmtCount} QSOs' }, { fmtCount: fmtNumber(summary.qsoCount) })}
+            </Text>
+            {summary.historicalQSOCount > 0 && (
+              <Text variant="bodyMedium">
+                {countTemplate(summary.historicalQSOCount, { one: '1 historical record', more: '{fmtCount} historical records' }, { fmtCount: fmtNumber(summary.historicalQSOCount) })}
+              </Text>
+            )}
+          </Dialog.Content>
+          {summary.conflictCount > 0 && (
+            <Dialog.Content>
+              <Text variant="bodyMedium" style={styles.text.bold}>
+                {countTemplate(summary.conflictCount, { one: '1 operation already exists on this device', more: '{count} operations already exist on this device' })}
+              </Text>
+              <RadioButton.Group onValueChange={setConflicts} value={conflicts}>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="skip" />
+                  <Text onPress={() => setConflicts('skip')} style={styles.rowText}>Keep the ones on this device</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="replace" />
+                  <Text onPress={() => setConflicts('replace')} style={styles.rowText}>Replace them with the backup</Text>
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  <RadioButton value="copy" />
+                  <Text onPress={() => setConflicts('copy')} style={styles.rowText}>Restore them as new copies</Text>
+                </View>
+              </RadioButton.Group>
+            </Dialog.Content>
+          )}
+          <Dialog.Content>
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Checkbox status={restoreSettings ? 'checked' : 'unchecked'} onPress={() => setRestoreSettings(!restoreSettings)} />
+              <Text onPress={() => setRestoreSettings(!restoreSettings)} style={styles.rowText}>Also restore settings</Text>
+            </View>
+          </Dialog.Content>
+        </>
+      )}
+      <Dialog.Actions style={{ justifyContent: 'space-between' }}>
+        {status === 'done' ? (
+          <Button onPress={onDialogDone}>Done</Button>
+        ) : (
+          <>
+            <Button onPress={onDialogDone} disabled={status === 'restoring'}>Cancel</Button>
+            <Button onPress={handleRestore} disabled={status === 'restoring'}>{status === 'restoring' ? 'Restoring…' : 'Restore'}</Button>
+          </>
+        )}
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
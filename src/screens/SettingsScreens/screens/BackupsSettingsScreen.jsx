@@ -0,0 +1,144 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useCallback, useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Dialog, List, Switch, Text } from 'react-native-paper'
+import { ScrollView } from 'react-native'
+
+import { reportError } from '../../../distro'
+
+import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
+import { selectSettings, setSettings } from '../../../store/settings'
+import { DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP, listBackupSnapshots, readBackupFile, runAutomaticBackup } from '../../../store/operations'
+import { fmtDateTimeNice, fmtDateTimeRelative } from '../../../tools/timeFormats'
+import { fmtMegabytes } from '../../../tools/numberFormats'
+import ScreenContainer from '../../components/ScreenContainer'
+import { Ham2kListItem } from '../../components/Ham2kListItem'
+import { Ham2kListSection } from '../../components/Ham2kListSection'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+import { RestoreBackupDialog } from '../components/RestoreBackupDialog'
+import { BackupsToKeepDialog } from '../components/BackupsToKeepDialog'
+
+export default function BackupsSettingsScreen ({ navigation }) {
+  const dispatch = useDispatch()
+  const styles = useThemedStyles()
+  const settings = useSelector(selectSettings)
+
+  const [currentDialog, setCurrentDialog] = useState()
+  const [message, setMessage] = useState()
+
+  const [snapshots, setSnapshots] = useState([])
+  const refreshSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await listBackupSnapshots())
+    } catch (error) {
+      reportError('Error listing backups', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    refreshSnapshots()
+  }, [refreshSnapshots, settings.automaticBackupsToKeep])
+
+  const handleBackupNow = useCallback(async () => {
+    setMessage('Creating backup...')
+    try {
+      await dispatch(runAutomaticBackup())
+    } catch (error) {
+      reportError('Error creating backup', error)
+    }
+    setMessage()
+    refreshSnapshots()
+  }, [dispatch, refreshSnapshots])
+
+  const [backupToRestore, setBackupToRestore] = useState()
+  const handleSnapshot = useCallback(async (snapshot) => {
+    try {
+      setBackupToRestore(await dispatch(readBackupFile(snapshot.path)))
+    } catch (error) {
+      setMessage(error.message)
+      setTimeout(() => setMessage(), 3000)
+    }
+  }, [dispatch])
+
+  const enabled = settings.automaticBackups !== false
+
+  return (
+    <ScreenContainer>
+      {message && (
+        <Ham2kDialog visible={true} onDismiss={() => setMessage()}>
+          <Dialog.Content>
+            <Text variant="bodyMedium" style={{ textAlign: 'center' }}>{message}</Text>
+          </Dialog.Content>
+        </Ham2kDialog>
+      )}
+
+      {backupToRestore && (
+        <RestoreBackupDialog
+          backup={backupToRestore.backup}
+          summary={backupToRestore.summary}
+          styles={styles}
+          onDialogDone={() => setBackupToRestore()}
+        />
+      )}
+
+      <ScrollView style={{ flex: 1 }}>
+        <Ham2kListSection>
+          <Ham2kListItem
+            title="Automatic Backups"
+            description={enabled ? 'Once a day, and after each operation' : 'Disabled'}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-clock-outline" />}
+            right={() => <Switch value={enabled} onValueChange={(value) => dispatch(setSettings({ automaticBackups: value }))} />}
+            onPress={() => dispatch(setSettings({ automaticBackups: !enabled }))}
+          />
+          <Ham2kListItem
+            title="Backups to Keep"
+            description={`The last ${settings.automaticBackupsToKeep ?? DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP} backups are kept on this device`}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="counter" />}
+            onPress={() => setCurrentDialog('toKeep')}
+          />
+          {currentDialog === 'toKeep' && (
+            <BackupsToKeepDialog
+              settings={settings}
+              styles={styles}
+              visible={true}
+              onDialogDone={() => setCurrentDialog('')}
+            />
+          )}
+          {enabled && (
+            <Ham2kListItem
+              title="Backup Now"
+              description={snapshots[0] ? `Last backup ${fmtDateTimeRelative(snapshots[0].createdAtMillis)}` : 'No backups yet'}
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-arrow-down-outline" />}
+              onPress={handleBackupNow}
+            />
+          )}
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Snapshots'}>
+          {snapshots.length === 0 && (
+            <Ham2kListItem
+              title="No backups yet"
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-off-outline" />}
+            />
+          )}
+          {snapshots.map(snapshot => (
+            <Ham2kListItem
+              key={snapshot.path}
+              title={fmtDateTimeNice(snapshot.createdAtMillis)}
+              description={`${fmtMegabytes(snapshot.size)} · Tap to restore`}
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-outline" />}
+              onPress={() => handleSnapshot(snapshot)}
+            />
+          ))}
+        </Ham2kListSection>
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
@@ -0,0 +1,63 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useCallback, useMemo, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { List, Text } from 'react-native-paper'
+import { ScrollView } from 'react-native'
+import UUID from 'react-native-uuid'
+
+import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
+import { selectSettings } from '../../../store/settings'
+import { commandMacrosFromSettings } from '../../../tools/commandMacros'
+import { splitChainedCommands } from '../../../extensions/commands/commandHandling'
+import ScreenContainer from '../../components/ScreenContainer'
+import { Ham2kListItem } from '../../components/Ham2kListItem'
+import { Ham2kListSection } from '../../components/Ham2kListSection'
+import { CommandMacroDialog } from '../components/CommandMacroDialog'
+
+export default function CommandMacrosSettingsScreen ({ navigation }) {
+  const styles = useThemedStyles()
+  const settings = useSelector(selectSettings)
+
+  const macros = useMemo(() => commandMacrosFromSettings(settings), [settings])
+  const [editing, setEditing] = useState()
+
+  const handleNew = useCallback(() => {
+    setEditing({ key: UUID.v4(), name: '', commands: '' })
+  }, [])
+
+  return (
+    <ScreenContainer>
+      <ScrollView style={{ flex: 1 }}>
+        <Ham2kListSection title={'Command Macros'}>
+          <Text style={{ marginHorizontal: styles.oneSpace * 2, marginBottom: styles.oneSpace }}>
+            Type the name of a macro in the callsign field, or use the Macros button while logging, to run all its commands at once.
+          </Text>
+          {macros.map(macro => (
+            <Ham2kListItem
+              key={macro.key}
+              title={macro.name}
+              description={splitChainedCommands(macro.commands, { settings }).join(', ')}
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="play-box-multiple-outline" />}
+              onPress={() => setEditing(macro)}
+            />
+          ))}
+          <Ham2kListItem
+            title="Add a new macro"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="plus" />}
+            onPress={handleNew}
+          />
+        </Ham2kListSection>
+        {editing && (
+          <CommandMacroDialog macro={editing} settings={settings} styles={styles} onDialogDone={() => setEditing()} />
+        )}
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
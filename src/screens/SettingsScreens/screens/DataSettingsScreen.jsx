@@ -12,23 +12,26 @@ import { Button, Dialog, List, Text } from 'react-native-paper'
 import { ScrollView } from 'react-native'
 import DocumentPicker from 'react-native-document-picker'
 import RNFetchBlob from 'react-native-blob-util'
+import Share from 'react-native-share'
 import { fmtNumber } from '@ham2k/lib-format-tools'
 
-import { reportError } from '../../../distro'
+import { reportError, trackEvent } from '../../../distro'
 
 import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
 import { getDataFileDefinitions, selectAllDataFileInfos } from '../../../store/dataFiles'
 import { fetchDataFile } from '../../../store/dataFiles/actions/dataFileFS'
 import { selectSettings } from '../../../store/settings'
-import { countHistoricalRecords, deleteHistoricalRecords, importHistoricalADIF } from '../../../store/operations'
+import { countHistoricalRecords, deleteHistoricalRecords, generateBackupFile, importHistoricalADIF, readBackupFile } from '../../../store/operations'
 import { fmtDateTimeNice, fmtDateTimeRelative } from '../../../tools/timeFormats'
 import { findHooks } from '../../../extensions/registry'
 import { countTemplate } from '../../../tools/stringTools'
+import { activeExportProfile } from '../../../tools/exportProfiles'
 import ScreenContainer from '../../components/ScreenContainer'
 import { Ham2kListItem } from '../../components/Ham2kListItem'
 import { Ham2kListSection } from '../../components/Ham2kListSection'
 import { Ham2kDialog } from '../../components/Ham2kDialog'
 import { Ham2kMarkdown } from '../../components/Ham2kMarkdown'
+import { RestoreBackupDialog } from '../components/RestoreBackupDialog'
 
 const DataFileDefinitionItem = ({ def, settings, info, styles, onPress }) => {
   const Icon = useMemo(() => (
@@ -182,8 +185,66 @@ export default function DataSettingsScreen ({ navigation }) {
     setHistoricalCount(await dispatch(countHistoricalRecords()))
   }, [dispatch])
 
+  const [backupMessage, setBackupMessage] = useState()
+  const handleBackup = useCallback(async () => {
+    setBackupMessage('Preparing backup...')
+    try {
+      const path = await dispatch(generateBackupFile())
+      trackEvent('backup_everything', {})
+      setBackupMessage()
+      await Share.open({
+        urls: [`file://${path}`],
+        type: 'application/json'
+      })
+    } catch (error) {
+      if (error?.message?.indexOf('User did not share') >= 0) {
+        // ignore
+      } else {
+        reportError('Error creating backup', error)
+      }
+    }
+    setBackupMessage()
+  }, [dispatch])
+
+  const [backupToRestore, setBackupToRestore] = useState()
+  const handleRestore = useCallback(() => {
+    DocumentPicker.pickSingle({ mode: 'import', copyTo: 'cachesDirectory' }).then(async (file) => {
+      const filename = decodeURIComponent(file.fileCopyUri.replace('file://', ''))
+      try {
+        setBackupToRestore(await dispatch(readBackupFile(filename)))
+      } catch (error) {
+        setBackupMessage(error.message)
+        setTimeout(() => setBackupMessage(), 3000)
+      }
+      RNFetchBlob.fs.unlink(filename)
+    }).catch((error) => {
+      if (error.indexOf('cancelled') >= 0) {
+        // ignore
+      } else {
+        reportError('Error restoring backup', error)
+      }
+    })
+  }, [dispatch])
+
   return (
     <ScreenContainer>
+      {backupMessage && (
+        <Ham2kDialog visible={true} onDismiss={() => setBackupMessage()}>
+          <Dialog.Content>
+            <Text variant="bodyMedium" style={{ textAlign: 'center' }}>{backupMessage}</Text>
+          </Dialog.Content>
+        </Ham2kDialog>
+      )}
+
+      {backupToRestore && (
+        <RestoreBackupDialog
+          backup={backupToRestore.backup}
+          summary={backupToRestore.summary}
+          styles={styles}
+          onDialogDone={() => setBackupToRestore()}
+        />
+      )}
+
       {loadingHistoricalMessage && (
         <Ham2kDialog visible={true}>
           <Dialog.Content>
@@ -237,6 +298,45 @@ export default function DataSettingsScreen ({ navigation }) {
           }
         </Ham2kListSection>
 
+        <Ham2kListSection title={'Backups'}>
+          <Ham2kListItem
+            title="Backup Everything"
+            description="All operations, QSOs and settings in a single file"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-arrow-down-outline" />}
+            onPress={handleBackup}
+          />
+          <Ham2kListItem
+            title="Restore from Backup"
+            description="Account credentials are not included in backups"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-arrow-up-outline" />}
+            onPress={handleRestore}
+          />
+          <Ham2kListItem
+            title="Automatic Backups"
+            description={settings.automaticBackups === false ? 'Disabled' : 'Daily snapshots kept on this device'}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="archive-clock-outline" />}
+            onPress={() => navigation.navigate('BackupsSettings')}
+          />
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Exports'}>
+          <Ham2kListItem
+            title="Export Profiles"
+            description={activeExportProfile(settings).name}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-cog-outline" />}
+            onPress={() => navigation.navigate('ExportProfilesSettings')}
+          />
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Multiple Devices'}>
+          <Ham2kListItem
+            title="Sync with Other Devices"
+            description="Merge logs from several phones on the same network"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="sync" />}
+            onPress={() => navigation.navigate('SyncSettings')}
+          />
+        </Ham2kListSection>
+
         {extensionSettingHooks.length > 0 && (
           <Ham2kListSection title={'Extensions'}>
             {extensionSettingHooks.map((hook) => (
@@ -6,7 +6,7 @@
  */
 
 /* eslint-disable react/no-unstable-nested-components */
-import React, { useCallback } from 'react'
+import React, { useCallback, useState } from 'react'
 import { List } from 'react-native-paper'
 import { ScrollView, View } from 'react-native'
 import { useDispatch, useSelector } from 'react-redux'
@@ -20,13 +20,14 @@ import { DevModeSettingsForDistribution, reportError } from '../../../distro'
 import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
 import { loadQSOs } from '../../../store/qsos'
 import { selectSettings } from '../../../store/settings'
-import { generateExport, importQSON, selectOperationsList } from '../../../store/operations'
+import { generateExport, readQSONForImport, selectOperationsList } from '../../../store/operations'
 import ScreenContainer from '../../components/ScreenContainer'
 import { Ham2kListItem } from '../../components/Ham2kListItem'
 import { Ham2kListSection } from '../../components/Ham2kListSection'
 import { fmtGigabytes, fmtMegabytes } from '../../../tools/numberFormats'
 import DeviceInfo from 'react-native-device-info'
 import { Ham2kMarkdown } from '../../components/Ham2kMarkdown'
+import { ImportQSONDialog } from '../components/ImportQSONDialog'
 
 function prepareStyles (baseStyles) {
   return {
@@ -72,10 +73,15 @@ export default function DevModeSettingsScreen ({ navigation }) {
     }
   }, [dispatch, operations])
 
+  const [qsonToImport, setQSONToImport] = useState()
   const handleImportFiles = useCallback(() => {
     DocumentPicker.pickSingle({ mode: 'import', copyTo: 'cachesDirectory' }).then(async (file) => {
       const filename = decodeURIComponent(file.fileCopyUri.replace('file://', ''))
-      await dispatch(importQSON(filename))
+      try {
+        setQSONToImport(await dispatch(readQSONForImport(filename)))
+      } catch (error) {
+        reportError('Error reading QSON file', error)
+      }
       RNFetchBlob.fs.unlink(filename)
     }).catch((error) => {
       if (error.indexOf('cancelled') >= 0) {
@@ -98,6 +104,13 @@ export default function DevModeSettingsScreen ({ navigation }) {
 
   return (
     <ScreenContainer>
+      {qsonToImport && (
+        <ImportQSONDialog
+          importData={qsonToImport}
+          styles={styles}
+          onDialogDone={() => setQSONToImport()}
+        />
+      )}
       <ScrollView style={{ flex: 1 }}>
         <DevModeSettingsForDistribution styles={styles} dispatch={dispatch} settings={settings} operations={operations} />
         <Ham2kListSection title={'Data'}>
@@ -0,0 +1,77 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useCallback, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { IconButton, List } from 'react-native-paper'
+import { ScrollView } from 'react-native'
+import UUID from 'react-native-uuid'
+
+import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
+import { selectSettings, setSettings } from '../../../store/settings'
+import { DEFAULT_EXPORT_PROFILE, EXPORT_PROFILE_SCOPES, exportProfilesFromSettings } from '../../../tools/exportProfiles'
+import ScreenContainer from '../../components/ScreenContainer'
+import { Ham2kListItem } from '../../components/Ham2kListItem'
+import { Ham2kListSection } from '../../components/Ham2kListSection'
+import { ExportProfileDialog } from '../components/ExportProfileDialog'
+
+function describeProfile (profile) {
+  const parts = []
+  if (profile.formats) parts.push(profile.formats.join(', ').toUpperCase())
+  else parts.push('All formats')
+  if (profile.nameTemplate) parts.push(profile.nameTemplate)
+  if (profile.scope !== 'default') parts.push(EXPORT_PROFILE_SCOPES[profile.scope])
+  return parts.join(' • ')
+}
+
+export default function ExportProfilesSettingsScreen ({ navigation }) {
+  const dispatch = useDispatch()
+  const styles = useThemedStyles()
+  const settings = useSelector(selectSettings)
+
+  const profiles = useMemo(() => exportProfilesFromSettings(settings), [settings])
+  const [editing, setEditing] = useState()
+
+  const handleNew = useCallback(() => {
+    setEditing({ ...DEFAULT_EXPORT_PROFILE, key: UUID.v4(), name: `Profile ${profiles.length}` })
+  }, [profiles.length])
+
+  return (
+    <ScreenContainer>
+      <ScrollView style={{ flex: 1 }}>
+        <Ham2kListSection title={'Export Profiles'}>
+          {profiles.map(profile => (
+            <Ham2kListItem
+              key={profile.key}
+              title={profile.name}
+              description={profile.key === DEFAULT_EXPORT_PROFILE.key ? 'Usual formats and file names' : describeProfile(profile)}
+              left={() => (
+                <List.Icon
+                  style={{ marginLeft: styles.oneSpace * 2 }}
+                  icon={(settings.exportProfile ?? DEFAULT_EXPORT_PROFILE.key) === profile.key ? 'radiobox-marked' : 'radiobox-blank'}
+                />
+              )}
+              onPress={() => dispatch(setSettings({ exportProfile: profile.key === DEFAULT_EXPORT_PROFILE.key ? undefined : profile.key }))}
+              right={profile.key === DEFAULT_EXPORT_PROFILE.key ? undefined : () => (
+                <IconButton icon="pencil-outline" onPress={() => setEditing(profile)} />
+              )}
+            />
+          ))}
+          <Ham2kListItem
+            title="Add a new profile"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="plus" />}
+            onPress={handleNew}
+          />
+        </Ham2kListSection>
+        {editing && (
+          <ExportProfileDialog profile={editing} settings={settings} styles={styles} onDialogDone={() => setEditing()} />
+        )}
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
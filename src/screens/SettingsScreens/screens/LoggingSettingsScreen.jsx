@@ -92,12 +92,27 @@ export default function LoggingSettingsScreen ({ navigation }) {
             onPress={() => dispatch(setSettings({ jumpAfterRST: !settings.jumpAfterRST }))}
           />
 
+          <Ham2kListItem
+            title="Exchange in callsign field"
+            description={settings.exchangeInCallField ? 'Type call and contest exchange together, like "K2ABC 2A NLI"' : 'Use separate fields for contest exchanges' }
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="form-textbox" />}
+            right={() => <Switch value={!!settings.exchangeInCallField} onValueChange={(value) => dispatch(setSettings({ exchangeInCallField: value })) } />}
+            onPress={() => dispatch(setSettings({ exchangeInCallField: !settings.exchangeInCallField }))}
+          />
+
           <Ham2kListItem
             title="Bands & Modes"
             description={[(settings.bands || []).join(', '), (settings.modes || []).join(', ')].join(' • ')}
             left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="radio" />}
             onPress={() => navigation.navigate('BandModeSettings')}
           />
+
+          <Ham2kListItem
+            title="Command Macros"
+            description={Object.keys(settings.commandMacros || {}).length > 0 ? Object.values(settings.commandMacros).map(macro => macro.name).join(', ') : 'Run several commands at once'}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="play-box-multiple-outline" />}
+            onPress={() => navigation.navigate('CommandMacrosSettings')}
+          />
         </Ham2kListSection>
       </ScrollView>
     </ScreenContainer>
@@ -27,14 +27,18 @@ import HeaderBar from '../../components/HeaderBar'
 import { OperatorCallsignDialog } from '../components/OperatorCallsignDialog'
 import { AccountsQRZDialog } from '../components/AccountsQRZDialog'
 
+import BackupsSettingsScreen from './BackupsSettingsScreen'
 import BandModeSettingsScreen from './BandModeSettingsScreen'
+import CommandMacrosSettingsScreen from './CommandMacrosSettingsScreen'
 import CreditsSettingsScreen from './CreditsSettingsScreen'
 import DataSettingsScreen from './DataSettingsScreen'
 import DevModeSettingsScreen from './DevModeSettingsScreen'
+import ExportProfilesSettingsScreen from './ExportProfilesSettingsScreen'
 import ExtensionScreen from './ExtensionScreen'
 import FeaturesSettingsScreen from './FeaturesSettingsScreen'
 import GeneralSettingsScreen from './GeneralSettingsScreen'
 import LoggingSettingsScreen from './LoggingSettingsScreen'
+import SyncSettingsScreen from './SyncSettingsScreen'
 import VersionSettingsScreen from './VersionSettingsScreen'
 
 const Stack = createNativeStackNavigator()
@@ -239,6 +243,12 @@ function MainSettingsOptions ({ settings, styles, navigation }) {
           left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-document-multiple-outline" />}
           onPress={async () => await Linking.openURL('https://polo.ham2k.com/docs/')}
         />
+        <Ham2kListItem
+          title="Logging Commands"
+          description={'Shortcuts you can type in the callsign field'}
+          left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="console-line" />}
+          onPress={() => navigation.navigate('Commands')}
+        />
         <Ham2kListItem
           title="Ham2K Forums"
           description={'Find help, give feedback, discuss ideas…'}
@@ -317,6 +327,26 @@ function settingsScreensArray ({ includeMain, topLevelBack }) {
       component={BandModeSettingsScreen}
     />,
 
+    <Stack.Screen name="BackupsSettings" key="BackupsSettings"
+      options={{ title: 'Automatic Backups' }}
+      component={BackupsSettingsScreen}
+    />,
+
+    <Stack.Screen name="SyncSettings" key="SyncSettings"
+      options={{ title: 'Sync with Other Devices' }}
+      component={SyncSettingsScreen}
+    />,
+
+    <Stack.Screen name="CommandMacrosSettings" key="CommandMacrosSettings"
+      options={{ title: 'Command Macros' }}
+      component={CommandMacrosSettingsScreen}
+    />,
+
+    <Stack.Screen name="ExportProfilesSettings" key="ExportProfilesSettings"
+      options={{ title: 'Export Profiles' }}
+      component={ExportProfilesSettingsScreen}
+    />,
+
     <Stack.Screen name="ExtensionScreen" key="ExtensionScreen"
       options={{ title: 'Extension' }}
       component={ExtensionScreen}
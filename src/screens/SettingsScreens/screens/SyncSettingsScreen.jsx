@@ -0,0 +1,222 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/* eslint-disable react/no-unstable-nested-components */
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Button, Dialog, IconButton, List, Text } from 'react-native-paper'
+import { ScrollView } from 'react-native'
+import DocumentPicker from 'react-native-document-picker'
+import RNFetchBlob from 'react-native-blob-util'
+import Share from 'react-native-share'
+import { fetch as fetchNetInfo } from '@react-native-community/netinfo'
+
+import { reportError, trackEvent } from '../../../distro'
+import GLOBAL from '../../../GLOBAL'
+
+import { useThemedStyles } from '../../../styles/tools/useThemedStyles'
+import { forgetPeer, generateSyncFile, importSyncFile, selectSyncPeers, startSyncListener, stopSyncListener, syncWithPeer } from '../../../store/sync'
+import { fmtDateTimeRelative } from '../../../tools/timeFormats'
+import { DEFAULT_SYNC_PORT, formatSyncAddress } from '../../../tools/syncTools'
+import ScreenContainer from '../../components/ScreenContainer'
+import ThemedTextInput from '../../components/ThemedTextInput'
+import { Ham2kListItem } from '../../components/Ham2kListItem'
+import { Ham2kListSection } from '../../components/Ham2kListSection'
+import { Ham2kDialog } from '../../components/Ham2kDialog'
+
+function describePeer (peer) {
+  if (peer.status === 'connecting' || peer.status === 'syncing') return 'Syncing…'
+  if (peer.status === 'error') return peer.message || 'Error syncing'
+  if (!peer.address && peer.lastSyncAtMillis) return `Synced ${fmtDateTimeRelative(peer.lastSyncAtMillis)}, address unknown`
+  if (!peer.address) return 'Found through another device, address unknown'
+  if (peer.lastSyncAtMillis) return `${peer.address} · Synced ${fmtDateTimeRelative(peer.lastSyncAtMillis)}`
+  return `${peer.address} · Never synced`
+}
+
+function ConnectDialog ({ styles, onConnect, onDialogDone }) {
+  const [address, setAddress] = useState('')
+
+  return (
+    <Ham2kDialog visible={true} onDismiss={onDialogDone}>
+      <Dialog.Title style={{ textAlign: 'center' }}>Sync with Device</Dialog.Title>
+      <Dialog.Content>
+        <Text variant="bodyMedium">
+          Devices on the same network or hotspot with this screen open are listed under Known Devices.
+        </Text>
+        <Text variant="bodyMedium" style={{ marginTop: styles.oneSpace }}>
+          If one does not show up, enter the address shown for it under This Device.
+        </Text>
+        <ThemedTextInput
+          style={[styles.input, { marginTop: styles.oneSpace }]}
+          value={address}
+          autoCapitalize={'none'}
+          keyboardType="url"
+          label="Address"
+          placeholder="192.168.1.10"
+          onChangeText={setAddress}
+        />
+      </Dialog.Content>
+      <Dialog.Actions>
+        <Button onPress={onDialogDone}>Cancel</Button>
+        <Button onPress={() => { onConnect(address); onDialogDone() }} disabled={!address.trim()}>Sync</Button>
+      </Dialog.Actions>
+    </Ham2kDialog>
+  )
+}
+
+export default function SyncSettingsScreen ({ navigation }) {
+  const dispatch = useDispatch()
+  const styles = useThemedStyles()
+  const peers = useSelector(selectSyncPeers)
+
+  const [currentDialog, setCurrentDialog] = useState()
+  const [message, setMessage] = useState()
+
+  const [listening, setListening] = useState()
+
+  // Other devices can only find this one and connect to it while this screen is open
+  useEffect(() => {
+    let active = true
+    dispatch(startSyncListener()).then(async (port) => {
+      const netInfo = await fetchNetInfo()
+      const host = netInfo?.details?.ipAddress
+      if (active) setListening({ address: host ? formatSyncAddress({ host, port: port ?? DEFAULT_SYNC_PORT }) : undefined })
+    }).catch(error => {
+      if (active) setListening({ error: error.message })
+    })
+    return () => {
+      active = false
+      dispatch(stopSyncListener())
+    }
+  }, [dispatch])
+
+  const thisDeviceDescription = useMemo(() => {
+    const name = GLOBAL.deviceName || GLOBAL.deviceId
+    if (!listening) return name
+    if (listening.error) return `${name} · Cannot accept connections: ${listening.error}`
+    return `${name} · ${listening.address ? `Visible at ${listening.address}` : 'Visible on this network'}`
+  }, [listening])
+
+  const sortedPeers = useMemo(() => Object.values(peers).sort((a, b) => (b.lastSyncAtMillis ?? 0) - (a.lastSyncAtMillis ?? 0)), [peers])
+
+  const handleSync = useCallback(async ({ address, deviceId }) => {
+    try {
+      const results = await dispatch(syncWithPeer({ address, deviceId }))
+      trackEvent('sync_with_peer', { qsos: results.qsos })
+      setMessage(`Synced: ${results.qsos} QSOs and ${results.operations} operations received`)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }, [dispatch])
+
+  const handleShareFile = useCallback(async () => {
+    try {
+      const path = await dispatch(generateSyncFile())
+      trackEvent('sync_share_file', {})
+      await Share.open({
+        urls: [`file://${path}`],
+        type: 'application/json'
+      })
+    } catch (error) {
+      if (error?.message?.indexOf('User did not share') >= 0) {
+        // ignore
+      } else {
+        reportError('Error sharing sync file', error)
+      }
+    }
+  }, [dispatch])
+
+  const handleImportFile = useCallback(() => {
+    DocumentPicker.pickSingle({ mode: 'import', copyTo: 'cachesDirectory' }).then(async (file) => {
+      const filename = decodeURIComponent(file.fileCopyUri.replace('file://', ''))
+      try {
+        const results = await dispatch(importSyncFile(filename))
+        trackEvent('sync_import_file', { qsos: results.qsos })
+        setMessage(`Synced: ${results.qsos} QSOs and ${results.operations} operations received`)
+      } catch (error) {
+        setMessage(error.message)
+      }
+      RNFetchBlob.fs.unlink(filename)
+    }).catch((error) => {
+      if (error.indexOf('cancelled') >= 0) {
+        // ignore
+      } else {
+        reportError('Error importing sync file', error)
+      }
+    })
+  }, [dispatch])
+
+  return (
+    <ScreenContainer>
+      {message && (
+        <Ham2kDialog visible={true} onDismiss={() => setMessage()}>
+          <Dialog.Content>
+            <Text variant="bodyMedium" style={{ textAlign: 'center' }}>{message}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setMessage()}>Ok</Button>
+          </Dialog.Actions>
+        </Ham2kDialog>
+      )}
+
+      {currentDialog === 'connect' && (
+        <ConnectDialog
+          styles={styles}
+          onConnect={(address) => handleSync({ address })}
+          onDialogDone={() => setCurrentDialog()}
+        />
+      )}
+
+      <ScrollView style={{ flex: 1 }}>
+        <Ham2kListSection>
+          <Ham2kListItem
+            title="This Device"
+            description={thisDeviceDescription}
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="cellphone" />}
+          />
+          <Ham2kListItem
+            title="Sync with Another Device"
+            description="Connect to a device on the local network by its address"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="sync" />}
+            onPress={() => setCurrentDialog('connect')}
+          />
+          <Ham2kListItem
+            title="Share Sync File"
+            description="Send all operations and QSOs to a device that cannot connect to this one"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="share" />}
+            onPress={handleShareFile}
+          />
+          <Ham2kListItem
+            title="Import Sync File"
+            description="Receive operations and QSOs shared from another device"
+            left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="file-import-outline" />}
+            onPress={handleImportFile}
+          />
+        </Ham2kListSection>
+
+        <Ham2kListSection title={'Known Devices'}>
+          {sortedPeers.length === 0 && (
+            <Ham2kListItem
+              title="No devices yet"
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="cellphone-off" />}
+            />
+          )}
+          {sortedPeers.map(peer => (
+            <Ham2kListItem
+              key={peer.deviceId}
+              title={peer.deviceName || peer.deviceId}
+              description={describePeer(peer)}
+              left={() => <List.Icon style={{ marginLeft: styles.oneSpace * 2 }} icon="cellphone-link" />}
+              right={() => <IconButton icon="close" onPress={() => dispatch(forgetPeer(peer.deviceId))} />}
+              onPress={peer.address ? () => handleSync(peer) : undefined}
+            />
+          ))}
+        </Ham2kListSection>
+      </ScrollView>
+    </ScreenContainer>
+  )
+}
@@ -10,24 +10,26 @@ import React, { useMemo, useEffect } from 'react'
 import { parseCallsign } from '@ham2k/lib-callsigns'
 
 import { useUIState } from '../../store/ui/useUIState'
+import { SPACES_REGEX } from '../../tools/exchangeParser'
 import ThemedTextInput from './ThemedTextInput'
 import { useThemedStyles } from '../../styles/tools/useThemedStyles'
 
 const LETTERS_REGEX = /[A-Z]+/
 const ONLY_NUMBER_REGEX = /^\s*[+-]*\d+(\.\d+)*$/
 
+// `allowSpaces` lets the call be followed by other words, like a contest exchange, and only validates the first word
 export default function CallsignInput (props) {
-  const { value, textStyle } = props
+  const { value, textStyle, allowSpaces } = props
   const styles = useThemedStyles()
 
   const isValid = useMemo(() => {
-    const callInfo = parseCallsign(value)
+    const callInfo = parseCallsign(allowSpaces ? value.trim().split(SPACES_REGEX)[0] : value)
     if (callInfo?.baseCall) {
       return true
     } else {
       return false
     }
-  }, [value])
+  }, [value, allowSpaces])
 
   let [mode, setMode] = useUIState('NumberKeys', 'mode', 'numbers')
   useEffect(() => {
@@ -46,7 +48,7 @@ export default function CallsignInput (props) {
       {...props}
       keyboard="dumb"
       uppercase={true}
-      noSpaces={true}
+      noSpaces={!allowSpaces}
       periodToSlash={mode === 'callsign'}
       error={value && !isValid}
       textStyle={[textStyle, styles?.text?.callsign]}
@@ -5,7 +5,9 @@
  * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
-import { dbExecute, dbSelectOne } from './db'
+import UUID from 'react-native-uuid'
+
+import { dbExecute, dbExecuteBatch, dbSelectAll, dbSelectOne } from './db'
 
 export async function createTables (db) {
   let version
@@ -73,13 +75,116 @@ export async function createTables (db) {
     await dbExecute('UPDATE version SET version = 3', [], { db })
   }
 
-  // TODO: Uncomment this block when we're close to releasing the December '24 version
-  // if (version < 4) {
-  //   console.log('createTables -- creating version 4')
-  //   await dbExecute(`
-  //     ALTER TABLE qsos RENAME COLUMN startedOnMillis TO startedAtMillis
-  //   `, [], { db })
+  if (version < 4) {
+    console.log('createTables -- creating version 4')
+    const statements = [
+      ['ALTER TABLE qsos RENAME COLUMN startOnMillis TO startAtMillis']
+    ]
+
+    // Promote some frequently queried fields out of the `data` blob, so that they can be indexed
+    // `refs` holds all references as `|type:ref|type:ref|` so they can be matched with `LIKE` or `GLOB`
+    const newColumns = {
+      freq: 'REAL',
+      refs: 'TEXT',
+      grid: 'TEXT',
+      dxcc: 'INTEGER',
+      state: 'TEXT',
+      deleted: 'INTEGER',
+      updatedAtMillis: 'INTEGER',
+      uuid: 'TEXT'
+    }
+    for (const column of Object.keys(newColumns)) {
+      statements.push([`ALTER TABLE qsos ADD COLUMN ${column} ${newColumns[column]}`])
+    }
+
+    // Older QSOs were saved before we started giving them a uuid
+    const rowsWithoutUUID = await dbSelectAll(
+      "SELECT key, operation FROM qsos WHERE json_extract(data, '$.uuid') IS NULL", [], { db }
+    )
+    for (const row of rowsWithoutUUID) {
+      statements.push([
+        "UPDATE qsos SET data = json_set(data, '$.uuid', ?) WHERE key = ? AND operation = ?",
+        [UUID.v1(), row.key, row.operation]
+      ])
+    }
+
+    statements.push([`
+      UPDATE qsos SET
+        freq = json_extract(data, '$.freq'),
+        refs = (
+          SELECT '|' || group_concat(json_extract(json_each.value, '$.type') || ':' || json_extract(json_each.value, '$.ref'), '|') || '|'
+          FROM json_each(qsos.data, '$.refs')
+        ),
+        grid = COALESCE(json_extract(data, '$.their.grid'), json_extract(data, '$.their.guess.grid')),
+        dxcc = COALESCE(json_extract(data, '$.their.dxccCode'), json_extract(data, '$.their.guess.dxccCode')),
+        state = COALESCE(json_extract(data, '$.their.state'), json_extract(data, '$.their.guess.state')),
+        deleted = CASE WHEN json_extract(data, '$.deleted') THEN 1 ELSE 0 END,
+        updatedAtMillis = json_extract(data, '$.updatedAtMillis'),
+        uuid = json_extract(data, '$.uuid')
+    `])
 
-  //   await dbExecute('UPDATE version SET version = 4', [], { db })
-  // }
+    statements.push(['CREATE INDEX IF NOT EXISTS qsos_theirCall ON qsos (theirCall)'])
+    statements.push(['CREATE INDEX IF NOT EXISTS qsos_operation ON qsos (operation)'])
+    statements.push(['CREATE INDEX IF NOT EXISTS qsos_startAtMillis ON qsos (startAtMillis)'])
+
+    statements.push(['UPDATE version SET version = 4'])
+
+    // All in one transaction, so that an interrupted migration can be run again from the start
+    await dbExecuteBatch(statements, { db })
+  }
+
+  if (version < 5) {
+    console.log('createTables -- creating version 5')
+    // QSOs used to be saved by moving them to a temporary `<uuid>_tmp` operation and then reinserting them,
+    // so an interrupted save could leave some rows behind. Restore any that were not reinserted, and remove the rest.
+    await dbExecuteBatch([
+      [`
+        UPDATE OR IGNORE qsos SET operation = substr(operation, 1, length(operation) - 4)
+        WHERE operation LIKE '%\\_tmp' ESCAPE '\\'
+      `],
+      [`
+        DELETE FROM qsos WHERE operation LIKE '%\\_tmp' ESCAPE '\\'
+      `],
+      ['UPDATE version SET version = 5']
+    ], { db })
+  }
+
+  if (version < 6) {
+    console.log('createTables -- creating version 6')
+    // Every time a QSO is saved, we keep a copy of it, so users can see and undo changes
+    await dbExecuteBatch([
+      [`
+        CREATE TABLE IF NOT EXISTS qsoRevisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          operation TEXT NOT NULL,
+          uuid TEXT NOT NULL,
+          key TEXT,
+          data TEXT,
+          reason TEXT,
+          changedAtMillis INTEGER,
+          deviceId TEXT,
+          deviceName TEXT
+        )`],
+      ['CREATE INDEX IF NOT EXISTS qsoRevisions_uuid ON qsoRevisions (uuid)'],
+      ['CREATE INDEX IF NOT EXISTS qsoRevisions_operation ON qsoRevisions (operation)'],
+      ['UPDATE version SET version = 6']
+    ], { db })
+  }
+
+  if (version < 7) {
+    console.log('createTables -- creating version 7')
+    // Every save takes the next number in a local sequence, so that syncing can ask other devices
+    // for everything they received since the last time, no matter when or where it was first logged
+    await dbExecuteBatch([
+      ['CREATE TABLE IF NOT EXISTS changeSequence (seq INTEGER NOT NULL)'],
+      ['INSERT INTO changeSequence (seq) VALUES (1)'],
+      ['ALTER TABLE qsos ADD COLUMN changeSeq INTEGER'],
+      ['ALTER TABLE operations ADD COLUMN changeSeq INTEGER'],
+      ['UPDATE qsos SET changeSeq = 1'],
+      ['UPDATE operations SET changeSeq = 1'],
+      ['CREATE INDEX IF NOT EXISTS qsos_changeSeq ON qsos (changeSeq)'],
+      ['CREATE INDEX IF NOT EXISTS operations_changeSeq ON operations (changeSeq)'],
+      ['UPDATE version SET version = 7']
+    ], { db })
+  }
 }
@@ -14,6 +14,11 @@ const DB_ESTIMATED_SIZE = 1000
 
 let GLOBAL_DB = null
 
+// Rows in `qsos` and `operations` record the `changeSeq` of their last save. Run `NEXT_CHANGE_SEQ_STATEMENT`
+// before the save, in the same batch, and use `CURRENT_CHANGE_SEQ_SQL` as the value for the column.
+export const NEXT_CHANGE_SEQ_STATEMENT = ['UPDATE changeSequence SET seq = seq + 1']
+export const CURRENT_CHANGE_SEQ_SQL = '(SELECT seq FROM changeSequence)'
+
 export function dbExecute (sql, params, options = {}) {
   const { db } = options
   if (db) {
@@ -49,6 +54,36 @@ export function dbExecute (sql, params, options = {}) {
   }
 }
 
+// Executes a list of `[sql, params]` statements in a single transaction.
+// If any of them fails, the whole transaction is rolled back.
+export function dbExecuteBatch (statements, options = {}) {
+  const { db } = options
+  const dbPromise = db ? Promise.resolve(db) : database()
+
+  return dbPromise.then(localDb => {
+    return new Promise((resolve, reject) => {
+      const results = []
+      localDb.transaction(
+        localTxn => {
+          statements.forEach(([sql, params], index) => {
+            localTxn.executeSql(sql, params ?? [],
+              (tx, result) => {
+                results[index] = result
+              },
+              (tx, error) => {
+                console.info('Error executing SQL in batch', { sql, params, error })
+                return true // Returning true rolls back the transaction
+              }
+            )
+          })
+        },
+        (error) => reject(error),
+        () => resolve(results)
+      )
+    })
+  })
+}
+
 export function dbSelectAll (sql, params, { db, row } = {}) {
   return dbExecute(sql, params, { db }).then((results) => {
     const rows = []
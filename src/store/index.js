@@ -19,6 +19,7 @@ import operationsReducer from './operations'
 import qsosReducer from './qsos'
 import stationReducer from './station'
 import timeReducer from './time'
+import syncReducer from './sync'
 import { reducer as apiQRZReducer, middleware as apiQRZMiddleware } from './apis/apiQRZ'
 import { reducer as apiHamQTHReducer, middleware as apiHamQTHMiddleware } from './apis/apiHamQTH'
 import { reducer as apiPOTAReducer, middleware as apiPOTAMiddleware } from './apis/apiPOTA'
@@ -42,6 +43,7 @@ const rootReducer = combineReducers({
   qsos: qsosReducer,
   station: stationReducer,
   time: timeReducer,
+  sync: syncReducer,
   dataFiles: dataFilesReducer,
   apiQRZ: apiQRZReducer,
   apiHamQTH: apiHamQTHReducer,
@@ -54,7 +56,7 @@ const persistConfig = {
   key: 'root',
   storage: AsyncStorage,
   version: LATEST_VERSION,
-  whitelist: ['settings', 'system', 'station'], // Don't include `qsos` nor `time`
+  whitelist: ['settings', 'system', 'station', 'sync'], // Don't include `qsos` nor `time`
   migrate: createMigrate(migrations, { debug: true })
 }
 
@@ -0,0 +1,230 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import UUID from 'react-native-uuid'
+import RNFetchBlob from 'react-native-blob-util'
+
+import packageJson from '../../../../../package.json'
+import GLOBAL from '../../../../GLOBAL'
+
+import { actions } from '../../operationsSlice'
+import { actions as qsosActions, prepareQSORow, saveQSOsForOperation } from '../../../qsos'
+import { setExtensionSettings, setSettings } from '../../../settings'
+import { dbExecuteBatch, dbSelectAll } from '../../../db/db'
+import { countHistoricalRecords, prepareOperationRow, saveOperation } from '../operationsDB'
+
+export const BACKUP_FORMAT = 'ham2k-polo-backup'
+export const BACKUP_VERSION = 1
+
+const CALL_NOTES_KEY = 'call-notes'
+
+const HISTORICAL_UUID = 'historical'
+
+const LOOKUP_COLUMNS = ['category', 'subCategory', 'key', 'name', 'data', 'lat', 'lon', 'flags', 'updated']
+
+// Settings that should not leave the device, such as account credentials
+const PRIVATE_SETTINGS = ['accounts']
+
+export const DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP = 7
+
+const AUTOMATIC_BACKUP_PREFIX = 'polo-auto-'
+
+export const backupsDirectory = () => `${RNFetchBlob.fs.dirs.DocumentDir}/backups`
+export const automaticBackupsDirectory = () => `${backupsDirectory()}/auto`
+
+export const generateBackupFile = ({ directory, fileName } = {}) => async (dispatch, getState) => {
+  const backup = await dispatch(buildBackup())
+
+  directory = directory ?? backupsDirectory()
+  if (!await RNFetchBlob.fs.exists(backupsDirectory())) await RNFetchBlob.fs.mkdir(backupsDirectory())
+  if (!await RNFetchBlob.fs.exists(directory)) await RNFetchBlob.fs.mkdir(directory)
+
+  fileName = fileName ?? `polo-backup-${new Date(backup.createdAtMillis).toISOString().replace(/[-:]/g, '').substring(0, 13)}.json`
+  const path = `${directory}/${fileName}`
+  await RNFetchBlob.fs.writeFile(path, JSON.stringify(backup))
+
+  return path
+}
+
+export async function listBackupSnapshots () {
+  const directory = automaticBackupsDirectory()
+  if (!await RNFetchBlob.fs.exists(directory)) return []
+
+  const files = await RNFetchBlob.fs.lsWithStats(directory)
+  return files
+    .filter(file => file.type === 'file' && file.filename.startsWith(AUTOMATIC_BACKUP_PREFIX))
+    .map(file => ({
+      path: file.path,
+      fileName: file.filename,
+      size: Number(file.size),
+      createdAtMillis: Number(file.filename.replace(AUTOMATIC_BACKUP_PREFIX, '').replace('.json', '')) || Number(file.lastModified)
+    }))
+    .sort((a, b) => b.createdAtMillis - a.createdAtMillis)
+}
+
+export async function deleteBackupSnapshot (path) {
+  await RNFetchBlob.fs.unlink(path)
+}
+
+let automaticBackupQueue = Promise.resolve()
+
+// Writes a new snapshot unless the latest one is more recent than `minimumAge`,
+// and then removes the oldest ones beyond the number of snapshots to keep.
+// When an `operation` uuid is given, the snapshot is skipped only if it already includes the latest changes to its QSOs.
+export const runAutomaticBackup = (options = {}) => (dispatch, getState) => {
+  // Wait for any backup already running, so that two of them never write or prune snapshots at the same time
+  automaticBackupQueue = automaticBackupQueue.catch(() => {}).then(() => dispatch(_runAutomaticBackup(options)))
+  return automaticBackupQueue
+}
+
+const _runAutomaticBackup = ({ minimumAge = 0, operation } = {}) => async (dispatch, getState) => {
+  const settings = getState().settings
+  if (settings.automaticBackups === false) return
+
+  let snapshots = await listBackupSnapshots()
+  if (snapshots[0]) {
+    if (operation) {
+      const qsos = getState().qsos.qsos[operation] || []
+      const lastChangeMillis = qsos.reduce((latest, qso) => Math.max(latest, qso.updatedAtMillis ?? qso.startAtMillis ?? 0), 0)
+      if (snapshots[0].createdAtMillis >= lastChangeMillis) return
+    } else if (Date.now() - snapshots[0].createdAtMillis < minimumAge) {
+      return
+    }
+  }
+
+  await dispatch(generateBackupFile({ directory: automaticBackupsDirectory(), fileName: `${AUTOMATIC_BACKUP_PREFIX}${Date.now()}.json` }))
+
+  snapshots = await listBackupSnapshots()
+  const toKeep = settings.automaticBackupsToKeep ?? DEFAULT_AUTOMATIC_BACKUPS_TO_KEEP
+  for (const snapshot of snapshots.slice(toKeep)) {
+    await deleteBackupSnapshot(snapshot.path)
+  }
+}
+
+export const buildBackup = () => async (dispatch, getState) => {
+  const settings = { ...getState().settings }
+  PRIVATE_SETTINGS.forEach(key => delete settings[key])
+
+  // Operations merged into others are only kept so that syncing can tell other devices about them
+  const operations = (await dbSelectAll('SELECT * FROM operations', [], { row: prepareOperationRow })).filter(op => !op.deleted)
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    appVersion: packageJson.version,
+    createdAtMillis: Date.now(),
+    createdOnDeviceId: GLOBAL.deviceId,
+    createdOnDeviceName: GLOBAL.deviceName,
+    settings,
+    customCallNotes: settings.extensions?.[CALL_NOTES_KEY]?.customFiles ?? [],
+    operations: [],
+    historicalQSOs: [],
+    lookups: []
+  }
+
+  for (const operation of operations) {
+    const qsos = await dbSelectAll('SELECT * FROM qsos WHERE operation = ? ORDER BY startAtMillis', [operation.uuid], { row: prepareQSORow })
+    backup.operations.push({ operation, qsos })
+  }
+
+  backup.historicalQSOs = await dbSelectAll('SELECT * FROM qsos WHERE operation = ? ORDER BY startAtMillis', [HISTORICAL_UUID], { row: prepareQSORow })
+  backup.lookups = await dbSelectAll(`SELECT ${LOOKUP_COLUMNS.join(', ')} FROM lookups`, [])
+
+  return backup
+}
+
+export const readBackupFile = (path) => async (dispatch, getState) => {
+  const json = await RNFetchBlob.fs.readFile(path)
+  const backup = JSON.parse(json)
+
+  if (backup?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a PoLo backup')
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`This backup was created by a newer version of PoLo (${backup.appVersion}). Please update the app first.`)
+  }
+
+  const existing = getState().operations.info || {}
+  const conflicts = backup.operations.filter(({ operation }) => existing[operation.uuid])
+
+  return {
+    backup,
+    summary: {
+      createdAtMillis: backup.createdAtMillis,
+      createdOnDeviceName: backup.createdOnDeviceName,
+      operationCount: backup.operations.length,
+      qsoCount: backup.operations.reduce((count, { qsos }) => count + qsos.length, 0),
+      historicalQSOCount: backup.historicalQSOs?.length ?? 0,
+      conflictCount: conflicts.length
+    }
+  }
+}
+
+// `conflicts` decides what to do with operations that already exist on this device:
+// 'skip' keeps the existing one, 'replace' overwrites it, and 'copy' restores the backup as a new operation.
+// Historical records are treated as a single operation, except that they are never copied.
+export const restoreBackup = (backup, { conflicts = 'skip', restoreSettings = true } = {}) => async (dispatch, getState) => {
+  const results = { restored: 0, skipped: 0, replaced: 0, copied: 0 }
+
+  for (const { operation: backupOperation, qsos: backupQSOs } of backup.operations) {
+    const existing = getState().operations.info[backupOperation.uuid]
+    const operation = { ...backupOperation }
+    let qsos = backupQSOs
+
+    if (existing) {
+      if (conflicts === 'replace') {
+        results.replaced++
+      } else if (conflicts === 'copy') {
+        operation.uuid = UUID.v1()
+        // The copied QSOs need their own uuids, or they would be mixed up with the originals when syncing
+        qsos = qsos.map(qso => ({ ...qso, uuid: UUID.v1() }))
+        results.copied++
+      } else {
+        results.skipped++
+        continue
+      }
+    } else {
+      results.restored++
+    }
+
+    dispatch(actions.setOperation(operation))
+    await dispatch(saveOperation(operation))
+
+    dispatch(qsosActions.setQSOs({ uuid: operation.uuid, qsos: qsos.map(qso => ({ ...qso })) }))
+    await dispatch(saveQSOsForOperation(operation.uuid, { reason: 'restore' }))
+    dispatch(qsosActions.unsetQSOs(operation.uuid)) // They will be loaded again when the operation is opened
+  }
+
+  if (backup.historicalQSOs?.length > 0) {
+    if (conflicts === 'replace' || await dispatch(countHistoricalRecords()) === 0) {
+      dispatch(qsosActions.setQSOs({ uuid: HISTORICAL_UUID, qsos: backup.historicalQSOs.map(qso => ({ ...qso })) }))
+      await dispatch(saveQSOsForOperation(HISTORICAL_UUID, { reason: 'restore' }))
+      dispatch(qsosActions.unsetQSOs(HISTORICAL_UUID))
+    }
+  }
+
+  if (backup.lookups?.length > 0) {
+    await dbExecuteBatch(backup.lookups.map(row => [
+      `INSERT OR REPLACE INTO lookups (${LOOKUP_COLUMNS.join(', ')}) VALUES (${LOOKUP_COLUMNS.map(() => '?').join(', ')})`,
+      LOOKUP_COLUMNS.map(column => row[column] ?? null)
+    ]))
+  }
+
+  if (restoreSettings && backup.settings) {
+    const settings = { ...backup.settings }
+    PRIVATE_SETTINGS.forEach(key => delete settings[key])
+    dispatch(setSettings(settings))
+  }
+
+  if (backup.customCallNotes?.length > 0) {
+    const currentFiles = getState().settings.extensions?.[CALL_NOTES_KEY]?.customFiles ?? []
+    const newFiles = backup.customCallNotes.filter(file => !currentFiles.find(f => f.identifier === file.identifier))
+    dispatch(setExtensionSettings({ key: CALL_NOTES_KEY, customFiles: [...currentFiles, ...newFiles] }))
+  }
+
+  return results
+}
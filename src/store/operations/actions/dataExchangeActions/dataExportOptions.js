@@ -6,43 +6,36 @@
  */
 
 import { fmtISODate } from '../../../../tools/timeFormats'
-import { simpleTemplate } from '../../../../tools/stringTools'
 import { findBestHook, findHooks } from '../../../../extensions/registry'
+import { DEFAULT_TABLE_COLUMNS, TABLE_COLUMNS } from '../../../../tools/qsonToTable'
+import { fileNameSuffixForExportScope } from '../../../../tools/exportScopes'
+import { namesForExportOption, splitExportOptionsByDay } from '../../../../tools/exportOptions'
+import { activeExportProfile, applyExportProfileToOption, templateValuesForQSOs } from '../../../../tools/exportProfiles'
 
-export const DATA_EXTENSIONS = {
-  adif: 'adi',
-  cabrillo: 'log',
-  qson: 'qson',
-  json: 'json',
-  txt: 'txt',
-  csv: 'csv',
-  tsv: 'tsv',
-  other: 'dat'
-}
-
-export const DATA_FORMAT_DESCRIPTIONS = {
-  adif: 'ADIF',
-  cabrillo: 'Cabrillo',
-  qson: 'QSON',
-  json: 'JSON',
-  txt: 'Text',
-  csv: 'Comma-Separated Values',
-  tsv: 'Tab-Separated Values',
-  other: 'Data'
-}
+export { DATA_EXTENSIONS, DATA_FORMAT_DESCRIPTIONS } from '../../../../tools/exportOptions'
 
-export function dataExportOptions ({ operation, qsos, settings, ourInfo }) {
+// When a `scope` is given, `qsos` should already be limited to that scope
+export function dataExportOptions ({ operation, qsos, settings, ourInfo, scope }) {
   const exports = []
 
+  let dateMillis = operation.startAtMillisMax
+  if (scope && scope.type !== 'all') {
+    dateMillis = qsos.reduce((latest, qso) => Math.max(latest, qso.startAtMillis ?? 0), 0) || dateMillis
+  }
+  const suffix = fileNameSuffixForExportScope(scope)
+
   const baseNameParts = {
     call: ourInfo.call,
-    date: fmtISODate(operation.startAtMillisMax),
-    compactDate: fmtISODate(operation.startAtMillisMax).replace(/-/g, ''),
+    date: fmtISODate(dateMillis),
+    compactDate: fmtISODate(dateMillis).replace(/-/g, ''),
     title: operation.title,
     uuid: operation.uuid,
-    shortUUID: operation.uuid.split('-')[0]
+    shortUUID: operation.uuid.split('-')[0],
+    ...templateValuesForQSOs({ qsos, operation, settings })
   }
 
+  const profile = activeExportProfile(settings)
+
   const exportHandlersForRefs = (operation?.refs || [])
     .map(ref => ({ handler: findBestHook(`ref:${ref.type}`), ref }))
     .filter(x => x?.handler && x.handler.suggestExportOptions)
@@ -54,16 +47,14 @@ export function dataExportOptions ({ operation, qsos, settings, ourInfo }) {
     { handler, ref, options: handler.suggestExportOptions && handler.suggestExportOptions({ operation, qsos, ref, settings }) }
   )).flat().filter(({ options }) => options)
 
+  const usedFileNames = {}
+
   handlersWithOptions.forEach(({ handler, ref, options }) => {
-    options.forEach(option => {
-      const nameParts = { ...baseNameParts, ref: ref.ref, ...option.templateData, ...(handler.suggestOperationTitle && handler.suggestOperationTitle(ref)) }
-      nameParts.titleDashed = nameParts.title.replace(/[^a-zA-Z0-9]/g, '-')
-      const baseName = simpleTemplate(option.nameTemplate || '{date} {call} {ref}', nameParts).replace(/[/\\:]/g, '-')
+    const profileOptions = options.map(option => applyExportProfileToOption(option, profile)).filter(x => x)
 
-      const title = simpleTemplate(option.titleTemplate || '{call} {ref} {date}', nameParts)
-      const fileName = `${baseName}.${DATA_EXTENSIONS[option.format] || DATA_EXTENSIONS.other}`
-      const exportTitle = option.exportTitle || `${handler.shortName ?? handler.name} ${DATA_FORMAT_DESCRIPTIONS[option.format] || DATA_FORMAT_DESCRIPTIONS.other}`
-      const exportType = option.exportType || handler.key
+    splitExportOptionsByDay({ options: profileOptions, qsos, operation, settings }).forEach(option => {
+      const nameParts = { ...baseNameParts, ref: ref.ref, ...option.templateData, ...(handler.suggestOperationTitle && handler.suggestOperationTitle(ref)) }
+      const { fileName, title, exportTitle, exportType } = namesForExportOption({ option, handler, nameParts, suffix, usedFileNames })
 
       exports.push({ ...option, handler, ref, fileName, title, exportTitle, exportType })
     })
@@ -71,3 +62,30 @@ export function dataExportOptions ({ operation, qsos, settings, ourInfo }) {
 
   return exports.sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))
 }
+
+// Columns for spreadsheet and text exports, including any provided by reference handlers as `exportColumns`
+export function availableExportColumns () {
+  const handlerColumns = findHooks('activity')
+    .map(activity => findBestHook(`ref:${activity.key}`))
+    .filter(handler => handler?.exportColumns)
+    .map(handler => handler.exportColumns.map(column => (
+      { ...column, key: `${handler.key}.${column.key}`, label: `${handler.shortName ?? handler.name} ${column.label}` }
+    )))
+    .flat()
+
+  return [...TABLE_COLUMNS, ...handlerColumns]
+}
+
+export function selectedExportColumns (settings) {
+  const available = availableExportColumns()
+  return (settings.exportColumns ?? DEFAULT_TABLE_COLUMNS)
+    .map(key => available.find(column => column.key === key))
+    .filter(x => x)
+}
+
+// Reference handlers for all activities, used to check references before exporting
+export function exportValidationHandlers () {
+  return findHooks('activity')
+    .map(activity => findBestHook(`ref:${activity.key}`))
+    .filter(x => x)
+}
@@ -8,39 +8,125 @@
 import RNFetchBlob from 'react-native-blob-util'
 
 import { qsonToADIF } from '../../../../tools/qsonToADIF'
-import { qsonToCabrillo } from '../../../../tools/qsonToCabrillo'
+import { cabrilloHeadersForOperation, qsonToCabrillo } from '../../../../tools/qsonToCabrillo'
+import { validateCabrilloHeaders } from '../../../../tools/cabrilloTools'
+import { qsonToTable } from '../../../../tools/qsonToTable'
+import { qsosForExportScope } from '../../../../tools/exportScopes'
+import { qsosForExportOption } from '../../../../tools/exportOptions'
+import { convertToCharset } from '../../../../tools/exportProfiles'
+import { analyzeAndSectionQSOs } from '../../../../extensions/scoring'
+import { dbSelectAll } from '../../../db/db'
+import { prepareQSORow } from '../../../qsos'
+import { selectOperationCallInfo } from '../../operationsSlice'
+import { dataExportOptions, selectedExportColumns } from './dataExportOptions'
 
-export const generateExportsForOptions = (uuid, exports) => async (dispatch, getState) => {
+export const generateExportsForOptions = (uuid, exports, { scope } = {}) => async (dispatch, getState) => {
+  const results = await dispatch(generateExportResultsForOptions(uuid, exports, { scope }))
+  return results.map(result => result.path)
+}
+
+// Like `generateExportsForOptions`, but returns `{ option, path, data, qsoCount }` for each file generated
+export const generateExportResultsForOptions = (uuid, exports, { scope } = {}) => async (dispatch, getState) => {
   const state = getState()
   const operation = state.operations.info[uuid]
   const settings = state.settings
 
-  const qsos = state.qsos.qsos[uuid].map(qso => {
+  const qsos = qsosForExportScope(state.qsos.qsos[uuid], scope).map(qso => {
     return { ...qso, our: { ...qso.our, call: operation.stationCall || settings.operatorCall } }
   })
 
-  const paths = []
+  const results = []
   for (const oneExport of exports) {
-    paths.push(await generateExportFile({ uuid, qsos, operation, settings, ...oneExport }))
+    const exportQSOs = qsosForExportOption(qsos, oneExport)
+    const data = generateExportData({ qsos: exportQSOs, operation, settings, ...oneExport })
+    const path = await writeExportFile({ uuid, fileName: oneExport.fileName, data })
+    if (path) results.push({ option: oneExport, path, data, qsoCount: exportQSOs.filter(qso => !qso.deleted).length })
   }
 
-  return paths.filter(x => x)
+  return results
+}
+
+// Combines QSOs from several operations into a single ADIF file, such as "everything from 2024" for a LoTW upload.
+// Each operation goes through its own preferred ADIF export, so activity fields stay the same as in individual exports.
+export const generateCombinedExport = ({ uuids, scope, fileName, title }) => async (dispatch, getState) => {
+  const state = getState()
+  const settings = state.settings
+
+  const bodies = []
+  for (const uuid of uuids) {
+    const operation = state.operations.info[uuid]
+    if (!operation) continue
+
+    const allQSOs = state.qsos.qsos[uuid] ?? await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [uuid], { row: prepareQSORow })
+    const qsos = qsosForExportScope(allQSOs, scope).filter(qso => !qso.deleted).map(qso => {
+      return { ...qso, our: { ...qso.our, call: operation.stationCall || settings.operatorCall } }
+    })
+    if (qsos.length === 0) continue
+
+    const ourInfo = selectOperationCallInfo(state, uuid)
+    // Options split by day all share the same fields, so any of them works for all the QSOs.
+    // And combined exports are always ADIF, even if the current export profile does not include it.
+    const option = dataExportOptions({ operation, qsos, settings: { ...settings, exportProfile: undefined }, ourInfo }).find(oneOption => oneOption.format === 'adif')
+    if (!option) continue
+
+    const data = generateExportData({ ...option, operation, qsos, settings })
+    bodies.push(data.substring(data.indexOf('<EOH>\n') + 6))
+  }
+
+  if (bodies.length === 0) return false
+
+  const header = qsonToADIF({ operation: { refs: [], stationCall: settings.operatorCall }, settings, qsos: [], handler: {}, title })
+
+  const directory = `${RNFetchBlob.fs.dirs.DocumentDir}/exports`
+  if (!await RNFetchBlob.fs.exists(directory)) await RNFetchBlob.fs.mkdir(directory)
+
+  const path = `${directory}/${fileName}`
+  await RNFetchBlob.fs.writeFile(path, header + bodies.join(''))
+  return path
 }
 
 export const deleteExport = (path) => async (dispatch) => {
   await RNFetchBlob.fs.unlink(path)
 }
 
-export const generateExportFile = async ({ uuid, fileName, format, operation, exportData, ...rest }) => {
-  let data
+export const generateExportData = ({ fileName, format, operation, exportData, ...rest }) => {
   if (format === 'qson') {
-    data = JSON.stringify({ operation: { ...operation, ...exportData }, fileName, format, ...rest })
+    return JSON.stringify({ operation: { ...operation, ...exportData }, fileName, format, ...rest })
   } else if (format === 'adif') {
-    data = qsonToADIF({ operation: { ...operation, ...exportData }, fileName, format, ...rest })
+    return qsonToADIF({ operation: { ...operation, ...exportData }, fileName, format, ...rest })
   } else if (format === 'cabrillo') {
-    data = qsonToCabrillo({ operation: { ...operation, ...exportData }, fileName, format, ...rest })
+    const claimedScore = claimedScoreForExport({ operation, ...rest })
+    return convertToCharset(qsonToCabrillo({ operation: { ...operation, ...exportData }, fileName, format, claimedScore, ...rest }), rest.charset ?? 'utf-8')
+  } else if (format === 'csv' || format === 'tsv' || format === 'txt' || format === 'json') {
+    return convertToCharset(qsonToTable({ operation: { ...operation, ...exportData }, format, columns: selectedExportColumns(rest.settings), ...rest }), rest.charset ?? 'utf-8')
   }
+}
+
+// The score claimed in Cabrillo files comes from the scoring handler for the contest, if it keeps a total.
+export function claimedScoreForExport ({ operation, qsos, settings, handler }) {
+  if (!handler?.scoringForQSO) return undefined
+
+  const { sections } = analyzeAndSectionQSOs({ qsos, operation, settings })
+  return sections[sections.length - 1]?.scores?.[handler.key]?.total
+}
+
+export function cabrilloIssuesForOptions ({ options, operation, qsos, settings }) {
+  return options.filter(option => option.format === 'cabrillo').flatMap(option => {
+    const exportQSOs = option.day ? qsosForExportScope(qsos, { type: 'day', day: option.day }) : qsos
+    const exportOperation = { ...operation, ...option.exportData }
+    const claimedScore = claimedScoreForExport({ operation, qsos: exportQSOs, settings, handler: option.handler })
+    const headers = cabrilloHeadersForOperation({ operation: exportOperation, qsos: exportQSOs, settings, handler: option.handler, claimedScore })
+
+    return validateCabrilloHeaders(headers).map(issue => ({ ...issue, message: `Cabrillo ${issue.message}` }))
+  })
+}
+
+export const generateExportFile = async ({ uuid, fileName, ...rest }) => {
+  const data = generateExportData({ fileName, ...rest })
+  return writeExportFile({ uuid, fileName, data })
+}
 
+async function writeExportFile ({ uuid, fileName, data }) {
   if (fileName && data) {
     const path = `${RNFetchBlob.fs.dirs.DocumentDir}/ops/${uuid}/${fileName}`
     await RNFetchBlob.fs.writeFile(path, data)
@@ -13,51 +13,157 @@ import { adifToQSON } from '@ham2k/lib-qson-adif'
 
 import { reportError } from '../../../../distro'
 
-import { addQSO, actions as qsosActions, saveQSOsForOperation } from '../../../qsos'
+import { addQSOs, actions as qsosActions, prepareQSORow, saveQSOsForOperation } from '../../../qsos'
+import { dbSelectAll } from '../../../db/db'
+import {
+  adifFieldsToString, applyADIFFieldMapping, findDuplicateQSO, isCustomADIFField, isOwnADIFField, parseADIF,
+  passthroughADIFHeaderFields, qsoFromADIFRecord, userDefinedADIFFields
+} from '../../../../tools/adifTools'
+import mergeQSOs from '../../../../tools/mergeQSOs'
 import { annotateQSO } from '../../../../screens/OperationScreens/OpInfoTab/components/useCallLookup'
+import { setOperationData } from '../setOperationData'
 
 const ADIF_FILENAME_REGEX = /.+\.(adi|adif)$/i
 
-export const importADIFIntoOperation = (path, operation) => async (dispatch) => {
-  const matches = path.match(ADIF_FILENAME_REGEX)
-  if (matches) {
-    dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'loading' }))
-    try {
-      const adif64 = await RNFetchBlob.fs.readFile(path, 'base64')
-      const buffer = Buffer.from(adif64, 'base64')
-      const adif = buffer.toString('utf8')
+async function readADIFFile (path) {
+  const adif64 = await RNFetchBlob.fs.readFile(path, 'base64')
+  const buffer = Buffer.from(adif64, 'base64')
+  return buffer.toString('utf8')
+}
 
-      const data = adifToQSON(adif)
-      const qsos = data.qsos.map((qso) => {
-        const newQSO = { ...qso }
-        newQSO.refs = (qso.refs || []).map(ref => {
-          if (ref.type.match(/Activation$/i)) {
-            // Remove activation references, since the QSOs will get them from this operation
-            return false
-          } else {
-            return ref
-          }
-        }).filter(x => x)
-
-        newQSO.key = qsoKey(newQSO)
-
-        return newQSO
-      })
+function prepareImportedQSO (qso) {
+  const newQSO = { ...qso }
+  newQSO.refs = (qso.refs || []).map(ref => {
+    if (ref.type.match(/Activation$/i)) {
+      // Remove activation references, since the QSOs will get them from this operation
+      return false
+    } else {
+      return ref
+    }
+  }).filter(x => x)
+
+  newQSO.key = qsoKey(newQSO)
+
+  return newQSO
+}
+
+// Reads an ADIF file and returns a preview of what would be imported into the operation,
+// including parse errors, duplicates of existing QSOs, and any custom fields that need to be mapped.
+export const readADIFForImport = (path, operation) => async (dispatch, getState) => {
+  if (!path.match(ADIF_FILENAME_REGEX)) throw new Error('This does not look like an ADIF file')
 
-      for (let qso of qsos) {
-        qso = await annotateQSO({ qso, online: false, skipLookup: false, dispatch, settings: {} })
+  const adif = await readADIFFile(path)
+  const parsed = parseADIF(adif)
+  const userDefined = userDefinedADIFFields(parsed.header)
 
-        await dispatch(addQSO({ uuid: operation.uuid, qso }))
+  let existing = getState().qsos.qsos[operation.uuid]
+  if (!existing) {
+    existing = await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [operation.uuid], { row: prepareQSORow })
+  }
+
+  const customFields = new Set()
+  const records = parsed.records.map(record => {
+    const custom = {}
+    Object.keys(record.fields).forEach(name => {
+      if (isCustomADIFField(name, { userDefined }) && !isOwnADIFField(name)) {
+        custom[name] = record.fields[name]
+        customFields.add(name)
       }
+    })
 
-      await dispatch(saveQSOsForOperation(operation.uuid))
-      dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'ready' }))
-      return qsos.length
+    const errors = [...record.errors]
+    let qso
+    try {
+      qso = adifToQSON(adifFieldsToString(record.fields)).qsos[0]
+      if (!qso) {
+        errors.push('Record could not be read')
+      } else if (!qso.their?.call) {
+        errors.push('Record has no callsign')
+        qso = undefined
+      } else if (!qso.startAtMillis) {
+        errors.push('Record has no valid date and time')
+        qso = undefined
+      } else {
+        qso = prepareImportedQSO(qsoFromADIFRecord({ qso, fields: record.fields, userDefined }))
+      }
     } catch (error) {
-      reportError('Error importing ADIF into Operation', error)
+      errors.push(error.message)
+      qso = undefined
     }
-  } else {
-    reportError('Invalid Path importing ADIF into Operation', path)
+
+    const duplicate = qso && findDuplicateQSO(qso, existing)
+
+    return { index: record.index, qso, custom, errors, duplicate }
+  })
+
+  return {
+    records,
+    header: passthroughADIFHeaderFields(parsed.header),
+    errors: parsed.errors,
+    customFields: [...customFields].sort(),
+    validCount: records.filter(r => r.qso).length,
+    duplicateCount: records.filter(r => r.duplicate).length,
+    errorCount: records.filter(r => !r.qso).length
+  }
+}
+
+// `duplicates` decides what to do with records that match existing QSOs:
+// 'skip' ignores them, 'merge' combines them with the existing QSO, and 'replace' overwrites it.
+// `mapping` maps custom fields into QSO fields, see `applyADIFFieldMapping`.
+export const importADIFRecords = ({ operation, preview, duplicates = 'skip', mapping = {} }) => async (dispatch) => {
+  const results = { imported: 0, merged: 0, replaced: 0, skipped: 0, errors: [] }
+
+  dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'loading' }))
+  try {
+    const qsos = []
+    for (const record of preview.records) {
+      if (!record.qso) {
+        results.errors.push({ index: record.index, errors: record.errors })
+        continue
+      }
+
+      let qso = applyADIFFieldMapping(record.qso, record.custom, mapping)
+      const match = record.duplicate?.match
+
+      if (match) {
+        if (duplicates === 'skip') {
+          results.skipped++
+          continue
+        } else if (duplicates === 'replace') {
+          qso = { ...qso, uuid: match.uuid, _originalKey: match.key }
+          results.replaced++
+        } else {
+          qso = { ...mergeQSOs({ ...match }, { ...qso, key: match.key }), uuid: match.uuid, _originalKey: match.key }
+          results.merged++
+        }
+      } else {
+        results.imported++
+      }
+
+      qsos.push(await annotateQSO({ qso, online: false, skipLookup: false, dispatch, settings: {} }))
+    }
+
+    if (qsos.length > 0) {
+      await dispatch(addQSOs({ uuid: operation.uuid, qsos, reason: 'import' }))
+
+      if (Object.keys(preview.header || {}).length > 0) {
+        await dispatch(setOperationData({ uuid: operation.uuid, adifHeader: { ...preview.header, ...operation.adifHeader } }))
+      }
+    }
+  } finally {
+    dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'ready' }))
+  }
+
+  return results
+}
+
+export const importADIFIntoOperation = (path, operation) => async (dispatch) => {
+  try {
+    const preview = await dispatch(readADIFForImport(path, operation))
+    const results = await dispatch(importADIFRecords({ operation, preview, duplicates: 'merge' }))
+    return results.imported + results.merged
+  } catch (error) {
+    reportError('Error importing ADIF into Operation', error)
   }
   return -1
 }
@@ -67,9 +173,7 @@ export const importHistoricalADIF = (path) => async (dispatch) => {
   if (matches) {
     dispatch(qsosActions.setQSOsStatus({ uuid: 'historical', status: 'loading' }))
     try {
-      const adif64 = await RNFetchBlob.fs.readFile(path, 'base64')
-      const buffer = Buffer.from(adif64, 'base64')
-      const adif = buffer.toString('utf8')
+      const adif = await readADIFFile(path)
 
       const data = adifToQSON(adif)
       const qsos = data.qsos.map(qso => {
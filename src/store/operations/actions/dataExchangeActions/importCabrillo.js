@@ -0,0 +1,148 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import RNFetchBlob from 'react-native-blob-util'
+import { Buffer } from 'buffer'
+
+import { qsoKey } from '@ham2k/lib-qson-tools'
+
+import { addQSOs, actions as qsosActions, prepareQSORow } from '../../../qsos'
+import { dbSelectAll } from '../../../db/db'
+import { setOperationData } from '../setOperationData'
+import { findBestHook, findHooks } from '../../../../extensions/registry'
+import { findRef, replaceRef } from '../../../../tools/refTools'
+import { genericCabrilloPartsToQSO, parseCabrillo } from '../../../../tools/cabrilloTools'
+import { findDuplicateQSO } from '../../../../tools/adifTools'
+import { annotateQSO } from '../../../../screens/OperationScreens/OpInfoTab/components/useCallLookup'
+
+const CABRILLO_FILENAME_REGEX = /.+\.(log|cbr|cabrillo|txt)$/i
+
+async function readCabrilloFile (path) {
+  const cabrillo64 = await RNFetchBlob.fs.readFile(path, 'base64')
+  const buffer = Buffer.from(cabrillo64, 'base64')
+  return buffer.toString('utf8')
+}
+
+// Prefer the contest already set up in the operation, and otherwise look for one matching the CONTEST header
+function findCabrilloHandler (operation, headers) {
+  for (const ref of operation.refs || []) {
+    const handler = findBestHook(`ref:${ref.type}`)
+    if (handler?.cabrilloPartsToQSO) return handler
+  }
+
+  const contest = (headers.CONTEST || '').toUpperCase()
+  if (!contest) return undefined
+
+  for (const activity of findHooks('activity')) {
+    const handler = findBestHook(`ref:${activity.key}`)
+    const names = [handler?.cabrilloName ?? handler?.shortName, ...(handler?.cabrilloAliases || [])]
+    if (handler?.cabrilloPartsToQSO && names.find(name => (name ?? '').toUpperCase() === contest)) {
+      return handler
+    }
+  }
+  return undefined
+}
+
+export const readCabrilloForImport = (path, operation) => async (dispatch, getState) => {
+  if (!path.match(CABRILLO_FILENAME_REGEX)) throw new Error('This does not look like a Cabrillo file')
+
+  const text = await readCabrilloFile(path)
+  const parsed = parseCabrillo(text)
+  const handler = findCabrilloHandler(operation, parsed.headers)
+
+  let existing = getState().qsos.qsos[operation.uuid]
+  if (!existing) {
+    existing = await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [operation.uuid], { row: prepareQSORow })
+  }
+
+  const recordsByKey = {}
+  const records = []
+  let ourRef
+  parsed.qsos.filter(line => !line.ignored).forEach(line => {
+    const errors = []
+    let qso = { band: line.band, freq: line.freq, mode: line.mode, startAtMillis: line.startAtMillis, refs: [] }
+    let lineRef
+
+    try {
+      const result = (handler?.cabrilloPartsToQSO ?? genericCabrilloPartsToQSO)({ parts: line.parts, qso, headers: parsed.headers, operation })
+      qso = result.qso
+      lineRef = result.ourRef
+    } catch (error) {
+      errors.push(error.message)
+    }
+
+    if (!qso.their?.call) {
+      errors.push('QSO has no callsign')
+    } else {
+      qso.key = qsoKey(qso)
+
+      // Some contests list the same QSO on several lines, such as stations on county lines
+      const previous = recordsByKey[qso.key]
+      if (previous && errors.length === 0 && handler?.mergeCabrilloQSOs) {
+        const merged = handler.mergeCabrilloQSOs({ previous: { qso: previous.record.qso, ourRef: previous.ourRef }, next: { qso, ourRef: lineRef } })
+        previous.record.qso = merged.qso
+        previous.ourRef = merged.ourRef
+        if (previous.isFirst) ourRef = merged.ourRef
+        return
+      } else if (previous) {
+        errors.push(`Same QSO as line ${previous.record.lineNumber}`)
+      }
+    }
+
+    if (errors.length > 0) {
+      records.push({ lineNumber: line.lineNumber, errors })
+    } else {
+      const record = { lineNumber: line.lineNumber, qso, errors, duplicate: findDuplicateQSO(qso, existing) }
+      recordsByKey[qso.key] = { record, ourRef: lineRef, isFirst: !ourRef }
+      ourRef = ourRef ?? lineRef
+      records.push(record)
+    }
+  })
+
+  return {
+    headers: parsed.headers,
+    handler,
+    ourRef,
+    records,
+    errors: parsed.errors,
+    validCount: records.filter(r => r.qso).length,
+    duplicateCount: records.filter(r => r.duplicate).length,
+    errorCount: records.filter(r => !r.qso).length
+  }
+}
+
+export const importCabrilloRecords = ({ operation, preview }) => async (dispatch) => {
+  const results = { imported: 0, skipped: 0, errors: [] }
+
+  dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'loading' }))
+  try {
+    const qsos = []
+    for (const record of preview.records) {
+      if (!record.qso) {
+        results.errors.push({ lineNumber: record.lineNumber, errors: record.errors })
+      } else if (record.duplicate) {
+        results.skipped++
+      } else {
+        qsos.push(await annotateQSO({ qso: record.qso, online: false, skipLookup: false, dispatch, settings: {} }))
+        results.imported++
+      }
+    }
+
+    if (qsos.length > 0) {
+      await dispatch(addQSOs({ uuid: operation.uuid, qsos, reason: 'import' }))
+    }
+
+    // If the operation was not set up for this contest yet, use our exchange from the file
+    if (preview.ourRef && !findRef(operation, preview.ourRef.type)) {
+      await dispatch(setOperationData({ uuid: operation.uuid, refs: replaceRef(operation.refs, preview.ourRef.type, preview.ourRef) }))
+    }
+  } finally {
+    dispatch(qsosActions.setQSOsStatus({ uuid: operation.uuid, status: 'ready' }))
+  }
+
+  return results
+}
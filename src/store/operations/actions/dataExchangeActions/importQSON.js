@@ -11,36 +11,90 @@ import RNFetchBlob from 'react-native-blob-util'
 import { reportError } from '../../../../distro'
 
 import { actions } from '../../operationsSlice'
-import { actions as qsosActions, saveQSOsForOperation } from '../../../qsos'
-import { saveOperation } from '../operationsDB'
+import { actions as qsosActions, prepareQSORow, saveQSOsForOperation, saveSyncedQSOs } from '../../../qsos'
+import { dbSelectAll, dbSelectOne } from '../../../db/db'
+import { planQSOMerge } from '../../../../tools/syncTools'
+import { prepareOperationRow, saveOperation } from '../operationsDB'
 
 const QSON_FILENAME_REGEX = /.+\.qson$/i
 
+async function findExistingOperation (uuid, getState) {
+  if (getState().operations.info[uuid]) return getState().operations.info[uuid]
+
+  const rows = await dbSelectAll('SELECT * FROM operations WHERE uuid = ?', [uuid], { row: prepareOperationRow })
+  return rows.find(row => !row.deleted)
+}
+
+// Reads a QSON file and checks if its operation already exists in this device.
+// When it does, `plan` describes what a merge would do.
+export const readQSONForImport = (path) => async (dispatch, getState) => {
+  if (!path.match(QSON_FILENAME_REGEX)) throw new Error('This does not look like a QSON file')
+
+  const json = await RNFetchBlob.fs.readFile(path)
+  const data = JSON.parse(json)
+  if (!data?.operation?.uuid || !Array.isArray(data.qsos)) throw new Error('QSON file does not include an operation')
+
+  const uuid = data.operation.uuid
+  const existing = await findExistingOperation(uuid, getState)
+
+  let plan
+  if (existing) {
+    const local = getState().qsos.qsos[uuid] ?? await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [uuid], { row: prepareQSORow })
+    plan = planQSOMerge({ local, incoming: data.qsos })
+  }
+
+  return { data, existing, plan, qsoCount: data.qsos.filter(qso => !qso.deleted).length }
+}
+
+// `mode` decides what to do when the operation already exists:
+// 'replace' overwrites it, 'keep' imports a copy with a new uuid, and 'merge' combines the QSOs from both.
+export const importQSONData = ({ data, mode = 'keep' }) => async (dispatch, getState) => {
+  let { operation, qsos } = data
+  const existing = await findExistingOperation(operation.uuid, getState)
+
+  if (existing && mode === 'merge') {
+    const uuid = operation.uuid
+    const local = getState().qsos.qsos[uuid] ?? await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [uuid], { row: prepareQSORow })
+    const plan = planQSOMerge({ local, incoming: qsos })
+
+    if (!getState().operations.info[uuid]) dispatch(actions.setOperation(existing))
+    await dispatch(saveSyncedQSOs({ uuid, qsos: plan.qsos }))
+
+    const { qsoCount } = await dbSelectOne('SELECT COUNT(*) as qsoCount FROM qsos WHERE operation = ? AND NOT deleted', [uuid])
+    dispatch(actions.setOperation({ uuid, qsoCount }))
+    await dispatch(saveOperation(getState().operations.info[uuid]))
+
+    return { mode, uuid, ...plan.summary, changes: plan.changes }
+  }
+
+  if (existing && mode === 'keep') {
+    operation = { ...operation, uuid: UUID.v1() }
+    qsos = qsos.map(qso => ({ ...qso, uuid: UUID.v4() }))
+  } else if (existing && mode === 'replace') {
+    dispatch(actions.unsetOperation(operation.uuid))
+  }
+
+  const uuid = operation.uuid
+  dispatch(actions.setOperation({ ...operation, status: 'loading' }))
+  dispatch(qsosActions.setQSOsStatus({ uuid, status: 'loading' }))
+  try {
+    await dispatch(qsosActions.setQSOs({ uuid, qsos }))
+    await dispatch(saveOperation(operation))
+    await dispatch(saveQSOsForOperation(uuid, { reason: 'import' }))
+  } finally {
+    dispatch(qsosActions.setQSOsStatus({ uuid, status: 'ready' }))
+    dispatch(actions.setOperation({ uuid, status: 'ready' }))
+  }
+
+  const added = qsos.filter(qso => !qso.deleted).length
+  return { mode: existing ? mode : 'new', uuid, added, updated: 0, unchanged: 0, onlyLocal: 0, changes: [] }
+}
+
 export const importQSON = (path) => async (dispatch) => {
-  const matches = path.match(QSON_FILENAME_REGEX)
-  if (matches) {
-    // const originalUUID = matches[1]
-    const uuid = UUID.v1()
-    dispatch(actions.setOperation({ uuid, status: 'loading' }))
-    dispatch(qsosActions.setQSOsStatus({ uuid, status: 'loading' }))
-
-    try {
-      const json = await RNFetchBlob.fs.readFile(path)
-      const data = JSON.parse(json)
-      data.operation.uuid = uuid
-
-      await dispatch(actions.setOperation(data.operation))
-      await dispatch(qsosActions.setQSOs({ uuid: data.operation.uuid, qsos: data.qsos }))
-
-      await dispatch(saveOperation(data.operation))
-      await dispatch(saveQSOsForOperation(data.operation.uuid))
-
-      dispatch(qsosActions.setQSOsStatus({ uuid: data.operation.uuid, status: 'ready' }))
-      dispatch(actions.setOperation({ uuid, status: 'ready' }))
-    } catch (error) {
-      reportError('Error importing QSON', error)
-    }
-  } else {
-    reportError('Invalid Path importing QSON', path)
+  try {
+    const { data } = await dispatch(readQSONForImport(path))
+    return await dispatch(importQSONData({ data, mode: 'keep' }))
+  } catch (error) {
+    reportError('Error importing QSON', error)
   }
 }
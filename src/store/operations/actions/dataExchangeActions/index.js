@@ -7,5 +7,8 @@
 
 export * from './importQSON'
 export * from './importADIF'
+export * from './importCabrillo'
 export * from './dataExportOptions'
 export * from './generateExports'
+export * from './backups'
+export * from './uploadExports'
@@ -0,0 +1,87 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { findHooks } from '../../../../extensions/registry'
+import { setOperationData } from '../setOperationData'
+import { generateExportResultsForOptions } from './generateExports'
+
+/*
+ * Upload targets are registered as `upload` hooks, and can define:
+ *
+ * - `formats`: export formats they accept, such as `['adif']`
+ * - `isAuthenticated({ settings })`: if false, the user is asked to set up their account first
+ * - `acceptsExport({ option, operation, settings })`: to further limit which exports they can take
+ * - `uploadFile({ fileName, data, path, option, operation, settings })`: returns `{ status, message, remoteId }`
+ *    where `status` is 'accepted', 'pending', 'rejected' or 'error'
+ * - `checkStatus({ upload, operation, settings })`: for uploads still 'pending', returns the same as `uploadFile`
+ */
+
+export function uploadTargetsForOptions ({ options, operation, settings }) {
+  return findHooks('upload').filter(target => (
+    options.find(option => uploadTargetAcceptsOption({ target, option, operation, settings }))
+  ))
+}
+
+export function uploadTargetAcceptsOption ({ target, option, operation, settings }) {
+  if (target.formats && !target.formats.includes(option.format)) return false
+  if (target.acceptsExport && !target.acceptsExport({ option, operation, settings })) return false
+  return true
+}
+
+const recordUpload = ({ uuid, target, fileName, ...data }) => async (dispatch, getState) => {
+  const operation = getState().operations.info[uuid]
+  const uploads = { ...operation?.uploads }
+  uploads[target.key] = { ...uploads[target.key] }
+  uploads[target.key][fileName] = { ...uploads[target.key][fileName], fileName, ...data, updatedAtMillis: Date.now() }
+
+  await dispatch(setOperationData({ uuid, uploads }))
+}
+
+export const uploadExportsForOptions = ({ uuid, target, options, scope }) => async (dispatch, getState) => {
+  const state = getState()
+  const operation = state.operations.info[uuid]
+  const settings = state.settings
+
+  const acceptedOptions = options.filter(option => uploadTargetAcceptsOption({ target, option, operation, settings }))
+  const results = await dispatch(generateExportResultsForOptions(uuid, acceptedOptions, { scope }))
+
+  const uploads = []
+  for (const { option, path, data, qsoCount } of results) {
+    const fileName = option.fileName
+    await dispatch(recordUpload({ uuid, target, fileName, status: 'uploading', message: undefined, exportType: option.exportType, qsoCount }))
+
+    let result
+    try {
+      result = await target.uploadFile({ fileName, data, path, option, operation, settings })
+    } catch (error) {
+      result = { status: 'error', message: error.message }
+    }
+    await dispatch(recordUpload({ uuid, target, fileName, status: result.status, message: result.message, remoteId: result.remoteId, uploadedAtMillis: Date.now() }))
+    uploads.push({ fileName, ...result })
+  }
+
+  return uploads
+}
+
+export const refreshUploadStatus = ({ uuid, target }) => async (dispatch, getState) => {
+  const state = getState()
+  const operation = state.operations.info[uuid]
+  const settings = state.settings
+
+  if (!target.checkStatus) return
+
+  const pending = Object.values(operation?.uploads?.[target.key] || {}).filter(upload => upload.status === 'pending')
+  for (const upload of pending) {
+    let result
+    try {
+      result = await target.checkStatus({ upload, operation, settings })
+    } catch (error) {
+      result = { status: 'pending', message: error.message }
+    }
+    await dispatch(recordUpload({ uuid, target, fileName: upload.fileName, status: result.status, message: result.message }))
+  }
+}
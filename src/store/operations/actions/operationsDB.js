@@ -7,14 +7,16 @@
 
 import UUID from 'react-native-uuid'
 import RNFetchBlob from 'react-native-blob-util'
+import cloneDeep from 'clone-deep'
 
 import { reportError } from '../../../distro'
+import GLOBAL from '../../../GLOBAL'
 
-import { actions } from '../operationsSlice'
+import { actions, selectOperation } from '../operationsSlice'
 import { actions as qsosActions } from '../../qsos'
-import { dbExecute, dbSelectAll, dbSelectOne } from '../../db/db'
+import { CURRENT_CHANGE_SEQ_SQL, NEXT_CHANGE_SEQ_STATEMENT, dbExecute, dbExecuteBatch, dbSelectAll, dbSelectOne } from '../../db/db'
 
-const prepareOperationRow = (row) => {
+export const prepareOperationRow = (row) => {
   const data = JSON.parse(row.data)
   if (data.startOnMillisMin) data.startAtMillisMin = data.startOnMillisMin
   if (data.startOnMillisMax) data.startAtMillisMax = data.startOnMillisMax
@@ -26,7 +28,7 @@ const prepareOperationRow = (row) => {
 }
 
 export const getOperations = () => async (dispatch, getState) => {
-  const oplist = await dbSelectAll('SELECT * FROM operations', [], { row: prepareOperationRow })
+  const oplist = (await dbSelectAll('SELECT * FROM operations', [], { row: prepareOperationRow })).filter(op => !op.deleted)
 
   const ophash = oplist.reduce((acc, op) => {
     acc[op.uuid] = op
@@ -39,7 +41,14 @@ export const getOperations = () => async (dispatch, getState) => {
 export const saveOperation = (operation) => async (dispatch, getState) => {
   const { uuid } = operation
   const json = JSON.stringify(operation)
-  await dbExecute('INSERT INTO operations (uuid, data) VALUES (?, ?) ON CONFLICT DO UPDATE SET data = ?', [uuid, json, json])
+  await dbExecuteBatch([
+    NEXT_CHANGE_SEQ_STATEMENT,
+    [
+      `INSERT INTO operations (uuid, data, changeSeq) VALUES (?, ?, ${CURRENT_CHANGE_SEQ_SQL})
+      ON CONFLICT DO UPDATE SET data = excluded.data, changeSeq = excluded.changeSeq`,
+      [uuid, json]
+    ]
+  ])
 }
 
 export const addNewOperation = (operation) => async (dispatch) => {
@@ -51,6 +60,21 @@ export const addNewOperation = (operation) => async (dispatch) => {
   return operation
 }
 
+// Station and activation details that carry over when starting a new operation from an existing one
+const CLONED_OPERATION_FIELDS = [
+  'stationCall', 'operatorCall', 'grid', 'gridSource', 'refs', 'title', 'subtitle', 'userTitle', 'description',
+  'secondaryControls', 'cabrillo', 'satellite', 'wabSquare'
+]
+
+export const cloneOperation = (uuid) => async (dispatch, getState) => {
+  const original = selectOperation(getState(), uuid)
+  const operation = {}
+  CLONED_OPERATION_FIELDS.forEach(field => {
+    if (original?.[field] !== undefined) operation[field] = cloneDeep(original[field])
+  })
+  return await dispatch(addNewOperation(operation))
+}
+
 export const loadOperation = (uuid) => async (dispatch) => {
   const operation = await dbSelectOne('SELECT * FROM operations WHERE uuid = ?', [uuid], { row: prepareOperationRow })
   dispatch(actions.setOperation(operation))
@@ -59,6 +83,16 @@ export const loadOperation = (uuid) => async (dispatch) => {
 export const deleteOperation = (uuid) => async (dispatch) => {
   await dbExecute('DELETE FROM operations WHERE uuid = ?', [uuid])
   await dbExecute('DELETE FROM qsos WHERE operation = ?', [uuid])
+  await dbExecute('DELETE FROM qsoRevisions WHERE operation = ?', [uuid])
+  await dispatch(actions.unsetOperation(uuid))
+  await dispatch(qsosActions.unsetQSOs(uuid))
+}
+
+// Unlike `deleteOperation`, this keeps the operation and its QSOs in the database, marked as deleted,
+// so that other devices can learn about it when syncing
+export const markOperationAsDeleted = (uuid) => async (dispatch, getState) => {
+  const operation = { ...getState().operations.info[uuid], uuid, deleted: true, updatedAtMillis: Date.now(), updatedOnDeviceId: GLOBAL.deviceId }
+  await dispatch(saveOperation(operation))
   await dispatch(actions.unsetOperation(uuid))
   await dispatch(qsosActions.unsetQSOs(uuid))
 }
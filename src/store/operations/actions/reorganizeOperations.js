@@ -0,0 +1,122 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import GLOBAL from '../../../GLOBAL'
+
+import { actions } from '../operationsSlice'
+import { actions as qsosActions, addQSOs, loadQSOs, moveQSORevisions, saveQSOsForOperation } from '../../qsos'
+import { addNewOperation, markOperationAsDeleted, saveOperation } from './operationsDB'
+import { mergeRefs } from '../../../tools/refTools'
+
+// Fields that describe the QSOs in an operation, and should not be copied when creating a new one from it
+const SUMMARY_FIELDS = ['uuid', 'qsoCount', 'startAtMillisMin', 'startAtMillisMax', 'createdAtMillis', 'updatedAtMillis']
+
+const loadQSOsIfNeeded = (uuid) => async (dispatch, getState) => {
+  if (!getState().qsos.keys[uuid]) await dispatch(loadQSOs(uuid))
+}
+
+export const recalculateOperationSummary = (uuid) => async (dispatch, getState) => {
+  const qsos = getState().qsos.qsos[uuid] || []
+
+  let startAtMillisMin, startAtMillisMax
+  qsos.forEach(qso => {
+    if (qso.startAtMillis < startAtMillisMin || !startAtMillisMin) startAtMillisMin = qso.startAtMillis
+    if (qso.startAtMillis > startAtMillisMax || !startAtMillisMax) startAtMillisMax = qso.startAtMillis
+  })
+
+  dispatch(actions.setOperation({ uuid, startAtMillisMin, startAtMillisMax, qsoCount: qsos.filter(qso => !qso.deleted).length }))
+  await dispatch(saveOperation(getState().operations.info[uuid]))
+}
+
+// Moves QSOs from one operation to another.
+// QSOs that already exist in the destination, with the same key, are merged with the ones being moved.
+// The originals are kept as deleted, so that other devices remove them too when syncing.
+export const moveQSOs = ({ from, to, keys }) => async (dispatch, getState) => {
+  await dispatch(loadQSOsIfNeeded(from))
+  await dispatch(loadQSOsIfNeeded(to))
+
+  const fromKeys = getState().qsos.keys[from] || {}
+  const qsos = keys.map(key => fromKeys[key]).filter(qso => qso).map(qso => ({ ...qso }))
+  if (qsos.length === 0) return 0
+
+  await dispatch(addQSOs({ uuid: to, qsos, reason: 'move' }))
+  await moveQSORevisions({ from, to, uuids: qsos.map(qso => qso.uuid) })
+
+  const now = Date.now()
+  const tombstones = qsos.map(qso => ({
+    ...qso, deleted: true, updatedAtMillis: now, updatedOnDeviceId: GLOBAL.deviceId
+  }))
+  dispatch(qsosActions.addQSOs({ uuid: from, qsos: tombstones }))
+  await dispatch(saveQSOsForOperation(from, { reason: 'move', revisions: false }))
+
+  await dispatch(recalculateOperationSummary(from))
+  await dispatch(recalculateOperationSummary(to))
+
+  return qsos.length
+}
+
+// Moves all QSOs from `from` into `into`, combines their references, and marks `from` as deleted
+export const mergeOperations = ({ from, into }) => async (dispatch, getState) => {
+  await dispatch(loadQSOsIfNeeded(from))
+
+  const fromOperation = getState().operations.info[from]
+  const intoOperation = getState().operations.info[into]
+  if (!fromOperation || !intoOperation) return 0
+
+  const keys = (getState().qsos.qsos[from] || []).map(qso => qso.key)
+  const count = await dispatch(moveQSOs({ from, to: into, keys }))
+
+  dispatch(actions.setOperation({ uuid: into, refs: mergeRefs(intoOperation.refs || [], fromOperation.refs || []) }))
+  await dispatch(saveOperation(getState().operations.info[into]))
+
+  await dispatch(markOperationAsDeleted(from))
+
+  return count
+}
+
+// Creates a new operation, with the same settings as `uuid`, and moves the selected QSOs into it.
+// `atKey` selects a QSO and all the ones that come after it.
+export const splitOperation = ({ uuid, keys, atKey }) => async (dispatch, getState) => {
+  await dispatch(loadQSOsIfNeeded(uuid))
+
+  const qsos = getState().qsos.qsos[uuid] || []
+  if (atKey) {
+    const pos = qsos.findIndex(qso => qso.key === atKey)
+    keys = pos >= 0 ? qsos.slice(pos).map(qso => qso.key) : []
+  }
+  if (!keys?.length) return undefined
+
+  const newOperation = { ...getState().operations.info[uuid] }
+  SUMMARY_FIELDS.forEach(field => delete newOperation[field])
+  const operation = await dispatch(addNewOperation(newOperation))
+
+  await dispatch(moveQSOs({ from: uuid, to: operation.uuid, keys }))
+
+  return getState().operations.info[operation.uuid]
+}
+
+// Leaves QSOs for the first UTC day in the original operation, and creates a new operation for each following day
+export const splitOperationByDay = ({ uuid }) => async (dispatch, getState) => {
+  await dispatch(loadQSOsIfNeeded(uuid))
+
+  const days = {}
+  ;(getState().qsos.qsos[uuid] || []).forEach(qso => {
+    const day = new Date(qso.startAtMillis).toISOString().substring(0, 10)
+    days[day] = days[day] || []
+    days[day].push(qso.key)
+  })
+
+  const newOperations = []
+  for (const day of Object.keys(days).sort().slice(1)) {
+    newOperations.push(await dispatch(splitOperation({ uuid, keys: days[day] })))
+  }
+  return newOperations
+}
+
+export const countOperationDays = (qsos) => {
+  return new Set((qsos || []).map(qso => new Date(qso.startAtMillis).toISOString().substring(0, 10))).size
+}
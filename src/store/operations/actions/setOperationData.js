@@ -11,6 +11,7 @@ import debounce from 'debounce'
 import { saveOperation } from './operationsDB'
 import { findHooks } from '../../../extensions/registry'
 import { reportError } from '../../../distro'
+import GLOBAL from '../../../GLOBAL'
 
 function debounceableDispatch (dispatch, action) {
   return dispatch(action())
@@ -94,6 +95,10 @@ export const setOperationData = (data) => async (dispatch, getState) => {
       }
     }
 
+    // Used to decide which copy wins when operations are synced between devices
+    data.updatedAtMillis = Date.now()
+    data.updatedOnDeviceId = GLOBAL.deviceId
+
     await dispatch(actions.setOperation(data))
     const savedOperation = selectOperation(getState(), uuid) ?? {}
     return debouncedDispatch(dispatch, () => saveOperation(savedOperation))
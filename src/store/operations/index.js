@@ -10,6 +10,7 @@ import reducer from './operationsSlice'
 export * from './operationsSlice'
 export * from './actions/operationsDB'
 export * from './actions/setOperationData'
+export * from './actions/reorganizeOperations'
 export * from './actions/dataExchangeActions'
 
 export default reducer
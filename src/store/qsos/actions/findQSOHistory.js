@@ -19,8 +19,7 @@ export async function findQSOHistory (call, options = {}) {
   }
 
   if (options.onDate) {
-    // TODO: Rename `startOnMillis` to `startAtMillis` in the database
-    whereClauses.push("strftime('%Y-%m-%d', qsos.startOnMillis / 1000, 'unixepoch') = ?")
+    whereClauses.push("strftime('%Y-%m-%d', qsos.startAtMillis / 1000, 'unixepoch') = ?")
     whereArgs.push(fmtDateZulu(options.onDate))
   }
 
@@ -34,18 +33,17 @@ export async function findQSOHistory (call, options = {}) {
     whereArgs.push(options.mode)
   }
 
-  // TODO: Rename `startOnMillis` to `startAtMillis` in the database
   let rows = await dbSelectAll(
     `
     SELECT
-      qsos.key, qsos.ourCall, qsos.theirCall, qsos.operation, qsos.startOnMillis, qsos.band, qsos.mode, qsos.data
+      qsos.key, qsos.ourCall, qsos.theirCall, qsos.operation, qsos.startAtMillis, qsos.band, qsos.mode, qsos.deleted, qsos.data
     FROM
       qsos
     LEFT OUTER JOIN operations ON operations.uuid = qsos.operation
     WHERE
       (operations.uuid IS NOT NULL OR qsos.operation = 'historical')  -- avoid orphaned qsos
       AND ${whereClauses.join(' AND ')}
-    ORDER BY startOnMillis DESC
+    ORDER BY startAtMillis DESC
     `,
     whereArgs
   )
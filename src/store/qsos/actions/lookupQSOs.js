@@ -18,6 +18,6 @@ export const lookupAllQSOs = (uuid, options = {}) => async (dispatch, getState)
 
   for (let qso of qsos) {
     qso = await annotateQSO({ qso, online, settings, dispatch })
-    await dispatch(addQSO({ uuid, qso }))
+    await dispatch(addQSO({ uuid, qso, skipUndo: true }))
   }
 }
@@ -0,0 +1,69 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { actions } from '../qsosSlice'
+import { dbExecute, dbSelectAll } from '../../db/db'
+import { addQSOs } from './qsosDB'
+
+export async function loadQSORevisions (qsoUUID) {
+  if (!qsoUUID) return []
+
+  return dbSelectAll(
+    'SELECT * FROM qsoRevisions WHERE uuid = ? ORDER BY id',
+    [qsoUUID],
+    {
+      row: (row) => ({
+        id: row.id,
+        key: row.key,
+        reason: row.reason,
+        changedAtMillis: row.changedAtMillis,
+        deviceId: row.deviceId,
+        deviceName: row.deviceName,
+        qso: JSON.parse(row.data)
+      })
+    }
+  )
+}
+
+// Keeps the history of QSOs moved to another operation
+export async function moveQSORevisions ({ from, to, uuids }) {
+  if (!uuids?.length) return
+
+  await dbExecute(
+    `UPDATE qsoRevisions SET operation = ? WHERE operation = ? AND uuid IN (${uuids.map(() => '?').join(', ')})`,
+    [to, from, ...uuids]
+  )
+}
+
+export const undoQSOChanges = (uuid) => async (dispatch, getState) => {
+  const undoStack = getState().qsos.undo?.[uuid] || []
+  const entry = undoStack[undoStack.length - 1]
+  if (!entry) return
+
+  // QSOs that did not exist before the change get marked as deleted
+  const qsos = entry.changes.map(({ before, after }) => {
+    if (before) {
+      return { ...before, _originalKey: after.key }
+    } else {
+      return { ...after, deleted: true, _originalKey: after.key }
+    }
+  })
+
+  await dispatch(addQSOs({ uuid, qsos, reason: 'undo' }))
+  dispatch(actions.undoneChange({ uuid }))
+}
+
+export const redoQSOChanges = (uuid) => async (dispatch, getState) => {
+  const redoStack = getState().qsos.redo?.[uuid] || []
+  const entry = redoStack[redoStack.length - 1]
+  if (!entry) return
+
+  const qsos = entry.changes.map(({ before, after }) => ({ ...after, _originalKey: before?.key ?? after.key }))
+
+  await dispatch(addQSOs({ uuid, qsos, reason: 'redo' }))
+  dispatch(actions.redoneChange({ uuid }))
+}
@@ -10,9 +10,9 @@ import { qsoKey } from '@ham2k/lib-qson-tools'
 
 import GLOBAL from '../../../GLOBAL'
 
-import { actions } from '../qsosSlice'
+import { actions, selectDirtyQSOs } from '../qsosSlice'
 import { actions as operationActions, saveOperation } from '../../operations'
-import { dbExecute, dbSelectAll } from '../../db/db'
+import { CURRENT_CHANGE_SEQ_SQL, NEXT_CHANGE_SEQ_STATEMENT, dbExecuteBatch, dbSelectAll } from '../../db/db'
 import mergeQSOs from '../../../tools/mergeQSOs'
 
 export const prepareQSORow = (row) => {
@@ -25,13 +25,70 @@ export const prepareQSORow = (row) => {
   return data
 }
 
+const QSO_COLUMNS = [
+  'operation', 'key', 'data', 'ourCall', 'theirCall', 'mode', 'band', 'startAtMillis',
+  'freq', 'refs', 'grid', 'dxcc', 'state', 'deleted', 'updatedAtMillis', 'uuid'
+]
+
+const UPSERT_QSO_SQL = `
+  INSERT INTO qsos
+  (${QSO_COLUMNS.join(', ')}, changeSeq) VALUES (${QSO_COLUMNS.map(() => '?').join(', ')}, ${CURRENT_CHANGE_SEQ_SQL})
+  ON CONFLICT DO UPDATE SET ${QSO_COLUMNS.filter(c => c !== 'operation' && c !== 'key').map(c => `${c} = excluded.${c}`).join(', ')}, changeSeq = excluded.changeSeq
+`
+
+function refsToColumn (refs) {
+  const parts = (refs || []).filter(ref => ref?.type && ref?.ref).map(ref => `${ref.type}:${ref.ref}`)
+  return parts.length > 0 ? `|${parts.join('|')}|` : null
+}
+
+function qsoToRowValues (uuid, qso, json) {
+  return [
+    uuid, qso.key, json ?? JSON.stringify(qso), qso.our?.call, qso.their?.call, qso.mode, qso.band, qso.startAtMillis,
+    qso.freq ?? null,
+    refsToColumn(qso.refs),
+    qso.their?.grid ?? qso.their?.guess?.grid ?? null,
+    qso.their?.dxccCode ?? qso.their?.guess?.dxccCode ?? null,
+    qso.their?.state ?? qso.their?.guess?.state ?? null,
+    qso.deleted ? 1 : 0,
+    qso.updatedAtMillis ?? null,
+    qso.uuid ?? null
+  ]
+}
+
+// Only the most recent revisions are kept for each QSO
+const MAX_REVISIONS_PER_QSO = 50
+
+function upsertQSOStatements (uuid, qso) {
+  return [NEXT_CHANGE_SEQ_STATEMENT, [UPSERT_QSO_SQL, qsoToRowValues(uuid, qso)]]
+}
+
+function revisionStatements (uuid, qso, reason) {
+  return [
+    [
+      `INSERT INTO qsoRevisions
+      (operation, uuid, key, data, reason, changedAtMillis, deviceId, deviceName) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuid, qso.uuid, qso.key, JSON.stringify(qso), reason, qso.updatedAtMillis ?? Date.now(), GLOBAL.deviceId, GLOBAL.deviceName]
+    ],
+    [
+      `DELETE FROM qsoRevisions WHERE uuid = ? AND id NOT IN (
+        SELECT id FROM qsoRevisions WHERE uuid = ? ORDER BY id DESC LIMIT ?
+      )`,
+      [qso.uuid, qso.uuid, MAX_REVISIONS_PER_QSO]
+    ]
+  ]
+}
+
+// Revisions are not kept for historical records imported from other loggers
+function shouldKeepRevisions (uuid, qso) {
+  return uuid !== 'historical' && !!qso?.uuid
+}
+
 export const loadQSOs = (uuid) => async (dispatch, getState) => {
   dispatch(actions.setQSOsStatus({ uuid, status: 'loading' }))
 
   let qsos = []
   try {
-    // TODO: Rename column `startOnMillis` to `startAtMillis` in the database
-    qsos = await dbSelectAll('SELECT * FROM qsos WHERE operation = ? ORDER BY startOnMillis', [uuid], { row: prepareQSORow })
+    qsos = await dbSelectAll('SELECT * FROM qsos WHERE operation = ? ORDER BY startAtMillis', [uuid], { row: prepareQSORow })
   } catch (error) {
   }
 
@@ -44,7 +101,7 @@ export const loadQSOs = (uuid) => async (dispatch, getState) => {
     }
   })
 
-  dispatch(actions.setQSOs({ uuid, qsos }))
+  dispatch(actions.setQSOs({ uuid, qsos, saved: true }))
   dispatch(actions.setQSOsStatus({ uuid, status: 'ready' }))
 
   const qsoCount = qsos.filter(qso => !qso.deleted).length
@@ -60,7 +117,7 @@ export const loadQSOs = (uuid) => async (dispatch, getState) => {
   }
 }
 
-export const addQSO = ({ uuid, qso }) => async (dispatch, getState) => {
+export const addQSO = ({ uuid, qso, skipUndo }) => async (dispatch, getState) => {
   const origQSOs = await dbSelectAll(
     'SELECT * FROM qsos WHERE operation = ? AND (key = ? OR key = ?)',
     [uuid, qso.key, qso._originalKey ?? qso.key], { row: prepareQSORow }
@@ -68,6 +125,8 @@ export const addQSO = ({ uuid, qso }) => async (dispatch, getState) => {
 
   const now = Date.now()
 
+  const before = origQSOs.find(q => q.key === (qso._originalKey ?? qso.key)) ?? origQSOs[0]
+
   if (origQSOs.length > 0) {
     qso.uuid = origQSOs[0].uuid || qso.uuid
     qso.createdAtMillis = origQSOs[0].createdAtMillis || qso.createdAtMillis
@@ -81,11 +140,6 @@ export const addQSO = ({ uuid, qso }) => async (dispatch, getState) => {
         // Merge the new QSO with the old one
         qso = mergeQSOs(origQSO, qso)
       }
-
-      await dbExecute(`
-        DELETE FROM qsos
-        WHERE operation = ? AND key = ?
-        `, [uuid, origQSO.key])
     }
   }
   qso.uuid = qso.uuid || UUID.v1()
@@ -94,35 +148,112 @@ export const addQSO = ({ uuid, qso }) => async (dispatch, getState) => {
   qso.updatedAtMillis = now
   qso.updatedOnDeviceId = GLOBAL.deviceId
 
-  await dbExecute(`
-    DELETE FROM qsos
-    WHERE operation = ? AND (key = ? OR key = ?)
-    `, [uuid, qso.key, qso._originalKey ?? qso.key])
-
   const qsoClone = { ...qso }
   delete qsoClone._originalKey
   if (qsoClone.their?.lookup) {
     delete qsoClone.their.lookup
   }
 
-  // TODO: Rename column `startOnMillis` to `startAtMillis` in the database
-  await dbExecute(`
-    INSERT INTO qsos
-    (operation, key, data, ourCall, theirCall, mode, band, startOnMillis) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [uuid, qso.key, JSON.stringify(qsoClone), qso.our?.call, qso.their?.call, qso.mode, qso.band, qso.startAtMillis])
+  const statements = [
+    ['DELETE FROM qsos WHERE operation = ? AND (key = ? OR key = ?)', [uuid, qso.key, qso._originalKey ?? qso.key]],
+    ...upsertQSOStatements(uuid, qsoClone)
+  ]
+  if (shouldKeepRevisions(uuid, qsoClone)) statements.push(...revisionStatements(uuid, qsoClone, before ? 'update' : 'create'))
+
+  await dbExecuteBatch(statements)
+
+  dispatch(actions.addQSO({ uuid, qso, saved: true }))
+
+  if (!skipUndo) {
+    const call = qsoClone.their?.call ?? ''
+    dispatch(actions.recordChange({
+      uuid,
+      entry: {
+        label: before ? (qsoClone.deleted && !before.deleted ? `Delete ${call}` : `Edit ${call}`) : `New QSO ${call}`,
+        changes: [{ before, after: qsoClone }]
+      }
+    }))
+  }
+
+  dispatch(updateOperationSummary({ uuid, qsos: [qso] }))
+}
+
+// Adds many QSOs at once, merging them with any existing QSOs with the same key,
+// and saves them all in a single transaction.
+export const addQSOs = ({ uuid, qsos, reason }) => async (dispatch, getState) => {
+  const existingKeys = getState().qsos.keys[uuid] || {}
+
+  const now = Date.now()
+
+  const preparedQSOs = qsos.map(qso => {
+    const origQSO = existingKeys[qso._originalKey ?? qso.key]
+    if (origQSO) {
+      if (!qso._originalKey && origQSO.key === qso.key) {
+        qso = mergeQSOs(origQSO, qso)
+      }
+      qso = {
+        ...qso,
+        uuid: origQSO.uuid || qso.uuid,
+        createdAtMillis: origQSO.createdAtMillis || qso.createdAtMillis,
+        createdOnDeviceId: origQSO.createdOnDeviceId || qso.createdOnDeviceId,
+        createdOnDeviceName: origQSO.createdOnDeviceName || qso.createdOnDeviceName
+      }
+    } else {
+      qso = { ...qso }
+    }
+    qso.uuid = qso.uuid || UUID.v1()
+    qso.createdAtMillis = qso.createdAtMillis || now
+    qso.createdOnDeviceId = qso.createdOnDeviceId || GLOBAL.deviceId
+    qso.updatedAtMillis = now
+    qso.updatedOnDeviceId = GLOBAL.deviceId
+    if (qso.their?.lookup) {
+      qso.their = { ...qso.their }
+      delete qso.their.lookup
+    }
+    return qso
+  })
+
+  dispatch(actions.addQSOs({ uuid, qsos: preparedQSOs }))
+  await dispatch(saveQSOsForOperation(uuid, { reason }))
+
+  dispatch(updateOperationSummary({ uuid, qsos: preparedQSOs }))
+}
 
-  dispatch(actions.addQSO({ uuid, qso }))
+// Saves QSOs received from another device. Unlike `addQSOs`, their timestamps are kept as they are,
+// so that they are not sent back as new changes on the next sync.
+export const saveSyncedQSOs = ({ uuid, qsos }) => async (dispatch, getState) => {
+  if (qsos.length === 0) return
 
+  const statements = []
+  qsos.forEach(qso => {
+    statements.push(['DELETE FROM qsos WHERE operation = ? AND uuid = ? AND key != ?', [uuid, qso.uuid, qso.key]])
+    statements.push(...upsertQSOStatements(uuid, qso))
+    if (shouldKeepRevisions(uuid, qso)) statements.push(...revisionStatements(uuid, qso, 'sync'))
+  })
+  await dbExecuteBatch(statements)
+
+  const loadedKeys = getState().qsos.keys[uuid]
+  if (loadedKeys) {
+    const keysByUUID = {}
+    Object.values(loadedKeys).forEach(qso => { if (qso.uuid) keysByUUID[qso.uuid] = qso.key })
+    dispatch(actions.addQSOs({ uuid, qsos: qsos.map(qso => ({ ...qso, _originalKey: keysByUUID[qso.uuid] })), saved: true }))
+    dispatch(updateOperationSummary({ uuid, qsos }))
+  }
+}
+
+const updateOperationSummary = ({ uuid, qsos }) => (dispatch, getState) => {
   const state = getState()
-  const info = state.operations.info[uuid]
-  const qsos = state.qsos.qsos[uuid]
+  const info = state.operations.info[uuid] || {}
+  const allQSOs = state.qsos.qsos[uuid] || []
 
   let { startAtMillisMin, startAtMillisMax } = info
-  if (qso.startAtMillis < startAtMillisMin || !startAtMillisMin) startAtMillisMin = qso.startAtMillis
-  if (qso.startAtMillis > startAtMillisMax || !startAtMillisMax) startAtMillisMax = qso.startAtMillis
+  for (const qso of qsos) {
+    if (qso.startAtMillis < startAtMillisMin || !startAtMillisMin) startAtMillisMin = qso.startAtMillis
+    if (qso.startAtMillis > startAtMillisMax || !startAtMillisMax) startAtMillisMax = qso.startAtMillis
+  }
 
   // No need to save operation to the db, because min/max times and counts are recalculated on load
-  dispatch(operationActions.setOperation({ uuid, startAtMillisMin, startAtMillisMax, qsoCount: qsos.filter(q => !q.deleted).length }))
+  dispatch(operationActions.setOperation({ uuid, startAtMillisMin, startAtMillisMax, qsoCount: allQSOs.filter(q => !q.deleted).length }))
 
   const operation = getState().operations.info[uuid]
   setTimeout(() => {
@@ -131,55 +262,57 @@ export const addQSO = ({ uuid, qso }) => async (dispatch, getState) => {
 }
 
 export const batchUpdateQSOs = ({ uuid, qsos, data }) => async (dispatch, getState) => {
-  for (const qso of qsos) {
-    const originalKey = qso.key
-    await dbExecute(`
-      DELETE FROM qsos
-      WHERE operation = ? AND key = ?
-      `, [uuid, qso.key])
-
-    qso.our = { ...qso.our, ...data.our } // Batch Update only changes `our` data
-    qso.key = qsoKey(qso)
-
-    // TODO: Rename column `startOnMillis` to `startAtMillis` in the database
-    await dbExecute(`
-      INSERT INTO qsos
-      (operation, key, data, ourCall, theirCall, mode, band, startOnMillis) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `, [uuid, qso.key, JSON.stringify(qso), qso.our?.call, qso.their?.call, qso.mode, qso.band, qso.startAtMillis])
-
-    dispatch(actions.addQSO({ uuid, qso: { ...qso, _originalKey: originalKey } }))
-  }
+  const updatedQSOs = qsos.map(qso => {
+    const updatedQSO = { ...qso, _originalKey: qso.key }
+    updatedQSO.our = { ...qso.our, ...data.our } // Batch Update only changes `our` data
+    updatedQSO.key = qsoKey(updatedQSO)
+    return updatedQSO
+  })
+
+  const changes = updatedQSOs.map((updatedQSO, index) => {
+    const after = { ...updatedQSO }
+    delete after._originalKey
+    return { before: qsos[index], after }
+  })
+
+  dispatch(actions.addQSOs({ uuid, qsos: updatedQSOs }))
+  await dispatch(saveQSOsForOperation(uuid, { reason: 'batch' }))
+
+  dispatch(actions.recordChange({ uuid, entry: { label: `Update ${changes.length} QSOs`, changes } }))
   // Since the batch update does not change operation counts or times, no need to do anything else here
 }
 
-export const saveQSOsForOperation = (uuid) => async (dispatch, getState) => {
-  const qsos = getState().qsos.qsos[uuid]
-  // Move old QSOs out of the way (in sqlite, || is concatenation)
-  try {
-    await dbExecute(`
-      UPDATE qsos
-      SET operation = operation || '_tmp'
-      WHERE operation = ?
-      `, [uuid])
-  } catch (error) {
-    console.error('error moving old QSOs', error)
+// Writes any QSOs that changed in the store since they were last saved, in a single transaction.
+// `revisions: false` skips recording the changes in their history.
+export const saveQSOsForOperation = (uuid, { reason, revisions = true } = {}) => async (dispatch, getState) => {
+  const dirty = selectDirtyQSOs(getState(), uuid)
+  if (!dirty) return
+
+  const keys = getState().qsos.keys[uuid] || {}
+  const statements = []
+
+  let changedKeys
+  if (dirty.replaceAll) {
+    statements.push(['DELETE FROM qsos WHERE operation = ?', [uuid]])
+    changedKeys = Object.keys(keys)
+  } else {
+    Object.keys(dirty.removed).forEach(key => {
+      statements.push(['DELETE FROM qsos WHERE operation = ? AND key = ?', [uuid, key]])
+    })
+    changedKeys = Object.keys(dirty.changed)
   }
 
-  // Save new QSOs
-  for (const qso of qsos) {
-    const json = JSON.stringify(qso)
-
-    // TODO: Rename column `startOnMillis` to `startAtMillis` in the database
-    await dbExecute(`
-      INSERT INTO qsos
-      (operation, key, data, ourCall, theirCall, mode, band, startOnMillis) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT DO UPDATE SET data = ?
-    `, [uuid, qso.key, json, qso.our?.call, qso.their?.call, qso.mode, qso.band, qso.startAtMillis, json])
+  changedKeys.forEach(key => {
+    const qso = keys[key]
+    if (qso) {
+      statements.push(...upsertQSOStatements(uuid, qso))
+      if (revisions && shouldKeepRevisions(uuid, qso)) statements.push(...revisionStatements(uuid, qso, reason ?? (dirty.replaceAll ? 'import' : 'update')))
+    }
+  })
+
+  if (statements.length > 0) {
+    await dbExecuteBatch(statements)
   }
 
-  // Rename delete old QSOs  (in sqlite, || is concatenation)
-  await dbExecute(`
-    DELETE FROM qsos
-    WHERE operation = ? || '_tmp'
-    `, [uuid])
+  dispatch(actions.clearDirtyQSOs({ uuid, saved: dirty }))
 }
@@ -0,0 +1,141 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { isEmptyQSOSearch, parseQSOSearch, searchPatternHasWildcards } from '../../../tools/qsoSearchTools'
+import { dbSelectAll } from '../../db/db'
+import { prepareQSORow } from './qsosDB'
+
+const DEFAULT_LIMIT = 500
+
+const HISTORICAL_OPERATION = { uuid: 'historical', title: 'Historical Records' }
+
+export async function searchQSOs (search, options = {}) {
+  const query = typeof search === 'string' ? parseQSOSearch(search) : search
+
+  if (isEmptyQSOSearch(query)) {
+    return { query, sections: [], count: 0 }
+  }
+
+  const { whereClauses, whereArgs } = buildSearchClauses(query)
+
+  const rows = await dbSelectAll(
+    `
+    SELECT
+      qsos.key, qsos.operation, qsos.data, operations.data AS operationData
+    FROM
+      qsos
+    LEFT OUTER JOIN operations ON operations.uuid = qsos.operation
+    WHERE
+      (operations.uuid IS NOT NULL OR qsos.operation = 'historical')  -- avoid orphaned qsos
+      AND NOT qsos.deleted
+      AND ${whereClauses.join(' AND ')}
+    ORDER BY qsos.startAtMillis DESC
+    LIMIT ?
+    `,
+    [...whereArgs, options.limit ?? DEFAULT_LIMIT]
+  )
+
+  const sections = []
+  const sectionsByUUID = {}
+  for (const row of rows) {
+    let section = sectionsByUUID[row.operation]
+    if (!section) {
+      let operation
+      if (row.operation === 'historical') {
+        operation = HISTORICAL_OPERATION
+      } else {
+        operation = { ...JSON.parse(row.operationData || '{}'), uuid: row.operation }
+      }
+      section = { operation, data: [] }
+      sectionsByUUID[row.operation] = section
+      sections.push(section)
+    }
+    section.data.push(prepareQSORow(row))
+  }
+
+  return { query, sections, count: rows.length }
+}
+
+function buildSearchClauses (query) {
+  const whereClauses = []
+  const whereArgs = []
+
+  if (query.calls.length > 0) {
+    const callClauses = query.calls.map(call => {
+      whereArgs.push(call)
+      return searchPatternHasWildcards(call) ? 'qsos.theirCall GLOB ?' : 'qsos.theirCall = ?'
+    })
+    whereClauses.push(`(${callClauses.join(' OR ')})`)
+  }
+
+  if (query.bands.length > 0) {
+    whereClauses.push(`qsos.band IN (${query.bands.map(() => '?').join(', ')})`)
+    whereArgs.push(...query.bands)
+  }
+
+  if (query.modes.length > 0) {
+    whereClauses.push(`qsos.mode IN (${query.modes.map(() => '?').join(', ')})`)
+    whereArgs.push(...query.modes)
+  }
+
+  if (query.date?.from) {
+    whereClauses.push('qsos.startAtMillis >= ?')
+    whereArgs.push(query.date.from)
+  }
+  if (query.date?.to) {
+    whereClauses.push('qsos.startAtMillis < ?')
+    whereArgs.push(query.date.to)
+  }
+
+  if (query.freq?.from) {
+    whereClauses.push('qsos.freq >= ?')
+    whereArgs.push(query.freq.from)
+  }
+  if (query.freq?.to) {
+    whereClauses.push('qsos.freq <= ?')
+    whereArgs.push(query.freq.to)
+  }
+
+  query.grids.forEach(grid => {
+    whereClauses.push('UPPER(qsos.grid) LIKE ?')
+    whereArgs.push(`${grid}%`)
+  })
+
+  query.states.forEach(state => {
+    whereClauses.push('UPPER(qsos.state) = ?')
+    whereArgs.push(state)
+  })
+
+  query.notes.forEach(notes => {
+    whereClauses.push("json_extract(qsos.data, '$.notes') LIKE ?")
+    whereArgs.push(`%${notes}%`)
+  })
+
+  query.operationTitles.forEach(title => {
+    whereClauses.push("(json_extract(operations.data, '$.userTitle') LIKE ? OR json_extract(operations.data, '$.title') LIKE ?)")
+    whereArgs.push(`%${title}%`, `%${title}%`)
+  })
+
+  // Refs can be either hunted (in the QSO) or activated (in the operation)
+  query.refs.forEach(({ type, ref }) => {
+    if (searchPatternHasWildcards(ref)) {
+      whereClauses.push(`(
+        qsos.refs GLOB ?
+        OR EXISTS (SELECT 1 FROM json_each(operations.data, '$.refs') WHERE json_extract(json_each.value, '$.type') = ? AND UPPER(json_extract(json_each.value, '$.ref')) GLOB ?)
+      )`)
+      whereArgs.push(`*|${type}:${ref}|*`, `${type}Activation`, ref)
+    } else {
+      whereClauses.push(`(
+        qsos.refs LIKE ?
+        OR EXISTS (SELECT 1 FROM json_each(operations.data, '$.refs') WHERE json_extract(json_each.value, '$.type') = ? AND UPPER(json_extract(json_each.value, '$.ref')) = ?)
+      )`)
+      whereArgs.push(`%|${type}:${ref}|%`, `${type}Activation`, ref)
+    }
+  })
+
+  return { whereClauses, whereArgs }
+}
@@ -11,5 +11,7 @@ export * from './qsosSlice'
 export * from './actions/qsosDB'
 export * from './actions/lookupQSOs'
 export * from './actions/findQSOHistory'
+export * from './actions/searchQSOs'
+export * from './actions/qsoHistory'
 
 export default reducer
@@ -15,7 +15,74 @@ import { analyzeAndSectionQSOs } from '../../extensions/scoring'
 const INITIAL_STATE = {
   status: 'ready',
   keys: {},
-  qsos: {}
+  qsos: {},
+  dirty: {},
+  undo: {},
+  redo: {}
+}
+
+const MAX_UNDO_ENTRIES = 50
+
+// Keeps track of which QSOs need to be written to (or removed from) the database.
+// `replaceAll` means every row for the operation should be replaced with what's in the store.
+// Flags hold the `version` of the change that set them, so that saving can tell if they changed again since.
+function dirtyForOperation (state, uuid) {
+  if (!state.dirty) state.dirty = {}
+  if (!state.dirty[uuid]) state.dirty[uuid] = { changed: {}, removed: {}, replaceAll: false, version: 0 }
+  state.dirty[uuid].version = (state.dirty[uuid].version ?? 0) + 1
+  return state.dirty[uuid]
+}
+
+function sortAndNumberQSOs (qsos) {
+  qsos.sort((a, b) => a.startAtMillis - b.startAtMillis)
+  qsos.forEach((q, index) => {
+    if (q._number !== index + 1) q._number = index + 1
+  })
+}
+
+function addOneQSO (state, uuid, qso, { saved } = {}) {
+  if (!state.qsos[uuid]) state.qsos[uuid] = []
+  if (!state.keys[uuid]) state.keys[uuid] = {}
+  const qsos = state.qsos[uuid]
+  const keys = state.keys[uuid]
+
+  if (!qso.key) qso.key = qsoKey(qso)
+
+  const dirty = !saved && dirtyForOperation(state, uuid)
+
+  let needsSorting = false
+  if (keys[qso._originalKey ?? qso.key]) {
+    // Find old QSO and replace it with the new one
+    const pos = qsos.findIndex(q => q.key === (qso._originalKey ?? qso.key))
+    const oldQSO = qsos[pos]
+    qsos[pos] = qso
+    if (qso._originalKey) {
+      delete keys[qso._originalKey]
+      if (dirty && qso._originalKey !== qso.key) {
+        dirty.removed[qso._originalKey] = dirty.version
+        delete dirty.changed[qso._originalKey]
+      }
+      delete qso._originalKey
+    }
+    keys[qso.key] = qso
+    needsSorting = oldQSO?.startAtMillis !== qso.startAtMillis
+  } else {
+    // Add new QSO to the end of the array
+    keys[qso.key] = qso
+    qsos[qsos.length] = qso
+    if (qsos.length > 1 && qsos[qsos.length - 2].startAtMillis > qso.startAtMillis) {
+      needsSorting = true
+    } else {
+      qso._number = qsos.length
+    }
+  }
+
+  if (dirty) {
+    dirty.changed[qso.key] = dirty.version
+    delete dirty.removed[qso.key]
+  }
+
+  return needsSorting
 }
 
 export const qsosSlice = createSlice({
@@ -33,46 +100,62 @@ export const qsosSlice = createSlice({
       state.qsos[action.payload.uuid] = action.payload.qsos
       state.keys[action.payload.uuid] = {}
       action.payload.qsos.forEach(qso => { state.keys[action.payload.uuid][qso.key] = qso })
+
+      if (action.payload.saved) {
+        if (state.dirty) delete state.dirty[action.payload.uuid]
+      } else {
+        const dirty = dirtyForOperation(state, action.payload.uuid)
+        dirty.replaceAll = dirty.version
+      }
     },
     addQSO: (state, action) => {
-      if (!state.qsos[action.payload.uuid]) state.qsos[action.payload.uuid] = []
-      if (!state.keys[action.payload.uuid]) state.keys[action.payload.uuid] = {}
-      const qsos = state.qsos[action.payload.uuid]
-      const keys = state.keys[action.payload.uuid]
-
-      const qso = action.payload.qso
-      if (!qso.key) qso.key = qsoKey(qso)
-
-      if (keys[qso._originalKey ?? qso.key]) {
-        // Find old QSO and replace it with the new one
-        const pos = qsos.findIndex(q => q.key === (qso._originalKey ?? qso.key))
-        const oldQSO = qsos[pos]
-        qsos[pos] = qso
-        if (qso._originalKey) {
-          delete keys[qso._originalKey]
-          delete qso._originalKey
-        }
-        keys[qso.key] = qso
-        if (oldQSO?.startAtMillis !== qso.startAtMillis) {
-          qsos.sort((a, b) => a.startAtMillis - b.startAtMillis)
-          qsos.forEach((q, index) => {
-            if (q._number !== index + 1) q._number = index + 1
-          })
-        }
-      } else {
-        // Add new QSO to the end of the array
-        keys[qso.key] = qso
-        qsos[qsos.length] = qso
-        if (qsos.length > 1 && qsos[qsos.length - 2].startAtMillis > qso.startAtMillis) {
-          qsos.sort((a, b) => a.startAtMillis - b.startAtMillis)
-          qsos.forEach((q, index) => {
-            if (q._number !== index + 1) q._number = index + 1
-          })
-        } else {
-          qso._number = qsos.length
-        }
+      const { uuid, qso, saved } = action.payload
+      if (addOneQSO(state, uuid, qso, { saved })) {
+        sortAndNumberQSOs(state.qsos[uuid])
+      }
+    },
+    addQSOs: (state, action) => {
+      const { uuid, qsos, saved } = action.payload
+      let needsSorting = false
+      qsos.forEach(qso => {
+        needsSorting = addOneQSO(state, uuid, qso, { saved }) || needsSorting
+      })
+      if (needsSorting) {
+        sortAndNumberQSOs(state.qsos[uuid])
       }
     },
+    clearDirtyQSOs: (state, action) => {
+      // Only clear the flags that were saved, and not set again by more changes while saving
+      const { uuid, saved } = action.payload
+      const dirty = state.dirty && state.dirty[uuid]
+      if (!dirty) return
+
+      Object.keys(saved.changed).forEach(key => {
+        if (dirty.changed[key] === saved.changed[key]) delete dirty.changed[key]
+      })
+      Object.keys(saved.removed).forEach(key => {
+        if (dirty.removed[key] === saved.removed[key]) delete dirty.removed[key]
+      })
+      if (saved.replaceAll && dirty.replaceAll === saved.replaceAll) dirty.replaceAll = false
+    },
+    recordChange: (state, action) => {
+      // Entries look like `{ label, changes: [{ before, after }] }`. Recording a new change clears the redo stack
+      const { uuid, entry } = action.payload
+      if (!state.undo) state.undo = {}
+      if (!state.redo) state.redo = {}
+      state.undo[uuid] = [...(state.undo[uuid] || []), entry].slice(-MAX_UNDO_ENTRIES)
+      state.redo[uuid] = []
+    },
+    undoneChange: (state, action) => {
+      const uuid = action.payload.uuid
+      const entry = state.undo?.[uuid]?.pop()
+      if (entry) state.redo[uuid] = [...(state.redo[uuid] || []), entry]
+    },
+    redoneChange: (state, action) => {
+      const uuid = action.payload.uuid
+      const entry = state.redo?.[uuid]?.pop()
+      if (entry) state.undo[uuid] = [...(state.undo[uuid] || []), entry]
+    },
     deleteQSO: (state, action) => {
     },
     unsetQSOs: (state, action) => {
@@ -80,6 +163,9 @@ export const qsosSlice = createSlice({
       state.keys[actions.payload] = undefined
       delete state.qsos[action.payload]
       delete state.keys[action.payload]
+      if (state.dirty) delete state.dirty[action.payload]
+      if (state.undo) delete state.undo[action.payload]
+      if (state.redo) delete state.redo[action.payload]
     }
   }
 
@@ -87,6 +173,16 @@ export const qsosSlice = createSlice({
 
 export const { actions } = qsosSlice
 
+export const selectDirtyQSOs = (state, uuid) => {
+  return state?.qsos?.dirty && state.qsos.dirty[uuid]
+}
+
+export const selectUndoRedo = createSelector(
+  (state, uuid) => state?.qsos?.undo?.[uuid],
+  (state, uuid) => state?.qsos?.redo?.[uuid],
+  (undo, redo) => ({ undo: undo?.[undo.length - 1], redo: redo?.[redo.length - 1] })
+)
+
 export const selectQSOsStatus = (state) => {
   return state?.qsos?.status
 }
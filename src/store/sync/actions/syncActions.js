@@ -0,0 +1,242 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import RNFetchBlob from 'react-native-blob-util'
+
+import GLOBAL from '../../../GLOBAL'
+
+import { actions } from '../syncSlice'
+import { actions as operationActions, prepareOperationRow, saveOperation } from '../../operations'
+import { actions as qsosActions, prepareQSORow, saveSyncedQSOs } from '../../qsos'
+import { dbSelectAll, dbSelectOne } from '../../db/db'
+import { buildSyncFile, createSyncPeer, parseSyncFile, resolveSyncedOperation, resolveSyncedQSO } from '../../../tools/syncTools'
+import { connectToSyncPeer, startSyncServer } from './tcpTransport'
+import { startSyncDiscovery } from './syncDiscovery'
+
+// `since` is the cursor the other device got from us last time: the last `changeSeq` it saw
+export const syncChangesSince = (since) => async (dispatch, getState) => {
+  since = since ?? 0
+  let cursor = since
+
+  const qsoRows = await dbSelectAll(
+    "SELECT * FROM qsos WHERE operation != 'historical' AND changeSeq > ? ORDER BY changeSeq",
+    [since]
+  )
+  const qsos = qsoRows.map(row => {
+    cursor = Math.max(cursor, row.changeSeq)
+    return { operation: row.operation, qso: prepareQSORow(row) }
+  })
+
+  // Include changed operations, and any operation that has changed QSOs, so the other side can create them if needed
+  const changedOperations = new Set(qsos.map(({ operation }) => operation))
+  const operations = []
+  const operationRows = await dbSelectAll('SELECT * FROM operations', [])
+  operationRows.forEach(row => {
+    if (row.changeSeq > since) {
+      cursor = Math.max(cursor, row.changeSeq)
+      operations.push(prepareOperationRow(row))
+    } else if (changedOperations.has(row.uuid)) {
+      operations.push(prepareOperationRow(row))
+    }
+  })
+
+  return { operations, qsos, cursor }
+}
+
+export const applySyncedChanges = ({ operations, qsos }) => async (dispatch, getState) => {
+  const results = { operations: 0, qsos: 0 }
+
+  for (const operation of operations) {
+    // Operations merged into others are only in the database, marked as deleted
+    const local = getState().operations.info[operation.uuid] ??
+      (await dbSelectAll('SELECT * FROM operations WHERE uuid = ?', [operation.uuid], { row: prepareOperationRow }))[0]
+
+    const winner = resolveSyncedOperation(local, operation)
+    if (winner?.deleted) {
+      await dispatch(saveOperation(winner))
+      dispatch(operationActions.unsetOperation(operation.uuid))
+      dispatch(qsosActions.unsetQSOs(operation.uuid))
+      results.operations++
+    } else if (winner) {
+      dispatch(operationActions.setOperation(winner))
+      await dispatch(saveOperation(getState().operations.info[operation.uuid]))
+      results.operations++
+    }
+  }
+
+  const byOperation = {}
+  qsos.forEach(({ operation, qso }) => {
+    byOperation[operation] = byOperation[operation] || []
+    byOperation[operation].push(qso)
+  })
+
+  for (const uuid of Object.keys(byOperation)) {
+    const local = await dbSelectAll('SELECT * FROM qsos WHERE operation = ?', [uuid], { row: prepareQSORow })
+    const localByUUID = {}
+    const localByKey = {}
+    local.forEach(qso => {
+      if (qso.uuid) localByUUID[qso.uuid] = qso
+      localByKey[qso.key] = qso
+    })
+
+    const winners = byOperation[uuid]
+      .map(qso => resolveSyncedQSO(localByUUID[qso.uuid] ?? localByKey[qso.key], qso))
+      .filter(qso => qso)
+
+    await dispatch(saveSyncedQSOs({ uuid, qsos: winners }))
+    results.qsos += winners.length
+
+    const operation = getState().operations.info[uuid]
+    if (winners.length > 0 && operation) {
+      const { qsoCount } = await dbSelectOne('SELECT COUNT(*) as qsoCount FROM qsos WHERE operation = ? AND NOT deleted', [uuid])
+      dispatch(operationActions.setOperation({ uuid, qsoCount }))
+      await dispatch(saveOperation(getState().operations.info[uuid]))
+    }
+  }
+
+  return results
+}
+
+function syncSource (dispatch, getState) {
+  return {
+    changesSince: (since) => dispatch(syncChangesSince(since)),
+    applyChanges: (changes) => dispatch(applySyncedChanges(changes)),
+    getCursor: (deviceId) => getState().sync.peers?.[deviceId]?.changeCursor,
+    setCursor: (deviceId, changeCursor) => dispatch(actions.setPeer({ deviceId, changeCursor })),
+    knownPeers: () => Object.values(getState().sync.peers ?? {})
+      .filter(known => known.address)
+      .map(known => ({ deviceId: known.deviceId, deviceName: known.deviceName, address: known.address }))
+  }
+}
+
+export const syncWithPeer = ({ address, deviceId: peerDeviceId }) => async (dispatch, getState) => {
+  if (peerDeviceId) dispatch(actions.setPeer({ deviceId: peerDeviceId, status: 'connecting', message: undefined }))
+
+  let transport
+  try {
+    transport = await connectToSyncPeer(address)
+  } catch (error) {
+    if (peerDeviceId) dispatch(actions.setPeer({ deviceId: peerDeviceId, status: 'error', message: error.message }))
+    throw error
+  }
+
+  const peer = createSyncPeer({
+    deviceId: GLOBAL.deviceId,
+    deviceName: GLOBAL.deviceName,
+    source: syncSource(dispatch, getState),
+    transport,
+    onStatus: ({ status, remote, peers, message }) => {
+      if (status === 'discovered') {
+        peers.forEach(discovered => {
+          if (!getState().sync.peers?.[discovered.deviceId]) dispatch(actions.setPeer(discovered))
+        })
+      } else if (remote?.deviceId && status !== 'closed') {
+        dispatch(actions.setPeer({ ...remote, address, status, message }))
+      }
+    }
+  })
+
+  try {
+    const results = await peer.sync()
+    dispatch(actions.setPeer({ deviceId: peer.remote.deviceId, status: 'synced', lastSyncAtMillis: Date.now() }))
+    return results
+  } catch (error) {
+    // The peer reports errors itself once we know who is on the other side, but not before that
+    const deviceId = peer.remote?.deviceId ?? peerDeviceId
+    if (deviceId) dispatch(actions.setPeer({ deviceId, status: 'error', message: error.message }))
+    throw error
+  } finally {
+    peer.close()
+  }
+}
+
+let syncListener
+
+// While listening, other devices on the same network can find this one, and sync with it when they connect.
+// Resolves with the port used for incoming connections.
+export const startSyncListener = () => async (dispatch, getState) => {
+  if (syncListener) return syncListener.ready
+
+  const listener = { peers: [] }
+  syncListener = listener
+
+  listener.ready = startSyncServer({
+    onTransport: (transport) => {
+      const peer = createSyncPeer({
+        deviceId: GLOBAL.deviceId,
+        deviceName: GLOBAL.deviceName,
+        source: syncSource(dispatch, getState),
+        transport,
+        onStatus: ({ status, remote, message }) => {
+          if (status === 'synced') {
+            dispatch(actions.setPeer({ ...remote, status, message: undefined, lastSyncAtMillis: Date.now() }))
+          } else if (remote?.deviceId && status !== 'closed') {
+            dispatch(actions.setPeer({ ...remote, status, message }))
+          }
+        }
+      })
+      peer.listen()
+      listener.peers.push(peer)
+      transport.onClose(() => {
+        listener.peers = listener.peers.filter(p => p !== peer)
+        peer.close()
+      })
+    }
+  }).then(server => {
+    if (syncListener !== listener) { // Stopped while starting
+      server.close()
+      return undefined
+    }
+    listener.server = server
+    listener.stopDiscovery = startSyncDiscovery({
+      deviceId: GLOBAL.deviceId,
+      deviceName: GLOBAL.deviceName,
+      port: server.port,
+      onPeer: (discovered) => dispatch(actions.setPeer(discovered)),
+      onError: (error) => console.info('Sync discovery error', error)
+    })
+    return server.port
+  }).catch(error => {
+    if (syncListener === listener) syncListener = undefined
+    throw error
+  })
+
+  return listener.ready
+}
+
+export const stopSyncListener = () => async (dispatch) => {
+  const listener = syncListener
+  syncListener = undefined
+  if (!listener) return
+
+  listener.stopDiscovery && listener.stopDiscovery()
+  listener.peers.forEach(peer => peer.close())
+  listener.server && listener.server.close()
+}
+
+// For devices that cannot connect to each other, changes can also be shared as a file
+export const generateSyncFile = () => async (dispatch, getState) => {
+  const changes = await dispatch(syncChangesSince(0))
+  const file = buildSyncFile({ deviceId: GLOBAL.deviceId, deviceName: GLOBAL.deviceName, changes })
+
+  const path = `${RNFetchBlob.fs.dirs.CacheDir}/polo-sync-${new Date(file.createdAtMillis).toISOString().replace(/[-:]/g, '').substring(0, 13)}.json`
+  await RNFetchBlob.fs.writeFile(path, JSON.stringify(file))
+  return path
+}
+
+export const importSyncFile = (path) => async (dispatch, getState) => {
+  const file = parseSyncFile(await RNFetchBlob.fs.readFile(path))
+  if (file.deviceId === GLOBAL.deviceId) throw new Error('This sync file was created on this device')
+
+  const results = await dispatch(applySyncedChanges(file))
+  dispatch(actions.setPeer({ deviceId: file.deviceId, deviceName: file.deviceName, status: 'synced', message: undefined, lastSyncAtMillis: Date.now() }))
+  return results
+}
+
+export const forgetPeer = (deviceId) => (dispatch) => {
+  dispatch(actions.removePeer(deviceId))
+}
@@ -0,0 +1,33 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import Zeroconf from 'react-native-zeroconf'
+
+import { SYNC_SERVICE_TYPE, peerFromSyncService, syncServiceTXT } from '../../../tools/syncTools'
+
+// Announces this device on the local network with Bonjour/mDNS, and calls `onPeer` for every other device doing the same.
+// Returns a function that stops both.
+export function startSyncDiscovery ({ deviceId, deviceName, port, onPeer, onError }) {
+  const zeroconf = new Zeroconf()
+  // Service names have to be unique on the network, and device names might not be
+  const serviceName = `${deviceName || 'PoLo'} (${deviceId.substring(0, 8)})`
+
+  zeroconf.on('resolved', (service) => {
+    const peer = peerFromSyncService(service, { deviceId })
+    if (peer) onPeer(peer)
+  })
+  zeroconf.on('error', (error) => onError && onError(error))
+
+  zeroconf.publishService(SYNC_SERVICE_TYPE, 'tcp', 'local.', serviceName, port, syncServiceTXT({ deviceId, deviceName }))
+  zeroconf.scan(SYNC_SERVICE_TYPE, 'tcp', 'local.')
+
+  return () => {
+    zeroconf.stop()
+    zeroconf.unpublishService(serviceName)
+    zeroconf.removeDeviceListeners()
+  }
+}
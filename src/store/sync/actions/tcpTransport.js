@@ -0,0 +1,101 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import TcpSocket from 'react-native-tcp-socket'
+
+import { DEFAULT_SYNC_PORT, createSyncMessageDecoder, encodeSyncMessage, parseSyncAddress } from '../../../tools/syncTools'
+
+const CONNECT_TIMEOUT = 10 * 1000
+
+// Wraps a connected socket, in either direction, into a transport that can be used by `createSyncPeer`
+function transportForSocket (socket, { name }) {
+  const handlers = []
+  const closeHandlers = []
+  let closed = false
+
+  const handleClose = (error) => {
+    if (closed) return
+    closed = true
+    closeHandlers.forEach(handler => handler(error))
+  }
+
+  socket.setEncoding('utf8')
+  socket.on('data', createSyncMessageDecoder(message => handlers.forEach(handler => handler(message))))
+  socket.on('error', (error) => handleClose(new Error(error?.message || `Lost connection to ${name}`)))
+  socket.on('close', () => handleClose())
+
+  return {
+    send: (message) => {
+      if (!closed) socket.write(encodeSyncMessage(message))
+    },
+    onMessage: (handler) => {
+      handlers.push(handler)
+      return () => {
+        const pos = handlers.indexOf(handler)
+        if (pos >= 0) handlers.splice(pos, 1)
+      }
+    },
+    onClose: (handler) => {
+      closeHandlers.push(handler)
+      return () => {
+        const pos = closeHandlers.indexOf(handler)
+        if (pos >= 0) closeHandlers.splice(pos, 1)
+      }
+    },
+    close: () => {
+      closed = true
+      socket.destroy()
+    }
+  }
+}
+
+// Connects to another device that is listening for syncs, and resolves with a transport
+export function connectToSyncPeer (address) {
+  return new Promise((resolve, reject) => {
+    const target = parseSyncAddress(address)
+    if (!target) {
+      reject(new Error(`Invalid address ${address}`))
+      return
+    }
+
+    let connected = false
+    const socket = TcpSocket.createConnection({ host: target.host, port: target.port }, () => {
+      connected = true
+      clearTimeout(timeout)
+      resolve(transportForSocket(socket, { name: address }))
+    })
+    socket.on('error', (error) => {
+      if (connected) return
+      clearTimeout(timeout)
+      reject(new Error(error?.message || `Could not connect to ${address}`))
+    })
+
+    const timeout = setTimeout(() => {
+      socket.destroy()
+      reject(new Error(`Could not connect to ${address}`))
+    }, CONNECT_TIMEOUT)
+  })
+}
+
+// Accepts connections from other devices, calling `onTransport` with a transport for each one.
+// Resolves with the port being used and a `close()` function once it is listening.
+export function startSyncServer ({ port = DEFAULT_SYNC_PORT, onTransport }) {
+  return new Promise((resolve, reject) => {
+    let listening = false
+    const server = TcpSocket.createServer((socket) => {
+      onTransport(transportForSocket(socket, { name: socket.remoteAddress }), { remoteAddress: socket.remoteAddress })
+    })
+    server.on('error', (error) => {
+      if (!listening) reject(error)
+      else console.info('Sync server error', error)
+    })
+    server.listen({ port, host: '0.0.0.0' }, () => {
+      listening = true
+      resolve({ port: server.address()?.port ?? port, close: () => server.close() })
+    })
+  })
+}
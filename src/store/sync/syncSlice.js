@@ -0,0 +1,36 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { createSlice } from '@reduxjs/toolkit'
+
+const INITIAL_STATE = {
+  peers: {}
+}
+
+export const syncSlice = createSlice({
+  name: 'sync',
+
+  initialState: INITIAL_STATE,
+
+  reducers: {
+    setPeer: (state, action) => {
+      const { deviceId } = action.payload
+      if (!deviceId) return
+      state.peers = state.peers || {}
+      state.peers[deviceId] = { ...state.peers[deviceId], ...action.payload }
+    },
+    removePeer: (state, action) => {
+      if (state.peers) delete state.peers[action.payload]
+    }
+  }
+})
+
+export const { actions } = syncSlice
+
+export const selectSyncPeers = (state) => state?.sync?.peers ?? {}
+
+export default syncSlice.reducer
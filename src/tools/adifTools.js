@@ -0,0 +1,262 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { adifModeAndSubmodeForMode, bandForFrequency, modeForFrequency } from '@ham2k/lib-operation-data'
+
+import { fmtADIFDate, fmtADIFTime } from './timeFormats'
+
+const TAG_REGEX = /<([^:<>]+)(?::(\d+)(?::([^<>]*))?)?>/g
+
+// Splits an ADIF file into its header and records, keeping every field as a plain string,
+// so that we can report problems for each record and look at fields that other tools would discard.
+export function parseADIF (text) {
+  const result = { header: {}, records: [], errors: [] }
+  if (!text) return result
+
+  let fields = {}
+  let errors = []
+  let inHeader = !text.trimStart().startsWith('<')
+
+  TAG_REGEX.lastIndex = 0
+  let match
+  while ((match = TAG_REGEX.exec(text)) !== null) {
+    const name = match[1].trim().toUpperCase()
+    const length = match[2] !== undefined ? parseInt(match[2], 10) : undefined
+
+    if (name === 'EOH') {
+      result.header = fields
+      fields = {}
+      errors = []
+      inHeader = false
+    } else if (name === 'EOR') {
+      if (inHeader) {
+        result.errors.push('Found a record before the end of the header')
+        inHeader = false
+      }
+      if (Object.keys(fields).length > 0 || errors.length > 0) {
+        result.records.push({ index: result.records.length, fields, errors })
+      }
+      fields = {}
+      errors = []
+    } else if (length === undefined) {
+      errors.push(`Field ${name} has no length`)
+    } else {
+      const start = match.index + match[0].length
+      const value = text.substring(start, start + length)
+      if (value.length < length) errors.push(`Field ${name} is shorter than expected`)
+      if (fields[name] !== undefined) errors.push(`Field ${name} appears more than once`)
+      fields[name] = value
+      TAG_REGEX.lastIndex = start + value.length
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    if (inHeader) {
+      result.errors.push('The file has a header but no <EOH>')
+    } else {
+      result.records.push({ index: result.records.length, fields, errors: [...errors, 'Record is missing <EOR>'] })
+    }
+  }
+
+  return result
+}
+
+export function adifFieldsToString (fields) {
+  return Object.keys(fields).map(name => {
+    const value = `${fields[name] ?? ''}`
+    return `<${name}:${value.length}>${value}`
+  }).join('') + '<EOR>\n'
+}
+
+// Field names declared with USERDEFn in the header, such as `<USERDEF1:19:N>EPC,{1,2,3}`
+export function userDefinedADIFFields (header) {
+  return Object.keys(header || {})
+    .filter(name => name.match(/^USERDEF\d+$/))
+    .map(name => header[name].split(',')[0].trim().toUpperCase())
+    .filter(name => name)
+}
+
+// Fields that are specific to a particular application, and not part of the ADIF spec
+export function isCustomADIFField (name, { userDefined = [] } = {}) {
+  return !!(name.match(/^(APP_|X_)/i) || userDefined.includes(name.toUpperCase()))
+}
+
+// Fields written from regular QSO attributes on export, see `coreADIFFieldsForQSO`.
+// Any other fields are kept as they are in `qso.adif` on import, and written back unless the export
+// already included them, so they are not lost when going through this app.
+export const MODELED_ADIF_FIELDS = [
+  'CALL', 'MODE', 'SUBMODE', 'BAND', 'FREQ', 'FREQ_RX', 'BAND_RX', 'TX_PWR', 'QSO_DATE', 'TIME_ON',
+  'RST_RCVD', 'RST_SENT', 'STATION_CALLSIGN', 'OPERATOR', 'NOTES', 'COMMENT',
+  'GRIDSQUARE', 'MY_GRIDSQUARE', 'NAME', 'DXCC', 'QTH', 'COUNTRY', 'STATE', 'CQZ', 'ITUZ', 'ARRL_SECT'
+]
+
+// Header fields that describe the file itself, and should not be carried over into other files
+const FILE_HEADER_FIELDS = ['ADIF_VER', 'PROGRAMID', 'PROGRAMVERSION', 'CREATED_TIMESTAMP']
+
+// Fields written by this app, which are always kept without asking
+export function isOwnADIFField (name) {
+  return !!name.match(/^X_HAM2K_/i)
+}
+
+// Returns the fields that should be kept as they are in `qso.adif`. Custom fields are not included, see `applyADIFFieldMapping`.
+export function passthroughADIFFields (fields, { userDefined = [] } = {}) {
+  const passthrough = {}
+  Object.keys(fields || {}).forEach(name => {
+    if (MODELED_ADIF_FIELDS.includes(name)) return
+    if (isCustomADIFField(name, { userDefined }) && !isOwnADIFField(name)) return
+    if (fields[name] === undefined || fields[name] === '') return
+    passthrough[name] = fields[name]
+  })
+  return passthrough
+}
+
+export function passthroughADIFHeaderFields (header) {
+  const passthrough = {}
+  Object.keys(header || {}).forEach(name => {
+    if (!FILE_HEADER_FIELDS.includes(name) && header[name] !== undefined && header[name] !== '') passthrough[name] = header[name]
+  })
+  return passthrough
+}
+
+// Given a list of `{ NAME: value }` fields about to be exported, returns the ones from `passthrough`
+// that were not already included. Fields set to `false` were removed on purpose, and are not added back.
+export function missingPassthroughADIFFields (fields, passthrough) {
+  const names = fields.filter(field => Object.values(field)[0] !== undefined).map(field => Object.keys(field)[0])
+  return Object.keys(passthrough || {})
+    .filter(name => !names.includes(name))
+    .map(name => ({ [name]: passthrough[name] }))
+}
+
+// Prepares a QSO converted from the `fields` of a `parseADIF` record by `adifToQSON`,
+// keeping any fields that are not modeled in `qso.adif`
+export function qsoFromADIFRecord ({ qso, fields, userDefined = [] }) {
+  qso = { ...qso, our: { ...qso.our }, their: { ...qso.their } }
+
+  // The receive frequency is read as `their.freq` and the power as `our.power`, but we use `freqRx` and `power`
+  if (typeof qso.their.freq === 'number') {
+    qso.freqRx = qso.their.freq
+    delete qso.their.freq
+    delete qso.their.band
+  }
+  if (qso.our.power && !qso.power) qso.power = qso.our.power
+
+  const passthrough = passthroughADIFFields(fields, { userDefined })
+  if (Object.keys(passthrough).length > 0) qso.adif = passthrough
+
+  return qso
+}
+
+function modeToADIF (mode, freq, qsoInfo) {
+  const modeAndSubmode = adifModeAndSubmodeForMode(mode)
+  if (modeAndSubmode.length > 1) {
+    return [{ MODE: modeAndSubmode[0] }, { SUBMODE: modeAndSubmode[1] }]
+  } else if (mode) {
+    return [{ MODE: mode }]
+  } else if (freq) {
+    return [{ MODE: modeForFrequency(freq, qsoInfo) ?? 'SSB' }]
+  } else {
+    return [{ MODE: 'SSB' }]
+  }
+}
+
+// The fields exported for every QSO, before adding those from activity handlers and `qso.adif`
+export function coreADIFFieldsForQSO (qso, common, timeOfffset = 0) {
+  return [
+    { CALL: qso.their.call },
+    ...modeToADIF(qso.mode, qso.freq, qso?.our),
+    { BAND: qso.band && qso.band !== 'other' ? qso.band : undefined },
+    { FREQ: qso.freq ? (qso.freq / 1000).toFixed(6) : undefined },
+    { FREQ_RX: qso.freqRx ? (qso.freqRx / 1000).toFixed(6) : undefined },
+    { BAND_RX: qso.freqRx && bandForFrequency(qso.freqRx) !== 'other' ? bandForFrequency(qso.freqRx) : undefined },
+    { TX_PWR: qso.power },
+    { QSO_DATE: fmtADIFDate(qso.startAtMillis + timeOfffset) },
+    { TIME_ON: fmtADIFTime(qso.startAtMillis + timeOfffset) },
+    { RST_RCVD: qso.their.sent },
+    { RST_SENT: qso.our.sent },
+    { STATION_CALLSIGN: qso.our.call ?? common.stationCall },
+    { OPERATOR: qso.our.operatorCall ?? common.operatorCall ?? qso.our.call ?? common.stationCall },
+    { NOTES: qso.notes },
+    { COMMENT: qso.notes },
+    { GRIDSQUARE: qso.their?.grid ?? qso.their?.guess?.grid },
+    { MY_GRIDSQUARE: qso?.our?.grid ?? common.grid },
+    { NAME: qso.their?.name ?? qso.their?.guess?.name },
+    { DXCC: qso.their?.dxccCode ?? qso.their?.guess?.dxccCode },
+    { QTH: qso.their?.qth ?? qso.their?.city ?? qso.their?.guess?.city },
+    { COUNTRY: qso.their?.country ?? qso.their?.guess?.country },
+    { STATE: qso.their?.state ?? qso.their?.guess?.state },
+    { CQZ: qso.their?.cqZone ?? qso.their?.guess?.cqZone },
+    { ITUZ: qso.their?.ituZone ?? qso.their?.guess?.ituZone },
+    { ARRL_SECT: qso.their.arrlSection }
+  ]
+}
+
+export const ADIF_MAPPING_TARGETS = [
+  { key: 'notes', label: 'Add to notes' },
+  { key: 'keep', label: 'Keep as is' },
+  { key: 'ignore', label: 'Ignore' },
+  { key: 'their.name', label: 'Their name' },
+  { key: 'their.grid', label: 'Their grid' },
+  { key: 'their.state', label: 'Their state' },
+  { key: 'their.county', label: 'Their county' },
+  { key: 'their.city', label: 'Their city' },
+  { key: 'their.exchange', label: 'Their exchange' },
+  { key: 'our.exchange', label: 'Our exchange' },
+  { key: 'power', label: 'Power' }
+]
+
+// Applies a `{ FIELD_NAME: target }` mapping, where target is one of the keys in `ADIF_MAPPING_TARGETS`.
+// Fields without a mapping are added to the notes.
+export function applyADIFFieldMapping (qso, fields, mapping = {}) {
+  qso = { ...qso, our: { ...qso.our }, their: { ...qso.their } }
+
+  Object.keys(fields).forEach(name => {
+    const target = mapping[name] ?? 'notes'
+    const value = fields[name]
+    if (target === 'ignore' || value === undefined || value === '') return
+
+    if (target === 'notes') {
+      qso.notes = [qso.notes, `${name}: ${value}`].filter(x => x).join('; ')
+    } else if (target === 'keep') {
+      qso.adif = { ...qso.adif, [name]: value }
+    } else {
+      const [first, second] = target.split('.')
+      if (second) {
+        qso[first] = { ...qso[first], [second]: value }
+      } else {
+        qso[first] = value
+      }
+    }
+  })
+
+  return qso
+}
+
+const DEFAULT_FUZZY_TOLERANCE = 10 * 60 * 1000
+
+function baseCall (call) {
+  // Compare calls without portable prefixes or suffixes, such as `VE3/K1ABC/P`
+  const parts = (call || '').toUpperCase().split('/')
+  return parts.reduce((longest, part) => (part.length > longest.length ? part : longest), '')
+}
+
+// Finds an existing QSO that looks like `qso`, either because it has the same key,
+// or because it is with the same station, on the same band, within a few minutes.
+export function findDuplicateQSO (qso, existing, { toleranceMillis = DEFAULT_FUZZY_TOLERANCE } = {}) {
+  const exact = existing.find(other => other.key === qso.key && !other.deleted)
+  if (exact) return { match: exact, type: 'key' }
+
+  const call = baseCall(qso.their?.call)
+  const fuzzy = existing.find(other => (
+    !other.deleted &&
+    baseCall(other.their?.call) === call &&
+    other.band === qso.band &&
+    Math.abs((other.startAtMillis ?? 0) - (qso.startAtMillis ?? 0)) <= toleranceMillis
+  ))
+  if (fuzzy) return { match: fuzzy, type: 'fuzzy' }
+
+  return undefined
+}
@@ -0,0 +1,158 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {
+  MODELED_ADIF_FIELDS, adifFieldsToString, applyADIFFieldMapping, coreADIFFieldsForQSO, findDuplicateQSO, isCustomADIFField,
+  missingPassthroughADIFFields, parseADIF, passthroughADIFFields, passthroughADIFHeaderFields, qsoFromADIFRecord, userDefinedADIFFields
+} from './adifTools'
+
+describe('parseADIF', () => {
+  it('should parse headers and records', () => {
+    const adif = 'Exported by Some Logger\n<ADIF_VER:5>3.1.4 <USERDEF1:3:S>EPC <EOH>\n' +
+      '<CALL:5>K1ABC <BAND:3>20m <APP_N1MM_POINTS:1>2 <EOR>\n' +
+      '<call:6>W2XYZ/P<mode:2>CW<eor>\n'
+
+    const result = parseADIF(adif)
+    expect(result.header).toEqual({ ADIF_VER: '3.1.4', USERDEF1: 'EPC' })
+    expect(result.records.length).toEqual(2)
+    expect(result.records[0].fields).toEqual({ CALL: 'K1ABC', BAND: '20m', APP_N1MM_POINTS: '2' })
+    expect(result.records[1].fields).toEqual({ CALL: 'W2XYZ/', MODE: 'CW' })
+    expect(result.errors).toEqual([])
+  })
+
+  it('should handle files without a header', () => {
+    const result = parseADIF('<CALL:5>K1ABC<EOR>')
+    expect(result.header).toEqual({})
+    expect(result.records[0].fields).toEqual({ CALL: 'K1ABC' })
+  })
+
+  it('should report errors for each record', () => {
+    const result = parseADIF('<EOH><CALL:5>K1ABC<BAND>20m<EOR><CALL:5>W2XYZ<CALL:5>N3QRP<EOR><CALL:10>K4')
+
+    expect(result.records.map(r => r.errors)).toEqual([
+      ['Field BAND has no length'],
+      ['Field CALL appears more than once'],
+      ['Field CALL is shorter than expected', 'Record is missing <EOR>']
+    ])
+  })
+
+  it('should write records back', () => {
+    expect(adifFieldsToString({ CALL: 'K1ABC', X_FOO: 'bar' })).toEqual('<CALL:5>K1ABC<X_FOO:3>bar<EOR>\n')
+  })
+})
+
+describe('custom fields', () => {
+  it('should recognize app-specific and user-defined fields', () => {
+    const userDefined = userDefinedADIFFields({ USERDEF1: 'EPC,{1,2}', USERDEF2: 'sweeps' })
+    expect(userDefined).toEqual(['EPC', 'SWEEPS'])
+    expect(isCustomADIFField('APP_N1MM_POINTS')).toEqual(true)
+    expect(isCustomADIFField('X_HAM2K_FOO')).toEqual(true)
+    expect(isCustomADIFField('EPC', { userDefined })).toEqual(true)
+    expect(isCustomADIFField('CALL', { userDefined })).toEqual(false)
+  })
+
+  it('should map fields into QSOs', () => {
+    const qso = { their: { call: 'K1ABC' }, our: { call: 'KI2D' }, notes: 'Nice signal' }
+    const mapped = applyADIFFieldMapping(qso, { APP_NAME: 'Joe', X_CHECK: '72', APP_LOGGER_ID: '123' }, { APP_NAME: 'their.name', APP_LOGGER_ID: 'ignore' })
+
+    expect(mapped.their).toEqual({ call: 'K1ABC', name: 'Joe' })
+    expect(mapped.notes).toEqual('Nice signal; X_CHECK: 72')
+    expect(qso.their.name).toBeUndefined()
+
+    const kept = applyADIFFieldMapping(qso, { X_CHECK: '72' }, { X_CHECK: 'keep' })
+    expect(kept.adif).toEqual({ X_CHECK: '72' })
+    expect(kept.notes).toEqual('Nice signal')
+  })
+})
+
+describe('passthrough fields', () => {
+  it('should keep fields that are not modeled', () => {
+    const fields = { CALL: 'K1ABC', QSL_RCVD: 'Y', SRX: '12', APP_N1MM_POINTS: '2', X_HAM2K_FOO: 'bar', CONTEST_ID: '' }
+    expect(passthroughADIFFields(fields)).toEqual({ QSL_RCVD: 'Y', SRX: '12', X_HAM2K_FOO: 'bar' })
+    expect(passthroughADIFFields({ FREQ_RX: '435.3', BAND_RX: '70cm', CONTACTED_OP: 'K1XYZ', MY_CITY: 'Boston', MY_SIG_INTL: 'WCA' }))
+      .toEqual({ CONTACTED_OP: 'K1XYZ', MY_CITY: 'Boston', MY_SIG_INTL: 'WCA' })
+    expect(passthroughADIFHeaderFields({ ADIF_VER: '3.1.4', PROGRAMID: 'Other', X_HAM2K_OP_TITLE: 'Test', USERDEF1: 'EPC' }))
+      .toEqual({ X_HAM2K_OP_TITLE: 'Test', USERDEF1: 'EPC' })
+  })
+
+  it('should only add fields that are not already exported', () => {
+    const exported = [{ CALL: 'K1ABC' }, { SRX: '13' }, { POTA_REF: false }, { NAME: undefined }]
+    expect(missingPassthroughADIFFields(exported, { SRX: '12', QSL_RCVD: 'Y', POTA_REF: 'K-0001', NAME: 'Joe' }))
+      .toEqual([{ QSL_RCVD: 'Y' }, { NAME: 'Joe' }])
+  })
+})
+
+describe('round trip', () => {
+  const exportedFields = (qso) => {
+    const fields = coreADIFFieldsForQSO(qso, { stationCall: 'KI2D' })
+    return fields.concat(missingPassthroughADIFFields(fields, qso.adif))
+      .filter(field => Object.values(field)[0] !== undefined)
+      .reduce((all, field) => ({ ...all, ...field }), {})
+  }
+
+  it('should export every field that was imported', () => {
+    const { fields } = parseADIF(
+      '<CALL:5>K1ABC<QSO_DATE:8>20240501<TIME_ON:6>140000<BAND:2>2m<FREQ:10>145.900000<FREQ_RX:10>435.300000<BAND_RX:4>70cm' +
+      '<MODE:2>FM<TX_PWR:1>5<RST_SENT:2>59<RST_RCVD:2>57<STATION_CALLSIGN:4>KI2D<OPERATOR:4>KI2D<NAME:3>Joe<QTH:11>Springfield' +
+      '<CNTY:10>MA,Hampden<IOTA:6>NA-046<SOTA:9>W1/HA-001<CONTEST_ID:12>ARRL-VHF-SEP<MY_CITY:6>Boston<CONTACTED_OP:5>K1XYZ' +
+      '<QSL_RCVD:1>Y<EOR>'
+    ).records[0]
+    // What `adifToQSON` returns for these fields
+    const converted = {
+      our: { operator: 'KI2D', call: 'KI2D', city: 'Boston', sent: '59', power: '5' },
+      their: { call: 'K1ABC', operator: 'K1XYZ', freq: 435300, band: '70cm', name: 'Joe', qth: 'Springfield', sent: '57', county: '??/MA/Hampden' },
+      freq: 145900,
+      band: '2m',
+      mode: 'FM',
+      startAt: '2024-05-01T14:00:00Z',
+      startAtMillis: 1714572000000,
+      refs: [{ type: 'contest', ref: 'ARRL-VHF-SEP' }, { type: 'iota', ref: 'NA-046' }, { type: 'sota', ref: 'W1/HA-001' }]
+    }
+
+    const qso = qsoFromADIFRecord({ qso: converted, fields })
+    expect(qso.freqRx).toEqual(435300)
+    expect(qso.power).toEqual('5')
+    expect(exportedFields(qso)).toEqual(fields)
+  })
+
+  it('should only consider fields written on export as modeled', () => {
+    const qso = {
+      freq: 14074,
+      freqRx: 14075,
+      band: '20m',
+      mode: 'FT4',
+      power: 5,
+      notes: 'Hi',
+      startAtMillis: Date.parse('2024-05-01T14:00:00Z'),
+      our: { call: 'KI2D', operatorCall: 'KI2D', sent: '-10', grid: 'FN30' },
+      their: { call: 'K1ABC', sent: '-05', grid: 'FN31', name: 'Joe', dxccCode: 291, city: 'Boston', country: 'USA', state: 'MA', cqZone: 5, ituZone: 8, arrlSection: 'EMA' }
+    }
+    expect(Object.keys(exportedFields(qso)).sort()).toEqual([...MODELED_ADIF_FIELDS].sort())
+  })
+})
+
+describe('findDuplicateQSO', () => {
+  const existing = [
+    { key: 'a', band: '20m', their: { call: 'K1ABC' }, startAtMillis: 1000000 },
+    { key: 'b', band: '40m', their: { call: 'W2XYZ' }, startAtMillis: 2000000, deleted: true }
+  ]
+
+  it('should match by key', () => {
+    expect(findDuplicateQSO({ key: 'a' }, existing)).toEqual({ match: existing[0], type: 'key' })
+  })
+
+  it('should match by call, band and time', () => {
+    const qso = { key: 'x', band: '20m', their: { call: 'K1ABC/P' }, startAtMillis: 1000000 + 5 * 60 * 1000 }
+    expect(findDuplicateQSO(qso, existing)).toEqual({ match: existing[0], type: 'fuzzy' })
+    expect(findDuplicateQSO({ ...qso, band: '40m' }, existing)).toBeUndefined()
+    expect(findDuplicateQSO({ ...qso, startAtMillis: 1000000 + 20 * 60 * 1000 }, existing)).toBeUndefined()
+  })
+
+  it('should ignore deleted QSOs', () => {
+    expect(findDuplicateQSO({ key: 'b', band: '40m', their: { call: 'W2XYZ' }, startAtMillis: 2000000 }, existing)).toBeUndefined()
+  })
+})
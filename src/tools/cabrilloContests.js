@@ -0,0 +1,248 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { superModeForMode } from '@ham2k/lib-operation-data'
+
+import { RST_EXCHANGE_FIELD } from './exchangeParser'
+import { findRef, replaceRef } from './refTools'
+import { simpleTemplate } from './stringTools'
+
+/*
+ * Contest definitions describe simple contests, like state QSO parties and sprints, as plain JSON,
+ * so they can be supported without writing a handler for each one.
+ *
+ * {
+ *   "key": "txqp",                         // Used for refs and hooks, only letters, numbers and underscores
+ *   "name": "Texas QSO Party",
+ *   "shortName": "TXQP",
+ *   "cabrilloName": "TX-QSO-PARTY",        // CONTEST header
+ *   "adifContestId": "TX-QSO-PARTY",       // CONTEST_ID in ADIF exports, defaults to `cabrilloName`
+ *   "headers": { "LOCATION": "{location}" }, // Additional headers, using values from our exchange
+ *   "exchange": [                          // Columns sent and received after each callsign
+ *     { "key": "rst", "label": "RST", "width": 3, "type": "rst" },
+ *     { "key": "location", "label": "Loc", "width": 6, "pattern": "[A-Z]{2,5}", "sentADIF": "STX_STRING", "receivedADIF": "SRX_STRING" }
+ *   ]
+ * }
+ *
+ * Exchange fields of type "rst" use the regular RST fields in each QSO. All other fields
+ * are kept in the operation ref (what we send) and in each QSO ref (what we received).
+ *
+ * The optional `pattern` is a regular expression that whole values must match when
+ * the exchange is typed in the callsign field, like `K2ABC 599 TRAV`.
+ */
+
+const VALID_KEY_REGEX = /^\w+$/
+const VALID_ADIF_FIELD_REGEX = /^[A-Z][A-Z0-9_]*$/
+
+export function validateContestDefinition (definition) {
+  const errors = []
+
+  if (!definition?.key?.match(VALID_KEY_REGEX)) errors.push('`key` should only have letters, numbers and underscores')
+  if (!definition?.name) errors.push('`name` is required')
+  if (!definition?.cabrilloName) errors.push('`cabrilloName` is required')
+
+  if (!Array.isArray(definition?.exchange) || definition.exchange.length === 0) {
+    errors.push('`exchange` should list at least one field')
+  } else {
+    definition.exchange.forEach((field, index) => {
+      if (!field?.key?.match(VALID_KEY_REGEX)) errors.push(`Exchange field ${index + 1} needs a valid \`key\``)
+      if (field?.key === 'type') errors.push(`Exchange field ${index + 1} cannot be called \`type\``)
+      if (field?.width !== undefined && !(field.width > 0)) errors.push(`Exchange field ${field.key ?? index + 1} has an invalid \`width\``)
+      if (field?.type && field.type !== 'rst' && field.type !== 'text') errors.push(`Exchange field ${field.key ?? index + 1} has an unknown type ${field.type}`)
+      if (field?.pattern !== undefined && !isValidPattern(field.pattern)) errors.push(`Exchange field ${field.key ?? index + 1} has an invalid \`pattern\``)
+      ;['sentADIF', 'receivedADIF'].forEach(attr => {
+        if (field?.[attr] && !field[attr].match(VALID_ADIF_FIELD_REGEX)) errors.push(`Exchange field ${field.key ?? index + 1} has an invalid \`${attr}\``)
+      })
+    })
+  }
+
+  return errors
+}
+
+function isValidPattern (pattern) {
+  if (typeof pattern !== 'string' || !pattern) return false
+  try {
+    return !!new RegExp(pattern)
+  } catch (error) {
+    return false
+  }
+}
+
+function defaultRST (qso) {
+  return (qso?.mode === 'CW' || qso?.mode === 'RTTY') ? '599' : '59'
+}
+
+export function contestExchangeFields (definition) {
+  return (definition.exchange || []).filter(field => field.type !== 'rst')
+}
+
+// Fields for `parseExchangeLine`, including RST fields, which can be left out
+export function contestExchangeLineFields (definition) {
+  return (definition.exchange || []).map(field => {
+    if (field.type === 'rst') {
+      return { ...RST_EXCHANGE_FIELD, key: field.key, label: field.label ?? RST_EXCHANGE_FIELD.label }
+    } else {
+      return { key: field.key, label: field.label ?? field.key, matches: field.pattern ? new RegExp(`^(?:${field.pattern})$`) : undefined }
+    }
+  })
+}
+
+export function sentExchangeValue ({ definition, field, qso, ref }) {
+  if (field.type === 'rst') return qso?.our?.sent || defaultRST(qso)
+  else return ref?.[field.key] ?? ''
+}
+
+export function receivedExchangeValue ({ definition, field, qso }) {
+  if (field.type === 'rst') return qso?.their?.sent || defaultRST(qso)
+  else return findRef(qso, definition.key)?.[field.key] ?? ''
+}
+
+export function exchangeText ({ definition, ref }) {
+  return contestExchangeFields(definition).map(field => ref?.[field.key]).filter(x => x).join(' ')
+}
+
+// Builds a reference handler, with the same functions a hand-written contest handler would have,
+// except for the React components needed for the user interface.
+export function referenceHandlerForContestDefinition (definition) {
+  const errors = validateContestDefinition(definition)
+  if (errors.length > 0) throw new Error(`Invalid contest definition ${definition?.key}: ${errors.join(', ')}`)
+
+  const { key, name, cabrilloName } = definition
+  const shortName = definition.shortName ?? name
+  const adifContestId = definition.adifContestId ?? cabrilloName
+  const exchangeFields = contestExchangeFields(definition)
+
+  return {
+    key,
+    name,
+    shortName,
+    cabrilloName,
+    icon: definition.icon ?? 'flag-checkered',
+    infoURL: definition.infoURL,
+    defaultValue: Object.fromEntries(exchangeFields.map(field => [field.key, ''])),
+
+    descriptionPlaceholder: '',
+    description: (operation) => {
+      let date
+      if (operation?.qsos && operation.qsos[0]?.startAtMillis) date = new Date(operation.qsos[0].startAtMillis)
+      else date = new Date()
+      const ref = findRef(operation, key)
+      return [`${shortName} ${date.getFullYear()}`, exchangeText({ definition, ref })].filter(x => x).join(' • ')
+    },
+
+    suggestOperationTitle: (ref) => {
+      return { for: shortName, subtitle: exchangeText({ definition, ref }) }
+    },
+
+    suggestExportOptions: ({ operation, ref, settings }) => {
+      if (ref?.type === key) {
+        return ['adif', 'cabrillo'].map(format => ({
+          format,
+          nameTemplate: settings.useCompactFileNames ? `{call}-${shortName}-{compactDate}` : `{date} {call} for ${shortName}`,
+          exportType: `${key}-${format}`,
+          titleTemplate: `{call}: ${name} on {date}`
+        }))
+      }
+    },
+
+    adifFieldsForOneQSO: ({ qso, operation }) => {
+      const ref = findRef(operation, key)
+      const fields = [{ CONTEST_ID: adifContestId }]
+
+      exchangeFields.forEach(field => {
+        if (field.sentADIF) fields.push({ [field.sentADIF]: sentExchangeValue({ definition, field, qso, ref }) })
+        if (field.receivedADIF) fields.push({ [field.receivedADIF]: receivedExchangeValue({ definition, field, qso }) })
+      })
+      return fields
+    },
+
+    cabrilloHeaders: ({ operation, settings, headers }) => {
+      const ref = findRef(operation, key)
+      const values = { _default: (field) => ref?.[field] ?? '' }
+
+      headers.push(['CONTEST', cabrilloName])
+      headers.push(['CALLSIGN', operation.stationCall || settings.operatorCall])
+      Object.entries(definition.headers || {}).forEach(([header, template]) => {
+        headers.push([header, simpleTemplate(template, values).trim()])
+      })
+      if (operation.operatorCall) headers.push(['OPERATORS', operation.operatorCall])
+      if (operation.grid) headers.push(['GRID-LOCATOR', operation.grid])
+      return headers
+    },
+
+    qsoToCabrilloParts: ({ qso, ref, operation, settings, parts }) => {
+      const ourCall = operation.stationCall || settings.operatorCall
+
+      parts.push((ourCall ?? '').padEnd(13, ' '))
+      definition.exchange.forEach(field => {
+        parts.push(`${sentExchangeValue({ definition, field, qso, ref })}`.padEnd(field.width ?? 1, ' '))
+      })
+      parts.push((qso?.their?.call ?? '').padEnd(13, ' '))
+      definition.exchange.forEach(field => {
+        parts.push(`${receivedExchangeValue({ definition, field, qso })}`.padEnd(field.width ?? 1, ' '))
+      })
+      return parts
+    },
+
+    cabrilloPartsToQSO: ({ parts, qso }) => {
+      const count = definition.exchange.length
+      const [ourCall, ...ourParts] = parts.slice(0, count + 1)
+      const [theirCall, ...theirParts] = parts.slice(count + 1)
+
+      const ourRef = { type: key }
+      const theirRef = { type: key }
+      qso.our = { ...qso.our, call: ourCall }
+      qso.their = { ...qso.their, call: theirCall }
+
+      definition.exchange.forEach((field, index) => {
+        if (field.type === 'rst') {
+          if (ourParts[index]) qso.our.sent = ourParts[index]
+          if (theirParts[index]) qso.their.sent = theirParts[index]
+        } else {
+          ourRef[field.key] = ourParts[index] ?? ''
+          theirRef[field.key] = theirParts[index] ?? ''
+        }
+      })
+
+      qso.their.exchange = exchangeText({ definition, ref: theirRef })
+      qso.refs = replaceRef(qso.refs, key, theirRef)
+
+      return { qso, ourRef }
+    },
+
+    exportColumns: exchangeFields.map(field => (
+      { key: field.key, label: field.label ?? field.key, value: ({ qso }) => findRef(qso, key)?.[field.key] }
+    )),
+
+    relevantInfoForQSOItem: ({ qso, operation }) => {
+      return [qso.their.exchange]
+    },
+
+    scoringForQSO: ({ qso, qsos, operation, ref }) => {
+      const { band, mode, startAtMillis } = qso
+      const superMode = superModeForMode(mode)
+
+      const nearDupes = qsos.filter(q => !q.deleted && (startAtMillis ? q.startAtMillis < startAtMillis : true) && q.their.call === qso.their.call && q.key !== qso.key)
+
+      if (nearDupes.length === 0) {
+        return { counts: 1, type: key }
+      } else {
+        const sameBand = nearDupes.filter(q => q.band === band).length !== 0
+        const sameMode = nearDupes.filter(q => superModeForMode(q.mode) === superMode).length !== 0
+        if (sameBand && sameMode) {
+          return { counts: 0, alerts: ['duplicate'], type: key }
+        } else {
+          const notices = []
+          if (!sameMode) notices.push('newMode')
+          if (!sameBand) notices.push('newBand')
+
+          return { counts: 1, notices, type: key }
+        }
+      }
+    }
+  }
+}
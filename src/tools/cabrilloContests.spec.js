@@ -0,0 +1,101 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { CONTEST_DEFINITIONS } from '../extensions/contests/definitions'
+import { parseCabrillo } from './cabrilloTools'
+import { contestExchangeLineFields, referenceHandlerForContestDefinition, validateContestDefinition } from './cabrilloContests'
+import { parseExchangeLine } from './exchangeParser'
+import { qsonToCabrillo } from './qsonToCabrillo'
+
+const TXQP = {
+  key: 'txqp',
+  name: 'Texas QSO Party',
+  shortName: 'TXQP',
+  cabrilloName: 'TX-QSO-PARTY',
+  headers: { LOCATION: '{location}' },
+  exchange: [
+    { key: 'rst', label: 'RST', width: 3, type: 'rst' },
+    { key: 'location', label: 'Loc', width: 6, pattern: '[A-Z]{2,5}', sentADIF: 'STX_STRING', receivedADIF: 'SRX_STRING' }
+  ]
+}
+
+describe('validateContestDefinition', () => {
+  it('should accept all bundled definitions', () => {
+    CONTEST_DEFINITIONS.forEach(definition => {
+      expect([definition.key, validateContestDefinition(definition)]).toEqual([definition.key, []])
+    })
+  })
+
+  it('should report problems', () => {
+    expect(validateContestDefinition({ key: 'tx-qp', name: 'Texas', exchange: [{ key: 'loc', width: 0, receivedADIF: 'srx' }] })).toEqual([
+      '`key` should only have letters, numbers and underscores',
+      '`cabrilloName` is required',
+      'Exchange field loc has an invalid `width`',
+      'Exchange field loc has an invalid `receivedADIF`'
+    ])
+    expect(validateContestDefinition({ ...TXQP, exchange: [{ key: 'loc', pattern: '[A-Z' }] })).toEqual([
+      'Exchange field loc has an invalid `pattern`'
+    ])
+  })
+})
+
+describe('contestExchangeLineFields', () => {
+  const fields = contestExchangeLineFields(TXQP)
+
+  it('should parse exchanges with or without RST', () => {
+    expect(parseExchangeLine('N5ABC 579 HARR', fields).values).toEqual({ rst: '579', location: 'HARR' })
+    expect(parseExchangeLine('N5ABC HARR', fields).values).toEqual({ location: 'HARR' })
+  })
+
+  it('should use patterns to validate values', () => {
+    const result = parseExchangeLine('N5ABC 579 HARRIS', fields)
+    expect(result.unknown).toEqual(['HARRIS'])
+    expect(result.missing.map(field => field.key)).toEqual(['location'])
+  })
+})
+
+describe('referenceHandlerForContestDefinition', () => {
+  const handler = referenceHandlerForContestDefinition(TXQP)
+  const operation = { stationCall: 'KI2D', refs: [{ type: 'txqp', location: 'TRAV' }] }
+  const qsos = [
+    { key: 'a', band: '20m', mode: 'CW', freq: 14032, startAtMillis: Date.parse('2024-09-28T14:05:00Z'), our: {}, their: { call: 'N5ABC', sent: '579' }, refs: [{ type: 'txqp', location: 'HARR' }] },
+    { key: 'b', band: '40m', mode: 'SSB', startAtMillis: Date.parse('2024-09-28T14:10:00Z'), our: {}, their: { call: 'KI2D' }, refs: [{ type: 'txqp', location: 'NY' }] }
+  ]
+
+  it('should generate Cabrillo files', () => {
+    const cabrillo = qsonToCabrillo({ operation, qsos, settings: {}, handler })
+    expect(cabrillo.split('\n').filter(line => !line.startsWith('CREATED-BY'))).toEqual([
+      'START-OF-LOG: 3.0',
+      'CONTEST: TX-QSO-PARTY',
+      'CALLSIGN: KI2D',
+      'LOCATION: TRAV',
+      'CATEGORY-BAND: ALL',
+      'CATEGORY-MODE: MIXED',
+      'QSO: 14032 CW 2024-09-28 1405 KI2D          599 TRAV   N5ABC         579 HARR  ',
+      'QSO: 7000  PH 2024-09-28 1410 KI2D          59  TRAV   KI2D          59  NY    ',
+      'END-OF-LOG:',
+      ''
+    ])
+  })
+
+  it('should read back the QSOs it generates', () => {
+    const parsed = parseCabrillo(qsonToCabrillo({ operation, qsos, settings: {}, handler }))
+    const { qso, ourRef } = handler.cabrilloPartsToQSO({ parts: parsed.qsos[0].parts, qso: {} })
+    expect(ourRef).toEqual({ type: 'txqp', location: 'TRAV' })
+    expect(qso.our).toEqual({ call: 'KI2D', sent: '599' })
+    expect(qso.their).toEqual({ call: 'N5ABC', sent: '579', exchange: 'HARR' })
+    expect(qso.refs).toEqual([{ type: 'txqp', location: 'HARR' }])
+  })
+
+  it('should include ADIF fields', () => {
+    expect(handler.adifFieldsForOneQSO({ qso: qsos[0], operation })).toEqual([
+      { CONTEST_ID: 'TX-QSO-PARTY' },
+      { STX_STRING: 'TRAV' },
+      { SRX_STRING: 'HARR' }
+    ])
+  })
+})
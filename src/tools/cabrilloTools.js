@@ -0,0 +1,276 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { bandForFrequency, superModeForMode } from '@ham2k/lib-operation-data'
+
+export const DEFAULT_FREQUENCIES_PER_BAND = {
+  '160m': '1800',
+  '80m': '3500',
+  '60m': '5332', // Not a Cabrillo Standard
+  '30m': '10100', // Not a Cabrillo Standard
+  '40m': '7000',
+  '20m': '14000',
+  '17m': '18068', // Not a Cabrillo Standard
+  '15m': '21000',
+  '12m': '24890', // Not a Cabrillo Standard
+  '10m': '28000',
+  '6m': '50',
+  '4m': '70',
+  '2m': '144',
+  '70cm': '432',
+  '33cm': '902',
+  '23cm': '1.2G',
+  '13cm': '2.3G'
+}
+
+const BANDS_FOR_CABRILLO_DESIGNATORS = {
+  50: '6m',
+  70: '4m',
+  144: '2m',
+  222: '1.25m',
+  432: '70cm',
+  902: '33cm',
+  '1.2G': '23cm',
+  '2.3G': '13cm',
+  '3.4G': '9cm',
+  '5.7G': '6cm',
+  '10G': '3cm'
+}
+
+const MODES_FOR_CABRILLO_MODES = {
+  CW: 'CW',
+  PH: 'SSB',
+  FM: 'FM',
+  RY: 'RTTY',
+  DG: 'DATA'
+}
+
+const CABRILLO_DESIGNATORS_FOR_BANDS = Object.fromEntries(
+  Object.entries(BANDS_FOR_CABRILLO_DESIGNATORS).map(([designator, band]) => [band, designator])
+)
+
+const CABRILLO_CATEGORY_BANDS = {
+  '160m': '160M',
+  '80m': '80M',
+  '40m': '40M',
+  '20m': '20M',
+  '15m': '15M',
+  '10m': '10M',
+  ...CABRILLO_DESIGNATORS_FOR_BANDS,
+  '6m': '6M',
+  '4m': '4M',
+  '2m': '2M'
+}
+
+export const HEADERS_WITH_MULTIPLE_LINES = ['ADDRESS', 'SOAPBOX']
+
+// Operation details that end up in Cabrillo headers, with the values allowed by the Cabrillo 3.0 spec.
+export const CABRILLO_DETAILS = [
+  { key: 'categoryOperator', header: 'CATEGORY-OPERATOR', label: 'Operator', values: ['SINGLE-OP', 'MULTI-OP', 'CHECKLOG'] },
+  { key: 'categoryAssisted', header: 'CATEGORY-ASSISTED', label: 'Assisted', values: ['ASSISTED', 'NON-ASSISTED'] },
+  {
+    key: 'categoryBand',
+    header: 'CATEGORY-BAND',
+    label: 'Band',
+    values: [
+      'ALL', '160M', '80M', '40M', '20M', '15M', '10M', '6M', '4M', '2M', '222', '432', '902',
+      '1.2G', '2.3G', '3.4G', '5.7G', '10G', '24G', '47G', '75G', '122G', '134G', '241G', 'LIGHT', 'VHF-3-BAND', 'VHF-FM-ONLY'
+    ]
+  },
+  { key: 'categoryMode', header: 'CATEGORY-MODE', label: 'Mode', values: ['CW', 'DIGI', 'FM', 'RTTY', 'SSB', 'MIXED'] },
+  { key: 'categoryPower', header: 'CATEGORY-POWER', label: 'Power', values: ['HIGH', 'LOW', 'QRP'] },
+  {
+    key: 'categoryStation',
+    header: 'CATEGORY-STATION',
+    label: 'Station',
+    values: ['FIXED', 'MOBILE', 'PORTABLE', 'ROVER', 'ROVER-LIMITED', 'ROVER-UNLIMITED', 'EXPEDITION', 'HQ', 'SCHOOL', 'EXPLORER', 'DISTRIBUTED']
+  },
+  { key: 'categoryTransmitter', header: 'CATEGORY-TRANSMITTER', label: 'Transmitter', values: ['ONE', 'TWO', 'LIMITED', 'UNLIMITED', 'SWL'] },
+  { key: 'club', header: 'CLUB', label: 'Club' },
+  { key: 'name', header: 'NAME', label: 'Name' },
+  { key: 'address', header: 'ADDRESS', label: 'Address', multiline: true },
+  { key: 'email', header: 'EMAIL', label: 'Email' },
+  { key: 'soapbox', header: 'SOAPBOX', label: 'Soapbox', multiline: true }
+]
+
+const REQUIRED_CATEGORIES = ['CATEGORY-OPERATOR', 'CATEGORY-BAND', 'CATEGORY-MODE', 'CATEGORY-POWER']
+const MAX_ADDRESS_LINES = 6
+const MAX_ADDRESS_LINE_LENGTH = 45
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const NON_ASCII_REGEX = /[^\x20-\x7E\n]/
+
+const QSO_LINE_REGEX = /^(\S+)\s+(\S+)\s+(\d{4}-\d{2}-\d{2})\s+(\d{4})\s+(.+)$/
+
+// Frequencies in Cabrillo files are in kHz, except for VHF and up, which just use a band designator.
+// Band-edge frequencies are what loggers use when they only know the band, so we do not keep them as frequencies.
+export function cabrilloFreqToBandAndFreq (value) {
+  if (BANDS_FOR_CABRILLO_DESIGNATORS[value]) return { band: BANDS_FOR_CABRILLO_DESIGNATORS[value] }
+
+  const freq = parseFloat(value)
+  if (!freq) return { band: 'other' }
+
+  const band = bandForFrequency(freq)
+  if (DEFAULT_FREQUENCIES_PER_BAND[band] === value) return { band }
+  return { band, freq }
+}
+
+// Frequencies in kHz for HF, band designators for VHF and up, and band-edge frequencies when we only know the band.
+export function cabrilloFreq (qso) {
+  if (CABRILLO_DESIGNATORS_FOR_BANDS[qso.band]) return CABRILLO_DESIGNATORS_FOR_BANDS[qso.band]
+  else if (qso.freq) return `${Math.round(qso.freq)}`
+  else return DEFAULT_FREQUENCIES_PER_BAND[qso.band] ?? '0'
+}
+
+export function cabrilloMode (qso) {
+  if (qso?.mode === 'CW') return 'CW'
+  else if (qso?.mode === 'FM') return 'FM'
+  else if (qso?.mode === 'RTTY') return 'RY'
+  else if (superModeForMode(qso?.mode) === 'PHONE') return 'PH'
+  else return 'DG'
+}
+
+// Category values that can be figured out from the QSOs themselves
+export function suggestedCabrilloCategories ({ qsos }) {
+  const active = (qsos || []).filter(qso => !qso.deleted)
+  const suggestions = {}
+
+  const bands = [...new Set(active.map(qso => qso.band))]
+  if (bands.length === 1 && CABRILLO_CATEGORY_BANDS[bands[0]]) suggestions.categoryBand = CABRILLO_CATEGORY_BANDS[bands[0]]
+  else if (bands.length > 0) suggestions.categoryBand = 'ALL'
+
+  const modes = [...new Set(active.map(qso => {
+    const mode = cabrilloMode(qso)
+    if (mode === 'PH') return 'SSB'
+    else if (mode === 'RY') return 'RTTY'
+    else if (mode === 'DG') return 'DIGI'
+    else return mode
+  }))]
+  if (modes.length === 1) suggestions.categoryMode = modes[0]
+  else if (modes.length > 0) suggestions.categoryMode = 'MIXED'
+
+  return suggestions
+}
+
+// `headers` is a list of `[tag, value]` pairs, as they will be written to the file.
+// Returns a list of issues with a `level` ('error' or 'warning') and a `message`.
+export function validateCabrilloHeaders (headers) {
+  const issues = []
+  const values = {}
+  headers.forEach(([tag, value]) => {
+    values[tag] = values[tag] === undefined ? value : `${values[tag]}\n${value}`
+  })
+
+  if (!values.CONTEST) issues.push({ level: 'error', message: 'Missing CONTEST' })
+  if (!values.CALLSIGN) issues.push({ level: 'error', message: 'Missing CALLSIGN' })
+
+  CABRILLO_DETAILS.filter(detail => detail.values).forEach(detail => {
+    const value = values[detail.header]
+    if (!value) {
+      if (REQUIRED_CATEGORIES.includes(detail.header)) issues.push({ level: 'warning', message: `Missing ${detail.header}` })
+    } else if (!detail.values.includes(value.toUpperCase())) {
+      issues.push({ level: 'error', message: `Invalid ${detail.header} ${value}` })
+    }
+  })
+
+  if (values['CLAIMED-SCORE'] !== undefined && !`${values['CLAIMED-SCORE']}`.match(/^\d+$/)) {
+    issues.push({ level: 'error', message: `Invalid CLAIMED-SCORE ${values['CLAIMED-SCORE']}` })
+  }
+
+  if (values.EMAIL && !values.EMAIL.match(EMAIL_REGEX)) issues.push({ level: 'error', message: `Invalid EMAIL ${values.EMAIL}` })
+
+  if (values.ADDRESS) {
+    const lines = values.ADDRESS.split('\n')
+    if (lines.length > MAX_ADDRESS_LINES) issues.push({ level: 'error', message: `ADDRESS can only have ${MAX_ADDRESS_LINES} lines` })
+    if (lines.find(line => line.length > MAX_ADDRESS_LINE_LENGTH)) issues.push({ level: 'error', message: `ADDRESS lines can only have ${MAX_ADDRESS_LINE_LENGTH} characters` })
+  }
+
+  headers.forEach(([tag, value]) => {
+    if (`${value}`.match(NON_ASCII_REGEX)) issues.push({ level: 'warning', message: `${tag} has characters that some log checkers do not accept` })
+  })
+
+  return issues
+}
+
+// Splits a Cabrillo log into headers and QSO lines. Each QSO has the common columns
+// (frequency, mode, date and time) already parsed, and the rest of the columns in `parts`,
+// to be interpreted by the handler for the contest.
+export function parseCabrillo (text) {
+  const result = { version: undefined, headers: {}, qsos: [], errors: [] }
+
+  const lines = (text || '').split(/\r?\n/)
+  let started = false
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1
+    if (!line.trim()) return
+
+    const pos = line.indexOf(':')
+    if (pos < 0) {
+      result.errors.push({ lineNumber, message: 'Line has no tag' })
+      return
+    }
+
+    const tag = line.substring(0, pos).trim().toUpperCase()
+    const value = line.substring(pos + 1).trim()
+
+    if (tag === 'START-OF-LOG') {
+      started = true
+      result.version = value
+    } else if (tag === 'END-OF-LOG') {
+      started = false
+    } else if (tag === 'QSO' || tag === 'X-QSO') {
+      const match = value.match(QSO_LINE_REGEX)
+      if (!match) {
+        result.errors.push({ lineNumber, message: 'QSO line does not have frequency, mode, date and time' })
+        return
+      }
+
+      const [, freq, mode, date, time, rest] = match
+      const startAtMillis = Date.parse(`${date}T${time.substring(0, 2)}:${time.substring(2, 4)}:00Z`)
+      if (isNaN(startAtMillis)) {
+        result.errors.push({ lineNumber, message: `Invalid date or time ${date} ${time}` })
+        return
+      }
+
+      result.qsos.push({
+        lineNumber,
+        ignored: tag === 'X-QSO',
+        ...cabrilloFreqToBandAndFreq(freq),
+        mode: MODES_FOR_CABRILLO_MODES[mode.toUpperCase()] ?? mode.toUpperCase(),
+        startAtMillis,
+        parts: rest.trim().split(/\s+/)
+      })
+    } else if (HEADERS_WITH_MULTIPLE_LINES.includes(tag)) {
+      result.headers[tag] = [result.headers[tag], value].filter(x => x).join('\n')
+    } else {
+      result.headers[tag] = value
+    }
+  })
+
+  if (result.version === undefined) result.errors.push({ lineNumber: 1, message: 'Missing START-OF-LOG' })
+  if (started) result.errors.push({ lineNumber: lines.length, message: 'Missing END-OF-LOG' })
+
+  return result
+}
+
+// Used when there is no contest handler that understands the exchange. Most contests send
+// our call, our exchange, their call and their exchange, with both exchanges having the same number of columns.
+export function genericCabrilloPartsToQSO ({ parts, qso }) {
+  const half = Math.floor(parts.length / 2)
+  const ourParts = parts.slice(0, half)
+  const theirParts = parts.slice(half)
+
+  qso.our = { ...qso.our, call: ourParts[0] }
+  qso.their = { ...qso.their, call: theirParts[0] }
+  if (ourParts[1]?.match(/^[1-5][1-9][1-9]?$/)) qso.our.sent = ourParts[1]
+  if (theirParts[1]?.match(/^[1-5][1-9][1-9]?$/)) qso.their.sent = theirParts[1]
+
+  const exchange = theirParts.slice(qso.their.sent ? 2 : 1).join(' ')
+  if (exchange) qso.their.exchange = exchange
+
+  return { qso }
+}
@@ -0,0 +1,131 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {
+  cabrilloFreq, cabrilloFreqToBandAndFreq, cabrilloMode, genericCabrilloPartsToQSO, parseCabrillo, suggestedCabrilloCategories, validateCabrilloHeaders
+} from './cabrilloTools'
+
+describe('parseCabrillo', () => {
+  it('should parse headers and QSO lines', () => {
+    const cabrillo = [
+      'START-OF-LOG: 3.0',
+      'CONTEST: WFD',
+      'CALLSIGN: KI2D',
+      'SOAPBOX: Cold',
+      'SOAPBOX: but fun',
+      'QSO: 14032 CW 2024-01-24 0246 KI2D          1H     ENY KN2X          1H   ENY',
+      'QSO: 7000 PH 2024-01-24 0300 KI2D          1H     ENY WC3W          2H   NFL',
+      'X-QSO: 144 FM 2024-01-24 0310 KI2D          1H     ENY N0CALL        1H   ENY',
+      'END-OF-LOG:',
+      ''
+    ].join('\r\n')
+
+    const result = parseCabrillo(cabrillo)
+    expect(result.version).toEqual('3.0')
+    expect(result.headers).toEqual({ CONTEST: 'WFD', CALLSIGN: 'KI2D', SOAPBOX: 'Cold\nbut fun' })
+    expect(result.errors).toEqual([])
+    expect(result.qsos.length).toEqual(3)
+    expect(result.qsos[0]).toEqual({
+      lineNumber: 6,
+      ignored: false,
+      band: '20m',
+      freq: 14032,
+      mode: 'CW',
+      startAtMillis: Date.parse('2024-01-24T02:46:00Z'),
+      parts: ['KI2D', '1H', 'ENY', 'KN2X', '1H', 'ENY']
+    })
+    expect(result.qsos[1].band).toEqual('40m')
+    expect(result.qsos[1].freq).toBeUndefined()
+    expect(result.qsos[1].mode).toEqual('SSB')
+    expect(result.qsos[2].ignored).toEqual(true)
+  })
+
+  it('should report errors', () => {
+    const result = parseCabrillo('CONTEST: WFD\nQSO: 14032 CW 2024-01-24\nsomething else\n')
+    expect(result.errors).toEqual([
+      { lineNumber: 2, message: 'QSO line does not have frequency, mode, date and time' },
+      { lineNumber: 3, message: 'Line has no tag' },
+      { lineNumber: 1, message: 'Missing START-OF-LOG' }
+    ])
+  })
+})
+
+describe('cabrilloFreqToBandAndFreq', () => {
+  it('should understand band designators', () => {
+    expect(cabrilloFreqToBandAndFreq('50')).toEqual({ band: '6m' })
+    expect(cabrilloFreqToBandAndFreq('1.2G')).toEqual({ band: '23cm' })
+    expect(cabrilloFreqToBandAndFreq('21000')).toEqual({ band: '15m' })
+    expect(cabrilloFreqToBandAndFreq('21025')).toEqual({ band: '15m', freq: 21025 })
+  })
+})
+
+describe('genericCabrilloPartsToQSO', () => {
+  it('should split the exchange in halves', () => {
+    const { qso } = genericCabrilloPartsToQSO({ parts: ['KI2D', '599', 'NY', 'K1ABC', '579', 'MA'], qso: {} })
+    expect(qso).toEqual({ our: { call: 'KI2D', sent: '599' }, their: { call: 'K1ABC', sent: '579', exchange: 'MA' } })
+  })
+})
+
+describe('cabrilloFreq and cabrilloMode', () => {
+  it('should use kHz for HF and band designators for VHF and up', () => {
+    expect(cabrilloFreq({ band: '20m', freq: 14032.4 })).toEqual('14032')
+    expect(cabrilloFreq({ band: '40m' })).toEqual('7000')
+    expect(cabrilloFreq({ band: '2m', freq: 146520 })).toEqual('144')
+    expect(cabrilloFreq({ band: '1.25m', freq: 223500 })).toEqual('222')
+  })
+
+  it('should use Cabrillo mode names', () => {
+    expect(['CW', 'USB', 'FM', 'RTTY', 'FT8'].map(mode => cabrilloMode({ mode }))).toEqual(['CW', 'PH', 'FM', 'RY', 'DG'])
+  })
+})
+
+describe('suggestedCabrilloCategories', () => {
+  it('should suggest band and mode categories', () => {
+    expect(suggestedCabrilloCategories({ qsos: [{ band: '20m', mode: 'CW' }, { band: '20m', mode: 'CW' }] })).toEqual({ categoryBand: '20M', categoryMode: 'CW' })
+    expect(suggestedCabrilloCategories({ qsos: [{ band: '20m', mode: 'CW' }, { band: '40m', mode: 'SSB' }] })).toEqual({ categoryBand: 'ALL', categoryMode: 'MIXED' })
+    expect(suggestedCabrilloCategories({ qsos: [{ band: '70cm', mode: 'FM' }, { band: '2m', mode: 'FM', deleted: true }] })).toEqual({ categoryBand: '432', categoryMode: 'FM' })
+    expect(suggestedCabrilloCategories({ qsos: [] })).toEqual({})
+  })
+})
+
+describe('validateCabrilloHeaders', () => {
+  it('should accept valid headers', () => {
+    expect(validateCabrilloHeaders([
+      ['CONTEST', 'WFD'],
+      ['CALLSIGN', 'KI2D'],
+      ['CATEGORY-OPERATOR', 'SINGLE-OP'],
+      ['CATEGORY-BAND', 'ALL'],
+      ['CATEGORY-MODE', 'MIXED'],
+      ['CATEGORY-POWER', 'QRP'],
+      ['CLAIMED-SCORE', '1234'],
+      ['EMAIL', 'sd@ham2k.com'],
+      ['ADDRESS', '123 Main St'],
+      ['ADDRESS', 'New York, NY']
+    ])).toEqual([])
+  })
+
+  it('should report problems', () => {
+    expect(validateCabrilloHeaders([
+      ['CALLSIGN', 'KI2D'],
+      ['CATEGORY-OPERATOR', 'SINGLE'],
+      ['CATEGORY-BAND', '20M'],
+      ['CATEGORY-MODE', 'CW'],
+      ['CLAIMED-SCORE', '12.5'],
+      ['EMAIL', 'sd at ham2k'],
+      ['ADDRESS', 'A very long street name that goes on and on forever'],
+      ['SOAPBOX', 'Muy fácil']
+    ])).toEqual([
+      { level: 'error', message: 'Missing CONTEST' },
+      { level: 'error', message: 'Invalid CATEGORY-OPERATOR SINGLE' },
+      { level: 'warning', message: 'Missing CATEGORY-POWER' },
+      { level: 'error', message: 'Invalid CLAIMED-SCORE 12.5' },
+      { level: 'error', message: 'Invalid EMAIL sd at ham2k' },
+      { level: 'error', message: 'ADDRESS lines can only have 45 characters' },
+      { level: 'warning', message: 'SOAPBOX has characters that some log checkers do not accept' }
+    ])
+  })
+})
@@ -0,0 +1,94 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Command hooks can include a `help` object to describe themselves in the Commands screen,
+ * and to be suggested while typing in the callsign field:
+ *
+ * - `name`: short name, like 'Change Band'
+ * - `description`: a sentence about what the command does
+ * - `syntax`: one or more ways to write it, with arguments in angle brackets, like `OP/<callsign>`
+ * - `args`: `[{ name, type, description }]`, with `type` being one of `COMMAND_ARG_TYPES`
+ * - `examples`: things that can be typed as they are
+ * - `keywords`: literal text the command starts with, used to suggest it while typing
+ *
+ * Commands without `help` are not listed.
+ */
+
+export const COMMAND_ARG_TYPES = {
+  callsign: 'Callsign',
+  number: 'Number',
+  frequency: 'Frequency',
+  band: 'Band',
+  mode: 'Mode',
+  time: 'Time',
+  date: 'Date',
+  duration: 'Duration',
+  text: 'Text'
+}
+
+function asArray (value) {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+export function documentedCommands (commands) {
+  return (commands || [])
+    .filter(command => command?.help?.name)
+    .sort((a, b) => a.help.name.localeCompare(b.help.name))
+}
+
+export function searchCommands (commands, query) {
+  const words = (query || '').trim().toUpperCase().split(/\s+/).filter(x => x)
+  const documented = documentedCommands(commands)
+  if (words.length === 0) return documented
+
+  return documented.filter(({ help }) => {
+    const text = [
+      help.name,
+      help.description,
+      ...asArray(help.syntax),
+      ...asArray(help.examples),
+      ...asArray(help.keywords),
+      ...asArray(help.args).map(arg => arg.name)
+    ].filter(x => x).join(' ').toUpperCase()
+
+    return words.every(word => text.includes(word))
+  })
+}
+
+// After a keyword, arguments are either separated from it, or start with a number, like in `OP/K`, `EXPORT ADIF` or `UP2`.
+// Anything else is more likely to be a callsign that happens to start with a keyword, like `UP2ABC` or `DN1ABC`.
+const KEYWORD_SEPARATOR_REGEX = /[\s/.:]$/
+const ARGUMENTS_REGEX = /^(|[\s/.:].*|[\d.,]+)$/
+
+function keywordWithArguments (value, keyword) {
+  if (!value.startsWith(keyword)) return false
+  return KEYWORD_SEPARATOR_REGEX.test(keyword) || ARGUMENTS_REGEX.test(value.substring(keyword.length))
+}
+
+// Returns `{ command, completion }` for commands whose keywords start with `value`,
+// and `{ command, hint }` for commands whose keywords were typed, but still need arguments.
+export function suggestCommandCompletions (commands, value, { limit = 3, minLength = 2 } = {}) {
+  const upper = (value || '').trim().toUpperCase()
+  if (upper.length < minLength) return []
+
+  const suggestions = []
+  documentedCommands(commands).forEach(command => {
+    const { help } = command
+    const keywords = asArray(help.keywords).map(keyword => keyword.toUpperCase())
+
+    const completion = keywords.find(keyword => keyword.startsWith(upper) && keyword !== upper)
+    if (completion) {
+      suggestions.push({ command, completion })
+    } else if (keywords.find(keyword => keywordWithArguments(upper, keyword)) && help.args?.length > 0) {
+      suggestions.push({ command, hint: asArray(help.syntax)[0] })
+    }
+  })
+
+  return suggestions.slice(0, limit)
+}
@@ -0,0 +1,82 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { documentedCommands, searchCommands, suggestCommandCompletions } from './commandHelp'
+
+const COMMANDS = [
+  {
+    key: 'mode',
+    help: { name: 'Change Mode', description: 'Switch to another mode', syntax: '<mode>', keywords: ['CW', 'SSB', 'FT8'] }
+  },
+  {
+    key: 'operator',
+    help: {
+      name: 'Change Operator',
+      description: 'Set the operator callsign',
+      syntax: ['OP/<callsign>', 'OPER/<callsign>'],
+      args: [{ name: 'callsign', type: 'callsign', description: 'Callsign of the new operator' }],
+      examples: ['OP/KI2D'],
+      keywords: ['OP/', 'OPER/']
+    }
+  },
+  {
+    key: 'spot',
+    help: { name: 'Self-Spot', description: 'Post a spot for yourself', syntax: ['SPOT', 'SPOT/<comments>'], args: [{ name: 'comments', type: 'text' }], keywords: ['SPOT', 'SPOT/'] }
+  },
+  {
+    key: 'split',
+    help: { name: 'Split', description: 'Go split', syntax: ['UP <kHz>', 'DN <kHz>'], args: [{ name: 'kHz', type: 'number' }], keywords: ['UP', 'DN'] }
+  },
+  { key: 'secret', match: /KONAMI/ }
+]
+
+describe('documentedCommands', () => {
+  it('should only include commands with help, sorted by name', () => {
+    expect(documentedCommands(COMMANDS).map(command => command.key)).toEqual(['mode', 'operator', 'spot', 'split'])
+  })
+})
+
+describe('searchCommands', () => {
+  it('should return all documented commands for an empty query', () => {
+    expect(searchCommands(COMMANDS, '').map(command => command.key)).toEqual(['mode', 'operator', 'spot', 'split'])
+  })
+
+  it('should match every word against names, descriptions, syntax and examples', () => {
+    expect(searchCommands(COMMANDS, 'change').map(command => command.key)).toEqual(['mode', 'operator'])
+    expect(searchCommands(COMMANDS, 'change callsign').map(command => command.key)).toEqual(['operator'])
+    expect(searchCommands(COMMANDS, 'ki2d').map(command => command.key)).toEqual(['operator'])
+    expect(searchCommands(COMMANDS, 'ft8').map(command => command.key)).toEqual(['mode'])
+    expect(searchCommands(COMMANDS, 'konami')).toEqual([])
+  })
+})
+
+describe('suggestCommandCompletions', () => {
+  it('should complete partial keywords', () => {
+    expect(suggestCommandCompletions(COMMANDS, 'op').map(({ command, completion }) => [command.key, completion])).toEqual([['operator', 'OP/']])
+    expect(suggestCommandCompletions(COMMANDS, 'SP').map(({ command, completion }) => [command.key, completion])).toEqual([['spot', 'SPOT']])
+    expect(suggestCommandCompletions(COMMANDS, 'SPOT').map(({ command, completion }) => [command.key, completion])).toEqual([['spot', 'SPOT/']])
+  })
+
+  it('should show the syntax once the keyword has been typed', () => {
+    expect(suggestCommandCompletions(COMMANDS, 'OP/K').map(({ command, hint }) => [command.key, hint])).toEqual([['operator', 'OP/<callsign>']])
+    expect(suggestCommandCompletions(COMMANDS, 'UP 2.5').map(({ command, hint }) => [command.key, hint])).toEqual([['split', 'UP <kHz>']])
+    expect(suggestCommandCompletions(COMMANDS, 'DN15').map(({ command, hint }) => [command.key, hint])).toEqual([['split', 'UP <kHz>']])
+  })
+
+  it('should not show the syntax for callsigns that start with a keyword', () => {
+    expect(suggestCommandCompletions(COMMANDS, 'DN1ABC')).toEqual([])
+    expect(suggestCommandCompletions(COMMANDS, 'UP2ABC')).toEqual([])
+    expect(suggestCommandCompletions(COMMANDS, 'UP2A')).toEqual([])
+    expect(suggestCommandCompletions(COMMANDS, 'SPOTTER')).toEqual([])
+  })
+
+  it('should not suggest anything for short or unrelated values', () => {
+    expect(suggestCommandCompletions(COMMANDS, 'O')).toEqual([])
+    expect(suggestCommandCompletions(COMMANDS, 'KI2')).toEqual([])
+    expect(suggestCommandCompletions(COMMANDS, 'CW')).toEqual([])
+  })
+})
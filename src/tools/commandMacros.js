@@ -0,0 +1,124 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { bandForFrequency, modeForFrequency } from '@ham2k/lib-operation-data'
+
+import { parseFreqInMHz } from './frequencyFormats'
+
+// The callsign field does not accept spaces, so commas also separate commands
+const COMMAND_SEPARATOR_REGEX = /[\s,]+/
+
+// Names like `W1AW` or `K2ABC` would be run instead of being logged as callsigns
+const CALLSIGN_LIKE_REGEX = /^(?:[A-Z]{1,2}|[0-9][A-Z]|[A-Z][0-9])[0-9]+[A-Z]{1,4}$/
+
+export const MAX_MACRO_DEPTH = 3
+
+export function splitCommands (value) {
+  return (value || '').split(COMMAND_SEPARATOR_REGEX).filter(x => x)
+}
+
+// Words are kept together when they make a single command, like `UP 2`, so that arguments
+// are not taken as commands of their own. `isCommand(text)` decides what is a valid command.
+export function groupCommands (value, isCommand) {
+  return (value || '').split(',').flatMap(segment => {
+    const words = segment.trim().split(/\s+/).filter(x => x)
+    const commands = []
+    let start = 0
+    while (start < words.length) {
+      let end = words.length
+      while (end > start + 1 && !isCommand(words.slice(start, end).join(' '))) end--
+      commands.push(words.slice(start, end).join(' '))
+      start = end
+    }
+    return commands
+  })
+}
+
+// Applies a `handleFieldChange` event to `qso` the same way the logging panel does,
+// so that each chained command can see the changes made by the ones before it
+export function qsoWithFieldChange (qso, { fieldId, value }, { ourInfo, vfo } = {}) {
+  if (fieldId === 'freq') {
+    const freq = value ? parseFreqInMHz(value) : undefined
+    const band = freq ? bandForFrequency(freq) : undefined
+    const mode = freq ? (modeForFrequency(freq, ourInfo) ?? qso?.mode ?? vfo?.mode ?? 'SSB') : qso?.mode
+    return { ...qso, freq, freqRx: undefined, band, mode }
+  } else if (fieldId === 'split') {
+    return { ...qso, freq: value.freq, freqRx: value.freqRx, band: bandForFrequency(value.freq) }
+  } else if (fieldId === 'band') {
+    return { ...qso, band: value, freq: undefined, freqRx: undefined }
+  } else if (fieldId === 'mode') {
+    return { ...qso, mode: value }
+  } else if (fieldId === 'time' || fieldId === 'date') {
+    return { ...qso, startAtMillis: value }
+  } else if (fieldId === 'power') {
+    return { ...qso, power: value }
+  } else {
+    return qso
+  }
+}
+
+// Calls `invoke(step, params)` for each `{ matchingCommand, match }` in `chain`, in order,
+// with the `qso` updated by every `handleFieldChange` from the previous steps
+export function invokeChainedCommands (chain, extraParams, invoke) {
+  let qso = extraParams.qso
+  const handleFieldChange = (event) => {
+    qso = qsoWithFieldChange(qso, event, extraParams)
+    extraParams.handleFieldChange(event)
+  }
+
+  return chain.map(step => invoke(step, { ...extraParams, qso, handleFieldChange }))
+}
+
+// Describing commands should not change anything, so only the changes from commands that
+// provide `fieldChangesForCommand(match, extraParams)` are seen by the steps after them
+export function describeChainedCommands (chain, extraParams, describe) {
+  let qso = extraParams.qso
+
+  return chain.map(step => {
+    const params = { ...extraParams, qso }
+    const description = describe(step, params)
+
+    const changes = step.matchingCommand.fieldChangesForCommand?.(step.match, params) || []
+    changes.forEach(event => { qso = qsoWithFieldChange(qso, event, extraParams) })
+
+    return description
+  })
+}
+
+export function normalizeMacroName (name) {
+  return (name || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+export function commandMacrosFromSettings (settings) {
+  return Object.values(settings?.commandMacros || {}).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export function findCommandMacro (settings, value) {
+  const name = (value || '').trim().toUpperCase()
+  if (!name) return undefined
+
+  return commandMacrosFromSettings(settings).find(macro => macro.name.toUpperCase() === name)
+}
+
+export function validateCommandMacro (macro, settings) {
+  const problems = []
+  const name = normalizeMacroName(macro?.name)
+
+  if (!name) {
+    problems.push('Name is required')
+  } else if (name !== macro.name) {
+    problems.push('Name can only have letters and numbers')
+  } else if (name.match(CALLSIGN_LIKE_REGEX)) {
+    problems.push('Name cannot look like a callsign')
+  } else if (commandMacrosFromSettings(settings).find(other => other.key !== macro.key && normalizeMacroName(other.name) === name)) {
+    problems.push('Name is already used by another macro')
+  }
+
+  if (splitCommands(macro?.commands).length === 0) problems.push('Commands are required')
+
+  return problems
+}
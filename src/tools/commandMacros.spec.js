@@ -0,0 +1,124 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {
+  commandMacrosFromSettings, describeChainedCommands, findCommandMacro, groupCommands, invokeChainedCommands, normalizeMacroName,
+  qsoWithFieldChange, splitCommands, validateCommandMacro
+} from './commandMacros'
+import { parseBand, parseFrequency, parseMode, parseSplit } from './radioShortcuts'
+
+const SETTINGS = {
+  commandMacros: {
+    a: { key: 'a', name: 'QRP40', commands: '7030, CW, 5W' },
+    b: { key: 'b', name: 'FT20', commands: '14074,FT8' }
+  }
+}
+
+describe('splitCommands', () => {
+  it('should split on commas and spaces', () => {
+    expect(splitCommands('14062 CW 5W')).toEqual(['14062', 'CW', '5W'])
+    expect(splitCommands('14062,CW, 5W,')).toEqual(['14062', 'CW', '5W'])
+    expect(splitCommands('')).toEqual([])
+    expect(splitCommands(undefined)).toEqual([])
+  })
+})
+
+describe('groupCommands', () => {
+  const isCommand = (text) => !!(parseSplit(text) || parseBand(text) || parseMode(text) || text.match(/^[\d.]+W?$/))
+
+  it('should keep arguments with their commands', () => {
+    expect(groupCommands('UP 2', isCommand)).toEqual(['UP 2'])
+    expect(groupCommands('14025 CW UP 2', isCommand)).toEqual(['14025', 'CW', 'UP 2'])
+    expect(groupCommands('UP 2, 20m', isCommand)).toEqual(['UP 2', '20m'])
+    expect(groupCommands('UP, 2', isCommand)).toEqual(['UP', '2'])
+  })
+
+  it('should split on commas and spaces', () => {
+    expect(groupCommands('14062 CW 5W', isCommand)).toEqual(['14062', 'CW', '5W'])
+    expect(groupCommands('14062,CW, 5W,', isCommand)).toEqual(['14062', 'CW', '5W'])
+    expect(groupCommands('', isCommand)).toEqual([])
+    expect(groupCommands(undefined, isCommand)).toEqual([])
+  })
+})
+
+describe('normalizeMacroName', () => {
+  it('should only keep letters and numbers', () => {
+    expect(normalizeMacroName('qrp 40-m')).toEqual('QRP40M')
+  })
+})
+
+describe('commandMacrosFromSettings', () => {
+  it('should sort macros by name', () => {
+    expect(commandMacrosFromSettings(SETTINGS).map(macro => macro.key)).toEqual(['b', 'a'])
+    expect(commandMacrosFromSettings({})).toEqual([])
+  })
+})
+
+describe('findCommandMacro', () => {
+  it('should only find macros by their exact name, regardless of case', () => {
+    expect(findCommandMacro(SETTINGS, 'qrp40')?.key).toEqual('a')
+    expect(findCommandMacro(SETTINGS, 'QRP/40')).toBeUndefined()
+    expect(findCommandMacro(SETTINGS, 'QRP-40')).toBeUndefined()
+    expect(findCommandMacro(SETTINGS, 'QRP20')).toBeUndefined()
+    expect(findCommandMacro(SETTINGS, '')).toBeUndefined()
+  })
+})
+
+describe('validateCommandMacro', () => {
+  it('should accept valid macros', () => {
+    expect(validateCommandMacro({ key: 'c', name: 'SSB20', commands: '20m SSB' }, SETTINGS)).toEqual([])
+    expect(validateCommandMacro(SETTINGS.commandMacros.a, SETTINGS)).toEqual([])
+  })
+
+  it('should report problems', () => {
+    expect(validateCommandMacro({ key: 'c', name: '', commands: '' }, SETTINGS)).toEqual(['Name is required', 'Commands are required'])
+    expect(validateCommandMacro({ key: 'c', name: 'qrp 40', commands: 'CW' }, SETTINGS)).toEqual(['Name can only have letters and numbers'])
+    expect(validateCommandMacro({ key: 'c', name: 'QRP40', commands: 'CW' }, SETTINGS)).toEqual(['Name is already used by another macro'])
+    expect(validateCommandMacro({ key: 'c', name: 'W1AW', commands: 'CW' }, SETTINGS)).toEqual(['Name cannot look like a callsign'])
+    expect(validateCommandMacro({ key: 'c', name: 'K2ABC', commands: 'CW' }, SETTINGS)).toEqual(['Name cannot look like a callsign'])
+  })
+})
+
+describe('chained commands', () => {
+  // Like the frequency and split commands
+  const FREQUENCY = {
+    fieldChangesForCommand: (match) => [{ fieldId: 'freq', value: match[1] }],
+    invokeCommand: (match, { handleFieldChange }) => handleFieldChange({ fieldId: 'freq', value: match[1] }),
+    describeCommand: (match) => `Change frequency to ${match[1]}?`
+  }
+  const SPLIT = {
+    invokeCommand: (match, { qso, handleFieldChange }) => handleFieldChange({ fieldId: 'split', value: { freq: qso.freq + match[1], freqRx: qso.freq } }),
+    describeCommand: (match, { qso }) => `Transmit on ${qso.freq + match[1]}?`
+  }
+  const chain = [{ matchingCommand: FREQUENCY, match: ['14025', parseFrequency('14025')] }, { matchingCommand: SPLIT, match: ['UP2', parseSplit('UP2')] }]
+
+  it('should see the changes from the commands before them', () => {
+    const events = []
+    const extraParams = { qso: { freq: 7030, band: '40m', mode: 'CW' }, handleFieldChange: (event) => events.push(event) }
+
+    invokeChainedCommands(chain, extraParams, ({ matchingCommand, match }, params) => matchingCommand.invokeCommand(match, params))
+    expect(events).toEqual([
+      { fieldId: 'freq', value: 14025 },
+      { fieldId: 'split', value: { freq: 14027, freqRx: 14025 } }
+    ])
+    expect(extraParams.qso.freq).toEqual(7030)
+  })
+
+  it('should describe them with the changes from the commands before them', () => {
+    const extraParams = { qso: { freq: 7030, band: '40m', mode: 'CW' } }
+    expect(describeChainedCommands(chain, extraParams, ({ matchingCommand, match }, params) => matchingCommand.describeCommand(match, params)))
+      .toEqual(['Change frequency to 14025?', 'Transmit on 14027?'])
+  })
+
+  it('should apply field changes like the logging panel', () => {
+    const qso = { freq: 7030, band: '40m', mode: 'CW' }
+    expect(qsoWithFieldChange(qso, { fieldId: 'freq', value: 14074 })).toEqual({ freq: 14074, freqRx: undefined, band: '20m', mode: 'FT8' })
+    expect(qsoWithFieldChange(qso, { fieldId: 'split', value: { freq: 145900, freqRx: 435300 } })).toEqual({ freq: 145900, freqRx: 435300, band: '2m', mode: 'CW' })
+    expect(qsoWithFieldChange(qso, { fieldId: 'band', value: '20m' })).toEqual({ freq: undefined, freqRx: undefined, band: '20m', mode: 'CW' })
+    expect(qsoWithFieldChange(qso, { fieldId: 'notes', value: 'Hi' })).toBe(qso)
+  })
+})
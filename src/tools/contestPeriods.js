@@ -0,0 +1,31 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const HOUR_MILLIS = 60 * 60 * 1000
+
+// Saturday of the `nth` weekend with both days in the month, counting from the end if `nth` is negative.
+// `month` starts at 0, like in `Date`.
+export function fullWeekendSaturday ({ year, month, nth }) {
+  const saturdays = []
+  for (let day = 1; day <= 31; day++) {
+    const date = new Date(Date.UTC(year, month, day))
+    if (date.getUTCMonth() !== month) break
+    if (date.getUTCDay() === 6 && new Date(Date.UTC(year, month, day + 1)).getUTCMonth() === month) {
+      saturdays.push(date.getTime())
+    }
+  }
+  return nth < 0 ? saturdays[saturdays.length + nth] : saturdays[nth - 1]
+}
+
+// For events that start on a weekend Saturday at `startHour` UTC and last some `hours`
+export function fullWeekendPeriod ({ year, month, nth, startHour, hours }) {
+  const saturday = fullWeekendSaturday({ year, month, nth })
+  if (saturday === undefined) return undefined
+
+  const startAtMillis = saturday + startHour * HOUR_MILLIS
+  return { startAtMillis, endAtMillis: startAtMillis + hours * HOUR_MILLIS }
+}
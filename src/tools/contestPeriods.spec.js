@@ -0,0 +1,33 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { fullWeekendPeriod, fullWeekendSaturday } from './contestPeriods'
+
+describe('fullWeekendSaturday', () => {
+  it('should skip weekends that start in the month but end in the next one', () => {
+    // June 2024 starts on a Saturday, so the fourth full weekend is the 22nd
+    expect(new Date(fullWeekendSaturday({ year: 2024, month: 5, nth: 4 })).toISOString()).toEqual('2024-06-22T00:00:00.000Z')
+    expect(new Date(fullWeekendSaturday({ year: 2025, month: 5, nth: 4 })).toISOString()).toEqual('2025-06-28T00:00:00.000Z')
+    // August 2026 ends on a Monday, March 2024 ends on a Sunday
+    expect(new Date(fullWeekendSaturday({ year: 2026, month: 7, nth: -1 })).toISOString()).toEqual('2026-08-29T00:00:00.000Z')
+    expect(new Date(fullWeekendSaturday({ year: 2024, month: 2, nth: -1 })).toISOString()).toEqual('2024-03-30T00:00:00.000Z')
+  })
+
+  it('should count from the end', () => {
+    expect(new Date(fullWeekendSaturday({ year: 2024, month: 0, nth: -1 })).toISOString()).toEqual('2024-01-27T00:00:00.000Z')
+    expect(new Date(fullWeekendSaturday({ year: 2025, month: 0, nth: -1 })).toISOString()).toEqual('2025-01-25T00:00:00.000Z')
+    expect(fullWeekendSaturday({ year: 2024, month: 0, nth: 6 })).toBeUndefined()
+  })
+})
+
+describe('fullWeekendPeriod', () => {
+  it('should start and end at the right times', () => {
+    const period = fullWeekendPeriod({ year: 2024, month: 5, nth: 4, startHour: 18, hours: 27 })
+    expect(new Date(period.startAtMillis).toISOString()).toEqual('2024-06-22T18:00:00.000Z')
+    expect(new Date(period.endAtMillis).toISOString()).toEqual('2024-06-23T21:00:00.000Z')
+  })
+})
@@ -0,0 +1,57 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Activity hooks can include `exchangeLineFields` so that a whole exchange, like `K2ABC 2A NLI`,
+ * can be typed in the callsign field:
+ *
+ * - `key`: used for the values returned by `parseExchangeLine`
+ * - `label`: shown in error messages
+ * - `matches`: a regular expression or a function, used to decide which field each word belongs to
+ * - `optional`: the exchange is complete even if this field is missing
+ *
+ * They also need an `applyExchangeLine({ qso, values })` function that returns the changes to make to the QSO.
+ */
+
+export const SPACES_REGEX = /\s+/
+
+export const RST_EXCHANGE_FIELD = { key: 'rst', label: 'RST', matches: /^[1-5][1-9][1-9]?$/, optional: true }
+
+export function splitExchangeLine (line) {
+  return (line || '').toUpperCase().trim().split(SPACES_REGEX).filter(x => x)
+}
+
+function fieldMatches (field, word) {
+  if (!field.matches) return true
+  else if (typeof field.matches === 'function') return !!field.matches(word)
+  else return field.matches.test(word)
+}
+
+// The first word is the callsign, and each of the rest goes to the first field still empty that matches it,
+// so `W1AW 599 NY` and `W1AW NY` both work when RST is optional.
+export function parseExchangeLine (line, fields) {
+  const [call, ...words] = splitExchangeLine(line)
+
+  const values = {}
+  const unknown = []
+  words.forEach(word => {
+    const field = (fields || []).find(f => values[f.key] === undefined && fieldMatches(f, word))
+    if (field) values[field.key] = word
+    else unknown.push(word)
+  })
+
+  const missing = (fields || []).filter(field => !field.optional && values[field.key] === undefined)
+
+  return { call: call ?? '', values, unknown, missing }
+}
+
+export function exchangeLineProblems ({ unknown, missing }) {
+  const problems = []
+  if (unknown?.length > 0) problems.push(`Invalid ${unknown.join(', ')}`)
+  if (missing?.length > 0) problems.push(`Missing ${missing.map(field => field.label ?? field.key).join(', ')}`)
+  return problems
+}
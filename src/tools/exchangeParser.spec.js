@@ -0,0 +1,51 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { exchangeLineProblems, parseExchangeLine, RST_EXCHANGE_FIELD, splitExchangeLine } from './exchangeParser'
+
+const FD_FIELDS = [
+  { key: 'class', label: 'Class', matches: /^\d+[A-F]$/ },
+  { key: 'location', label: 'Loc', matches: (word) => ['NLI', 'ENY', 'WCF'].includes(word) }
+]
+
+const QP_FIELDS = [
+  RST_EXCHANGE_FIELD,
+  { key: 'location', label: 'Loc', matches: /^[A-Z]{2,4}$/ }
+]
+
+describe('splitExchangeLine', () => {
+  it('should split on any whitespace', () => {
+    expect(splitExchangeLine(' k2abc  2a\tNLI ')).toEqual(['K2ABC', '2A', 'NLI'])
+    expect(splitExchangeLine('')).toEqual([])
+    expect(splitExchangeLine(undefined)).toEqual([])
+  })
+})
+
+describe('parseExchangeLine', () => {
+  it('should assign each word to the matching field', () => {
+    expect(parseExchangeLine('K2ABC 2A NLI', FD_FIELDS)).toEqual({
+      call: 'K2ABC', values: { class: '2A', location: 'NLI' }, unknown: [], missing: []
+    })
+    expect(parseExchangeLine('K2ABC NLI 2A', FD_FIELDS).values).toEqual({ class: '2A', location: 'NLI' })
+  })
+
+  it('should report invalid and missing values', () => {
+    const result = parseExchangeLine('K2ABC 2A XYZ', FD_FIELDS)
+    expect(result.values).toEqual({ class: '2A' })
+    expect(result.unknown).toEqual(['XYZ'])
+    expect(result.missing.map(field => field.key)).toEqual(['location'])
+    expect(exchangeLineProblems(result)).toEqual(['Invalid XYZ', 'Missing Loc'])
+  })
+
+  it('should skip optional fields', () => {
+    expect(parseExchangeLine('W1AW 599 NY', QP_FIELDS).values).toEqual({ rst: '599', location: 'NY' })
+    expect(parseExchangeLine('W1AW NY', QP_FIELDS)).toEqual({
+      call: 'W1AW', values: { location: 'NY' }, unknown: [], missing: []
+    })
+    expect(exchangeLineProblems(parseExchangeLine('W1AW NY', QP_FIELDS))).toEqual([])
+  })
+})
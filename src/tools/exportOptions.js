@@ -0,0 +1,88 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { simpleTemplate } from './stringTools'
+import { qsosForExportScope, utcDaysForQSOs } from './exportScopes'
+import { templateValuesForQSOs } from './exportProfiles'
+
+export const DATA_EXTENSIONS = {
+  adif: 'adi',
+  cabrillo: 'log',
+  qson: 'qson',
+  json: 'json',
+  txt: 'txt',
+  csv: 'csv',
+  tsv: 'tsv',
+  other: 'dat'
+}
+
+export const DATA_FORMAT_DESCRIPTIONS = {
+  adif: 'ADIF',
+  cabrillo: 'Cabrillo',
+  qson: 'QSON',
+  json: 'JSON',
+  txt: 'Text',
+  csv: 'Comma-Separated Values',
+  tsv: 'Tab-Separated Values',
+  other: 'Data'
+}
+
+// Export types can be turned on and off in the operation's Export screen, and some are off unless turned on
+export function isExportOptionSelected (option, settings) {
+  return (settings?.exportTypes?.[option.exportType] ?? option.selectedByDefault) !== false
+}
+
+export function filterSelectedExportOptions (options, settings) {
+  return options.filter(option => isExportOptionSelected(option, settings))
+}
+
+// Options with `splitByDay` become one export per UTC day, each one including only the QSOs for that day
+export function splitExportOptionsByDay ({ options, qsos, operation, settings }) {
+  const days = utcDaysForQSOs(qsos)
+
+  return options.map(option => {
+    if (option.splitByDay && days.length > 1) {
+      return days.map(day => ({
+        ...option,
+        day,
+        templateData: {
+          date: day,
+          compactDate: day.replace(/-/g, ''),
+          ...templateValuesForQSOs({ qsos: qsosForExportScope(qsos, { type: 'day', day }), operation, settings }),
+          ...option.templateData
+        }
+      }))
+    } else {
+      return [option]
+    }
+  }).flat()
+}
+
+export function qsosForExportOption (qsos, option) {
+  return option?.day ? qsosForExportScope(qsos, { type: 'day', day: option.day }) : qsos
+}
+
+// `usedFileNames` is shared by all the options for an operation, so that their files do not overwrite each other
+export function namesForExportOption ({ option, handler, nameParts, suffix, usedFileNames = {} }) {
+  nameParts = { ...nameParts }
+  nameParts.titleDashed = (nameParts.title ?? '').replace(/[^a-zA-Z0-9]/g, '-')
+  nameParts._default = (key) => nameParts[key] ?? ''
+
+  let baseName = simpleTemplate(option.nameTemplate || '{date} {call} {ref}', nameParts).replace(/[/\\:]/g, '-').replace(/\s+/g, ' ').trim()
+  if (suffix) baseName = `${baseName}-${suffix}`
+  // User templates might not include enough information to tell files apart
+  if (usedFileNames[`${baseName}.${option.format}`]) baseName = `${baseName} ${option.exportType || handler.key}`
+  usedFileNames[`${baseName}.${option.format}`] = true
+
+  const title = simpleTemplate(option.titleTemplate || '{call} {ref} {date}', nameParts)
+  const fileName = `${baseName}.${DATA_EXTENSIONS[option.format] || DATA_EXTENSIONS.other}`
+  let exportTitle = option.exportTitle || `${handler.shortName ?? handler.name} ${DATA_FORMAT_DESCRIPTIONS[option.format] || DATA_FORMAT_DESCRIPTIONS.other}`
+  if (option.day) exportTitle = `${exportTitle} for ${option.day}`
+  const exportType = option.exportType || handler.key
+
+  return { fileName, title, exportTitle, exportType }
+}
@@ -0,0 +1,105 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { filterSelectedExportOptions, isExportOptionSelected, namesForExportOption, qsosForExportOption, splitExportOptionsByDay } from './exportOptions'
+
+const qsos = [
+  { key: 'a', band: '20m', startAtMillis: Date.parse('2024-06-01T22:00:00Z') },
+  { key: 'b', band: '40m', startAtMillis: Date.parse('2024-06-02T01:00:00Z') },
+  { key: 'c', band: '40m', startAtMillis: Date.parse('2024-06-02T03:00:00Z') }
+]
+
+const operation = { uuid: 'abc', title: 'at K-0001', grid: 'FN20' }
+const settings = { operatorCall: 'N0CALL' }
+const handler = { key: 'pota', shortName: 'POTA' }
+
+describe('filterSelectedExportOptions', () => {
+  const options = [
+    { exportType: 'pota-adif' },
+    { exportType: 'qson' },
+    { exportType: 'tables-csv', selectedByDefault: false }
+  ]
+
+  it('should use the defaults when there are no settings', () => {
+    expect(filterSelectedExportOptions(options, {}).map(option => option.exportType)).toEqual(['pota-adif', 'qson'])
+    expect(isExportOptionSelected(options[2], undefined)).toEqual(false)
+  })
+
+  it('should follow the selection in the settings', () => {
+    const selection = { exportTypes: { qson: false, 'tables-csv': true } }
+    expect(filterSelectedExportOptions(options, selection).map(option => option.exportType)).toEqual(['pota-adif', 'tables-csv'])
+  })
+})
+
+describe('splitExportOptionsByDay', () => {
+  it('should make one option per UTC day', () => {
+    const options = splitExportOptionsByDay({ options: [{ format: 'adif', splitByDay: true }], qsos, operation, settings })
+
+    expect(options.map(option => option.day)).toEqual(['2024-06-01', '2024-06-02'])
+    expect(options[0].templateData).toEqual({ date: '2024-06-01', compactDate: '20240601', band: '20m', grid: 'FN20', operator: 'N0CALL' })
+    expect(options[1].templateData).toEqual({ date: '2024-06-02', compactDate: '20240602', band: '40m', grid: 'FN20', operator: 'N0CALL' })
+  })
+
+  it('should keep options that are not split, or that only have one day', () => {
+    const options = [{ format: 'adif', splitByDay: true }, { format: 'cabrillo' }]
+
+    expect(splitExportOptionsByDay({ options, qsos, operation, settings }).map(option => [option.format, option.day])).toEqual([
+      ['adif', '2024-06-01'], ['adif', '2024-06-02'], ['cabrillo', undefined]
+    ])
+    expect(splitExportOptionsByDay({ options, qsos: qsos.slice(1), operation, settings })).toEqual(options)
+  })
+})
+
+describe('qsosForExportOption', () => {
+  it('should only include QSOs for the day of the option', () => {
+    expect(qsosForExportOption(qsos, { day: '2024-06-02' }).map(qso => qso.key)).toEqual(['b', 'c'])
+    expect(qsosForExportOption(qsos, {})).toEqual(qsos)
+  })
+})
+
+describe('namesForExportOption', () => {
+  const nameParts = { call: 'N0CALL', date: '2024-06-02', ref: 'K-0001', title: 'at K-0001' }
+
+  it('should use the default templates', () => {
+    expect(namesForExportOption({ option: { format: 'adif' }, handler, nameParts })).toEqual({
+      fileName: '2024-06-02 N0CALL K-0001.adi',
+      title: 'N0CALL K-0001 2024-06-02',
+      exportTitle: 'POTA ADIF',
+      exportType: 'pota'
+    })
+  })
+
+  it('should name each day', () => {
+    const [first, second] = splitExportOptionsByDay({ options: [{ format: 'adif', splitByDay: true, nameTemplate: '{call}@{ref}-{compactDate}' }], qsos, operation, settings })
+    const usedFileNames = {}
+
+    const firstNames = namesForExportOption({ option: first, handler, nameParts: { ...nameParts, ...first.templateData }, usedFileNames })
+    const secondNames = namesForExportOption({ option: second, handler, nameParts: { ...nameParts, ...second.templateData }, usedFileNames })
+
+    expect([firstNames.fileName, firstNames.exportTitle]).toEqual(['N0CALL@K-0001-20240601.adi', 'POTA ADIF for 2024-06-01'])
+    expect([secondNames.fileName, secondNames.exportTitle]).toEqual(['N0CALL@K-0001-20240602.adi', 'POTA ADIF for 2024-06-02'])
+  })
+
+  it('should tell apart files that would have the same name', () => {
+    const usedFileNames = {}
+    const option = { format: 'adif', nameTemplate: '{call}' }
+
+    expect(namesForExportOption({ option, handler, nameParts, usedFileNames }).fileName).toEqual('N0CALL.adi')
+    expect(namesForExportOption({ option: { ...option, exportType: 'pota-hunter' }, handler, nameParts, usedFileNames }).fileName).toEqual('N0CALL pota-hunter.adi')
+    expect(namesForExportOption({ option, handler, nameParts, suffix: 'selected' }).fileName).toEqual('N0CALL-selected.adi')
+  })
+
+  it('should clean up unknown values and characters not allowed in file names', () => {
+    const option = { format: 'other', nameTemplate: '{call}/{missing} {title}', titleTemplate: '{titleDashed}' }
+
+    expect(namesForExportOption({ option, handler, nameParts })).toMatchObject({
+      fileName: 'N0CALL- at K-0001.dat',
+      title: 'at-K-0001',
+      exportTitle: 'POTA Data'
+    })
+  })
+})
@@ -0,0 +1,90 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { sanitizeToISO8859 } from './stringTools'
+
+export const EXPORT_PROFILE_FORMATS = ['adif', 'cabrillo', 'csv', 'tsv', 'txt', 'json', 'qson']
+
+export const EXPORT_PROFILE_SCOPES = {
+  default: 'As suggested for each file',
+  day: 'One file per UTC day',
+  operation: 'One file for the whole operation'
+}
+
+export const EXPORT_CHARSETS = {
+  auto: 'Usual for each format',
+  'iso-8859-1': 'Latin-1 (ISO 8859-1)',
+  ascii: 'Plain ASCII',
+  'utf-8': 'Unicode (UTF-8)'
+}
+
+// ADIF fields that can be left out of exports. The rest are needed for a QSO to be valid.
+export const OPTIONAL_ADIF_FIELDS = [
+  'FREQ', 'TX_PWR', 'OPERATOR', 'NOTES', 'COMMENT', 'GRIDSQUARE', 'MY_GRIDSQUARE', 'NAME',
+  'DXCC', 'QTH', 'COUNTRY', 'STATE', 'CQZ', 'ITUZ', 'ARRL_SECT'
+]
+
+export const TEMPLATE_VARIABLES = [
+  'call', 'operator', 'date', 'compactDate', 'ref', 'band', 'grid', 'title', 'titleDashed', 'shortUUID'
+]
+
+export const DEFAULT_EXPORT_PROFILE = {
+  key: 'default',
+  name: 'Default',
+  formats: undefined,
+  scope: 'default',
+  nameTemplate: '',
+  titleTemplate: '',
+  excludedADIFFields: [],
+  charset: 'auto'
+}
+
+export function exportProfilesFromSettings (settings) {
+  return [DEFAULT_EXPORT_PROFILE, ...Object.values(settings?.exportProfiles || {})]
+}
+
+export function activeExportProfile (settings) {
+  return { ...DEFAULT_EXPORT_PROFILE, ...settings?.exportProfiles?.[settings?.exportProfile] }
+}
+
+// Values for name and title templates that depend on the QSOs being exported
+export function templateValuesForQSOs ({ qsos, operation, settings }) {
+  const bands = [...new Set((qsos || []).filter(qso => !qso.deleted && qso.band && qso.band !== 'other').map(qso => qso.band))]
+  return {
+    band: bands.join('-'),
+    grid: operation?.grid,
+    operator: settings?.operatorCall
+  }
+}
+
+// Returns the option modified to follow the profile, or `undefined` if the profile does not include its format
+export function applyExportProfileToOption (option, profile) {
+  if (!profile) return option
+  if (profile.formats && !profile.formats.includes(option.format)) return undefined
+
+  option = { ...option }
+  if (profile.nameTemplate) option.nameTemplate = profile.nameTemplate
+  if (profile.titleTemplate) option.titleTemplate = profile.titleTemplate
+  if (profile.scope === 'day') option.splitByDay = true
+  else if (profile.scope === 'operation') option.splitByDay = false
+
+  if (profile.excludedADIFFields?.length > 0) option.excludedADIFFields = profile.excludedADIFFields
+  if (profile.charset && profile.charset !== 'auto') option.charset = profile.charset
+
+  return option
+}
+
+export function convertToCharset (text, charset) {
+  if (!text || charset === 'utf-8') {
+    return text
+  } else if (charset === 'ascii') {
+    // eslint-disable-next-line no-control-regex
+    return sanitizeToISO8859(text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')).replace(/[^\x00-\x7F]/g, '?')
+  } else {
+    return sanitizeToISO8859(text)
+  }
+}
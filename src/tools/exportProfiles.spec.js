@@ -0,0 +1,46 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { activeExportProfile, applyExportProfileToOption, convertToCharset, templateValuesForQSOs } from './exportProfiles'
+
+describe('activeExportProfile', () => {
+  it('should fall back to the default profile', () => {
+    expect(activeExportProfile({}).key).toEqual('default')
+    expect(activeExportProfile({ exportProfile: 'missing' }).key).toEqual('default')
+
+    const profile = activeExportProfile({ exportProfile: 'club', exportProfiles: { club: { key: 'club', name: 'Club', formats: ['adif'] } } })
+    expect(profile.name).toEqual('Club')
+    expect(profile.charset).toEqual('auto')
+  })
+})
+
+describe('applyExportProfileToOption', () => {
+  it('should filter formats and override templates', () => {
+    const option = { format: 'adif', nameTemplate: '{date} {call} at {ref}', splitByDay: true }
+    expect(applyExportProfileToOption(option, { formats: ['cabrillo'] })).toBeUndefined()
+
+    const result = applyExportProfileToOption(option, { formats: ['adif'], nameTemplate: '{call}_{band}', scope: 'operation', excludedADIFFields: ['NOTES'], charset: 'ascii' })
+    expect(result).toEqual({ format: 'adif', nameTemplate: '{call}_{band}', splitByDay: false, excludedADIFFields: ['NOTES'], charset: 'ascii' })
+    expect(option.nameTemplate).toEqual('{date} {call} at {ref}')
+  })
+})
+
+describe('templateValuesForQSOs', () => {
+  it('should list bands, grid and operator', () => {
+    const qsos = [{ band: '20m' }, { band: '40m' }, { band: '20m' }, { band: '2m', deleted: true }]
+    expect(templateValuesForQSOs({ qsos, operation: { grid: 'FN30' }, settings: { operatorCall: 'KI2D' } }))
+      .toEqual({ band: '20m-40m', grid: 'FN30', operator: 'KI2D' })
+  })
+})
+
+describe('convertToCharset', () => {
+  it('should convert text', () => {
+    expect(convertToCharset('José “Pepe” Núñez ☺', 'utf-8')).toEqual('José “Pepe” Núñez ☺')
+    expect(convertToCharset('José “Pepe” Núñez ☺', 'iso-8859-1')).toEqual('José "Pepe" Núñez ·')
+    expect(convertToCharset('José “Pepe” Núñez ☺', 'ascii')).toEqual('Jose "Pepe" Nunez ?')
+  })
+})
@@ -0,0 +1,55 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { fmtDateZulu, fmtISODate, fmtTimeZulu } from './timeFormats'
+
+// An export scope limits which QSOs get exported:
+//   { type: 'all' }
+//   { type: 'selected', keys: ['...'] }
+//   { type: 'day', day: '2024-06-01' } for a single UTC day
+//   { type: 'range', startMillis, endMillis } for a date and time window, with either end being optional
+export function qsosForExportScope (qsos, scope) {
+  if (!scope || scope.type === 'all') return qsos
+
+  return qsos.filter(qso => {
+    if (scope.type === 'selected') {
+      return (scope.keys || []).includes(qso.key)
+    } else if (scope.type === 'day') {
+      return fmtISODate(qso.startAtMillis) === scope.day
+    } else if (scope.type === 'range') {
+      return (!scope.startMillis || qso.startAtMillis >= scope.startMillis) && (!scope.endMillis || qso.startAtMillis <= scope.endMillis)
+    } else {
+      return true
+    }
+  })
+}
+
+export function utcDaysForQSOs (qsos) {
+  return [...new Set((qsos || []).filter(qso => !qso.deleted && qso.startAtMillis).map(qso => fmtISODate(qso.startAtMillis)))].sort()
+}
+
+export function describeExportScope (scope) {
+  if (!scope || scope.type === 'all') {
+    return 'All QSOs'
+  } else if (scope.type === 'selected') {
+    const count = (scope.keys || []).length
+    return count === 1 ? '1 selected QSO' : `${count} selected QSOs`
+  } else if (scope.type === 'day') {
+    return `UTC day ${scope.day}`
+  } else if (scope.type === 'range') {
+    const start = scope.startMillis ? `${fmtDateZulu(scope.startMillis)} ${fmtTimeZulu(scope.startMillis)}` : 'the beginning'
+    const end = scope.endMillis ? `${fmtDateZulu(scope.endMillis)} ${fmtTimeZulu(scope.endMillis)}` : 'the end'
+    return `From ${start} to ${end}`
+  }
+}
+
+// Single day exports already have the right date in their name, other partial exports need to be told apart
+export function fileNameSuffixForExportScope (scope) {
+  if (scope?.type === 'selected') return 'selected'
+  else if (scope?.type === 'range') return 'partial'
+  else return ''
+}
@@ -0,0 +1,42 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { describeExportScope, qsosForExportScope, utcDaysForQSOs } from './exportScopes'
+
+const qsos = [
+  { key: 'a', startAtMillis: Date.parse('2024-06-01T22:00:00Z') },
+  { key: 'b', startAtMillis: Date.parse('2024-06-02T01:00:00Z') },
+  { key: 'c', startAtMillis: Date.parse('2024-06-02T03:00:00Z') },
+  { key: 'd', startAtMillis: Date.parse('2024-06-03T03:00:00Z'), deleted: true }
+]
+
+describe('qsosForExportScope', () => {
+  it('should export everything by default', () => {
+    expect(qsosForExportScope(qsos)).toEqual(qsos)
+    expect(qsosForExportScope(qsos, { type: 'all' })).toEqual(qsos)
+  })
+
+  it('should filter by selection, day and time window', () => {
+    expect(qsosForExportScope(qsos, { type: 'selected', keys: ['a', 'c'] }).map(q => q.key)).toEqual(['a', 'c'])
+    expect(qsosForExportScope(qsos, { type: 'day', day: '2024-06-02' }).map(q => q.key)).toEqual(['b', 'c'])
+    expect(qsosForExportScope(qsos, { type: 'range', startMillis: Date.parse('2024-06-01T23:00:00Z'), endMillis: Date.parse('2024-06-02T01:00:00Z') }).map(q => q.key)).toEqual(['b'])
+    expect(qsosForExportScope(qsos, { type: 'range', startMillis: Date.parse('2024-06-02T02:00:00Z') }).map(q => q.key)).toEqual(['c', 'd'])
+  })
+})
+
+describe('utcDaysForQSOs', () => {
+  it('should list days with active QSOs', () => {
+    expect(utcDaysForQSOs(qsos)).toEqual(['2024-06-01', '2024-06-02'])
+  })
+})
+
+describe('describeExportScope', () => {
+  it('should describe scopes', () => {
+    expect(describeExportScope({ type: 'selected', keys: ['a', 'b'] })).toEqual('2 selected QSOs')
+    expect(describeExportScope({ type: 'day', day: '2024-06-02' })).toEqual('UTC day 2024-06-02')
+  })
+})
@@ -0,0 +1,124 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ADIF_MODES_AND_SUBMODES, bandForFrequency, modeForFrequency, superModeForMode } from '@ham2k/lib-operation-data'
+
+const GRID_REGEX = /^[A-R]{2}[0-9]{2}(?:[A-X]{2}(?:[0-9]{2})?)?$/i
+const EARLIEST_VALID_MILLIS = Date.parse('1930-01-01T00:00:00Z')
+
+export function isValidGrid (grid) {
+  return !!grid?.match(GRID_REGEX)
+}
+
+// Same defaults used when logging, see `defaultRSTForMode` in LoggingPanel
+function suggestedRST (mode) {
+  if (mode === 'CW' || mode === 'RTTY') return '599'
+  if (mode === 'FT8' || mode === 'FT4') return '+0'
+  return '59'
+}
+
+// `handlers` are the reference handlers for all active activities. Those with a `referenceRegex` get
+// their references checked, and those with `validateQSOForExport` can add their own issues.
+// Those with `timeWindowForOperation` return `{ startAtMillis, endAtMillis }` for the event, if any.
+//
+// Each issue has a `level` ('error' or 'warning') and a `message`. Issues for a QSO include its `key`,
+// and when they can be fixed by editing a single field, the `field` path and a `suggestion` for the new value.
+export function validateQSOForExport ({ qso, operation, handlers = [], now = Date.now() }) {
+  const issues = []
+  const add = (issue) => issues.push({ key: qso.key, level: 'error', ...issue })
+
+  if (!qso.their?.call) add({ message: 'Missing callsign', field: 'their.call' })
+
+  if (!qso.startAtMillis || qso.startAtMillis < EARLIEST_VALID_MILLIS) {
+    add({ message: 'Missing or invalid time' })
+  } else if (qso.startAtMillis > now + 60 * 60 * 1000) {
+    add({ message: 'Time is in the future' })
+  }
+
+  if (qso.freq) {
+    const band = bandForFrequency(qso.freq)
+    if (!band || band === 'other') {
+      add({ message: `Frequency ${qso.freq} kHz is outside of the amateur bands`, field: 'freq' })
+    } else if (qso.band !== band) {
+      add({ message: `Band ${qso.band ?? 'missing'} does not match frequency ${qso.freq} kHz`, field: 'band', suggestion: band })
+    }
+  } else if (!qso.band || qso.band === 'other') {
+    add({ message: 'Missing band or frequency', field: 'band' })
+  }
+
+  if (!qso.mode) {
+    add({ message: 'Missing mode', field: 'mode' })
+  } else if (!ADIF_MODES_AND_SUBMODES.includes(qso.mode)) {
+    add({ message: `${qso.mode} is not a valid ADIF mode`, field: 'mode' })
+  } else if (qso.freq) {
+    // Phone is the only mode that is not allowed in other segments of the band
+    const expectedMode = modeForFrequency(qso.freq, qso.our)
+    if (expectedMode && superModeForMode(qso.mode) === 'PHONE' && superModeForMode(expectedMode) !== 'PHONE') {
+      add({ level: 'warning', message: `${qso.mode} in the ${expectedMode} portion of the band` })
+    }
+  }
+
+  if (!qso.our?.sent) add({ level: 'warning', message: 'Missing RST sent', field: 'our.sent', suggestion: suggestedRST(qso.mode) })
+  if (!qso.their?.sent) add({ level: 'warning', message: 'Missing RST received', field: 'their.sent', suggestion: suggestedRST(qso.mode) })
+
+  if (qso.their?.grid && !isValidGrid(qso.their.grid)) {
+    add({ message: `Invalid grid ${qso.their.grid}`, field: 'their.grid' })
+  }
+
+  handlers.forEach(handler => {
+    if (handler.referenceRegex && handler.huntingType) {
+      (qso.refs || []).filter(ref => ref.type === handler.huntingType).forEach(ref => {
+        if (!ref.ref?.match(handler.referenceRegex)) {
+          add({ message: `Invalid ${handler.shortName ?? handler.name} reference ${ref.ref || '(empty)'}` })
+        }
+      })
+    }
+    if (handler.validateQSOForExport) {
+      (handler.validateQSOForExport({ qso, operation }) || []).forEach(issue => add(issue))
+    }
+  })
+
+  return issues
+}
+
+export function validateOperationForExport ({ operation, qsos, handlers = [], now = Date.now() }) {
+  const issues = []
+
+  if (!operation.stationCall) issues.push({ level: 'error', message: 'Missing station callsign' })
+  if (operation.grid && !isValidGrid(operation.grid)) issues.push({ level: 'error', message: `Invalid grid ${operation.grid} for this operation` })
+
+  handlers.forEach(handler => {
+    if (handler.activationType) {
+      (operation.refs || []).filter(ref => ref.type === handler.activationType).forEach(ref => {
+        const name = handler.shortName ?? handler.name
+        if (!ref.ref) {
+          issues.push({ level: 'error', message: `Missing ${name} reference for this activation (MY_SIG_INFO)` })
+        } else if (handler.referenceRegex && !ref.ref.match(handler.referenceRegex)) {
+          issues.push({ level: 'error', message: `Invalid ${name} reference ${ref.ref} for this activation` })
+        }
+      })
+    }
+  })
+
+  const activeQSOs = qsos.filter(qso => !qso.deleted)
+
+  activeQSOs.forEach(qso => {
+    issues.push(...validateQSOForExport({ qso, operation, handlers, now }))
+  })
+
+  // Events with a fixed period, like Field Day, can tell us when QSOs were probably logged in the wrong operation
+  handlers.forEach(handler => {
+    const period = handler.timeWindowForOperation && handler.timeWindowForOperation({ operation, qsos: activeQSOs })
+    if (!period) return
+
+    activeQSOs.filter(qso => qso.startAtMillis && (qso.startAtMillis < period.startAtMillis || qso.startAtMillis > period.endAtMillis)).forEach(qso => {
+      issues.push({ key: qso.key, level: 'warning', message: `Outside of the ${handler.shortName ?? handler.name} period` })
+    })
+  })
+
+  return issues
+}
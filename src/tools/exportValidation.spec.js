@@ -0,0 +1,83 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { validateOperationForExport, validateQSOForExport } from './exportValidation'
+
+const POTA = { key: 'pota', shortName: 'POTA', huntingType: 'pota', activationType: 'potaActivation', referenceRegex: /^[A-Z0-9]+-(?:[0-9]{4,5}|TEST)$/i }
+const now = Date.parse('2024-06-01T00:00:00Z')
+
+const goodQSO = {
+  key: 'a',
+  startAtMillis: Date.parse('2024-05-01T14:00:00Z'),
+  freq: 14060,
+  band: '20m',
+  mode: 'CW',
+  our: { call: 'KI2D', sent: '599' },
+  their: { call: 'K1ABC', sent: '579', grid: 'FN31pr' },
+  refs: [{ type: 'pota', ref: 'K-0001' }]
+}
+
+describe('validateQSOForExport', () => {
+  it('should accept a valid QSO', () => {
+    expect(validateQSOForExport({ qso: goodQSO, handlers: [POTA], now })).toEqual([])
+  })
+
+  it('should report missing and invalid fields', () => {
+    const qso = { ...goodQSO, band: '40m', mode: 'SSB', our: { call: 'KI2D' }, their: { call: 'K1ABC', grid: 'ZZ99' }, refs: [{ type: 'pota', ref: 'K-1' }] }
+    expect(validateQSOForExport({ qso, handlers: [POTA], now })).toEqual([
+      { key: 'a', level: 'error', message: 'Band 40m does not match frequency 14060 kHz', field: 'band', suggestion: '20m' },
+      { key: 'a', level: 'warning', message: 'SSB in the CW portion of the band' },
+      { key: 'a', level: 'warning', message: 'Missing RST sent', field: 'our.sent', suggestion: '59' },
+      { key: 'a', level: 'warning', message: 'Missing RST received', field: 'their.sent', suggestion: '59' },
+      { key: 'a', level: 'error', message: 'Invalid grid ZZ99', field: 'their.grid' },
+      { key: 'a', level: 'error', message: 'Invalid POTA reference K-1' }
+    ])
+  })
+
+  it('should report bad times and modes', () => {
+    const qso = { ...goodQSO, startAtMillis: now + 2 * 60 * 60 * 1000, mode: 'WHATEVER' }
+    expect(validateQSOForExport({ qso, now }).map(issue => issue.message)).toEqual([
+      'Time is in the future',
+      'WHATEVER is not a valid ADIF mode'
+    ])
+  })
+})
+
+describe('validateOperationForExport', () => {
+  it('should check activation references', () => {
+    const operation = { stationCall: 'KI2D', refs: [{ type: 'potaActivation', ref: '' }] }
+    const qsos = [
+      goodQSO,
+      { ...goodQSO, key: 'b', startAtMillis: goodQSO.startAtMillis + 3 * 24 * 60 * 60 * 1000 },
+      { ...goodQSO, key: 'd', deleted: true, their: {} }
+    ]
+    expect(validateOperationForExport({ operation, qsos, handlers: [POTA], now })).toEqual([
+      { level: 'error', message: 'Missing POTA reference for this activation (MY_SIG_INFO)' }
+    ])
+  })
+
+  it('should check QSOs against the event period', () => {
+    const FD = {
+      key: 'fd',
+      shortName: 'FD',
+      timeWindowForOperation: ({ operation }) => operation.refs?.find(ref => ref.type === 'fd') && {
+        startAtMillis: Date.parse('2024-05-01T12:00:00Z'), endAtMillis: Date.parse('2024-05-01T18:00:00Z')
+      }
+    }
+    const qsos = [
+      goodQSO,
+      { ...goodQSO, key: 'b', startAtMillis: Date.parse('2024-05-01T11:59:00Z') },
+      { ...goodQSO, key: 'c', startAtMillis: Date.parse('2024-05-01T18:01:00Z') },
+      { ...goodQSO, key: 'd', startAtMillis: Date.parse('2024-04-01T12:00:00Z'), deleted: true }
+    ]
+    expect(validateOperationForExport({ operation: { stationCall: 'KI2D', refs: [{ type: 'fd' }] }, qsos, handlers: [FD], now })).toEqual([
+      { key: 'b', level: 'warning', message: 'Outside of the FD period' },
+      { key: 'c', level: 'warning', message: 'Outside of the FD period' }
+    ])
+    expect(validateOperationForExport({ operation: { stationCall: 'KI2D' }, qsos, handlers: [FD], now })).toEqual([])
+  })
+})
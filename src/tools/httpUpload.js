@@ -0,0 +1,59 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+export const UPLOAD_STATUSES = {
+  uploading: 'Uploading',
+  pending: 'Waiting for processing',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  error: 'Failed'
+}
+
+async function parseUploadResponse (response) {
+  const text = await response.text()
+  let body = {}
+  try {
+    body = JSON.parse(text)
+  } catch (error) {
+    body = { message: text }
+  }
+
+  if (response.ok) {
+    return { status: body.status ?? 'accepted', message: body.message, remoteId: body.id, httpStatus: response.status }
+  } else if (response.status === 401 || response.status === 403) {
+    return { status: 'error', message: body.message || 'Not authorized, please check your account settings', httpStatus: response.status }
+  } else if (response.status >= 400 && response.status < 500) {
+    return { status: 'rejected', message: body.message || `Rejected with HTTP ${response.status}`, httpStatus: response.status }
+  } else {
+    return { status: 'error', message: body.message || `Server error HTTP ${response.status}`, httpStatus: response.status }
+  }
+}
+
+function authHeaders (token) {
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// Posts a file to a log service that accepts the file contents as the request body.
+// The service can reply with JSON like `{ "status": "pending", "id": "123", "message": "..." }`,
+// and if it includes an `id`, the status can be checked later at `{url}/{id}`.
+export async function uploadFileToURL ({ url, token, fileName, data, contentType = 'text/plain', fetchFn = fetch }) {
+  const response = await fetchFn(url, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType, 'X-File-Name': fileName, ...authHeaders(token) },
+    body: data
+  })
+  return parseUploadResponse(response)
+}
+
+export async function fetchUploadStatusFromURL ({ url, token, remoteId, fetchFn = fetch }) {
+  const response = await fetchFn(`${url.replace(/\/$/, '')}/${encodeURIComponent(remoteId)}`, {
+    method: 'GET',
+    headers: { Accept: 'application/json', ...authHeaders(token) }
+  })
+  const result = await parseUploadResponse(response)
+  return { ...result, remoteId: result.remoteId ?? remoteId }
+}
@@ -0,0 +1,62 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import http from 'http'
+
+import { fetchUploadStatusFromURL, uploadFileToURL } from './httpUpload'
+
+describe('uploadFileToURL', () => {
+  let server
+  let url
+  const received = []
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body })
+        if (req.headers.authorization !== 'Bearer secret') {
+          res.writeHead(401)
+          res.end()
+        } else if (req.method === 'GET') {
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ status: 'accepted', message: '3 QSOs matched' }))
+        } else if (body.includes('<EOR>')) {
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ status: 'pending', id: 'abc 1' }))
+        } else {
+          res.writeHead(422)
+          res.end('No QSOs in file')
+        }
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/logs`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('should upload files and check their status', async () => {
+    const result = await uploadFileToURL({ url, token: 'secret', fileName: 'test.adi', data: '<CALL:4>KI2D <EOR>\n' })
+    expect(result).toEqual({ status: 'pending', message: undefined, remoteId: 'abc 1', httpStatus: 200 })
+    expect(received[0].headers['x-file-name']).toEqual('test.adi')
+    expect(received[0].body).toEqual('<CALL:4>KI2D <EOR>\n')
+
+    const status = await fetchUploadStatusFromURL({ url, token: 'secret', remoteId: 'abc 1' })
+    expect(status).toEqual({ status: 'accepted', message: '3 QSOs matched', remoteId: 'abc 1', httpStatus: 200 })
+    expect(received[1].url).toEqual('/logs/abc%201')
+  })
+
+  it('should report rejections and errors', async () => {
+    expect(await uploadFileToURL({ url, token: 'secret', fileName: 'empty.adi', data: '' }))
+      .toEqual({ status: 'rejected', message: 'No QSOs in file', httpStatus: 422 })
+    expect((await uploadFileToURL({ url, token: 'wrong', fileName: 'test.adi', data: '<EOR>' })).status).toEqual('error')
+  })
+})
@@ -13,6 +13,7 @@ export default function mergeQSOs (a, b) {
   // Asume `b` has most updated values, and make a copy of it
   const merged = { ...b }
   if (b.refs) merged.refs = [...b.refs]
+  if (a.adif || b.adif) merged.adif = { ...a.adif, ...b.adif }
 
   const other = a
 
@@ -0,0 +1,44 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+const ACTIVATION_COMMAND_REGEX = /^(-?)([A-Z0-9]+)[\s/]+(.+)$/i
+const GRID_COMMAND_REGEX = /^GRID[\s/]+([A-R]{2}[0-9]{2}(?:[A-X]{2}(?:[0-9]{2})?)?)$/i
+const STATION_CALL_COMMAND_REGEX = /^(?:CALL|STATION)[\s/]+([A-Z0-9/]+)$/i
+
+// `POTA/US-1234` or `-POTA/US-1234`, for any of the `activities` hooks with an `activationType` and a `referenceRegex`
+export function parseActivationCommand (value, activities) {
+  const parts = (value || '').match(ACTIVATION_COMMAND_REGEX)
+  if (!parts) return undefined
+
+  const activity = (activities || []).find(hook => (
+    hook.activationType && hook.referenceRegex && hook.shortName?.toUpperCase() === parts[2].toUpperCase()
+  ))
+  const ref = parts[3].toUpperCase()
+  if (!activity || !ref.match(activity.referenceRegex)) return undefined
+
+  return { remove: parts[1] === '-', activity, ref }
+}
+
+export function normalizeGrid (grid) {
+  return grid.substring(0, 4).toUpperCase() + grid.substring(4).toLowerCase()
+}
+
+export function parseGridCommand (value) {
+  const parts = (value || '').match(GRID_COMMAND_REGEX)
+  return parts ? normalizeGrid(parts[1]) : undefined
+}
+
+// Only checks the syntax, the callsign itself still needs to be validated
+export function parseStationCallCommand (value) {
+  const parts = (value || '').match(STATION_CALL_COMMAND_REGEX)
+  return parts ? parts[1].toUpperCase() : undefined
+}
+
+// Warnings are shown when reviewing the operation, but should not stop an export
+export function blockingExportIssues (issues) {
+  return (issues || []).filter(issue => issue.level === 'error')
+}
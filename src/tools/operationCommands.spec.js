@@ -0,0 +1,70 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { blockingExportIssues, parseActivationCommand, parseGridCommand, parseStationCallCommand } from './operationCommands'
+
+const POTA = { key: 'pota', shortName: 'POTA', activationType: 'potaActivation', referenceRegex: /^[A-Z0-9]+-[0-9]{4,5}$/ }
+const SOTA = { key: 'sota', shortName: 'SOTA', activationType: 'sotaActivation', referenceRegex: /^[A-Z0-9]+\/[A-Z]{2}-[0-9]{3}$/ }
+const CONTEST = { key: 'fd', shortName: 'FD' }
+const ACTIVITIES = [POTA, SOTA, CONTEST]
+
+describe('parseActivationCommand', () => {
+  it('should add and remove references', () => {
+    expect(parseActivationCommand('pota/us-1234', ACTIVITIES)).toEqual({ remove: false, activity: POTA, ref: 'US-1234' })
+    expect(parseActivationCommand('-POTA US-1234', ACTIVITIES)).toEqual({ remove: true, activity: POTA, ref: 'US-1234' })
+    expect(parseActivationCommand('SOTA/W2/GC-001', ACTIVITIES)).toEqual({ remove: false, activity: SOTA, ref: 'W2/GC-001' })
+  })
+
+  it('should ignore invalid references and other activities', () => {
+    expect(parseActivationCommand('POTA/1234', ACTIVITIES)).toBeUndefined()
+    expect(parseActivationCommand('FD/1A', ACTIVITIES)).toBeUndefined()
+    expect(parseActivationCommand('K1ABC/P', ACTIVITIES)).toBeUndefined()
+    expect(parseActivationCommand('POTA', ACTIVITIES)).toBeUndefined()
+    expect(parseActivationCommand(undefined, ACTIVITIES)).toBeUndefined()
+  })
+})
+
+describe('parseGridCommand', () => {
+  it('should accept 4, 6 and 8 character grids', () => {
+    expect(parseGridCommand('grid/fn30')).toEqual('FN30')
+    expect(parseGridCommand('GRID FN30AS')).toEqual('FN30as')
+    expect(parseGridCommand('GRID/fn30as12')).toEqual('FN30as12')
+  })
+
+  it('should ignore invalid grids', () => {
+    expect(parseGridCommand('GRID/FN3')).toBeUndefined()
+    expect(parseGridCommand('GRID/ZZ30')).toBeUndefined()
+    expect(parseGridCommand('GRID')).toBeUndefined()
+  })
+})
+
+describe('parseStationCallCommand', () => {
+  it('should accept CALL and STATION', () => {
+    expect(parseStationCallCommand('call/ki2d')).toEqual('KI2D')
+    expect(parseStationCallCommand('STATION/KI2D/P')).toEqual('KI2D/P')
+    expect(parseStationCallCommand('CALL KI2D')).toEqual('KI2D')
+  })
+
+  it('should ignore other values', () => {
+    expect(parseStationCallCommand('CALL/')).toBeUndefined()
+    expect(parseStationCallCommand('CALLS/KI2D')).toBeUndefined()
+    expect(parseStationCallCommand('KI2D')).toBeUndefined()
+  })
+})
+
+describe('blockingExportIssues', () => {
+  it('should only include errors', () => {
+    const issues = [
+      { level: 'warning', message: 'Missing RST sent' },
+      { level: 'error', message: 'Missing station callsign' },
+      { level: 'warning', message: 'Cabrillo Missing CATEGORY-POWER' }
+    ]
+    expect(blockingExportIssues(issues)).toEqual([{ level: 'error', message: 'Missing station callsign' }])
+    expect(blockingExportIssues(issues.filter(issue => issue.level === 'warning'))).toEqual([])
+    expect(blockingExportIssues(undefined)).toEqual([])
+  })
+})
@@ -0,0 +1,55 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+// Fields that change on every save, or are only used internally, and are not interesting to users
+const IGNORED_FIELDS = [
+  'key', 'uuid', '_number', '_originalKey', '_isNew', '_isSuggested', '_suggestedKey',
+  'startAt', 'endAt', 'updatedAtMillis', 'updatedOnDeviceId', 'createdAtMillis', 'createdOnDeviceId', 'createdOnDeviceName'
+]
+
+const IGNORED_NESTED_FIELDS = ['lookup', 'guess']
+
+// Returns a list of `{ path, before, after }` for every field that is different between the two QSOs
+export function diffQSOs (before, after, { path = '' } = {}) {
+  const changes = []
+
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  for (const key of keys) {
+    if (!path && IGNORED_FIELDS.includes(key)) continue
+    if (path && IGNORED_NESTED_FIELDS.includes(key)) continue
+
+    const beforeValue = before?.[key]
+    const afterValue = after?.[key]
+    const fieldPath = path ? `${path}.${key}` : key
+
+    if (isPlainObject(beforeValue) || isPlainObject(afterValue)) {
+      changes.push(...diffQSOs(isPlainObject(beforeValue) ? beforeValue : {}, isPlainObject(afterValue) ? afterValue : {}, { path: fieldPath }))
+    } else if (JSON.stringify(beforeValue ?? null) !== JSON.stringify(afterValue ?? null)) {
+      changes.push({ path: fieldPath, before: beforeValue, after: afterValue })
+    }
+  }
+
+  return changes
+}
+
+export function describeQSODiff (changes) {
+  return changes.map(({ path, before, after }) => {
+    return `${path}: ${describeValue(before)} → ${describeValue(after)}`
+  })
+}
+
+function describeValue (value) {
+  if (value === undefined || value === null || value === '') return '∅'
+  if (Array.isArray(value)) {
+    return value.map(item => (item?.type && item?.ref) ? `${item.type}:${item.ref}` : JSON.stringify(item)).join(', ') || '∅'
+  }
+  return `${value}`
+}
+
+function isPlainObject (value) {
+  return value && typeof value === 'object' && !Array.isArray(value)
+}
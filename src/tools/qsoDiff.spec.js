@@ -0,0 +1,41 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { describeQSODiff, diffQSOs } from './qsoDiff'
+
+describe('diffQSOs', () => {
+  it('should find changed fields, including nested ones', () => {
+    const before = { key: 'a', mode: 'CW', band: '20m', their: { call: 'K1ABC', sent: '599' }, updatedAtMillis: 1 }
+    const after = { key: 'b', mode: 'SSB', band: '20m', their: { call: 'K1ABD', sent: '599' }, updatedAtMillis: 2, notes: 'hi' }
+
+    expect(diffQSOs(before, after)).toEqual([
+      { path: 'mode', before: 'CW', after: 'SSB' },
+      { path: 'their.call', before: 'K1ABC', after: 'K1ABD' },
+      { path: 'notes', before: undefined, after: 'hi' }
+    ])
+  })
+
+  it('should ignore lookup and guess data', () => {
+    const before = { their: { call: 'K1ABC', guess: { name: 'Joe' } } }
+    const after = { their: { call: 'K1ABC', guess: { name: 'Joseph' }, lookup: {} } }
+
+    expect(diffQSOs(before, after)).toEqual([])
+  })
+
+  it('should compare arrays as a whole', () => {
+    const before = { refs: [{ type: 'pota', ref: 'K-0001' }] }
+    const after = { refs: [{ type: 'pota', ref: 'K-0001' }, { type: 'pota', ref: 'K-0002' }] }
+
+    const changes = diffQSOs(before, after)
+    expect(changes.length).toEqual(1)
+    expect(describeQSODiff(changes)).toEqual(['refs: pota:K-0001 → pota:K-0001, pota:K-0002'])
+  })
+
+  it('should handle missing QSOs', () => {
+    expect(describeQSODiff(diffQSOs(undefined, { mode: 'CW' }))).toEqual(['mode: ∅ → CW'])
+  })
+})
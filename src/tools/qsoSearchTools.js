@@ -0,0 +1,134 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { parseFreqInMHz } from './frequencyFormats'
+
+/*
+ * Parses a search string like `K1* pota:US-1234 date:2024-06 freq:14..14.35 "rare dx"`
+ * into a structured query that can be turned into SQL.
+ *
+ * - Bare words are callsigns, and can use `*` and `?` as wildcards.
+ * - Quoted text searches notes.
+ * - `date:` and `freq:` take single values or `from..to` ranges, either end can be omitted.
+ * - `call:`, `band:`, `mode:`, `grid:`, `state:`, `notes:` and `op:` (operation title) work as you'd expect.
+ * - Any other `type:ref` searches for references of that type, either hunted in the QSO
+ *   or activated in the operation (`pota:US-1234` matches `pota` and `potaActivation`).
+ */
+
+const TOKEN_REGEX = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+const DATE_REGEX = /^(\d{4})(?:-?(\d{2}))?(?:-?(\d{2}))?$/
+const RANGE_SEPARATOR = '..'
+
+export function parseQSOSearch (text) {
+  const query = {
+    calls: [],
+    bands: [],
+    modes: [],
+    refs: [],
+    grids: [],
+    states: [],
+    notes: [],
+    operationTitles: [],
+    errors: []
+  }
+
+  for (const match of (text || '').matchAll(TOKEN_REGEX)) {
+    const field = match[1]?.toLowerCase()
+    const quoted = match[2]
+    const value = (quoted ?? match[3] ?? '').trim()
+
+    if (!value) continue
+
+    if (!field) {
+      if (quoted !== undefined) {
+        query.notes.push(value)
+      } else {
+        query.calls.push(value.toUpperCase())
+      }
+    } else if (field === 'call') {
+      query.calls.push(value.toUpperCase())
+    } else if (field === 'band') {
+      query.bands.push(value.toLowerCase())
+    } else if (field === 'mode') {
+      query.modes.push(value.toUpperCase())
+    } else if (field === 'grid') {
+      query.grids.push(value.toUpperCase())
+    } else if (field === 'state') {
+      query.states.push(value.toUpperCase())
+    } else if (field === 'notes' || field === 'note') {
+      query.notes.push(value)
+    } else if (field === 'op' || field === 'title') {
+      query.operationTitles.push(value)
+    } else if (field === 'date') {
+      const range = parseRange(value, parseDateRange)
+      if (range) query.date = range
+      else query.errors.push(`Invalid date '${value}'`)
+    } else if (field === 'freq') {
+      const range = parseRange(value, parseFreqRange)
+      if (range) query.freq = range
+      else query.errors.push(`Invalid frequency '${value}'`)
+    } else {
+      query.refs.push({ type: field, ref: value.toUpperCase() })
+    }
+  }
+
+  return query
+}
+
+export function isEmptyQSOSearch (query) {
+  if (!query) return true
+
+  return !query.date && !query.freq &&
+    ['calls', 'bands', 'modes', 'refs', 'grids', 'states', 'notes', 'operationTitles'].every(key => !query[key]?.length)
+}
+
+export function searchPatternHasWildcards (pattern) {
+  return /[*?]/.test(pattern)
+}
+
+function parseRange (value, parser) {
+  if (value.indexOf(RANGE_SEPARATOR) >= 0) {
+    const [fromValue, toValue] = value.split(RANGE_SEPARATOR)
+    const from = fromValue ? parser(fromValue) : {}
+    const to = toValue ? parser(toValue) : {}
+    if (!from || !to) return undefined
+    if (!fromValue && !toValue) return undefined
+
+    return { from: from.from, to: to.to }
+  } else {
+    return parser(value)
+  }
+}
+
+// Dates ranges go from the start of the first day to the start of the day after the last one
+function parseDateRange (value) {
+  const match = value.match(DATE_REGEX)
+  if (!match) return undefined
+
+  const year = parseInt(match[1], 10)
+  const month = match[2] ? parseInt(match[2], 10) - 1 : undefined
+  const day = match[3] ? parseInt(match[3], 10) : undefined
+
+  if (month !== undefined && (month < 0 || month > 11)) return undefined
+  if (day !== undefined && (day < 1 || day > 31)) return undefined
+
+  if (day !== undefined) {
+    return { from: Date.UTC(year, month, day), to: Date.UTC(year, month, day + 1) }
+  } else if (month !== undefined) {
+    return { from: Date.UTC(year, month, 1), to: Date.UTC(year, month + 1, 1) }
+  } else {
+    return { from: Date.UTC(year, 0, 1), to: Date.UTC(year + 1, 0, 1) }
+  }
+}
+
+// Frequencies are given in MHz (or kHz, same as when logging) but we store them in kHz
+function parseFreqRange (value) {
+  const freq = parseFreqInMHz(value)
+  if (!freq || isNaN(freq)) return undefined
+
+  return { from: freq, to: freq }
+}
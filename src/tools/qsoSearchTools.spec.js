@@ -0,0 +1,60 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { isEmptyQSOSearch, parseQSOSearch } from './qsoSearchTools'
+
+describe('parseQSOSearch', () => {
+  it('should parse callsigns', () => {
+    expect(parseQSOSearch('k1abc').calls).toEqual(['K1ABC'])
+    expect(parseQSOSearch('K1* call:N?XYZ').calls).toEqual(['K1*', 'N?XYZ'])
+  })
+
+  it('should parse refs', () => {
+    expect(parseQSOSearch('pota:us-1234').refs).toEqual([{ type: 'pota', ref: 'US-1234' }])
+    expect(parseQSOSearch('K1ABC sota:W2/HH-001').refs).toEqual([{ type: 'sota', ref: 'W2/HH-001' }])
+  })
+
+  it('should parse notes and operation titles', () => {
+    const query = parseQSOSearch('"nice chat" notes:antenna op:"Field Day"')
+    expect(query.notes).toEqual(['nice chat', 'antenna'])
+    expect(query.operationTitles).toEqual(['Field Day'])
+    expect(query.calls).toEqual([])
+  })
+
+  it('should parse other fields', () => {
+    const query = parseQSOSearch('band:20M mode:cw grid:fn20 state:ny')
+    expect(query.bands).toEqual(['20m'])
+    expect(query.modes).toEqual(['CW'])
+    expect(query.grids).toEqual(['FN20'])
+    expect(query.states).toEqual(['NY'])
+  })
+
+  it('should parse dates and date ranges', () => {
+    expect(parseQSOSearch('date:2024-06-01').date).toEqual({ from: Date.UTC(2024, 5, 1), to: Date.UTC(2024, 5, 2) })
+    expect(parseQSOSearch('date:2024-06').date).toEqual({ from: Date.UTC(2024, 5, 1), to: Date.UTC(2024, 6, 1) })
+    expect(parseQSOSearch('date:2023').date).toEqual({ from: Date.UTC(2023, 0, 1), to: Date.UTC(2024, 0, 1) })
+    expect(parseQSOSearch('date:2024-01..2024-03').date).toEqual({ from: Date.UTC(2024, 0, 1), to: Date.UTC(2024, 3, 1) })
+    expect(parseQSOSearch('date:..2024-03-15').date).toEqual({ from: undefined, to: Date.UTC(2024, 2, 16) })
+    expect(parseQSOSearch('date:2024-13').errors).toEqual(["Invalid date '2024-13'"])
+  })
+
+  it('should parse frequencies and frequency ranges', () => {
+    expect(parseQSOSearch('freq:14.074').freq).toEqual({ from: 14074, to: 14074 })
+    expect(parseQSOSearch('freq:14..14.35').freq).toEqual({ from: 14000, to: 14350 })
+    expect(parseQSOSearch('freq:7000..').freq).toEqual({ from: 7000, to: undefined })
+    expect(parseQSOSearch('freq:abc').errors).toEqual(["Invalid frequency 'abc'"])
+  })
+})
+
+describe('isEmptyQSOSearch', () => {
+  it('should work', () => {
+    expect(isEmptyQSOSearch(parseQSOSearch(''))).toEqual(true)
+    expect(isEmptyQSOSearch(parseQSOSearch('   '))).toEqual(true)
+    expect(isEmptyQSOSearch(parseQSOSearch('K1ABC'))).toEqual(false)
+    expect(isEmptyQSOSearch(parseQSOSearch('date:2024'))).toEqual(false)
+  })
+})
@@ -7,12 +7,10 @@
 
 import packageJson from '../../package.json'
 import { findBestHook } from '../extensions/registry'
-import { sanitizeToISO8859 } from './stringTools'
-import { fmtADIFDate, fmtADIFTime } from './timeFormats'
+import { convertToCharset } from './exportProfiles'
+import { coreADIFFieldsForQSO, missingPassthroughADIFFields } from './adifTools'
 
-import { adifModeAndSubmodeForMode, modeForFrequency } from '@ham2k/lib-operation-data'
-
-export function qsonToADIF ({ operation, settings, qsos, handler, title, exportType }) {
+export function qsonToADIF ({ operation, settings, qsos, handler, title, exportType, excludedADIFFields, charset }) {
   const common = {
     refs: operation.refs,
     grid: operation.grid,
@@ -22,14 +20,20 @@ export function qsonToADIF ({ operation, settings, qsos, handler, title, exportT
 
   if (operation.stationCall !== settings.operatorCall) common.operatorCall = settings.operatorCall
 
+  const fieldOptions = { excludedFields: excludedADIFFields ?? [], charset }
+
   let str = ''
 
   str += `ADIF for ${title || (common.stationCall + ' ' + operation?.title) || 'Operation'} \n`
-  str += adifField('ADIF_VER', '3.1.4', { newLine: true })
-  str += adifField('PROGRAMID', 'Ham2K Portable Logger', { newLine: true })
-  str += adifField('PROGRAMVERSION', packageJson.version, { newLine: true })
-  if (operation.userTitle) str += adifField('X_HAM2K_OP_TITLE', escapeForHeader(operation.userTitle), { newLine: true })
-  if (operation.notes) str += adifField('X_HAM2K_OP_NOTES', escapeForHeader(operation.notes), { newLine: true })
+  str += adifField('ADIF_VER', '3.1.4', { newLine: true, charset })
+  str += adifField('PROGRAMID', 'Ham2K Portable Logger', { newLine: true, charset })
+  str += adifField('PROGRAMVERSION', packageJson.version, { newLine: true, charset })
+  if (operation.userTitle) str += adifField('X_HAM2K_OP_TITLE', escapeForHeader(operation.userTitle), { newLine: true, charset })
+  if (operation.notes) str += adifField('X_HAM2K_OP_NOTES', escapeForHeader(operation.notes), { newLine: true, charset })
+  const headerFields = [{ X_HAM2K_OP_TITLE: operation.userTitle || undefined }, { X_HAM2K_OP_NOTES: operation.notes || undefined }]
+  missingPassthroughADIFFields(headerFields, operation.adifHeader).forEach(field => {
+    str += adifField(Object.keys(field)[0], escapeForHeader(Object.values(field)[0]), { newLine: true, charset })
+  })
   if (handler.adifFieldsForHeader) {
     str += escapeForHeader(handler.adifFieldsForHeader({ qsos, operation, common }) ?? []).join('\n')
   }
@@ -51,7 +55,7 @@ export function qsonToADIF ({ operation, settings, qsos, handler, title, exportT
     if (handlerFieldCombinations === false || handlerFieldCombinations[0] === false) return
 
     handlerFieldCombinations.forEach((combinationFields, index) => {
-      let fields = adifFieldsForOneQSO(qso, operation, common, index * 1000)
+      let fields = coreADIFFieldsForQSO(qso, common, index * 1000)
       fields = fields.concat(combinationFields)
 
       ;(qso.refs || []).forEach(ref => {
@@ -73,7 +77,9 @@ export function qsonToADIF ({ operation, settings, qsos, handler, title, exportT
         }
       })
 
-      str += adifRow(fields)
+      fields = fields.concat(missingPassthroughADIFFields(fields, qso.adif))
+
+      str += adifRow(fields, fieldOptions)
     })
   })
 
@@ -85,51 +91,11 @@ function escapeForHeader (str) {
   return str.replace(/</g, '&lt;').replace(/>/g, '&gt;')
 }
 
-function modeToADIF (mode, freq, qsoInfo) {
-  const modeAndSubmode = adifModeAndSubmodeForMode(mode)
-  if (modeAndSubmode.length > 1) {
-    return [{ MODE: modeAndSubmode[0] }, { SUBMODE: modeAndSubmode[1] }]
-  } else if (mode) {
-    return [{ MODE: mode }]
-  } else if (freq) {
-    return [{ MODE: modeForFrequency(freq, qsoInfo) ?? 'SSB' }]
-  } else {
-    return [{ MODE: 'SSB' }]
-  }
-}
-
-function adifFieldsForOneQSO (qso, operation, common, timeOfffset = 0) {
-  return [
-    { CALL: qso.their.call },
-    ...modeToADIF(qso.mode, qso.freq, qso?.our),
-    { BAND: qso.band && qso.band !== 'other' ? qso.band : undefined },
-    { FREQ: qso.freq ? (qso.freq / 1000).toFixed(6) : undefined },
-    { TX_PWR: qso.power },
-    { QSO_DATE: fmtADIFDate(qso.startAtMillis + timeOfffset) },
-    { TIME_ON: fmtADIFTime(qso.startAtMillis + timeOfffset) },
-    { RST_RCVD: qso.their.sent },
-    { RST_SENT: qso.our.sent },
-    { STATION_CALLSIGN: qso.our.call ?? common.stationCall },
-    { OPERATOR: qso.our.operatorCall ?? common.operatorCall ?? qso.our.call ?? common.stationCall },
-    { NOTES: qso.notes },
-    { COMMENT: qso.notes },
-    { GRIDSQUARE: qso.their?.grid ?? qso.their?.guess?.grid },
-    { MY_GRIDSQUARE: qso?.our?.grid ?? common.grid },
-    { NAME: qso.their?.name ?? qso.their?.guess?.name },
-    { DXCC: qso.their?.dxccCode ?? qso.their?.guess?.dxccCode },
-    { QTH: qso.their?.city ?? qso.their?.guess?.city },
-    { COUNTRY: qso.their?.country ?? qso.their?.guess?.country },
-    { STATE: qso.their?.state ?? qso.their?.guess?.state },
-    { CQZ: qso.their?.cqZone ?? qso.their?.guess?.cqZone },
-    { ITUZ: qso.their?.ituZone ?? qso.their?.guess?.ituZone },
-    { ARRL_SECT: qso.their.arrlSection }
-  ]
-}
-
-function adifRow (fields) {
+function adifRow (fields, { excludedFields = [], charset } = {}) {
   return fields
     .filter(field => field[1] !== false)
-    .map(field => adifField(Object.keys(field)[0], Object.values(field)[0]))
+    .filter(field => !excludedFields.includes(Object.keys(field)[0]))
+    .map(field => adifField(Object.keys(field)[0], Object.values(field)[0], { charset }))
     .join('') + '<EOR>\n'
 }
 
@@ -137,7 +103,7 @@ function adifField (name, value, options = {}) {
   if (!value && !options.force) return ''
   if (typeof value !== 'string') value = value.toString()
 
-  value = sanitizeToISO8859(value)
+  value = convertToCharset(value, options.charset)
 
   return `<${name}:${value?.length ?? 0}>${value}${options.newLine ? '\n' : ' '}`
 }
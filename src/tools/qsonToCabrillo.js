@@ -5,29 +5,56 @@
  * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
+import packageJson from '../../package.json'
+
 import { findRef } from './refTools'
+import { CABRILLO_DETAILS, cabrilloFreq, cabrilloMode, suggestedCabrilloCategories } from './cabrilloTools'
 import { fmtCabrilloDate, fmtCabrilloTime } from './timeFormats'
 
-export function qsonToCabrillo ({ operation, qsos, settings, handler }) {
+// Headers from the contest handler come first, and the Cabrillo details from the operation
+// fill in anything the handler did not set.
+export function cabrilloHeadersForOperation ({ operation, qsos, settings, handler, claimedScore }) {
+  const headers = []
+  if (handler.cabrilloHeaders) {
+    handler.cabrilloHeaders({ operation, settings, headers: [] }).forEach(([tag, value]) => {
+      if (value) headers.push([tag, `${value}`])
+    })
+  }
+  const present = new Set(headers.map(([tag]) => tag))
+
+  const details = { ...suggestedCabrilloCategories({ qsos }), ...operation.cabrillo }
+  CABRILLO_DETAILS.forEach(detail => {
+    if (present.has(detail.header) || !details[detail.key]) return
+
+    if (detail.multiline) {
+      `${details[detail.key]}`.split(/\r?\n/).filter(line => line.trim()).forEach(line => headers.push([detail.header, line.trim()]))
+    } else {
+      headers.push([detail.header, `${details[detail.key]}`.trim()])
+    }
+  })
+
+  if (!present.has('CLAIMED-SCORE') && claimedScore !== undefined) headers.push(['CLAIMED-SCORE', `${claimedScore}`])
+  if (!present.has('CREATED-BY')) headers.push(['CREATED-BY', `Ham2K Portable Logger ${packageJson.version}`])
+
+  return headers
+}
+
+export function qsonToCabrillo ({ operation, qsos, settings, handler, claimedScore }) {
   const ref = findRef(operation, handler.key)
 
   let str = ''
 
   str += 'START-OF-LOG: 3.0\n'
-  if (handler.cabrilloHeaders) {
-    str += handler
-      .cabrilloHeaders({ operation, settings, headers: [] })
-      .map((header) => header[1] ? `${header[0]}: ${header[1]}` : '')
-      .filter(x => x)
-      .join('\n') + '\n'
-  }
+  cabrilloHeadersForOperation({ operation, qsos, settings, handler, claimedScore }).forEach(([tag, value]) => {
+    str += `${tag}: ${value}\n`
+  })
 
   qsos.filter(qso => !qso.deleted).forEach(qso => {
-    let combinations = handler.qsoToCabrilloParts && handler.qsoToCabrilloParts({ qso, operation, ref })
+    let combinations = handler.qsoToCabrilloParts && handler.qsoToCabrilloParts({ qso, operation, ref, settings, parts: [] })
     if (!Array.isArray(combinations?.[0])) {
       combinations = [combinations]
     }
-    combinations.forEach(parts => {
+    combinations.filter(parts => parts?.length > 0).forEach(parts => {
       str += 'QSO: '
       str += cabrilloFreq(qso).padEnd(5, ' ') + ' '
       str += cabrilloMode(qso).padEnd(2, ' ') + ' '
@@ -40,38 +67,3 @@ export function qsonToCabrillo ({ operation, qsos, settings, handler }) {
   str += 'END-OF-LOG:\n'
   return str
 }
-
-const DEFAULT_FREQUENCIES_PER_BAND = {
-  '160m': '1800',
-  '80m': '3500',
-  '60m': '5332', // Not a Cabrillo Standard
-  '30m': '10100', // Not a Cabrillo Standard
-  '40m': '7000',
-  '20m': '14000',
-  '17m': '18068', // Not a Cabrillo Standard
-  '15m': '21000',
-  '12m': '24890', // Not a Cabrillo Standard
-  '10m': '28000',
-  '6m': '50',
-  '4m': '70',
-  '2m': '144',
-  '70cm': '432',
-  '33cm': '902',
-  '23cm': '1.2G',
-  '13cm': '2.3G'
-}
-
-function cabrilloFreq (qso) {
-  if (qso.freq) return `${qso.freq}`
-  else return DEFAULT_FREQUENCIES_PER_BAND[qso.band] ?? '0'
-}
-
-function cabrilloMode (qso) {
-  if (qso?.mode === 'SSB') return 'PH'
-  else if (qso?.mode === 'USB') return 'PH'
-  else if (qso?.mode === 'LSB') return 'PH'
-  else if (qso?.mode === 'AM') return 'PH'
-  else if (qso?.mode === 'FM') return 'PH'
-  else if (qso?.mode === 'CW') return 'CW'
-  else return 'DG'
-}
@@ -0,0 +1,53 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import packageJson from '../../package.json'
+
+import { cabrilloHeadersForOperation } from './qsonToCabrillo'
+
+describe('cabrilloHeadersForOperation', () => {
+  const handler = {
+    key: 'wfd',
+    cabrilloHeaders: ({ operation, headers }) => {
+      headers.push(['CONTEST', 'WFD'])
+      headers.push(['CALLSIGN', operation.stationCall])
+      headers.push(['NAME', ''])
+      headers.push(['CATEGORY-STATION', 'PORTABLE'])
+      return headers
+    }
+  }
+
+  it('should combine handler headers with the Cabrillo details for the operation', () => {
+    const operation = {
+      stationCall: 'KI2D',
+      cabrillo: {
+        categoryOperator: 'SINGLE-OP',
+        categoryStation: 'FIXED',
+        categoryMode: 'CW',
+        name: 'Sebastian Delmont',
+        address: '123 Main St\n\nNew York, NY',
+        soapbox: 'Cold but fun'
+      }
+    }
+    const qsos = [{ band: '20m', mode: 'SSB' }]
+
+    expect(cabrilloHeadersForOperation({ operation, qsos, settings: {}, handler, claimedScore: 42 })).toEqual([
+      ['CONTEST', 'WFD'],
+      ['CALLSIGN', 'KI2D'],
+      ['CATEGORY-STATION', 'PORTABLE'],
+      ['CATEGORY-OPERATOR', 'SINGLE-OP'],
+      ['CATEGORY-BAND', '20M'],
+      ['CATEGORY-MODE', 'CW'],
+      ['NAME', 'Sebastian Delmont'],
+      ['ADDRESS', '123 Main St'],
+      ['ADDRESS', 'New York, NY'],
+      ['SOAPBOX', 'Cold but fun'],
+      ['CLAIMED-SCORE', '42'],
+      ['CREATED-BY', `Ham2K Portable Logger ${packageJson.version}`]
+    ])
+  })
+})
@@ -0,0 +1,63 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { fmtISODate, fmtTimeZulu } from './timeFormats'
+
+export const TABLE_COLUMNS = [
+  { key: 'ourCall', label: 'Our Call', value: ({ qso }) => qso.our?.call },
+  { key: 'call', label: 'Call', value: ({ qso }) => qso.their?.call },
+  { key: 'date', label: 'Date', value: ({ qso }) => fmtISODate(qso.startAtMillis) },
+  { key: 'time', label: 'Time', value: ({ qso }) => fmtTimeZulu(qso.startAtMillis, { showZ: false }) },
+  { key: 'band', label: 'Band', value: ({ qso }) => qso.band },
+  { key: 'freq', label: 'MHz', value: ({ qso }) => qso.freq && `${qso.freq / 1000}` },
+  { key: 'mode', label: 'Mode', value: ({ qso }) => qso.mode },
+  { key: 'rstSent', label: 'RST Sent', value: ({ qso }) => qso.our?.sent },
+  { key: 'rstRcvd', label: 'RST Rcvd', value: ({ qso }) => qso.their?.sent },
+  { key: 'refs', label: 'Refs', value: ({ qso }) => (qso.refs || []).filter(ref => ref.ref).map(ref => ref.ref).join(' ') },
+  { key: 'grid', label: 'Grid', value: ({ qso }) => qso.their?.grid ?? qso.their?.guess?.grid },
+  { key: 'name', label: 'Name', value: ({ qso }) => qso.their?.name ?? qso.their?.guess?.name },
+  { key: 'state', label: 'State', value: ({ qso }) => qso.their?.state ?? qso.their?.guess?.state },
+  { key: 'country', label: 'Country', value: ({ qso }) => qso.their?.country ?? qso.their?.guess?.country },
+  { key: 'exchange', label: 'Exchange', value: ({ qso }) => qso.their?.exchange },
+  { key: 'notes', label: 'Notes', value: ({ qso }) => qso.notes }
+]
+
+export const DEFAULT_TABLE_COLUMNS = ['call', 'date', 'time', 'band', 'freq', 'mode', 'rstSent', 'rstRcvd', 'refs', 'grid', 'name', 'notes']
+
+function csvValue (value) {
+  if (value.match(/[",\r\n]/)) return `"${value.replace(/"/g, '""')}"`
+  else return value
+}
+
+function tsvValue (value) {
+  return value.replace(/[\t\r\n]+/g, ' ')
+}
+
+// `columns` is a list of column definitions like the ones in `TABLE_COLUMNS`,
+// including any columns provided by reference handlers.
+export function qsonToTable ({ operation, qsos, format, columns }) {
+  const rows = qsos.filter(qso => !qso.deleted).map(qso => (
+    columns.map(column => `${column.value({ qso, operation }) ?? ''}`)
+  ))
+
+  if (format === 'json') {
+    return JSON.stringify(rows.map(row => {
+      const obj = {}
+      columns.forEach((column, i) => { obj[column.key] = row[i] })
+      return obj
+    }), null, 2) + '\n'
+  } else if (format === 'csv') {
+    return [columns.map(column => column.label), ...rows].map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n'
+  } else if (format === 'tsv') {
+    return [columns.map(column => column.label), ...rows].map(row => row.map(tsvValue).join('\t')).join('\n') + '\n'
+  } else {
+    const lines = [columns.map(column => column.label), ...rows].map(row => row.map(value => value.replace(/[\r\n]+/g, ' ')))
+    const widths = columns.map((column, i) => Math.max(...lines.map(line => line[i].length)))
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)))
+    return lines.map(line => line.map((value, i) => value.padEnd(widths[i], ' ')).join('  ').trimEnd()).join('\n') + '\n'
+  }
+}
@@ -0,0 +1,45 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { TABLE_COLUMNS, qsonToTable } from './qsonToTable'
+
+const columns = ['call', 'time', 'freq', 'notes'].map(key => TABLE_COLUMNS.find(column => column.key === key))
+
+const qsos = [
+  { their: { call: 'K1ABC' }, startAtMillis: Date.parse('2024-03-01T14:05:00Z'), freq: 14062, notes: 'Loud, "nice" signal' },
+  { their: { call: 'W2XYZ' }, startAtMillis: Date.parse('2024-03-01T14:07:00Z'), freq: 7030.5 },
+  { their: { call: 'N0CALL' }, deleted: true }
+]
+
+describe('qsonToTable', () => {
+  it('should generate CSV', () => {
+    expect(qsonToTable({ qsos, format: 'csv', columns })).toEqual(
+      'Call,Time,MHz,Notes\r\n' +
+      'K1ABC,14:05:00,14.062,"Loud, ""nice"" signal"\r\n' +
+      'W2XYZ,14:07:00,7.0305,\r\n'
+    )
+  })
+
+  it('should generate TSV', () => {
+    expect(qsonToTable({ qsos, format: 'tsv', columns: columns.slice(0, 2) })).toEqual(
+      'Call\tTime\nK1ABC\t14:05:00\nW2XYZ\t14:07:00\n'
+    )
+  })
+
+  it('should generate aligned text', () => {
+    expect(qsonToTable({ qsos, format: 'txt', columns: columns.slice(0, 2) })).toEqual(
+      'Call   Time\n' +
+      '-----  --------\n' +
+      'K1ABC  14:05:00\n' +
+      'W2XYZ  14:07:00\n'
+    )
+  })
+
+  it('should generate JSON', () => {
+    expect(JSON.parse(qsonToTable({ qsos, format: 'json', columns: columns.slice(0, 1) }))).toEqual([{ call: 'K1ABC' }, { call: 'W2XYZ' }])
+  })
+})
@@ -0,0 +1,81 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { ADIF_MODES_AND_SUBMODES, BANDS, bandForFrequency } from '@ham2k/lib-operation-data'
+
+import { parseFreqInMHz } from './frequencyFormats'
+
+// The callsign field turns periods into slashes once there are letters, so `1.25m` arrives as `1/25M`
+const BAND_REGEX = /^(\d+(?:[./]\d+)?)(M|CM|MM)?$/i
+const FREQUENCY_OFFSET_REGEX = /^([+-])(\d+(?:\.\d+)?)$/
+const SPLIT_REGEX = /^(UP|DN|DOWN)\s*(\d+(?:[./]\d+)?)?$/i
+const FREQUENCY_PAIR_REGEX = /^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/
+
+const MODE_ALIASES = {
+  DV: 'DIGITALVOICE'
+}
+
+// Modes with spaces in their names, like `VARA HF`, cannot be typed as shortcuts
+export const MODE_SHORTCUTS = ADIF_MODES_AND_SUBMODES.filter(mode => !mode.includes(' ')).concat(Object.keys(MODE_ALIASES))
+
+export function parseBand (text) {
+  const parts = (text || '').match(BAND_REGEX)
+  if (!parts) return undefined
+
+  const band = `${parts[1].replace('/', '.')}${(parts[2] || 'm').toLowerCase()}`
+  return BANDS.includes(band) ? band : undefined
+}
+
+// Numbers below 1000 are in MHz and the rest in kHz, except for those that are only in
+// an amateur band when read as MHz, like `1296.1` or `10368`
+export function parseFrequency (text) {
+  const freq = parseFreqInMHz(text)
+  if (!freq) return undefined
+
+  const bandAsMHz = bandForFrequency(freq * 1000)
+  if (bandAsMHz !== 'other' && bandForFrequency(freq) === bandAsMHz) {
+    return freq * 1000
+  } else {
+    return freq
+  }
+}
+
+// `+2` or `-1.5`, in kHz
+export function parseFrequencyOffset (text) {
+  const parts = (text || '').match(FREQUENCY_OFFSET_REGEX)
+  if (!parts) return undefined
+
+  return parseFloat(parts[2]) * (parts[1] === '-' ? -1 : 1)
+}
+
+// `145.9/435.3`, transmitting on the first frequency and listening on the second one, like when working satellites
+export function parseFrequencyPair (text) {
+  const parts = (text || '').match(FREQUENCY_PAIR_REGEX)
+  if (!parts) return undefined
+
+  const freq = parseFrequency(parts[1])
+  const freqRx = parseFrequency(parts[2])
+  if (!freq || !freqRx || bandForFrequency(freq) === 'other' || bandForFrequency(freqRx) === 'other') return undefined
+
+  return { freq, freqRx }
+}
+
+// `UP`, `UP 2` or `DN1.5`, in kHz from the receive frequency to the transmit frequency
+export function parseSplit (text) {
+  const parts = (text || '').match(SPLIT_REGEX)
+  if (!parts) return undefined
+
+  const offset = parts[2] ? parseFloat(parts[2].replace('/', '.')) : 1
+  return parts[1].toUpperCase() === 'UP' ? offset : -offset
+}
+
+export function parseMode (text) {
+  const mode = (text || '').toUpperCase()
+  if (!MODE_SHORTCUTS.includes(mode)) return undefined
+
+  return MODE_ALIASES[mode] ?? mode
+}
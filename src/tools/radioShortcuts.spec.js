@@ -0,0 +1,90 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import { parseBand, parseFrequency, parseFrequencyOffset, parseFrequencyPair, parseMode, parseSplit } from './radioShortcuts'
+
+describe('parseBand', () => {
+  it('should understand HF, VHF and UHF bands', () => {
+    expect(parseBand('20')).toEqual('20m')
+    expect(parseBand('160M')).toEqual('160m')
+    expect(parseBand('2m')).toEqual('2m')
+    expect(parseBand('1.25M')).toEqual('1.25m')
+    expect(parseBand('1/25M')).toEqual('1.25m')
+    expect(parseBand('70CM')).toEqual('70cm')
+    expect(parseBand('23cm')).toEqual('23cm')
+  })
+
+  it('should ignore things that are not bands', () => {
+    expect(parseBand('70')).toBeUndefined()
+    expect(parseBand('14074')).toBeUndefined()
+    expect(parseBand('20W')).toBeUndefined()
+    expect(parseBand('')).toBeUndefined()
+  })
+})
+
+describe('parseFrequency', () => {
+  it('should read frequencies in kHz or MHz', () => {
+    expect(parseFrequency('14074')).toEqual(14074)
+    expect(parseFrequency('7.030')).toEqual(7030)
+    expect(parseFrequency('146.52')).toEqual(146520)
+    expect(parseFrequency('432.1')).toEqual(432100)
+    expect(parseFrequency('10136')).toEqual(10136)
+  })
+
+  it('should read microwave frequencies in MHz', () => {
+    expect(parseFrequency('1296.1')).toEqual(1296100)
+    expect(parseFrequency('2304.1')).toEqual(2304100)
+    expect(parseFrequency('10368')).toEqual(10368000)
+  })
+})
+
+describe('parseFrequencyOffset', () => {
+  it('should read offsets in kHz', () => {
+    expect(parseFrequencyOffset('+2')).toEqual(2)
+    expect(parseFrequencyOffset('-1.5')).toEqual(-1.5)
+    expect(parseFrequencyOffset('2')).toBeUndefined()
+    expect(parseFrequencyOffset('-5m')).toBeUndefined()
+  })
+})
+
+describe('parseFrequencyPair', () => {
+  it('should read transmit and receive frequencies', () => {
+    expect(parseFrequencyPair('145.9/435.3')).toEqual({ freq: 145900, freqRx: 435300 })
+    expect(parseFrequencyPair('435.25/145.85')).toEqual({ freq: 435250, freqRx: 145850 })
+    expect(parseFrequencyPair('14074/14076')).toEqual({ freq: 14074, freqRx: 14076 })
+  })
+
+  it('should ignore frequencies outside of the amateur bands', () => {
+    expect(parseFrequencyPair('1/25')).toBeUndefined()
+    expect(parseFrequencyPair('145.9/1')).toBeUndefined()
+    expect(parseFrequencyPair('145.9')).toBeUndefined()
+  })
+})
+
+describe('parseSplit', () => {
+  it('should read split offsets', () => {
+    expect(parseSplit('UP')).toEqual(1)
+    expect(parseSplit('UP 2')).toEqual(2)
+    expect(parseSplit('up5')).toEqual(5)
+    expect(parseSplit('DN1/5')).toEqual(-1.5)
+    expect(parseSplit('DOWN 3')).toEqual(-3)
+    expect(parseSplit('UPS')).toBeUndefined()
+  })
+})
+
+describe('parseMode', () => {
+  it('should accept ADIF modes and submodes', () => {
+    expect(parseMode('cw')).toEqual('CW')
+    expect(parseMode('JS8')).toEqual('JS8')
+    expect(parseMode('PSK31')).toEqual('PSK31')
+    expect(parseMode('SSTV')).toEqual('SSTV')
+    expect(parseMode('DSTAR')).toEqual('DSTAR')
+    expect(parseMode('DV')).toEqual('DIGITALVOICE')
+    expect(parseMode('VARA')).toBeUndefined()
+    expect(parseMode('K2ABC')).toBeUndefined()
+  })
+})
@@ -0,0 +1,318 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import mergeQSOs from './mergeQSOs'
+
+export const SYNC_PROTOCOL = 'ham2k-polo-sync'
+export const SYNC_PROTOCOL_VERSION = 2
+
+const SYNC_TIMEOUT = 60 * 1000
+
+// Devices listen on this port and announce themselves on the local network with this service type
+export const DEFAULT_SYNC_PORT = 7373
+export const SYNC_SERVICE_TYPE = 'polosync'
+
+// Decides what to keep when a QSO arrives from another device.
+// Returns the QSO to be saved, or `undefined` if the local copy should be kept as is.
+export function resolveSyncedQSO (local, remote) {
+  if (!remote) return undefined
+  if (!local) return remote
+
+  const localMillis = local.updatedAtMillis ?? 0
+  const remoteMillis = remote.updatedAtMillis ?? 0
+
+  if (remoteMillis < localMillis) return undefined
+  if (remoteMillis === localMillis && (remote.updatedOnDeviceId ?? '') <= (local.updatedOnDeviceId ?? '')) return undefined
+
+  // The remote copy is newer, but we still want to keep any refs or times only known locally
+  const merged = local.key === remote.key ? mergeQSOs(local, remote) : { ...remote }
+  merged.updatedAtMillis = remoteMillis
+  merged.updatedOnDeviceId = remote.updatedOnDeviceId
+
+  if (JSON.stringify(merged) === JSON.stringify(local)) return undefined
+  return merged
+}
+
+// Fields that each device calculates from its own QSOs, and should not be taken from another device
+const OPERATION_SUMMARY_FIELDS = ['qsoCount', 'startAtMillisMin', 'startAtMillisMax']
+
+// Decides what to keep when operation details, like its title or references, arrive from another device.
+// Returns the operation to be saved, or `undefined` if the local copy should be kept as is.
+export function resolveSyncedOperation (local, remote) {
+  if (!remote) return undefined
+  if (!local) return remote
+
+  const localMillis = local.updatedAtMillis ?? 0
+  const remoteMillis = remote.updatedAtMillis ?? 0
+
+  if (remoteMillis < localMillis) return undefined
+  if (remoteMillis === localMillis && (remote.updatedOnDeviceId ?? '') <= (local.updatedOnDeviceId ?? '')) return undefined
+
+  const merged = { ...remote }
+  OPERATION_SUMMARY_FIELDS.forEach(field => {
+    if (local[field] !== undefined) merged[field] = local[field]
+    else delete merged[field]
+  })
+
+  if (JSON.stringify(merged) === JSON.stringify(local)) return undefined
+  return merged
+}
+
+// Merges QSOs from another copy of the same operation, such as a QSON file exported on another device.
+// Returns the QSOs that need to be saved, and a summary of what changed.
+export function planQSOMerge ({ local = [], incoming = [] }) {
+  const localByUUID = {}
+  const localByKey = {}
+  local.forEach(qso => {
+    if (qso.uuid) localByUUID[qso.uuid] = qso
+    localByKey[qso.key] = qso
+  })
+
+  const summary = { added: 0, updated: 0, unchanged: 0, onlyLocal: 0 }
+  const changes = []
+  const qsos = []
+  const matched = new Set()
+
+  incoming.forEach(qso => {
+    const match = (qso.uuid && localByUUID[qso.uuid]) || localByKey[qso.key]
+    if (match) matched.add(match)
+
+    const winner = resolveSyncedQSO(match, qso)
+    if (!winner) {
+      summary.unchanged++
+    } else {
+      qsos.push(winner)
+      const type = match ? 'updated' : 'added'
+      summary[type]++
+      changes.push({ type, key: winner.key, call: winner.their?.call, startAtMillis: winner.startAtMillis })
+    }
+  })
+
+  summary.onlyLocal = local.filter(qso => !matched.has(qso) && !qso.deleted).length
+
+  return { qsos, summary, changes }
+}
+
+const SYNC_FILE_TYPE = 'changes-file'
+
+// Sync files carry the same changes as a direct sync, for devices that cannot reach each other over the network.
+// They include everything, since we cannot know which device will open them.
+export function buildSyncFile ({ deviceId, deviceName, changes }) {
+  return {
+    protocol: SYNC_PROTOCOL,
+    version: SYNC_PROTOCOL_VERSION,
+    type: SYNC_FILE_TYPE,
+    deviceId,
+    deviceName,
+    createdAtMillis: Date.now(),
+    operations: changes.operations || [],
+    qsos: changes.qsos || []
+  }
+}
+
+export function parseSyncFile (json) {
+  let file
+  try {
+    file = JSON.parse(json)
+  } catch (error) {
+    file = undefined
+  }
+
+  if (file?.protocol !== SYNC_PROTOCOL || file?.type !== SYNC_FILE_TYPE) {
+    throw new Error('This file is not a PoLo sync file')
+  }
+  if (file.version !== SYNC_PROTOCOL_VERSION) {
+    throw new Error(`This sync file uses a different sync version (${file.version})`)
+  }
+  return file
+}
+
+// `192.168.1.10`, `192.168.1.10:7373` or `[fe80::1]:7373`
+export function parseSyncAddress (address) {
+  address = (address || '').trim().replace(/^[a-z]+:\/\//i, '').replace(/\/$/, '')
+  const parts = address.match(/^\[([^\]]+)\](?::(\d+))?$/) || address.match(/^([^:/[\]\s]+)(?::(\d+))?$/)
+  if (!parts) return undefined
+
+  return { host: parts[1], port: parts[2] ? parseInt(parts[2], 10) : DEFAULT_SYNC_PORT }
+}
+
+export function formatSyncAddress ({ host, port }) {
+  return `${host.includes(':') ? `[${host}]` : host}:${port}`
+}
+
+// Over the network, messages are sent as JSON, one per line
+export function encodeSyncMessage (message) {
+  return `${JSON.stringify(message)}\n`
+}
+
+// Data can arrive split or joined in any way, so anything after the last line break is kept until the rest arrives
+export function createSyncMessageDecoder (handler) {
+  let buffer = ''
+  return (chunk) => {
+    buffer += chunk
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(line => {
+      if (!line.trim()) return
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch (error) {
+        return // Ignore anything that is not JSON
+      }
+      handler(message)
+    })
+  }
+}
+
+// Devices announce their id and name, so they can be listed before connecting to them
+export function syncServiceTXT ({ deviceId, deviceName }) {
+  return { protocol: SYNC_PROTOCOL, version: `${SYNC_PROTOCOL_VERSION}`, deviceId, deviceName: deviceName ?? '' }
+}
+
+// Turns a service found on the local network into a peer we can connect to, or `undefined` if it is not one
+export function peerFromSyncService (service, { deviceId }) {
+  const txt = service?.txt || {}
+  if (txt.protocol !== SYNC_PROTOCOL || !txt.deviceId || txt.deviceId === deviceId) return undefined
+
+  const addresses = service.addresses || []
+  const host = addresses.find(address => address.match(/^\d+\.\d+\.\d+\.\d+$/)) ?? addresses[0] ?? service.host
+  if (!host || !service.port) return undefined
+
+  return { deviceId: txt.deviceId, deviceName: txt.deviceName || service.name, address: formatSyncAddress({ host, port: service.port }) }
+}
+
+// A peer talks to one other device over a `transport`, which needs to provide
+// `send(message)`, `onMessage(handler)` (returning an unsubscribe function) and `close()`,
+// and optionally `onClose(handler)`, called with an error when the connection is lost.
+//
+// The `source` connects the peer with the local log:
+// - `changesSince(cursor)` returns `{ operations, qsos: [{ operation, qso }], cursor }` for everything saved after `cursor`
+// - `applyChanges({ operations, qsos })` saves changes from the other device, and returns counts
+// - `getCursor(deviceId)` and `setCursor(deviceId, cursor)` remember how far we got with each device
+// - `knownPeers()` (optional) lists other devices, so they can be discovered through this one
+//
+// Cursors are opaque to the other device, and should count every save on the sending device, including
+// changes it received from others. Using the time a QSO was last edited would skip changes that reach
+// a device after it last synced with us, which happens as soon as there are more than two devices.
+export function createSyncPeer ({ deviceId, deviceName, source, transport, onStatus }) {
+  let remote
+  let unsubscribe
+  let unsubscribeClose
+  let pending
+
+  const status = (value, extra = {}) => onStatus && onStatus({ status: value, remote, ...extra })
+
+  const send = (message) => transport.send({ ...message, protocol: SYNC_PROTOCOL, version: SYNC_PROTOCOL_VERSION })
+
+  // When syncing, we are done once we have applied their changes and sent them ours
+  const maybeFinish = () => {
+    if (pending && pending.results && pending.sent) {
+      clearTimeout(pending.timeout)
+      pending.resolve(pending.results)
+      pending = undefined
+    }
+  }
+
+  const fail = (message) => {
+    status('error', { message })
+    if (pending) {
+      clearTimeout(pending.timeout)
+      pending.reject(new Error(message))
+      pending = undefined
+    }
+  }
+
+  const requestChanges = async () => {
+    status('syncing')
+    const since = await source.getCursor(remote.deviceId)
+    send({ type: 'changes-request', since })
+  }
+
+  const handlers = {
+    hello: async (message) => {
+      remote = { deviceId: message.deviceId, deviceName: message.deviceName }
+      send({ type: 'welcome', deviceId, deviceName, peers: source.knownPeers ? await source.knownPeers() : [] })
+      await requestChanges()
+    },
+    welcome: async (message) => {
+      remote = { deviceId: message.deviceId, deviceName: message.deviceName }
+      if (message.peers?.length > 0) status('discovered', { peers: message.peers.filter(p => p.deviceId !== deviceId) })
+      await requestChanges()
+    },
+    'changes-request': async (message) => {
+      const changes = await source.changesSince(message.since)
+      send({ type: 'changes', since: message.since, cursor: changes.cursor, operations: changes.operations, qsos: changes.qsos })
+      if (pending) pending.sent = true
+      maybeFinish()
+    },
+    changes: async (message) => {
+      const results = await source.applyChanges({ operations: message.operations || [], qsos: message.qsos || [] })
+      if (message.cursor !== undefined) await source.setCursor(remote.deviceId, message.cursor)
+      status('synced', { results })
+      if (pending) pending.results = results
+      maybeFinish()
+    },
+    error: async (message) => {
+      fail(message.message)
+    }
+  }
+
+  const handleMessage = async (message) => {
+    if (message?.protocol !== SYNC_PROTOCOL) return
+    if (message.version !== SYNC_PROTOCOL_VERSION) {
+      if (message.type === 'error') return fail(message.message)
+      send({ type: 'error', message: `Unsupported sync protocol version ${message.version}` })
+      return fail(`The other device uses a different sync version (${message.version})`)
+    }
+
+    const handler = handlers[message.type]
+    if (!handler) return
+
+    try {
+      await handler(message)
+    } catch (error) {
+      send({ type: 'error', message: error.message })
+      fail(error.message)
+    }
+  }
+
+  return {
+    get remote () { return remote },
+
+    // Starts listening for messages, which is all the answering side needs to do
+    listen () {
+      if (!unsubscribe) unsubscribe = transport.onMessage(handleMessage)
+      if (!unsubscribeClose && transport.onClose) {
+        unsubscribeClose = transport.onClose((error) => {
+          if (pending) fail(error?.message || 'The connection was closed before syncing finished')
+        })
+      }
+    },
+
+    // Introduces ourselves and resolves once changes have gone both ways,
+    // or rejects if the connection is lost or the other device stops answering
+    sync ({ timeout = SYNC_TIMEOUT } = {}) {
+      this.listen()
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject }
+        pending.timeout = setTimeout(() => fail('The other device took too long to answer'), timeout)
+        status('connecting')
+        send({ type: 'hello', deviceId, deviceName })
+      })
+    },
+
+    close () {
+      if (unsubscribe) unsubscribe()
+      if (unsubscribeClose) unsubscribeClose()
+      unsubscribe = undefined
+      unsubscribeClose = undefined
+      transport.close && transport.close()
+      status('closed')
+    }
+  }
+}
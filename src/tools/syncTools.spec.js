@@ -0,0 +1,330 @@
+/*
+ * Copyright ©️ 2024 Sebastian Delmont <sd@ham2k.com>
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+ * If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {
+  buildSyncFile, createSyncMessageDecoder, createSyncPeer, encodeSyncMessage, parseSyncAddress, parseSyncFile, peerFromSyncService,
+  planQSOMerge, resolveSyncedOperation, resolveSyncedQSO, SYNC_PROTOCOL, syncServiceTXT
+} from './syncTools'
+
+function createMockTransports () {
+  const handlers = { a: [], b: [] }
+  const deliver = (to, message) => {
+    const copy = JSON.parse(JSON.stringify(message))
+    setTimeout(() => handlers[to].forEach(handler => handler(copy)), 0)
+  }
+  const transport = (me, other) => ({
+    send: (message) => deliver(other, message),
+    onMessage: (handler) => {
+      handlers[me].push(handler)
+      return () => { handlers[me] = handlers[me].filter(h => h !== handler) }
+    },
+    close: () => {}
+  })
+  return [transport('a', 'b'), transport('b', 'a')]
+}
+
+// Like a pair of sockets, delivering the encoded messages in small chunks that do not line up with them
+function createStreamTransports () {
+  const decoders = { a: [], b: [] }
+  const transport = (me, other) => ({
+    send: (message) => {
+      const data = encodeSyncMessage(message)
+      for (let i = 0; i < data.length; i += 7) {
+        const chunk = data.substring(i, i + 7)
+        setTimeout(() => decoders[other].forEach(decode => decode(chunk)), 0)
+      }
+    },
+    onMessage: (handler) => {
+      const decode = createSyncMessageDecoder(handler)
+      decoders[me].push(decode)
+      return () => { decoders[me] = decoders[me].filter(d => d !== decode) }
+    },
+    close: () => {}
+  })
+  return [transport('a', 'b'), transport('b', 'a')]
+}
+
+// Keeps a local sequence, like `changeSeq` in the database, that counts every save including synced ones
+function createMemorySource ({ operations = {}, qsos = {} } = {}) {
+  const cursors = {}
+  const changeSeqs = { operations: {}, qsos: {} }
+  let seq = 0
+
+  const source = {
+    operations,
+    qsos,
+    saveOperation: (operation) => {
+      operations[operation.uuid] = operation
+      changeSeqs.operations[operation.uuid] = ++seq
+    },
+    saveQSO: (entry) => {
+      qsos[entry.qso.uuid] = entry
+      changeSeqs.qsos[entry.qso.uuid] = ++seq
+    },
+    changesSince: async (since) => ({
+      operations: Object.values(operations).filter(op => changeSeqs.operations[op.uuid] > (since ?? 0)),
+      qsos: Object.values(qsos).filter(({ qso }) => changeSeqs.qsos[qso.uuid] > (since ?? 0)),
+      cursor: seq
+    }),
+    applyChanges: async (changes) => {
+      const results = { operations: 0, qsos: 0 }
+      changes.operations.forEach(op => {
+        const winner = resolveSyncedOperation(operations[op.uuid], op)
+        if (winner) {
+          source.saveOperation(winner)
+          results.operations++
+        }
+      })
+      changes.qsos.forEach(({ operation, qso }) => {
+        const winner = resolveSyncedQSO(qsos[qso.uuid]?.qso, qso)
+        if (winner) {
+          source.saveQSO({ operation, qso: winner })
+          results.qsos++
+        }
+      })
+      return results
+    },
+    getCursor: async (deviceId) => cursors[deviceId],
+    setCursor: async (deviceId, cursor) => { cursors[deviceId] = cursor },
+    knownPeers: async () => [{ deviceId: 'c', deviceName: 'Third Phone' }]
+  }
+
+  Object.values(operations).forEach(source.saveOperation)
+  Object.values(qsos).forEach(source.saveQSO)
+
+  return source
+}
+
+const qso = (uuid, call, updatedAtMillis, extra = {}) => ({
+  uuid, key: `${call}-20m-CW`, their: { call }, band: '20m', mode: 'CW', startAtMillis: 1000, updatedAtMillis, ...extra
+})
+
+describe('resolveSyncedQSO', () => {
+  it('should accept QSOs that are not known locally', () => {
+    expect(resolveSyncedQSO(undefined, qso('1', 'K1ABC', 10))).toEqual(qso('1', 'K1ABC', 10))
+  })
+
+  it('should keep the local copy when it is newer', () => {
+    expect(resolveSyncedQSO(qso('1', 'K1ABC', 20), qso('1', 'K1ABC', 10))).toBeUndefined()
+  })
+
+  it('should merge refs when the remote copy is newer', () => {
+    const local = qso('1', 'K1ABC', 10, { refs: [{ type: 'pota', ref: 'K-0001' }] })
+    const remote = qso('1', 'K1ABC', 20, { refs: [{ type: 'pota', ref: 'K-0002' }], notes: 'tnx' })
+
+    const merged = resolveSyncedQSO(local, remote)
+    expect(merged.notes).toEqual('tnx')
+    expect(merged.refs).toEqual([{ type: 'pota', ref: 'K-0002' }, { type: 'pota', ref: 'K-0001' }])
+    expect(merged.updatedAtMillis).toEqual(20)
+  })
+
+  it('should break ties using the device id', () => {
+    const local = qso('1', 'K1ABC', 10, { updatedOnDeviceId: 'a', notes: 'from a' })
+    const remote = qso('1', 'K1ABC', 10, { updatedOnDeviceId: 'b', notes: 'from b' })
+
+    expect(resolveSyncedQSO(local, remote).notes).toEqual('from b')
+    expect(resolveSyncedQSO(remote, local)).toBeUndefined()
+  })
+})
+
+describe('resolveSyncedOperation', () => {
+  it('should take newer details but keep the local summary', () => {
+    const local = { uuid: 'op1', title: 'Old Title', qsoCount: 10, updatedAtMillis: 10 }
+    const remote = { uuid: 'op1', title: 'New Title', qsoCount: 3, startAtMillisMin: 5, updatedAtMillis: 20 }
+
+    expect(resolveSyncedOperation(local, remote)).toEqual({ uuid: 'op1', title: 'New Title', qsoCount: 10, updatedAtMillis: 20 })
+    expect(resolveSyncedOperation(remote, local)).toBeUndefined()
+    expect(resolveSyncedOperation(undefined, remote)).toEqual(remote)
+  })
+})
+
+describe('planQSOMerge', () => {
+  it('should add new QSOs, update newer ones, and keep local ones', () => {
+    const local = [
+      { uuid: '1', key: 'a', their: { call: 'K1ABC' }, updatedAtMillis: 100 },
+      { uuid: '2', key: 'b', their: { call: 'W2XYZ' }, updatedAtMillis: 300 },
+      { uuid: '3', key: 'c', their: { call: 'N3AAA' }, updatedAtMillis: 100 }
+    ]
+    const incoming = [
+      { uuid: '1', key: 'a2', their: { call: 'K1ABD' }, updatedAtMillis: 200 },
+      { uuid: '2', key: 'b', their: { call: 'W2XY' }, updatedAtMillis: 200 },
+      { uuid: '4', key: 'd', their: { call: 'VE3ZZZ' }, updatedAtMillis: 200 }
+    ]
+
+    const { qsos, summary, changes } = planQSOMerge({ local, incoming })
+    expect(qsos.map(q => q.key)).toEqual(['a2', 'd'])
+    expect(summary).toEqual({ added: 1, updated: 1, unchanged: 1, onlyLocal: 1 })
+    expect(changes.map(change => [change.type, change.call])).toEqual([['updated', 'K1ABD'], ['added', 'VE3ZZZ']])
+  })
+})
+
+describe('sync files', () => {
+  it('should read back the changes they were built with', () => {
+    const changes = { operations: [{ uuid: 'op1' }], qsos: [{ operation: 'op1', qso: qso('q1', 'K1ABC', 10) }] }
+    const file = parseSyncFile(JSON.stringify(buildSyncFile({ deviceId: 'a', deviceName: 'Phone A', changes })))
+
+    expect(file.deviceId).toEqual('a')
+    expect(file.operations).toEqual(changes.operations)
+    expect(file.qsos).toEqual(changes.qsos)
+  })
+
+  it('should reject other files', () => {
+    expect(() => parseSyncFile('not json')).toThrow('not a PoLo sync file')
+    expect(() => parseSyncFile(JSON.stringify({ format: 'ham2k-polo-backup' }))).toThrow('not a PoLo sync file')
+    expect(() => parseSyncFile(JSON.stringify({ protocol: SYNC_PROTOCOL, type: 'changes-file', version: 99 }))).toThrow('different sync version')
+  })
+})
+
+describe('network helpers', () => {
+  it('should parse addresses', () => {
+    expect(parseSyncAddress('192.168.1.10')).toEqual({ host: '192.168.1.10', port: 7373 })
+    expect(parseSyncAddress(' 192.168.1.10:8000 ')).toEqual({ host: '192.168.1.10', port: 8000 })
+    expect(parseSyncAddress('tcp://phone.local:8000/')).toEqual({ host: 'phone.local', port: 8000 })
+    expect(parseSyncAddress('[fe80::1]:8000')).toEqual({ host: 'fe80::1', port: 8000 })
+    expect(parseSyncAddress('')).toBeUndefined()
+    expect(parseSyncAddress('two words')).toBeUndefined()
+  })
+
+  it('should decode messages split or joined in any way', () => {
+    const messages = []
+    const decode = createSyncMessageDecoder(message => messages.push(message))
+    const data = encodeSyncMessage({ type: 'hello', name: 'Ünïcode' }) + 'not json\n' + encodeSyncMessage({ type: 'welcome' })
+
+    decode(data.substring(0, 5))
+    expect(messages).toEqual([])
+    decode(data.substring(5, 40))
+    decode(data.substring(40))
+    expect(messages).toEqual([{ type: 'hello', name: 'Ünïcode' }, { type: 'welcome' }])
+  })
+
+  it('should find peers announced on the local network', () => {
+    const txt = syncServiceTXT({ deviceId: 'b', deviceName: 'Phone B' })
+    expect(peerFromSyncService({ name: 'Phone B (b)', addresses: ['fe80::2', '192.168.1.11'], port: 7373, txt }, { deviceId: 'a' }))
+      .toEqual({ deviceId: 'b', deviceName: 'Phone B', address: '192.168.1.11:7373' })
+    expect(peerFromSyncService({ addresses: ['fe80::2'], port: 7373, txt }, { deviceId: 'a' }).address).toEqual('[fe80::2]:7373')
+
+    // Ourselves, other services and services without an address
+    expect(peerFromSyncService({ addresses: ['192.168.1.11'], port: 7373, txt }, { deviceId: 'b' })).toBeUndefined()
+    expect(peerFromSyncService({ addresses: ['192.168.1.11'], port: 80, txt: {} }, { deviceId: 'a' })).toBeUndefined()
+    expect(peerFromSyncService({ addresses: [], port: 7373, txt }, { deviceId: 'a' })).toBeUndefined()
+  })
+})
+
+describe('createSyncPeer', () => {
+  it('should sync over a stream of encoded messages', async () => {
+    const [transportA, transportB] = createStreamTransports()
+    const sourceA = createMemorySource({ qsos: { q1: { operation: 'op1', qso: qso('q1', 'K1ABC', 10) } } })
+    const sourceB = createMemorySource({ qsos: { q2: { operation: 'op1', qso: qso('q2', 'W2XYZ', 20) } } })
+
+    createSyncPeer({ deviceId: 'b', deviceName: 'Phone B', source: sourceB, transport: transportB }).listen()
+    expect(await createSyncPeer({ deviceId: 'a', source: sourceA, transport: transportA }).sync()).toEqual({ operations: 0, qsos: 1 })
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    expect(Object.keys(sourceA.qsos).sort()).toEqual(['q1', 'q2'])
+    expect(Object.keys(sourceB.qsos).sort()).toEqual(['q1', 'q2'])
+  })
+
+  it('should exchange operations and QSOs between two peers', async () => {
+    const [transportA, transportB] = createMockTransports()
+    const sourceA = createMemorySource({
+      operations: { op1: { uuid: 'op1', title: 'Field Day', createdAtMillis: 5 } },
+      qsos: {
+        q1: { operation: 'op1', qso: qso('q1', 'K1ABC', 10) },
+        q2: { operation: 'op1', qso: qso('q2', 'W2XYZ', 30, { notes: 'newer on a' }) }
+      }
+    })
+    const sourceB = createMemorySource({
+      qsos: {
+        q2: { operation: 'op1', qso: qso('q2', 'W2XYZ', 20, { notes: 'older on b' }) },
+        q3: { operation: 'op1', qso: qso('q3', 'N3QRP', 25) }
+      }
+    })
+
+    const statuses = []
+    const peerA = createSyncPeer({ deviceId: 'a', deviceName: 'Phone A', source: sourceA, transport: transportA, onStatus: (s) => statuses.push(s) })
+    const peerB = createSyncPeer({ deviceId: 'b', deviceName: 'Phone B', source: sourceB, transport: transportB })
+    peerB.listen()
+
+    const results = await peerA.sync()
+    await new Promise(resolve => setTimeout(resolve, 10)) // Let B finish applying A's changes
+
+    expect(results).toEqual({ operations: 0, qsos: 1 })
+    expect(peerA.remote).toEqual({ deviceId: 'b', deviceName: 'Phone B' })
+    expect(Object.keys(sourceA.qsos).sort()).toEqual(['q1', 'q2', 'q3'])
+    expect(Object.keys(sourceB.qsos).sort()).toEqual(['q1', 'q2', 'q3'])
+    expect(sourceA.qsos.q2.qso.notes).toEqual('newer on a')
+    expect(sourceB.qsos.q2.qso.notes).toEqual('newer on a')
+    expect(sourceB.operations.op1.title).toEqual('Field Day')
+
+    expect(statuses.find(s => s.status === 'discovered').peers).toEqual([{ deviceId: 'c', deviceName: 'Third Phone' }])
+
+    // A second sync only sends what changed since the first one
+    sourceB.saveQSO({ operation: 'op1', qso: qso('q3', 'N3QRP', Date.now() + 1000, { notes: 'edited on b' }) })
+    expect(await peerA.sync()).toEqual({ operations: 0, qsos: 1 })
+    expect(sourceA.qsos.q3.qso.notes).toEqual('edited on b')
+  })
+
+  it('should pass on changes received from other devices, even if they are older', async () => {
+    const sourceA = createMemorySource({ qsos: { q1: { operation: 'op1', qso: qso('q1', 'K1ABC', 10) } } })
+    const sourceB = createMemorySource({ operations: { op1: { uuid: 'op1', title: 'Field Day', updatedAtMillis: 5 } } })
+    const sourceC = createMemorySource()
+
+    const connect = async (from, to) => {
+      const [transportFrom, transportTo] = createMockTransports()
+      createSyncPeer({ deviceId: to.id, source: to.source, transport: transportTo }).listen()
+      const results = await createSyncPeer({ deviceId: from.id, source: from.source, transport: transportFrom }).sync()
+      await new Promise(resolve => setTimeout(resolve, 10))
+      return results
+    }
+
+    const a = { id: 'a', source: sourceA }
+    const b = { id: 'b', source: sourceB }
+    const c = { id: 'c', source: sourceC }
+
+    await connect(c, b)
+    expect(sourceC.operations.op1.title).toEqual('Field Day')
+
+    await connect(a, b)
+    expect(Object.keys(sourceB.qsos)).toEqual(['q1'])
+
+    // `q1` was last edited long before C synced with B, but B only received it now
+    expect(await connect(c, b)).toEqual({ operations: 0, qsos: 1 })
+    expect(Object.keys(sourceC.qsos)).toEqual(['q1'])
+
+    // Operation details edited on C reach A through B
+    sourceC.saveOperation({ ...sourceC.operations.op1, title: 'Field Day 2024', updatedAtMillis: 50 })
+    await connect(c, b)
+    await connect(a, b)
+    expect(sourceA.operations.op1.title).toEqual('Field Day 2024')
+  })
+
+  it('should fail when the connection is lost or the other device does not answer', async () => {
+    const [transportA] = createMockTransports()
+    const closeHandlers = []
+    transportA.onClose = (handler) => {
+      closeHandlers.push(handler)
+      return () => {}
+    }
+
+    const statuses = []
+    const peerA = createSyncPeer({ deviceId: 'a', source: createMemorySource(), transport: transportA, onStatus: (s) => statuses.push(s.status) })
+    const syncing = peerA.sync()
+    closeHandlers.forEach(handler => handler())
+    await expect(syncing).rejects.toThrow('connection was closed')
+    expect(statuses).toEqual(['connecting', 'error'])
+
+    await expect(peerA.sync({ timeout: 10 })).rejects.toThrow('took too long')
+  })
+
+  it('should reject peers speaking a different protocol version', async () => {
+    const [transportA, transportB] = createMockTransports()
+    const peerA = createSyncPeer({ deviceId: 'a', source: createMemorySource(), transport: transportA })
+    transportB.onMessage((message) => message.type === 'hello' && transportB.send({ protocol: SYNC_PROTOCOL, version: 99, type: 'welcome', deviceId: 'b' }))
+
+    await expect(peerA.sync()).rejects.toThrow('different sync version')
+  })
+})